@@ -1,27 +1,80 @@
 // =============================
     // API CONTRACT (expected)
     // =============================
-    // POST /api/admin/login                  { username, password } -> { ok:true, token }
+    // POST /api/admin/login                  { username, password } -> { ok:true, token, refreshToken, expiresIn, user }
+    // POST /api/auth/refresh                 { refreshToken } -> { ok:true, token, refreshToken?, expiresIn }
+    // POST /api/auth/logout                  { refreshToken } -> { ok:true }
+    // POST /api/admin/logout-all             (auth) -> { ok:true, ended }
+    // GET  /api/admin/users                  (auth) -> { ok:true, users:[...] }
+    // POST /api/admin/users                  (auth) { username, name, password? } -> { ok:true, user, password? }
+    // POST /api/auth/2fa/verify             { challenge, code } -> { ok:true, token, refreshToken, expiresIn, user, recoveryCodesLeft? }
+    //                                         (login returns { ok:true, twoFactorRequired:true, challenge } when 2FA is on)
+    // GET  /api/admin/2fa                    (auth) -> { ok:true, twoFactor:{ enabled, enabledAt, recoveryCodesLeft } }
+    // POST /api/admin/2fa/setup              (auth) -> { ok:true, secret, otpauthUri }
+    // POST /api/admin/2fa/enable|disable|recovery-codes (auth) { code } -> { ok:true, twoFactor, recoveryCodes? }
+    // POST /api/admin/users/:username/disable|enable|reset-password|reset-2fa (auth) -> { ok:true, user, password? }
     // GET  /api/admin/dealers                (auth) -> { ok:true, dealers:[...] }
     // POST /api/admin/dealers                (auth) -> { ok:true, dealer, passcode? }
     // POST /api/admin/reset-passcode         (auth) -> { ok:true, dealerId, passcode }
+    // GET|DELETE /api/admin/dealers/:id/lockout (auth) -> { ok:true, lockout, ips } | { ok:true, cleared }
+    // POST /api/admin/dealers/:id/2fa/reset  (auth) { username? } -> { ok:true, reset }
+    // GET  /api/admin/dealers/:id/sessions   (auth) -> { ok:true, sessions:[...] }
+    // POST /api/admin/dealers/:id/sessions/:sid|all/revoke (auth) -> { ok:true, ended }
+    // GET  /api/admin/dealers/:id/feeds      (auth) -> { ok:true, feeds:{ facebook, google } }
+    // POST /api/admin/dealers/:id/feeds/rotate (auth) -> { ok:true, feeds:{ facebook, google } }
+    // GET  /api/admin/dealers/:id/webhooks   (auth) -> { ok:true, events, webhooks:[...] }
+    // POST /api/admin/dealers/:id/webhooks   (auth) { url, events } -> { ok:true, webhook:{ ..., secret } }
+    // POST|DELETE /api/admin/dealers/:id/webhooks/:webhookId (auth) -> { ok:true, webhook } | { ok:true, deleted:true }
+    // GET  /api/admin/dealers/:id/webhooks/deliveries (auth) -> { ok:true, deliveries:[...] }
     // GET  /api/admin/inventory              (auth) -> { ok:true, vehicles:[...] }
     // GET  /api/admin/requests               (auth) -> { ok:true, requests:[...] }
+    // GET  /api/admin/lead-review            (auth) -> { ok:true, held:[...] }
+    // POST /api/admin/lead-review/:id/release|discard (auth) -> { ok:true, action, lead? }
+    // DELETE /api/admin/dealer/:dealerId/vehicles/:vehicleId (auth) -> { ok:true, purged:true }
+    // GET  /api/admin/dealer/:dealerId/leads/adf (auth) -> ADF/XML attachment
+    // GET  /api/admin/audit                  (auth) ?actor&dealerId&action&from&to&outcome&q&limit -> { ok:true, total, entries:[...] }
+    // GET  /api/admin/audit/export.csv       (auth) same filters -> CSV attachment
+    // GET  /api/admin/settings               (auth) -> { ok:true, settings }
+    // POST /api/admin/settings               (auth) { settings } -> { ok:true, settings }
     //
     // Public:
-    // GET  /api/public/config                -> { ok:true, cloudinary:{ cloudName, uploadPreset, baseFolder } }
+    // GET  /api/public/config                -> { ok:true, cloudinary:{ cloudName, uploadPreset, baseFolder }, settings }
 
     const API = {
       login: () => "/api/admin/login",
+      refresh: () => "/api/auth/refresh",
+      logout: () => "/api/auth/logout",
+      logoutAll: () => "/api/admin/logout-all",
+      users: () => "/api/admin/users",
+      userAction: (username, action) => `/api/admin/users/${encodeURIComponent(username)}/${action}`,
+      twoFactor: () => "/api/admin/2fa",
+      twoFactorAction: (action) => `/api/admin/2fa/${action}`,
+      twoFactorVerify: () => "/api/auth/2fa/verify",
       dealers: () => "/api/admin/dealers",
       resetPass: () => "/api/admin/reset-passcode",
+      dealerFeeds: (dealerId) => `/api/admin/dealers/${encodeURIComponent(dealerId)}/feeds`,
+      dealerFeedsRotate: (dealerId) => `/api/admin/dealers/${encodeURIComponent(dealerId)}/feeds/rotate`,
+      dealerLockout: (dealerId) => `/api/admin/dealers/${encodeURIComponent(dealerId)}/lockout`,
+      dealerTwoFactorReset: (dealerId) => `/api/admin/dealers/${encodeURIComponent(dealerId)}/2fa/reset`,
+      dealerSessions: (dealerId) => `/api/admin/dealers/${encodeURIComponent(dealerId)}/sessions`,
+      dealerSessionRevoke: (dealerId, sid) => `/api/admin/dealers/${encodeURIComponent(dealerId)}/sessions/${encodeURIComponent(sid)}/revoke`,
+      dealerWebhooks: (dealerId) => `/api/admin/dealers/${encodeURIComponent(dealerId)}/webhooks`,
+      dealerWebhook: (dealerId, id) => `/api/admin/dealers/${encodeURIComponent(dealerId)}/webhooks/${encodeURIComponent(id)}`,
+      dealerWebhookDeliveries: (dealerId) => `/api/admin/dealers/${encodeURIComponent(dealerId)}/webhooks/deliveries`,
       inventory: () => "/api/admin/inventory",
       requests: () => "/api/admin/requests",
+      leadReview: () => "/api/admin/lead-review",
+      leadReviewAction: (id, action) => `/api/admin/lead-review/${encodeURIComponent(id)}/${action}`,
       dealerVehicles: (dealerId) => `/api/admin/dealer/${encodeURIComponent(dealerId)}/vehicles`,
+      dealerVehicle: (dealerId, vehicleId) => `/api/admin/dealer/${encodeURIComponent(dealerId)}/vehicles/${encodeURIComponent(vehicleId)}`,
       dealerLeads: (dealerId) => `/api/admin/dealer/${encodeURIComponent(dealerId)}/leads`,
+      dealerSales: (dealerId) => `/api/admin/dealer/${encodeURIComponent(dealerId)}/sales`,
+      dealerLeadsAdf: (dealerId) => `/api/admin/dealer/${encodeURIComponent(dealerId)}/leads/adf`,
       dealerLeadStatus: (dealerId) => `/api/admin/dealer/${encodeURIComponent(dealerId)}/leads/status`,
       publicConfig: () => "/api/public/config",
       settings: () => "/api/admin/settings",
+      audit: (query) => "/api/admin/audit?" + query,
+      auditCsv: (query) => "/api/admin/audit/export.csv?" + query,
     };
 
     const el = (id) => document.getElementById(id);
@@ -31,6 +84,8 @@
       dashView: el("dashView"),
       username: el("username"),
       password: el("password"),
+      loginCodeRow: el("loginCodeRow"),
+      loginCode: el("loginCode"),
       btnLogin: el("btnLogin"),
       btnDemo: el("btnDemo"),
       loginStatus: el("loginStatus"),
@@ -40,12 +95,43 @@
       apiStatus: el("apiStatus"),
       btnRefresh: el("btnRefresh"),
       btnLogout: el("btnLogout"),
+      btnLogoutAll: el("btnLogoutAll"),
 
       tabDealers: el("tabDealers"),
       tabInventory: el("tabInventory"),
       tabRequests: el("tabRequests"),
+      tabReview: el("tabReview"),
       tabDealerView: el("tabDealerView"),
       tabSettings: el("tabSettings"),
+      tabUsers: el("tabUsers"),
+      tabAudit: el("tabAudit"),
+      auditActions: el("auditActions"),
+      auditActor: el("auditActor"),
+      auditDealerId: el("auditDealerId"),
+      auditAction: el("auditAction"),
+      auditFrom: el("auditFrom"),
+      auditTo: el("auditTo"),
+      btnAuditApply: el("btnAuditApply"),
+      btnAuditExport: el("btnAuditExport"),
+      auditStatus: el("auditStatus"),
+      userActions: el("userActions"),
+      newUserUsername: el("newUserUsername"),
+      newUserName: el("newUserName"),
+      newUserPassword: el("newUserPassword"),
+      btnCreateUser: el("btnCreateUser"),
+      userActionStatus: el("userActionStatus"),
+      twoFactorPanel: el("twoFactorPanel"),
+      tfState: el("tfState"),
+      tfSetup: el("tfSetup"),
+      tfLink: el("tfLink"),
+      tfSecret: el("tfSecret"),
+      tfCode: el("tfCode"),
+      tfCodes: el("tfCodes"),
+      tfStatus: el("tfStatus"),
+      btnTfSetup: el("btnTfSetup"),
+      btnTfEnable: el("btnTfEnable"),
+      btnTfRecovery: el("btnTfRecovery"),
+      btnTfDisable: el("btnTfDisable"),
 
       hint: el("hint"),
 
@@ -72,6 +158,7 @@
       dealerStart: el("dealerStart"),
       dealerEnd: el("dealerEnd"),
       btnDealerViewRefresh: el("btnDealerViewRefresh"),
+      btnDealerLeadsAdf: el("btnDealerLeadsAdf"),
       newDealerName: el("newDealerName"),
       newDealerId: el("newDealerId"),
       newDealerStatus: el("newDealerStatus"),
@@ -85,6 +172,9 @@
       settingsPanel: el("settingsPanel"),
       settingLogoUrl: el("settingLogoUrl"),
       settingHeroVideoUrl: el("settingHeroVideoUrl"),
+      settingCurrency: el("settingCurrency"),
+      settingWhatsAppTemplate: el("settingWhatsAppTemplate"),
+      settingSupportEmail: el("settingSupportEmail"),
       btnSaveSettings: el("btnSaveSettings"),
       settingsStatus: el("settingsStatus"),
       dealerViewPanel: el("dealerViewPanel"),
@@ -95,6 +185,11 @@
       dkRequests: el("dkRequests"),
       dkNew: el("dkNew"),
       dkBooked: el("dkBooked"),
+      dkRevenue: el("dkRevenue"),
+      dkRevenueSub: el("dkRevenueSub"),
+      dkDaysToSell: el("dkDaysToSell"),
+      dkConversion: el("dkConversion"),
+      dkConversionSub: el("dkConversionSub"),
       dealerInvCount: el("dealerInvCount"),
       dealerInvUpdated: el("dealerInvUpdated"),
       dealerInvBody: el("dealerInvBody"),
@@ -113,6 +208,18 @@
       mDealerLogo: el("mDealerLogo"),
       mPasscodeInput: el("mPasscodeInput"),
       btnResetPasscode: el("btnResetPasscode"),
+      mLockout: el("mLockout"),
+      btnClearLockout: el("btnClearLockout"),
+      btnResetDealer2fa: el("btnResetDealer2fa"),
+      mSessionList: el("mSessionList"),
+      btnEndAllSessions: el("btnEndAllSessions"),
+      mFeedFacebook: el("mFeedFacebook"),
+      mFeedGoogle: el("mFeedGoogle"),
+      btnRotateFeedToken: el("btnRotateFeedToken"),
+      mWebhookList: el("mWebhookList"),
+      mWebhookUrl: el("mWebhookUrl"),
+      mWebhookDeliveries: el("mWebhookDeliveries"),
+      btnAddWebhook: el("btnAddWebhook"),
       btnSaveDealer: el("btnSaveDealer"),
       mStatus: el("mStatus"),
 
@@ -124,36 +231,59 @@
     const state = {
       tab: "dealers",
       token: null,
+      refreshToken: null,
+      refreshTimer: null,
       apiOnline: false,
 
       dealers: [],
       vehicles: [],
       requests: [],
+      held: [],
+      users: [],
+      audit: [],
+      auditTotal: 0,
+      me: "",
+      twoFactor: null,
+      twoFactorChallenge: null,
 
       selectedDealer: null,
       dealerView: {
         dealerId: "",
         vehicles: [],
-        leads: []
+        leads: [],
+        sales: [],
+        // Lead stages + allowed moves; replaced by the server's copy with the dealer's leads (this one serves offline mode).
+        pipeline: {
+          stages: ["new","contacted","booked","showed","negotiating","won","lost"],
+          transitions: {
+            new: ["contacted","booked","lost"],
+            contacted: ["booked","negotiating","won","lost"],
+            booked: ["contacted","showed","lost"],
+            showed: ["negotiating","won","lost"],
+            negotiating: ["won","lost"],
+            won: [],
+            lost: ["contacted"]
+          }
+        }
       },
 
       demoPasscodes: {},
+      webhookEvents: [],
 
       config: {
         cloudinary: { cloudName:"", baseFolder:"", uploadPreset:"" }
       },
       settings: {
         storefrontLogoUrl: "",
-        storefrontHeroVideoUrl: ""
+        storefrontHeroVideoUrl: "",
+        defaultCurrency: "JMD",
+        whatsappMessageTemplate: "",
+        supportEmail: ""
       }
     };
 
     document.addEventListener("DOMContentLoaded", async () => {
       wire();
-      // nice for your test run
-      ui.username.value = "adminpytch";
-      ui.password.value = "123456";
-
       // Load public config (safe + unauthenticated)
       await loadPublicConfig();
       paintSystemPanel();
@@ -163,11 +293,13 @@
       ui.btnLogin.addEventListener("click", doLogin);
       ui.btnDemo.addEventListener("click", enterDemo);
       ui.password.addEventListener("keydown", (e)=>{ if(e.key==="Enter") doLogin(); });
+      ui.loginCode.addEventListener("keydown", (e)=>{ if(e.key==="Enter") doLogin(); });
 
       ui.btnLogout.addEventListener("click", logout);
+      ui.btnLogoutAll.addEventListener("click", logoutEverywhere);
       ui.btnRefresh.addEventListener("click", refresh);
 
-      [ui.tabDealers, ui.tabInventory, ui.tabRequests, ui.tabDealerView, ui.tabSettings].forEach(btn=>{
+      [ui.tabDealers, ui.tabInventory, ui.tabRequests, ui.tabReview, ui.tabDealerView, ui.tabUsers, ui.tabAudit, ui.tabSettings].forEach(btn=>{
         btn.addEventListener("click", ()=> setTab(btn.dataset.tab));
       });
 
@@ -175,6 +307,7 @@
       ui.statusFilter.addEventListener("change", render);
 
       ui.btnCreateDealer.addEventListener("click", createDealer);
+      ui.btnCreateUser.addEventListener("click", createUser);
       ui.btnOpenDealerModal.addEventListener("click", () => {
         if(!state.dealers.length) return toast("No dealers yet. Create one first.", "error");
         openDealerModal(state.dealers[0]);
@@ -184,6 +317,17 @@
       ui.dealerBackdrop.addEventListener("click", (e)=>{ if(e.target === ui.dealerBackdrop) closeDealerModal(); });
 
       ui.btnResetPasscode.addEventListener("click", resetPasscode);
+      ui.btnRotateFeedToken.addEventListener("click", rotateFeedToken);
+      ui.btnClearLockout.addEventListener("click", clearDealerLockout);
+      ui.btnResetDealer2fa.addEventListener("click", resetDealerTwoFactor);
+      ui.btnAuditApply.addEventListener("click", refresh);
+      ui.btnAuditExport.addEventListener("click", exportAuditCsv);
+      ui.btnTfSetup.addEventListener("click", setupTwoFactor);
+      ui.btnTfEnable.addEventListener("click", () => twoFactorAction("enable"));
+      ui.btnTfRecovery.addEventListener("click", () => twoFactorAction("recovery-codes"));
+      ui.btnTfDisable.addEventListener("click", () => twoFactorAction("disable"));
+      ui.btnEndAllSessions.addEventListener("click", () => endDealerSessions("all"));
+      ui.btnAddWebhook.addEventListener("click", addDealerWebhook);
       ui.btnSaveDealer.addEventListener("click", saveDealerChanges);
       ui.btnSaveSettings.addEventListener("click", saveSettings);
 
@@ -195,6 +339,7 @@
       ui.dealerStart.addEventListener("change", renderDealerView);
       ui.dealerEnd.addEventListener("change", renderDealerView);
       ui.btnDealerViewRefresh.addEventListener("click", loadDealerView);
+      ui.btnDealerLeadsAdf.addEventListener("click", exportDealerLeadsAdf);
     }
 
     async function loadPublicConfig(){
@@ -205,6 +350,7 @@
           state.config.cloudinary.cloudName = data.cloudinary?.cloudName || "";
           state.config.cloudinary.baseFolder = data.cloudinary?.baseFolder || "";
           state.config.cloudinary.uploadPreset = data.cloudinary?.uploadPreset || "";
+          if(data.settings) state.settings = { ...state.settings, ...data.settings };
         }
       }catch{
         // ignore
@@ -219,6 +365,9 @@
     function paintSettingsForm(){
       ui.settingLogoUrl.value = state.settings.storefrontLogoUrl || "";
       ui.settingHeroVideoUrl.value = state.settings.storefrontHeroVideoUrl || "";
+      ui.settingCurrency.value = state.settings.defaultCurrency || "JMD";
+      ui.settingWhatsAppTemplate.value = state.settings.whatsappMessageTemplate || "";
+      ui.settingSupportEmail.value = state.settings.supportEmail || "";
     }
 
     async function loadSettings(){
@@ -247,6 +396,9 @@
       const settings = {
         storefrontLogoUrl: (ui.settingLogoUrl.value || "").trim(),
         storefrontHeroVideoUrl: (ui.settingHeroVideoUrl.value || "").trim(),
+        defaultCurrency: (ui.settingCurrency.value || "").trim().toUpperCase(),
+        whatsappMessageTemplate: (ui.settingWhatsAppTemplate.value || "").trim(),
+        supportEmail: (ui.settingSupportEmail.value || "").trim(),
       };
 
       try{
@@ -264,16 +416,19 @@
         const data = await safeJson(res);
         if(!res.ok || !data?.ok) throw new Error(data?.error || "Save failed");
         state.settings = data.settings || settings;
+        paintSettingsForm();
         ui.settingsStatus.textContent = "Settings saved.";
         toast("Settings updated.", "success");
       }catch(e){
-        ui.settingsStatus.textContent = "Failed to save settings.";
+        ui.settingsStatus.textContent = e?.message || "Failed to save settings.";
         ui.settingsStatus.classList.add("error");
         toast("Save failed: " + (e?.message||"error"), "error");
       }
     }
 
+    // With two-factor on, the password step returns a challenge; the second step sends it back with a code.
     async function doLogin(){
+      if(state.twoFactorChallenge) return verifyLoginCode();
       const username = (ui.username.value||"").trim();
       const password = (ui.password.value||"").trim();
       if(!username || !password) return setLoginStatus("Enter username + password.", true);
@@ -288,18 +443,65 @@
         });
 
         const data = await safeJson(res);
+        if(res.status === 429) return setLoginStatus(data?.error || "Too many attempts. Try again later.", true);
         if(!res.ok || !data?.ok) throw new Error(data?.error || "Login failed");
 
-        state.apiOnline = true;
-        state.token = data.token;
-        setApi("Live", "on");
-        enterDashboard(username);
+        if(data.twoFactorRequired){
+          setLoginCodeStep(data.challenge);
+          return setLoginStatus("Enter the code from your authenticator app.", false);
+        }
+        finishLogin(data, username);
       }catch(e){
         setApi("Error", "err");
         setLoginStatus("API login failed. Use Demo mode if you're testing UI only.", true);
       }
     }
 
+    async function verifyLoginCode(){
+      const code = (ui.loginCode.value||"").trim();
+      if(!code) return setLoginStatus("Enter the code from your authenticator app.", true);
+      setLoginStatus("Checking code…", false);
+
+      try{
+        const res = await fetch(API.twoFactorVerify(), {
+          method:"POST",
+          headers:{ "Content-Type":"application/json", "Accept":"application/json" },
+          body: JSON.stringify({ challenge: state.twoFactorChallenge, code })
+        });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok){
+          // Expired or used-up challenge: start over from the password.
+          if(res.status === 401 && /expired/i.test(data?.error || "")) setLoginCodeStep(null);
+          ui.loginCode.value = "";
+          return setLoginStatus(data?.error || "Invalid code", true);
+        }
+        setLoginCodeStep(null);
+        finishLogin(data, ui.username.value);
+        if(data.recoveryCodeUsed){
+          toast(`Recovery code used — ${data.recoveryCodesLeft} left.`, data.recoveryCodesLeft > 2 ? "success" : "error");
+        }
+      }catch(e){
+        setLoginStatus("Verification failed: " + (e?.message || "error"), true);
+      }
+    }
+
+    function setLoginCodeStep(challenge){
+      state.twoFactorChallenge = challenge || null;
+      ui.loginCodeRow.classList.toggle("hidden", !challenge);
+      ui.username.disabled = !!challenge;
+      ui.password.disabled = !!challenge;
+      ui.loginCode.value = "";
+      ui.btnLogin.textContent = challenge ? "Verify" : "Sign in";
+      if(challenge) ui.loginCode.focus();
+    }
+
+    function finishLogin(data, username){
+      state.apiOnline = true;
+      storeTokens(data);
+      setApi("Live", "on");
+      enterDashboard(data.user?.username || username);
+    }
+
     function enterDemo(){
       state.apiOnline = false;
       state.token = "demo-token";
@@ -310,6 +512,7 @@
     function enterDashboard(username){
       ui.loginView.classList.add("hidden");
       ui.dashView.classList.remove("hidden");
+      state.me = String(username || "").toLowerCase();
       ui.whoami.textContent = `Admin · ${username}`;
       seedDemoIfNeeded();
       setTab("dealers");
@@ -317,13 +520,70 @@
       toast("Signed in.", "success");
     }
 
+    // Access tokens last 15 minutes; refresh a minute early with the (rotating) refresh token.
+    function storeTokens(data){
+      state.token = data.token;
+      if(data.refreshToken) state.refreshToken = data.refreshToken;
+      clearTimeout(state.refreshTimer);
+      const wait = Math.max(0, Number(data.expiresIn || 0) * 1000 - 60 * 1000);
+      if(state.refreshToken) state.refreshTimer = setTimeout(refreshSession, wait);
+    }
+
+    async function refreshSession(){
+      try{
+        const res = await fetch(API.refresh(), {
+          method:"POST",
+          headers:{ "Content-Type":"application/json", "Accept":"application/json" },
+          body: JSON.stringify({ refreshToken: state.refreshToken })
+        });
+        const data = await safeJson(res);
+        if(res.status === 401){
+          state.refreshToken = null;
+          logout();
+          setLoginStatus("Session ended. Sign in again.", true);
+          return;
+        }
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Refresh failed");
+        storeTokens(data);
+      }catch(_){
+        clearTimeout(state.refreshTimer);
+        state.refreshTimer = setTimeout(refreshSession, 15 * 1000);
+      }
+    }
+
+    async function logoutEverywhere(){
+      if(!state.apiOnline) return logout();
+      if(!confirm("Sign out of every admin session for your account?")) return;
+      try{
+        const res = await fetch(API.logoutAll(), { method:"POST", headers: authHeaders() });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Failed");
+        state.refreshToken = null;
+        logout();
+      }catch(e){
+        toast("Sign-out failed: " + (e?.message || "error"), "error");
+      }
+    }
+
     function logout(){
+      if(state.refreshToken){
+        fetch(API.logout(), {
+          method:"POST",
+          headers:{ "Content-Type":"application/json" },
+          body: JSON.stringify({ refreshToken: state.refreshToken })
+        }).catch(()=>{});
+      }
+      clearTimeout(state.refreshTimer);
       state.token = null;
+      state.refreshToken = null;
       state.apiOnline = false;
       state.dealers = [];
       state.vehicles = [];
       state.requests = [];
       state.selectedDealer = null;
+      state.twoFactor = null;
+      ui.tfCodes.textContent = "";
+      ui.tfCodes.classList.add("hidden");
 
       ui.dashView.classList.add("hidden");
       ui.loginView.classList.remove("hidden");
@@ -355,6 +615,10 @@
           const data = await safeJson(res);
           if(!res.ok || !data?.ok) throw new Error(data?.error || "Failed to load dealers");
           state.dealers = Array.isArray(data.dealers) ? data.dealers : [];
+          const alerts = state.dealers.filter(d => d.loginLockout?.alert);
+          if(alerts.length){
+            toast(`Repeated failed logins: ${alerts.map(d => d.dealerId).join(", ")}`, "error");
+          }
         }
         if(state.tab === "settings"){
           await loadSettings();
@@ -371,6 +635,28 @@
           if(!res.ok || !data?.ok) throw new Error(data?.error || "Failed to load requests");
           state.requests = Array.isArray(data.requests) ? data.requests : [];
         }
+        if(state.tab === "review"){
+          const res = await fetch(API.leadReview(), { headers: authHeaders() });
+          const data = await safeJson(res);
+          if(!res.ok || !data?.ok) throw new Error(data?.error || "Failed to load held leads");
+          state.held = Array.isArray(data.held) ? data.held : [];
+        }
+        if(state.tab === "users"){
+          const res = await fetch(API.users(), { headers: authHeaders() });
+          const data = await safeJson(res);
+          if(!res.ok || !data?.ok) throw new Error(data?.error || "Failed to load users");
+          state.users = Array.isArray(data.users) ? data.users : [];
+        }
+        if(state.tab === "audit"){
+          const res = await fetch(API.audit(auditQuery({ limit: 500 })), { headers: authHeaders() });
+          const data = await safeJson(res);
+          if(!res.ok || !data?.ok) throw new Error(data?.error || "Failed to load audit log");
+          state.audit = Array.isArray(data.entries) ? data.entries : [];
+          state.auditTotal = Number(data.total || 0);
+          ui.auditStatus.textContent = state.auditTotal > state.audit.length
+            ? `Showing the newest ${state.audit.length} of ${state.auditTotal}. Narrow the filters or export CSV for all.`
+            : "";
+        }
         if(state.tab === "dealerView"){
           populateDealerSelect();
           await loadDealerView();
@@ -392,24 +678,37 @@
       ui.tabDealers.classList.toggle("active", tab==="dealers");
       ui.tabInventory.classList.toggle("active", tab==="inventory");
       ui.tabRequests.classList.toggle("active", tab==="requests");
+      ui.tabReview.classList.toggle("active", tab==="review");
       ui.tabDealerView.classList.toggle("active", tab==="dealerView");
+      ui.tabUsers.classList.toggle("active", tab==="users");
+      ui.tabAudit.classList.toggle("active", tab==="audit");
       ui.tabSettings.classList.toggle("active", tab==="settings");
 
       ui.tableTitle.textContent =
         tab==="dealers" ? "Dealers"
         : tab==="inventory" ? "Inventory"
         : tab==="requests" ? "Viewing requests"
+        : tab==="review" ? "Held leads"
         : tab==="dealerView" ? "Dealer dashboard"
+        : tab==="users" ? "Admin users"
+        : tab==="audit" ? "Audit log"
         : "Platform settings";
 
       ui.hint.textContent =
         tab==="dealers" ? "Create and manage dealer accounts. Reset passcodes. Set WhatsApp + branding."
         : tab==="inventory" ? "Search across all dealers. Verify status and listing quality."
         : tab==="requests" ? "Monitor incoming leads. Promote from New → Booked → Closed."
+        : tab==="review" ? "Leads held back from dealer tabs: paused dealers and suspected spam caught at intake. Release to deliver or discard."
         : tab==="dealerView" ? "Choose a dealer to view KPIs, inventory, and leads."
+        : tab==="users" ? "Staff logins for this console. Disabled users are signed out on their next request."
+        : tab==="audit" ? "Who changed what, when and from where. Secrets are never logged, only marked as changed."
         : "Update storefront branding and shared media.";
 
       ui.dealerActions.classList.toggle("hidden", tab!=="dealers");
+      ui.userActions.classList.toggle("hidden", tab!=="users");
+      ui.twoFactorPanel.classList.toggle("hidden", tab!=="users");
+      ui.auditActions.classList.toggle("hidden", tab!=="audit");
+      if(tab==="users") loadTwoFactor();
       ui.dealerViewControls.classList.toggle("hidden", tab!=="dealerView");
       ui.mainTable.classList.toggle("hidden", tab==="dealerView" || tab==="settings");
       ui.dealerViewPanel.classList.toggle("hidden", tab!=="dealerView");
@@ -434,14 +733,28 @@
       if(tab === "dealers"){
         add("active", "Active");
         add("paused", "Paused");
+        add("suspended", "Suspended");
       } else if(tab === "inventory"){
         add("available", "Available");
         add("pending", "Pending");
         add("sold", "Sold");
       } else if(tab === "requests"){
         add("new", "New");
+        add("contacted", "Contacted");
         add("booked", "Booked");
-        add("closed", "Closed");
+        add("showed", "Showed");
+        add("negotiating", "Negotiating");
+        add("won", "Won");
+        add("lost", "Lost");
+      } else if(tab === "review"){
+        add("spam", "Suspected spam");
+        add("held", "Held for dealer");
+      } else if(tab === "users"){
+        add("active", "Active");
+        add("disabled", "Disabled");
+      } else if(tab === "audit"){
+        add("ok", "Succeeded");
+        add("failed", "Failed");
       } else if(tab === "dealerView"){
         add("", "All");
       } else {
@@ -458,6 +771,9 @@
         tab==="dealers" ? ["Dealer", "Dealer ID", "Status", "WhatsApp", "Vehicles"]
         : tab==="inventory" ? ["Vehicle", "Dealer", "Status", "Price", "Updated"]
         : tab==="requests" ? ["Customer", "Vehicle", "Dealer", "Status", "Requested"]
+        : tab==="review" ? ["Customer", "Vehicle", "Dealer", "Reason", "Held", "Action"]
+        : tab==="users" ? ["User", "Name", "Status", "Last login", "Action"]
+        : tab==="audit" ? ["When", "Actor", "Action", "Target", "Changes", "IP"]
         : ["Item", "Value", "Hint", "Scope", "Action"];
 
       cols.forEach(c=>{
@@ -482,11 +798,18 @@
       if(state.tab==="dealers") rows = [...state.dealers];
       if(state.tab==="inventory") rows = [...state.vehicles];
       if(state.tab==="requests") rows = [...state.requests];
+      if(state.tab==="review") rows = [...state.held];
+      if(state.tab==="users") rows = [...state.users];
+      if(state.tab==="audit") rows = [...state.audit];
 
       if(q){
         rows = rows.filter(r => JSON.stringify(r).toLowerCase().includes(q));
       }
-      if(f && state.tab!=="settings"){
+      if(f && state.tab==="audit"){
+        rows = rows.filter(r => (f === "ok") === (Number(r.status) < 400));
+      } else if(f && state.tab==="review"){
+        rows = rows.filter(r => (f === "spam") === String(r.reason||"").startsWith("spam_"));
+      } else if(f && state.tab!=="settings"){
         rows = rows.filter(r => (r.status||"").toLowerCase() === f);
       }
 
@@ -496,7 +819,7 @@
       if(!rows.length){
         const tr = document.createElement("tr");
         const td = document.createElement("td");
-        td.colSpan = 5;
+        td.colSpan = ui.theadRow.children.length || 5;
         td.style.color = "var(--muted)";
         td.style.padding = "14px";
         td.textContent = "No rows match your filters.";
@@ -512,7 +835,11 @@
           tr.style.cursor = "pointer";
           tr.addEventListener("click", ()=> openDealerModal(r));
 
-          tr.appendChild(cell(`<div style="font-weight:900">${esc(r.name||"—")}</div><div style="color:var(--muted);font-size:11px;margin-top:2px">Branding + WhatsApp controls</div>`));
+          const lock = r.loginLockout;
+          const sub = lock?.locked || lock?.alert
+            ? `<div style="color:var(--bad);font-size:11px;margin-top:2px">${lock.locked ? "Login locked · " : ""}${Number(lock.failures||0)} failed logins</div>`
+            : `<div style="color:var(--muted);font-size:11px;margin-top:2px">Branding + WhatsApp controls</div>`;
+          tr.appendChild(cell(`<div style="font-weight:900">${esc(r.name||"—")}</div>${sub}`));
           tr.appendChild(cell(`<span class="mono">${esc(r.dealerId||"—")}</span>`));
           tr.appendChild(cell(dealerStatusPill(r.status)));
           tr.appendChild(cell(r.whatsapp ? `<span class="badgeMini">+${esc(r.whatsapp)}</span>` : `<span style="color:var(--muted)">—</span>`));
@@ -535,6 +862,73 @@
           tr.appendChild(cell(`<span class="mono">${esc(r.requested||r.createdAt||"—")}</span>`));
         }
 
+        if(state.tab==="review"){
+          const l = r.lead || {};
+          tr.appendChild(cell(`<div style="font-weight:900">${esc(l.name||"—")}</div><div style="color:var(--muted);font-size:11px;margin-top:2px">${esc(l.phone||"")}</div>`));
+          tr.appendChild(cell(`<div class="mono">${esc(l.vehicleId||"—")}</div>`));
+          tr.appendChild(cell(`<span class="badgeMini">${esc(r.dealerId||"—")}</span>`));
+          const sig = r.signals || {};
+          const signals = [sig.ip ? `IP ${sig.ip}` : "", sig.fillMs != null ? `filled in ${(sig.fillMs/1000).toFixed(1)}s` : "", sig.honeypot ? `honeypot “${sig.honeypot}”` : ""].filter(Boolean).join(" · ");
+          tr.appendChild(cell(`<span class="badgeMini">${esc(String(r.reason||"").replaceAll("_"," "))}</span>`
+            + (signals ? `<div style="color:var(--muted);font-size:11px;margin-top:2px">${esc(signals)}</div>` : "")));
+          tr.appendChild(cell(`<span class="mono">${esc(r.heldAt||"—")}</span>`));
+
+          const actions = document.createElement("td");
+          const release = document.createElement("button");
+          release.className = "btn btn-ghost";
+          release.textContent = "Release";
+          release.onclick = () => reviewHeldLead(r.id, "release");
+          const discard = document.createElement("button");
+          discard.className = "btn btn-ghost";
+          discard.textContent = "Discard";
+          discard.onclick = () => reviewHeldLead(r.id, "discard");
+          actions.appendChild(release);
+          actions.appendChild(discard);
+          tr.appendChild(actions);
+        }
+
+        if(state.tab==="users"){
+          const disabled = (r.status||"active") === "disabled";
+          tr.appendChild(cell(`<div class="mono" style="font-weight:900">${esc(r.username)}</div><div style="color:var(--muted);font-size:11px;margin-top:2px">Created by ${esc(r.createdBy||"—")}</div>`));
+          tr.appendChild(cell(esc(r.name||"—")));
+          tr.appendChild(cell(`<span class="status ${disabled ? "suspended" : "active"}">${esc(r.status||"active")}</span>` +
+            (r.twoFactorEnabled ? ` <span class="badgeMini">2FA</span>` : "")));
+          tr.appendChild(cell(`<span class="mono">${esc(r.lastLoginAt||"never")}</span>`));
+
+          const actions = document.createElement("td");
+          const toggle = document.createElement("button");
+          toggle.className = "btn btn-ghost";
+          toggle.textContent = disabled ? "Enable" : "Disable";
+          toggle.disabled = r.username === state.me;
+          toggle.onclick = () => adminUserAction(r.username, disabled ? "enable" : "disable");
+          const reset = document.createElement("button");
+          reset.className = "btn btn-ghost";
+          reset.textContent = "Reset password";
+          reset.onclick = () => adminUserAction(r.username, "reset-password");
+          actions.appendChild(toggle);
+          actions.appendChild(reset);
+          if(r.twoFactorEnabled){
+            const reset2fa = document.createElement("button");
+            reset2fa.className = "btn btn-ghost";
+            reset2fa.textContent = "Reset 2FA";
+            reset2fa.onclick = () => adminUserAction(r.username, "reset-2fa");
+            actions.appendChild(reset2fa);
+          }
+          tr.appendChild(actions);
+        }
+
+        if(state.tab==="audit"){
+          const failed = Number(r.status) >= 400;
+          tr.appendChild(cell(`<span class="mono">${esc(fmt(new Date(r.at)))}</span>`));
+          tr.appendChild(cell(`<div style="font-weight:900">${esc(r.actor?.label||"—")}</div><div style="color:var(--muted);font-size:11px;margin-top:2px">${esc(r.actor?.type||"")}</div>`));
+          tr.appendChild(cell(`<div class="mono">${esc(r.action)}</div>` +
+            (r.action !== r.route ? `<div style="color:var(--muted);font-size:11px;margin-top:2px">${esc(r.route)}</div>` : "") +
+            (failed ? `<div style="color:var(--bad);font-size:11px;margin-top:2px">HTTP ${esc(r.status)}</div>` : "")));
+          tr.appendChild(cell(`<span class="mono">${esc(r.target||"—")}</span>` + (r.dealerId ? ` <span class="badgeMini">${esc(r.dealerId)}</span>` : "")));
+          tr.appendChild(cell(auditChangesHtml(r)));
+          tr.appendChild(cell(`<span class="mono">${esc(r.ip||"—")}</span>`));
+        }
+
         if(state.tab==="settings"){
           tr.appendChild(cell(`<div style="font-weight:900">${esc(r.item)}</div>`));
           tr.appendChild(cell(`<span class="mono">${esc(r.value)}</span>`));
@@ -597,6 +991,7 @@
       if(!state.apiOnline){
         state.dealerView.vehicles = state.vehicles.filter(v => v.dealerId === dealerId);
         state.dealerView.leads = state.requests.filter(r => r.dealerId === dealerId);
+        state.dealerView.sales = [];
         ui.dealerInvUpdated.textContent = "Updated: " + fmt(new Date());
         ui.dealerLeadUpdated.textContent = "Updated: " + fmt(new Date());
         renderDealerView();
@@ -604,17 +999,22 @@
       }
 
       try{
-        const [invRes, leadRes] = await Promise.all([
+        const [invRes, leadRes, saleRes] = await Promise.all([
           fetch(API.dealerVehicles(dealerId), { headers: authHeaders() }),
-          fetch(API.dealerLeads(dealerId), { headers: authHeaders() })
+          fetch(API.dealerLeads(dealerId), { headers: authHeaders() }),
+          fetch(API.dealerSales(dealerId), { headers: authHeaders() })
         ]);
         const invData = await safeJson(invRes);
         const leadData = await safeJson(leadRes);
+        const saleData = await safeJson(saleRes);
         if(!invRes.ok || !invData?.ok) throw new Error(invData?.error || "Failed to load dealer inventory");
         if(!leadRes.ok || !leadData?.ok) throw new Error(leadData?.error || "Failed to load dealer leads");
+        if(!saleRes.ok || !saleData?.ok) throw new Error(saleData?.error || "Failed to load dealer sales");
 
         state.dealerView.vehicles = Array.isArray(invData.vehicles) ? invData.vehicles : [];
         state.dealerView.leads = Array.isArray(leadData.leads) ? leadData.leads : [];
+        if(leadData.pipeline?.stages) state.dealerView.pipeline = leadData.pipeline;
+        state.dealerView.sales = Array.isArray(saleData.sales) ? saleData.sales : [];
         ui.dealerInvUpdated.textContent = "Updated: " + fmt(new Date());
         ui.dealerLeadUpdated.textContent = "Updated: " + fmt(new Date());
         renderDealerView();
@@ -624,6 +1024,31 @@
       }
     }
 
+    // Same rules as the dealer portal KPIs: sales dated in range give revenue and days-to-sell;
+    // conversion is the share of requests created in range that are linked to a sale.
+    function saleMetrics(sales, leads, startKey, endKey){
+      const within = (d) => {
+        const k = String(d || "").slice(0,10);
+        return !!k && (!startKey || k >= startKey) && (!endKey || k <= endKey);
+      };
+      const closed = sales.filter(s => within(s.saleDate));
+      const days = closed.map(s => s.daysInStock).filter(d => d !== null && d !== "" && Number.isFinite(Number(d)));
+      const rangeLeads = leads.filter(l => within(l.createdAt));
+      const soldLeadIds = new Set(sales.map(s => s.leadId).filter(Boolean));
+      const converted = rangeLeads.filter(l => soldLeadIds.has(l.leadId)).length;
+      return {
+        count: closed.length,
+        revenue: closed.reduce((sum, s) => sum + (Number(s.salePrice) || 0), 0),
+        avgDays: days.length ? Math.round(days.reduce((sum, d) => sum + Number(d), 0) / days.length) : null,
+        leads: rangeLeads.length,
+        converted,
+        conversion: rangeLeads.length ? converted / rangeLeads.length : null
+      };
+    }
+    function isoDay(d){
+      return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,"0")}-${String(d.getDate()).padStart(2,"0")}`;
+    }
+
     function renderDealerView(){
       if(state.tab !== "dealerView") return;
       const dealerId = state.dealerView.dealerId;
@@ -644,19 +1069,31 @@
         return true;
       });
 
-      ui.dkInventory.textContent = String(vehicles.length);
-      ui.dkAvailable.textContent = String(vehicles.filter(v => (v.status||"").toLowerCase() === "available").length);
-      ui.dkSold.textContent = String(vehicles.filter(v => (v.status||"").toLowerCase() === "sold").length);
+      const activeVehicles = vehicles.filter(v => !v.archivedAt);
+      ui.dkInventory.textContent = String(activeVehicles.length);
+      ui.dkAvailable.textContent = String(activeVehicles.filter(v => (v.status||"").toLowerCase() === "available").length);
+      ui.dkSold.textContent = String(activeVehicles.filter(v => (v.status||"").toLowerCase() === "sold").length);
       ui.dkRequests.textContent = String(inRange.length);
       ui.dkNew.textContent = String(inRange.filter(l => (l.status||"").toLowerCase() === "new").length);
       ui.dkBooked.textContent = String(inRange.filter(l => (l.status||"").toLowerCase() === "booked").length);
 
+      // Custom ranges use the picked days as-is; new Date("YYYY-MM-DD") is UTC and can shift a day locally.
+      const custom = ui.dealerRange.value === "custom";
+      const startKey = custom ? ui.dealerStart.value : (start ? isoDay(start) : "");
+      const endKey = custom ? ui.dealerEnd.value : (end ? isoDay(end) : "");
+      const m = saleMetrics(state.dealerView.sales || [], leads, startKey, endKey);
+      ui.dkRevenue.textContent = m.revenue ? money(m.revenue) : "0";
+      ui.dkRevenueSub.textContent = `${m.count} sale${m.count === 1 ? "" : "s"} in range`;
+      ui.dkDaysToSell.textContent = m.avgDays == null ? "—" : `${m.avgDays}d`;
+      ui.dkConversion.textContent = m.conversion == null ? "—" : `${Math.round(m.conversion * 100)}%`;
+      ui.dkConversionSub.textContent = `${m.converted} of ${m.leads} requests bought`;
+
       ui.dealerInvBody.innerHTML = "";
       ui.dealerInvCount.textContent = String(vehicles.length);
       if(!vehicles.length){
         const tr = document.createElement("tr");
         const td = document.createElement("td");
-        td.colSpan = 4;
+        td.colSpan = 5;
         td.style.color = "var(--muted)";
         td.style.padding = "14px";
         td.textContent = "No vehicles for this dealer.";
@@ -666,9 +1103,17 @@
         vehicles.forEach((v) => {
           const tr = document.createElement("tr");
           tr.appendChild(cell(`<div class="mono">${esc(v.vehicleId||"—")}</div><div style="color:var(--muted);font-size:11px;margin-top:2px">${esc(v.make||"")} ${esc(v.model||"")}</div>`));
-          tr.appendChild(cell(invStatusPill(v.status)));
+          tr.appendChild(cell(v.archivedAt ? invStatusPill("archived") : invStatusPill(v.status)));
           tr.appendChild(cell(`<div style="font-weight:900">${money(v.price)}</div>`));
           tr.appendChild(cell(`<span class="mono">${esc(v.updatedAt||v.createdAt||"—")}</span>`));
+
+          const actions = document.createElement("td");
+          const purge = document.createElement("button");
+          purge.className = "btn btn-ghost";
+          purge.textContent = "Purge";
+          purge.onclick = () => purgeDealerVehicle(dealerId, v.vehicleId);
+          actions.appendChild(purge);
+          tr.appendChild(actions);
           ui.dealerInvBody.appendChild(tr);
         });
       }
@@ -690,22 +1135,19 @@
           tr.appendChild(cell(`<div style="font-weight:900">${esc(l.name||"—")}</div><div style="color:var(--muted);font-size:11px;margin-top:2px">${esc(l.phone||"")}</div>`));
           tr.appendChild(cell(`<div class="mono">${esc(l.vehicleId||"—")}</div>`));
           tr.appendChild(cell(`<span class="badgeMini">${esc(l.type||"lead")}</span>`));
-          tr.appendChild(cell(reqPill(l.status)));
+          const lost = l.status === "lost" && l.lostReason ? `<div style="color:var(--muted);font-size:11px;margin-top:2px">${esc(l.lostReason)}</div>` : "";
+          tr.appendChild(cell(reqPill(l.status) + lost));
           tr.appendChild(cell(`<span class="mono">${esc(l.createdAt||"—")}</span>`));
 
           const actions = document.createElement("td");
-          const booked = document.createElement("button");
-          booked.className = "btn btn-ghost";
-          booked.textContent = "Book";
-          booked.onclick = () => updateDealerLeadStatus(dealerId, l.leadId, "booked");
-
-          const closed = document.createElement("button");
-          closed.className = "btn btn-ghost";
-          closed.textContent = "Close";
-          closed.onclick = () => updateDealerLeadStatus(dealerId, l.leadId, "closed");
-
-          actions.appendChild(booked);
-          actions.appendChild(closed);
+          const next = dealerLeadNextStages(l.status);
+          const move = document.createElement("select");
+          move.className = "select";
+          move.innerHTML = `<option value="">Move to…</option>` + next.map(st => `<option value="${esc(st)}">${esc(st)}</option>`).join("");
+          move.disabled = !next.length;
+          move.onchange = () => { const st = move.value; move.value = ""; if(st) updateDealerLeadStatus(dealerId, l.leadId, st); };
+
+          actions.appendChild(move);
           tr.appendChild(actions);
 
           ui.dealerLeadBody.appendChild(tr);
@@ -713,11 +1155,23 @@
       }
     }
 
+    // Pipeline stages a lead may move to; pre-pipeline statuses (closed, cancelled, …) may go anywhere.
+    function dealerLeadNextStages(status){
+      const { stages, transitions } = state.dealerView.pipeline;
+      const s = String(status || "new").toLowerCase();
+      return stages.includes(s) ? (transitions[s] || []) : stages.slice();
+    }
+
     async function updateDealerLeadStatus(dealerId, leadId, status){
       if(!dealerId || !leadId) return;
+      let lostReason = "";
+      if(status === "lost"){
+        lostReason = (prompt("Reason this request was lost:") || "").trim();
+        if(!lostReason) return toast("A lost reason is required.", "error");
+      }
       if(!state.apiOnline){
         const idx = state.dealerView.leads.findIndex(l => l.leadId === leadId);
-        if(idx > -1) state.dealerView.leads[idx].status = status;
+        if(idx > -1) state.dealerView.leads[idx] = { ...state.dealerView.leads[idx], status, lostReason };
         renderDealerView();
         return;
       }
@@ -726,15 +1180,140 @@
         const res = await fetch(API.dealerLeadStatus(dealerId), {
           method:"POST",
           headers:{ ...authHeaders(), "Content-Type":"application/json", "Accept":"application/json" },
-          body: JSON.stringify({ leadId, status })
+          body: JSON.stringify({ leadId, status, lostReason })
         });
         const data = await safeJson(res);
         if(!res.ok || !data?.ok) throw new Error(data?.error || "Update failed");
         const idx = state.dealerView.leads.findIndex(l => l.leadId === leadId);
-        if(idx > -1) state.dealerView.leads[idx].status = status;
+        if(idx > -1) state.dealerView.leads[idx] = { ...state.dealerView.leads[idx], status, lostReason };
         renderDealerView();
       }catch(e){
-        toast("Lead update failed.", "error");
+        toast("Lead update failed: " + (e?.message || "error"), "error");
+      }
+    }
+
+    // Permanent: removes the row from the dealer tab. Dealers can only archive/restore.
+    async function purgeDealerVehicle(dealerId, vehicleId){
+      if(!dealerId || !vehicleId) return;
+      if(!confirm(`Permanently delete ${vehicleId}? This cannot be undone.`)) return;
+      if(!state.apiOnline){
+        state.dealerView.vehicles = state.dealerView.vehicles.filter(v => v.vehicleId !== vehicleId);
+        renderDealerView();
+        return;
+      }
+
+      try{
+        const res = await fetch(API.dealerVehicle(dealerId, vehicleId), {
+          method:"DELETE",
+          headers:{ ...authHeaders(), "Accept":"application/json" }
+        });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Purge failed");
+        state.dealerView.vehicles = state.dealerView.vehicles.filter(v => v.vehicleId !== vehicleId);
+        state.vehicles = state.vehicles.filter(v => !(v.dealerId === dealerId && v.vehicleId === vehicleId));
+        renderDealerView();
+        toast("Vehicle purged.", "success");
+      }catch(e){
+        toast("Purge failed: " + (e?.message || "error"), "error");
+      }
+    }
+
+    async function exportDealerLeadsAdf(){
+      const dealerId = state.dealerView.dealerId;
+      if(!dealerId) return toast("Select a dealer first.", "error");
+      if(!state.apiOnline) return toast("ADF export needs the API.", "error");
+
+      try{
+        const res = await fetch(API.dealerLeadsAdf(dealerId), { headers: authHeaders() });
+        if(!res.ok){
+          const data = await safeJson(res);
+          throw new Error(data?.error || "Export failed");
+        }
+        const blob = await res.blob();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `${dealerId}_leads_adf.xml`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+      }catch(e){
+        toast("ADF export failed: " + (e?.message || "error"), "error");
+      }
+    }
+
+    // Server-side audit filters; the search box and Succeeded/Failed filter apply on top (and go into the CSV).
+    function auditQuery(extra = {}){
+      const params = new URLSearchParams();
+      const add = (k, v) => { if(v) params.set(k, v); };
+      add("actor", (ui.auditActor.value||"").trim());
+      add("dealerId", (ui.auditDealerId.value||"").trim().toUpperCase());
+      add("action", (ui.auditAction.value||"").trim());
+      add("from", ui.auditFrom.value);
+      add("to", ui.auditTo.value);
+      Object.entries(extra).forEach(([k, v]) => add(k, v));
+      return params.toString();
+    }
+
+    function auditChangesHtml(r){
+      const line = (k, v) => `<div style="font-size:11px"><b>${esc(k)}</b> ${v}</div>`;
+      const short = (v) => esc(typeof v === "string" ? v : JSON.stringify(v));
+      if(r.diff){
+        const keys = Object.keys(r.diff);
+        if(!keys.length) return `<span style="color:var(--muted)">No changes</span>`;
+        return keys.map(k => r.diff[k].changed
+          ? line(k, "changed")
+          : line(k, `${short(r.diff[k].from ?? "—")} → ${short(r.diff[k].to ?? "—")}`)).join("");
+      }
+      const body = r.body && typeof r.body === "object" ? Object.entries(r.body) : [];
+      if(!body.length) return `<span style="color:var(--muted)">—</span>`;
+      return body.map(([k, v]) => line(k, short(v))).join("");
+    }
+
+    async function exportAuditCsv(){
+      if(!state.apiOnline) return toast("Audit export needs the API.", "error");
+      const f = (ui.statusFilter.value||"").trim();
+      const q = (ui.q.value||"").trim();
+      try{
+        const res = await fetch(API.auditCsv(auditQuery({ outcome: f, q })), { headers: authHeaders() });
+        if(!res.ok){
+          const data = await safeJson(res);
+          throw new Error(data?.error || "Export failed");
+        }
+        const blob = await res.blob();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `audit_${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+      }catch(e){
+        toast("Audit export failed: " + (e?.message || "error"), "error");
+      }
+    }
+
+    async function reviewHeldLead(id, action){
+      if(!id) return;
+      if(!state.apiOnline){
+        state.held = state.held.filter(h => h.id !== id);
+        render();
+        return;
+      }
+      try{
+        const res = await fetch(API.leadReviewAction(id, action), {
+          method:"POST",
+          headers:{ ...authHeaders(), "Content-Type":"application/json" }
+        });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Update failed");
+        state.held = state.held.filter(h => h.id !== id);
+        render();
+        toast(action === "release" ? "Lead released to dealer." : "Lead discarded.", "success");
+      }catch(e){
+        toast("Review failed: " + (e?.message||"error"), "error");
       }
     }
 
@@ -758,6 +1337,344 @@
 
       ui.dealerBackdrop.classList.add("show");
       ui.dealerBackdrop.setAttribute("aria-hidden","false");
+      loadDealerFeeds(dealer.dealerId);
+      loadDealerWebhooks(dealer.dealerId);
+      loadDealerLockout(dealer.dealerId);
+      loadDealerSessions(dealer.dealerId);
+    }
+
+    // Signed-in dealer devices (owner + staff). Ending a session cuts it off on its next request.
+    async function loadDealerSessions(dealerId){
+      ui.mSessionList.innerHTML = `<div class="hint">—</div>`;
+      if(!state.apiOnline || !dealerId) return;
+      try{
+        const res = await fetch(API.dealerSessions(dealerId), { headers: authHeaders() });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Failed to load sessions");
+        if(state.selectedDealer?.dealerId !== dealerId) return;
+
+        const sessions = data.sessions || [];
+        ui.mSessionList.innerHTML = sessions.length ? "" : `<div class="hint">No active sessions.</div>`;
+        sessions.forEach((s) => {
+          const row = document.createElement("div");
+          row.style.cssText = "display:flex; gap:8px; align-items:center; justify-content:space-between";
+          row.innerHTML = `<div style="min-width:0">
+              <div style="font-weight:900">${esc(s.username || "Owner (shared passcode)")}</div>
+              <div style="color:var(--muted);font-size:11px">${esc(s.ip || "—")} · last active ${esc(fmt(new Date(s.lastUsedAt)))} · ${esc(String(s.userAgent || "").slice(0, 60))}</div>
+            </div>`;
+          const end = document.createElement("button");
+          end.className = "btn btn-ghost";
+          end.textContent = "End";
+          end.onclick = () => endDealerSessions(s.id);
+          row.appendChild(end);
+          ui.mSessionList.appendChild(row);
+        });
+      }catch(e){
+        ui.mSessionList.innerHTML = `<div class="hint">Sessions unavailable: ${esc(e?.message || "error")}</div>`;
+      }
+    }
+
+    async function endDealerSessions(sid){
+      if(!state.selectedDealer) return;
+      if(!state.apiOnline) return toast("Sessions need the live API.", "error");
+      if(sid === "all" && !confirm("Sign this dealer out everywhere, staff included?")) return;
+      const dealerId = state.selectedDealer.dealerId;
+      try{
+        const res = await fetch(API.dealerSessionRevoke(dealerId, sid), { method:"POST", headers: authHeaders() });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Failed");
+        toast(`Ended ${data.ended} session(s).`, "success");
+        loadDealerSessions(dealerId);
+      }catch(e){
+        toast("End session failed: " + (e?.message || "error"), "error");
+      }
+    }
+
+    // Failed dealer logins (per dealerId + the IPs they came from). Clearing unlocks both.
+    async function loadDealerLockout(dealerId){
+      ui.mLockout.textContent = "No recent failed logins.";
+      ui.btnClearLockout.disabled = true;
+      if(!state.apiOnline || !dealerId) return;
+      try{
+        const res = await fetch(API.dealerLockout(dealerId), { headers: authHeaders() });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Failed to load lockout");
+        if(state.selectedDealer?.dealerId !== dealerId || !data.lockout) return;
+
+        const l = data.lockout;
+        const until = l.locked ? ` · locked until ${fmt(new Date(l.lockedUntil))}` : "";
+        const ips = (data.ips || []).map(i => `${i.key} (${i.failures}${i.locked ? ", locked" : ""})`).join(", ");
+        ui.mLockout.textContent = `${l.failures} failed logins since ${fmt(new Date(l.firstFailureAt))}${until}` + (ips ? ` · IPs: ${ips}` : "");
+        ui.mLockout.style.color = l.locked || l.alert ? "var(--bad)" : "";
+        ui.btnClearLockout.disabled = false;
+      }catch(e){
+        ui.mLockout.textContent = "Lockout status unavailable: " + (e?.message || "error");
+      }
+    }
+
+    async function clearDealerLockout(){
+      if(!state.selectedDealer) return;
+      if(!state.apiOnline) return toast("Lockouts need the live API.", "error");
+      const dealerId = state.selectedDealer.dealerId;
+      try{
+        const res = await fetch(API.dealerLockout(dealerId), { method:"DELETE", headers: authHeaders() });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Clear failed");
+        ui.mLockout.style.color = "";
+        toast("Login lockout cleared.", "success");
+        loadDealerLockout(dealerId);
+        refresh();
+      }catch(e){
+        toast("Clear lockout failed: " + (e?.message || "error"), "error");
+      }
+    }
+
+    // For a dealer who lost their authenticator. Empty username = the shared-passcode owner.
+    async function resetDealerTwoFactor(){
+      if(!state.selectedDealer) return;
+      if(!state.apiOnline) return toast("Two-factor needs the live API.", "error");
+      const dealerId = state.selectedDealer.dealerId;
+      const username = prompt(`Reset two-factor for ${dealerId}.\nStaff username (leave empty for the dealer owner login):`, "");
+      if(username === null) return;
+      try{
+        const res = await fetch(API.dealerTwoFactorReset(dealerId), {
+          method:"POST",
+          headers:{ ...authHeaders(), "Content-Type":"application/json" },
+          body: JSON.stringify({ username: username.trim() || undefined })
+        });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Reset failed");
+        toast(data.reset ? "Two-factor reset. They can enroll again after signing in." : "Two-factor wasn't on for that login.", "success");
+      }catch(e){
+        toast("Reset 2FA failed: " + (e?.message || "error"), "error");
+      }
+    }
+
+    // Two-factor for the signed-in admin. Recovery codes are only returned by enable/regenerate.
+    async function loadTwoFactor(){
+      ui.tfSetup.classList.add("hidden");
+      if(!state.apiOnline){
+        state.twoFactor = null;
+        ui.tfStatus.textContent = "Two-factor needs the live API.";
+        return renderTwoFactor();
+      }
+      try{
+        const res = await fetch(API.twoFactor(), { headers: authHeaders() });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Failed to load 2FA");
+        state.twoFactor = data.twoFactor;
+        ui.tfStatus.textContent = "";
+        renderTwoFactor();
+      }catch(e){
+        ui.tfStatus.textContent = "Two-factor status unavailable: " + (e?.message || "error");
+      }
+    }
+
+    function renderTwoFactor(){
+      const tf = state.twoFactor;
+      const enabled = !!tf?.enabled;
+      const settingUp = !ui.tfSetup.classList.contains("hidden");
+      ui.tfState.textContent = enabled
+        ? `On since ${fmt(new Date(tf.enabledAt))} · ${tf.recoveryCodesLeft} recovery code${tf.recoveryCodesLeft === 1 ? "" : "s"} left`
+        : settingUp ? "Scan the key, then enter the code your app shows to turn it on." : "Off — sign-in needs only your password.";
+      ui.btnTfSetup.classList.toggle("hidden", enabled);
+      ui.btnTfEnable.classList.toggle("hidden", enabled || !settingUp);
+      ui.btnTfRecovery.classList.toggle("hidden", !enabled);
+      ui.btnTfDisable.classList.toggle("hidden", !enabled);
+      [ui.btnTfSetup, ui.btnTfEnable, ui.btnTfRecovery, ui.btnTfDisable].forEach(b => { b.disabled = !tf; });
+    }
+
+    async function setupTwoFactor(){
+      if(!state.apiOnline) return;
+      try{
+        const res = await fetch(API.twoFactorAction("setup"), { method:"POST", headers: authHeaders() });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Setup failed");
+        ui.tfLink.href = data.otpauthUri;
+        ui.tfSecret.textContent = data.secret.replace(/(.{4})/g, "$1 ").trim();
+        ui.tfSetup.classList.remove("hidden");
+        ui.tfCode.value = "";
+        ui.tfCode.focus();
+        renderTwoFactor();
+      }catch(e){
+        toast("2FA setup failed: " + (e?.message || "error"), "error");
+      }
+    }
+
+    async function twoFactorAction(action){
+      if(!state.apiOnline) return;
+      const code = (ui.tfCode.value||"").trim();
+      if(!code) return toast("Enter the code from your authenticator app.", "error");
+      if(action === "disable" && !confirm("Turn off two-factor for your account?")) return;
+      try{
+        const res = await fetch(API.twoFactorAction(action), {
+          method:"POST",
+          headers:{ ...authHeaders(), "Content-Type":"application/json" },
+          body: JSON.stringify({ code })
+        });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Update failed");
+        state.twoFactor = data.twoFactor;
+        ui.tfCode.value = "";
+        ui.tfSetup.classList.add("hidden");
+        ui.tfCodes.classList.toggle("hidden", !data.recoveryCodes);
+        ui.tfCodes.textContent = data.recoveryCodes
+          ? "Recovery codes (each works once; save them now, they won't be shown again):\n\n" + data.recoveryCodes.join("\n")
+          : "";
+        renderTwoFactor();
+        toast(action === "disable" ? "Two-factor turned off." : action === "enable" ? "Two-factor turned on." : "New recovery codes ready.", "success");
+        refresh();
+      }catch(e){
+        toast("2FA update failed: " + (e?.message || "error"), "error");
+      }
+    }
+
+    // Catalog feed URLs carry the dealer's feed token; rotating breaks the old URLs.
+    function paintFeeds(feeds){
+      ui.mFeedFacebook.value = feeds?.facebook || "";
+      ui.mFeedGoogle.value = feeds?.google || "";
+    }
+
+    async function loadDealerFeeds(dealerId){
+      paintFeeds(null);
+      if(!state.apiOnline || !dealerId) return;
+      try{
+        const res = await fetch(API.dealerFeeds(dealerId), { headers: authHeaders() });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Failed to load feeds");
+        if(state.selectedDealer?.dealerId === dealerId) paintFeeds(data.feeds);
+      }catch(e){
+        ui.mStatus.textContent = "Feed links unavailable: " + (e?.message || "error");
+      }
+    }
+
+    async function rotateFeedToken(){
+      if(!state.selectedDealer) return;
+      if(!state.apiOnline) return toast("Feed links need the live API.", "error");
+      if(!confirm("Rotate the feed token? Catalogs using the current links will stop updating.")) return;
+
+      const dealerId = state.selectedDealer.dealerId;
+      try{
+        const res = await fetch(API.dealerFeedsRotate(dealerId), {
+          method:"POST",
+          headers:{ ...authHeaders(), "Accept":"application/json" }
+        });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Rotate failed");
+        paintFeeds(data.feeds);
+        toast("Feed token rotated.", "success");
+      }catch(e){
+        toast("Rotate failed: " + (e?.message || "error"), "error");
+      }
+    }
+
+    // Webhooks: admins see every subscription for the dealer and can add/pause/remove them.
+    async function loadDealerWebhooks(dealerId){
+      ui.mWebhookList.innerHTML = "";
+      ui.mWebhookDeliveries.textContent = "—";
+      if(!state.apiOnline || !dealerId) return;
+      try{
+        const [hookRes, delRes] = await Promise.all([
+          fetch(API.dealerWebhooks(dealerId), { headers: authHeaders() }),
+          fetch(API.dealerWebhookDeliveries(dealerId), { headers: authHeaders() })
+        ]);
+        const hookData = await safeJson(hookRes);
+        const delData = await safeJson(delRes);
+        if(!hookRes.ok || !hookData?.ok) throw new Error(hookData?.error || "Failed to load webhooks");
+        if(state.selectedDealer?.dealerId !== dealerId) return;
+        state.webhookEvents = hookData.events || [];
+        paintDealerWebhooks(dealerId, hookData.webhooks || []);
+
+        const deliveries = delData?.ok ? delData.deliveries || [] : [];
+        const failed = deliveries.filter(d => d.status === "failed").length;
+        ui.mWebhookDeliveries.textContent = deliveries.length
+          ? `Last ${deliveries.length} deliveries: ${failed} failed (latest ${deliveries[0].event} → ${deliveries[0].status})`
+          : "No deliveries yet.";
+      }catch(e){
+        ui.mStatus.textContent = "Webhooks unavailable: " + (e?.message || "error");
+      }
+    }
+
+    function paintDealerWebhooks(dealerId, hooks){
+      ui.mWebhookList.innerHTML = "";
+      if(!hooks.length){
+        ui.mWebhookList.innerHTML = `<div class="hint">No webhooks.</div>`;
+        return;
+      }
+      hooks.forEach((h) => {
+        const row = document.createElement("div");
+        row.style.cssText = "display:flex; gap:8px; align-items:center; justify-content:space-between";
+        row.innerHTML = `<div style="min-width:0">
+            <div class="mono" style="word-break:break-all">${esc(h.url)}</div>
+            <div style="color:var(--muted);font-size:11px">${esc((h.events||[]).join(", "))}${h.active === false ? " · paused" : ""}</div>
+          </div>`;
+
+        const actions = document.createElement("div");
+        actions.style.cssText = "display:flex; gap:6px";
+        const toggle = document.createElement("button");
+        toggle.className = "btn btn-ghost";
+        toggle.textContent = h.active === false ? "Resume" : "Pause";
+        toggle.onclick = () => updateDealerWebhook(dealerId, h.id, { active: h.active === false });
+        const remove = document.createElement("button");
+        remove.className = "btn btn-danger";
+        remove.textContent = "Delete";
+        remove.onclick = () => deleteDealerWebhook(dealerId, h.id);
+        actions.appendChild(toggle);
+        actions.appendChild(remove);
+        row.appendChild(actions);
+        ui.mWebhookList.appendChild(row);
+      });
+    }
+
+    async function addDealerWebhook(){
+      if(!state.selectedDealer) return;
+      if(!state.apiOnline) return toast("Webhooks need the live API.", "error");
+      const dealerId = state.selectedDealer.dealerId;
+      const url = (ui.mWebhookUrl.value||"").trim();
+      if(!/^https?:\/\//i.test(url)) return toast("Webhook URL must start with http(s)://", "error");
+
+      try{
+        const res = await fetch(API.dealerWebhooks(dealerId), {
+          method:"POST",
+          headers:{ ...authHeaders(), "Content-Type":"application/json" },
+          body: JSON.stringify({ url, events: state.webhookEvents })
+        });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Add failed");
+        ui.mWebhookUrl.value = "";
+        prompt("Webhook added. Share this signing secret with the dealer — it won't be shown again.", data.webhook?.secret || "");
+        loadDealerWebhooks(dealerId);
+      }catch(e){
+        toast("Add webhook failed: " + (e?.message || "error"), "error");
+      }
+    }
+
+    async function updateDealerWebhook(dealerId, id, patch){
+      try{
+        const res = await fetch(API.dealerWebhook(dealerId, id), {
+          method:"POST",
+          headers:{ ...authHeaders(), "Content-Type":"application/json" },
+          body: JSON.stringify(patch)
+        });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Update failed");
+        loadDealerWebhooks(dealerId);
+      }catch(e){
+        toast("Webhook update failed: " + (e?.message || "error"), "error");
+      }
+    }
+
+    async function deleteDealerWebhook(dealerId, id){
+      if(!confirm("Delete this webhook?")) return;
+      try{
+        const res = await fetch(API.dealerWebhook(dealerId, id), { method:"DELETE", headers: authHeaders() });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Delete failed");
+        toast("Webhook deleted.", "success");
+        loadDealerWebhooks(dealerId);
+      }catch(e){
+        toast("Webhook delete failed: " + (e?.message || "error"), "error");
+      }
     }
 
     function closeDealerModal(){
@@ -859,8 +1776,9 @@
 
         if(data.passcode) ui.mPasscodeInput.value = String(data.passcode);
 
-        ui.mStatus.textContent = "Passcode reset.";
+        ui.mStatus.textContent = "Passcode reset. Sessions using the old passcode were signed out.";
         toast("Passcode reset.", "success");
+        loadDealerSessions(state.selectedDealer?.dealerId);
         await refresh();
       }catch(e){
         ui.mStatus.textContent = "Failed to reset passcode.";
@@ -872,6 +1790,79 @@
     // =============================
     // Dealer creation
     // =============================
+    async function createUser(){
+      const payload = {
+        username: (ui.newUserUsername.value||"").trim().toLowerCase(),
+        name: (ui.newUserName.value||"").trim(),
+        password: ui.newUserPassword.value || "",
+      };
+      ui.userActionStatus.classList.remove("error");
+
+      if(!/^[a-z0-9._-]{3,32}$/.test(payload.username)){
+        ui.userActionStatus.textContent = "Username must be 3-32 characters: a-z, 0-9, . _ -";
+        ui.userActionStatus.classList.add("error");
+        return;
+      }
+      if(payload.password && payload.password.length < 8){
+        ui.userActionStatus.textContent = "Password must be at least 8 characters.";
+        ui.userActionStatus.classList.add("error");
+        return;
+      }
+      if(!state.apiOnline){
+        ui.userActionStatus.textContent = "Admin users need the live API.";
+        ui.userActionStatus.classList.add("error");
+        return;
+      }
+
+      ui.userActionStatus.textContent = "Creating…";
+      try{
+        const res = await fetch(API.users(), {
+          method:"POST",
+          headers:{ ...authHeaders(), "Content-Type":"application/json" },
+          body: JSON.stringify(payload)
+        });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Create failed");
+
+        ui.userActionStatus.textContent = data.password
+          ? `Created ${data.user.username}. Temporary password: ${data.password}`
+          : `Created ${data.user.username}.`;
+        ui.newUserUsername.value = "";
+        ui.newUserName.value = "";
+        ui.newUserPassword.value = "";
+        toast("Admin user created.", "success");
+        refresh();
+      }catch(e){
+        ui.userActionStatus.textContent = e?.message || "Create failed.";
+        ui.userActionStatus.classList.add("error");
+      }
+    }
+
+    async function adminUserAction(username, action){
+      if(!state.apiOnline) return toast("Admin users need the live API.", "error");
+      if(action === "disable" && !confirm(`Disable ${username}? They will be signed out.`)) return;
+      if(action === "reset-password" && !confirm(`Generate a new password for ${username}?`)) return;
+      if(action === "reset-2fa" && !confirm(`Turn off two-factor for ${username}? They can sign in with the password alone until they enroll again.`)) return;
+
+      try{
+        const res = await fetch(API.userAction(username, action), {
+          method:"POST",
+          headers:{ ...authHeaders(), "Content-Type":"application/json" },
+          body: "{}"
+        });
+        const data = await safeJson(res);
+        if(!res.ok || !data?.ok) throw new Error(data?.error || "Update failed");
+        if(data.password){
+          prompt(`New password for ${username} (shown once):`, data.password);
+        } else {
+          toast(action === "reset-2fa" ? `Two-factor reset for ${username}.` : `${username} ${action}d.`, "success");
+        }
+        refresh();
+      }catch(e){
+        toast("User update failed: " + (e?.message || "error"), "error");
+      }
+    }
+
     async function createDealer(){
       const payload = {
         name: (ui.newDealerName.value||"").trim(),
@@ -965,6 +1956,9 @@
       ];
 
       state.demoPasscodes["AA123"] = "123456";
+      state.users = [
+        { username:"adminpytch", name:"Demo admin", status:"active", createdBy:"env", lastLoginAt: new Date().toISOString() },
+      ];
 
       state.vehicles = [
         { vehicleId:"VEH-10021", dealerId:"AA123", make:"Toyota", model:"Vitz", status:"available", price:1250000, updated: fmt(new Date(Date.now()-3600*1000*8)) },
@@ -991,17 +1985,18 @@
 
     function dealerStatusPill(s){
       const v = (s||"active").toLowerCase();
-      const cls = v==="paused" ? "paused" : "active";
+      const cls = v==="paused" ? "paused" : v==="suspended" ? "suspended" : "active";
       return `<span class="status ${cls}">${esc(v)}</span>`;
     }
     function invStatusPill(s){
       const v = (s||"available").toLowerCase();
-      const cls = v==="available" ? "available" : v==="pending" ? "pending" : "sold";
+      const cls = v==="available" ? "available" : v==="pending" ? "pending" : v==="archived" ? "archived" : "sold";
       return `<span class="status ${cls}">${esc(v)}</span>`;
     }
     function reqPill(s){
       const v = (s||"new").toLowerCase();
-      const cls = v==="new" ? "reqNew" : v==="booked" ? "reqBooked" : "reqClosed";
+      const closed = ["won","lost","closed","cancelled","no_show","spam"].includes(v);
+      const cls = v==="new" ? "reqNew" : closed ? "reqClosed" : "reqBooked";
       return `<span class="status ${cls}">${esc(v)}</span>`;
     }
 
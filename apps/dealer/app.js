@@ -1,8 +1,39 @@
 const API = {
     login: () => "/api/dealer/login",
+    refresh: () => "/api/auth/refresh",
+    logout: () => "/api/auth/logout",
+    logoutAll: () => "/api/dealer/logout-all",
     vehicles: () => "/api/dealer/vehicles",
+    vehiclesAll: () => "/api/dealer/vehicles?archived=all",
+    vehicle: (vehicleId) => `/api/dealer/vehicles/${encodeURIComponent(vehicleId)}`,
+    vehicleRestore: (vehicleId) => `/api/dealer/vehicles/${encodeURIComponent(vehicleId)}/restore`,
+    vehicleHistory: (vehicleId) => `/api/dealer/vehicles/${encodeURIComponent(vehicleId)}/history`,
+    vehicleSale: (vehicleId) => `/api/dealer/vehicles/${encodeURIComponent(vehicleId)}/sale`,
+    sales: () => "/api/dealer/sales",
+    reservations: () => "/api/dealer/reservations",
+    vehicleReservation: (vehicleId) => `/api/dealer/vehicles/${encodeURIComponent(vehicleId)}/reservation`,
     leads: () => "/api/dealer/leads",
     leadStatus: () => "/api/dealer/leads/status",
+    leadActivities: (leadId) => `/api/dealer/leads/${encodeURIComponent(leadId)}/activities`,
+    leadAssign: (leadId) => `/api/dealer/leads/${encodeURIComponent(leadId)}/assign`,
+    leadsAdf: (leadIds) => "/api/dealer/leads/adf?leadIds=" + encodeURIComponent(leadIds.join(",")),
+    settings: () => "/api/dealer/settings",
+    webhooks: () => "/api/dealer/webhooks",
+    webhook: (id) => `/api/dealer/webhooks/${encodeURIComponent(id)}`,
+    webhookTest: (id) => `/api/dealer/webhooks/${encodeURIComponent(id)}/test`,
+    webhookDeliveries: () => "/api/dealer/webhooks/deliveries",
+    feeds: () => "/api/dealer/feeds",
+    feedsRotate: () => "/api/dealer/feeds/rotate",
+    calendar: () => "/api/dealer/calendar",
+    calendarRotate: () => "/api/dealer/calendar/rotate",
+    me: () => "/api/dealer/me",
+    staff: () => "/api/dealer/staff",
+    staffAction: (username, action) => `/api/dealer/staff/${encodeURIComponent(username)}/${action}`,
+    profile: () => "/api/dealer/profile",
+    passcode: () => "/api/dealer/passcode",
+    twoFactor: () => "/api/dealer/2fa",
+    twoFactorAction: (action) => `/api/dealer/2fa/${action}`,
+    twoFactorVerify: () => "/api/auth/2fa/verify",
     config: () => "/api/public/config",
 
     // NEW: Signed Cloudinary params endpoint (you add this server route)
@@ -27,10 +58,12 @@ const API = {
     apiDot: el("apiDot"),
     apiText: el("apiText"),
     btnLogout: el("btnLogout"),
+    btnLogoutAll: el("btnLogoutAll"),
     storefrontLink: el("storefrontLink"),
 
     loginView: el("loginView"),
     dashView: el("dashView"),
+    accessBanner: el("accessBanner"),
     kTotal: el("kTotal"),
     kAvailable: el("kAvailable"),
     kPending: el("kPending"),
@@ -38,8 +71,17 @@ const API = {
     kRequests: el("kRequests"),
     kNewToday: el("kNewToday"),
     kBooked: el("kBooked"),
-
+    kFollowUps: el("kFollowUps"),
+    kRevenue: el("kRevenue"),
+    kRevenueSub: el("kRevenueSub"),
+    kDaysToSell: el("kDaysToSell"),
+    kConversion: el("kConversion"),
+    kConversionSub: el("kConversionSub"),
+
+    loginUsername: el("loginUsername"),
     passcode: el("passcode"),
+    loginCodeRow: el("loginCodeRow"),
+    loginCode: el("loginCode"),
     btnLogin: el("btnLogin"),
     btnDemo: el("btnDemo"),
     loginStatus: el("loginStatus"),
@@ -61,12 +103,28 @@ const API = {
     mClose: el("mClose"),
     btnCancel: el("btnCancel"),
     btnSave: el("btnSave"),
+    btnArchive: el("btnArchive"),
     mTitle: el("mTitle"),
     mSub: el("mSub"),
     mStatus: el("mStatus"),
 
     vId: el("vId"),
     vStatus: el("vStatus"),
+    saleCard: el("saleCard"),
+    btnRecordSale: el("btnRecordSale"),
+    salePrice: el("salePrice"),
+    saleDate: el("saleDate"),
+    saleLead: el("saleLead"),
+    salesperson: el("salesperson"),
+    holdCard: el("holdCard"),
+    holdSummary: el("holdSummary"),
+    holdLead: el("holdLead"),
+    holdCustomer: el("holdCustomer"),
+    holdDeposit: el("holdDeposit"),
+    holdUntil: el("holdUntil"),
+    btnReserve: el("btnReserve"),
+    btnReleaseHold: el("btnReleaseHold"),
+    holdStatus: el("holdStatus"),
     vMake: el("vMake"),
     vModel: el("vModel"),
     vYear: el("vYear"),
@@ -84,17 +142,109 @@ const API = {
     galleryGrid: el("galleryGrid"),
     replaceFile: el("replaceFile"),
     uploadLine: el("uploadLine"),
+    historyCard: el("historyCard"),
+    vHistory: el("vHistory"),
 
     leadStatusFilter: el("leadStatusFilter"),
+    leadAssigneeFilter: el("leadAssigneeFilter"),
     leadStart: el("leadStart"),
     leadEnd: el("leadEnd"),
     btnLeadsRefresh: el("btnLeadsRefresh"),
     btnExportLeads: el("btnExportLeads"),
+    btnExportAdf: el("btnExportAdf"),
     leadCount: el("leadCount"),
     leadUpdated: el("leadUpdated"),
     leadBody: el("leadBody"),
+    leadDrawer: el("leadDrawer"),
+    ldTitle: el("ldTitle"),
+    ldSub: el("ldSub"),
+    ldClose: el("ldClose"),
+    ldFollowUp: el("ldFollowUp"),
+    ldAssignee: el("ldAssignee"),
+    ldForm: el("ldForm"),
+    ldType: el("ldType"),
+    ldFollowUpDate: el("ldFollowUpDate"),
+    ldBody: el("ldBody"),
+    btnLogActivity: el("btnLogActivity"),
+    ldStatus: el("ldStatus"),
+    ldTimeline: el("ldTimeline"),
     leadStatus: el("leadStatus"),
 
+    feedFacebook: el("feedFacebook"),
+    feedGoogle: el("feedGoogle"),
+    btnRotateFeed: el("btnRotateFeed"),
+    feedStatus: el("feedStatus"),
+    adfEndpoint: el("adfEndpoint"),
+    btnSaveCrm: el("btnSaveCrm"),
+    crmStatus: el("crmStatus"),
+    routingCard: el("routingCard"),
+    routingMode: el("routingMode"),
+    routingRules: el("routingRules"),
+    btnSaveRouting: el("btnSaveRouting"),
+    routingStatus: el("routingStatus"),
+    calGrid: el("calGrid"),
+    calRange: el("calRange"),
+    btnCalPrev: el("btnCalPrev"),
+    btnCalToday: el("btnCalToday"),
+    btnCalNext: el("btnCalNext"),
+    calFeedUrl: el("calFeedUrl"),
+    btnRotateCalFeed: el("btnRotateCalFeed"),
+    avSlotMinutes: el("avSlotMinutes"),
+    avMaxPerSlot: el("avMaxPerSlot"),
+    avHours: el("avHours"),
+    avBlackout: el("avBlackout"),
+    avTimezone: el("avTimezone"),
+    btnSaveAvailability: el("btnSaveAvailability"),
+    availabilityStatus: el("availabilityStatus"),
+    webhookUrl: el("webhookUrl"),
+    webhookEvents: el("webhookEvents"),
+    btnAddWebhook: el("btnAddWebhook"),
+    webhookBody: el("webhookBody"),
+    btnWebhookDeliveries: el("btnWebhookDeliveries"),
+    webhookDeliveryBody: el("webhookDeliveryBody"),
+    webhookStatus: el("webhookStatus"),
+    requestsCard: el("requestsCard"),
+    calendarCard: el("calendarCard"),
+    pipelineCard: el("pipelineCard"),
+    kanban: el("kanban"),
+    availabilityCard: el("availabilityCard"),
+    crmCard: el("crmCard"),
+    webhooksCard: el("webhooksCard"),
+    staffCard: el("staffCard"),
+    staffUsername: el("staffUsername"),
+    staffName: el("staffName"),
+    staffRole: el("staffRole"),
+    staffPasscode: el("staffPasscode"),
+    btnAddStaff: el("btnAddStaff"),
+    staffBody: el("staffBody"),
+    staffStatus: el("staffStatus"),
+    profileCard: el("profileCard"),
+    profName: el("profName"),
+    profWhatsapp: el("profWhatsapp"),
+    profLogoUrl: el("profLogoUrl"),
+    profAddress: el("profAddress"),
+    profHours: el("profHours"),
+    profAbout: el("profAbout"),
+    btnSaveProfile: el("btnSaveProfile"),
+    profileStatus: el("profileStatus"),
+    passcodeHint: el("passcodeHint"),
+    pcCurrent: el("pcCurrent"),
+    pcNew: el("pcNew"),
+    btnChangePasscode: el("btnChangePasscode"),
+    passcodeStatus: el("passcodeStatus"),
+    twoFactorCard: el("twoFactorCard"),
+    twoFactorState: el("twoFactorState"),
+    twoFactorSetup: el("twoFactorSetup"),
+    twoFactorLink: el("twoFactorLink"),
+    twoFactorSecret: el("twoFactorSecret"),
+    twoFactorCode: el("twoFactorCode"),
+    twoFactorCodes: el("twoFactorCodes"),
+    twoFactorStatus: el("twoFactorStatus"),
+    btnTwoFactorSetup: el("btnTwoFactorSetup"),
+    btnTwoFactorEnable: el("btnTwoFactorEnable"),
+    btnTwoFactorDisable: el("btnTwoFactorDisable"),
+    btnTwoFactorRecovery: el("btnTwoFactorRecovery"),
+
     toast: el("toast"),
     toastDot: el("toastDot"),
     toastMsg: el("toastMsg"),
@@ -102,13 +252,52 @@ const API = {
 
   const state = {
     token: null,
+    refreshToken: null,
+    tokenExpiresAt: 0,
+    refreshTimer: null,
     dealerId: null,
     dealerName: null,
     configDealerId: "",
+    username: "",
+    staffRole: "owner",
+    permissions: [],
     vehicles: [],
     leads: [],
+    sales: [],
+    reservations: [],
+    drawerLeadId: null,
+    // Usernames the server will accept as a lead assignee (active staff who can work leads).
+    assignees: [],
+    // Replaced by the server's copy on every leads load; this one only serves demo mode.
+    pipeline: {
+      stages: ["new","contacted","booked","showed","negotiating","won","lost"],
+      transitions: {
+        new: ["contacted","booked","lost"],
+        contacted: ["booked","negotiating","won","lost"],
+        booked: ["contacted","showed","lost"],
+        showed: ["negotiating","won","lost"],
+        negotiating: ["won","lost"],
+        won: [],
+        lost: ["contacted"]
+      }
+    },
+    webhooks: [],
+    webhookEvents: [],
+    staff: [],
+    twoFactor: null,
+    twoFactorChallenge: null,
+    calWeekStart: null,
+    settings: {
+      slotMinutes: 30,
+      maxBookingsPerSlot: 0,
+      timezone: "America/Jamaica",
+      businessHours: { mon:"09:00-17:00", tue:"09:00-17:00", wed:"09:00-17:00", thu:"09:00-17:00", fri:"09:00-17:00", sat:"09:00-13:00", sun:"" },
+      blackoutDates: [],
+      leadRouting: { mode:"off", typeRules:{} }
+    },
     editing: null,
     demo: false,
+    readOnly: false,
     replacingIndex: null,
 
     // If server signed endpoint is missing, we'll flip this on and use unsigned preset.
@@ -125,8 +314,14 @@ const API = {
     ui.btnLogin.addEventListener("click", doLogin);
     ui.btnDemo.addEventListener("click", enterDemo);
     ui.passcode.addEventListener("keydown", (e)=>{ if(e.key==="Enter") doLogin(); });
+    ui.loginUsername.addEventListener("keydown", (e)=>{ if(e.key==="Enter") doLogin(); });
 
     ui.btnLogout.addEventListener("click", logout);
+    ui.btnLogoutAll.addEventListener("click", logoutEverywhere);
+    document.addEventListener("visibilitychange", () => {
+      // Timers stall in background tabs; catch up as soon as the tab is visible again.
+      if(!document.hidden && state.refreshToken && state.tokenExpiresAt - Date.now() < 60 * 1000) refreshSession();
+    });
 
     ui.btnRefresh.addEventListener("click", loadVehicles);
     ui.btnAdd.addEventListener("click", ()=>openModal(null));
@@ -141,14 +336,48 @@ const API = {
     ui.backdrop.addEventListener("click", (e)=>{ if(e.target===ui.backdrop) closeModal(); });
 
     ui.btnSave.addEventListener("click", saveVehicleAndUpload);
+    ui.btnArchive.addEventListener("click", toggleArchive);
     ui.files.addEventListener("change", handleNewFiles);
     ui.replaceFile.addEventListener("change", handleReplaceFile);
 
     ui.btnLeadsRefresh.addEventListener("click", loadLeads);
     ui.btnExportLeads.addEventListener("click", exportLeads);
+    ui.btnExportAdf.addEventListener("click", exportLeadsAdf);
     ui.leadStatusFilter.addEventListener("change", renderLeads);
+    ui.leadAssigneeFilter.addEventListener("change", renderLeads);
     ui.leadStart.addEventListener("change", renderLeads);
     ui.leadEnd.addEventListener("change", renderLeads);
+    // The requests date range also scopes the sales KPIs.
+    ui.leadStart.addEventListener("change", updateKpis);
+    ui.leadEnd.addEventListener("change", updateKpis);
+    ui.vStatus.addEventListener("change", toggleSaleCard);
+    ui.btnRecordSale.addEventListener("click", recordSaleOnly);
+    ui.btnReserve.addEventListener("click", reserveVehicle);
+    ui.ldClose.addEventListener("click", closeLeadDrawer);
+    ui.leadDrawer.addEventListener("click", (e)=>{ if(e.target===ui.leadDrawer) closeLeadDrawer(); });
+    ui.btnLogActivity.addEventListener("click", logLeadActivity);
+    ui.ldAssignee.addEventListener("change", () => { if(state.drawerLeadId) assignLead(state.drawerLeadId, ui.ldAssignee.value); });
+    ui.btnReleaseHold.addEventListener("click", releaseHold);
+
+    ui.btnRotateFeed.addEventListener("click", rotateFeed);
+    ui.btnSaveCrm.addEventListener("click", saveCrmSettings);
+    ui.btnSaveRouting.addEventListener("click", saveRoutingSettings);
+    ui.routingMode.addEventListener("change", paintRoutingRules);
+    ui.btnSaveAvailability.addEventListener("click", saveAvailability);
+    ui.btnCalPrev.addEventListener("click", () => shiftCalendar(-1));
+    ui.btnCalToday.addEventListener("click", () => shiftCalendar(0));
+    ui.btnCalNext.addEventListener("click", () => shiftCalendar(1));
+    ui.btnRotateCalFeed.addEventListener("click", rotateCalendarFeed);
+    ui.btnAddWebhook.addEventListener("click", addWebhook);
+    ui.btnWebhookDeliveries.addEventListener("click", loadWebhookDeliveries);
+    ui.btnAddStaff.addEventListener("click", addStaff);
+    ui.btnSaveProfile.addEventListener("click", saveProfile);
+    ui.btnChangePasscode.addEventListener("click", changePasscode);
+    ui.btnTwoFactorSetup.addEventListener("click", setupTwoFactor);
+    ui.btnTwoFactorEnable.addEventListener("click", () => twoFactorAction("enable"));
+    ui.btnTwoFactorDisable.addEventListener("click", () => twoFactorAction("disable"));
+    ui.btnTwoFactorRecovery.addEventListener("click", () => twoFactorAction("recovery-codes"));
+    ui.loginCode.addEventListener("keydown", (e) => { if(e.key === "Enter") doLogin(); });
   }
 
   async function loadConfig(){
@@ -180,24 +409,38 @@ const API = {
     }
   }
 
-  function restoreSession(){
+  async function restoreSession(){
     const token = localStorage.getItem("dealer_token");
     const dealerId = localStorage.getItem("dealer_id");
     const dealerName = localStorage.getItem("dealer_name");
     if(token && dealerId){
       state.token = token;
+      state.refreshToken = localStorage.getItem("dealer_refresh") || null;
+      state.tokenExpiresAt = Number(localStorage.getItem("dealer_token_exp") || 0);
+      if(state.refreshToken && state.tokenExpiresAt - Date.now() < 60 * 1000){
+        if(!await refreshSession()) return;
+      } else {
+        scheduleRefresh();
+      }
       state.dealerId = dealerId;
       state.dealerName = dealerName || dealerId;
+      state.readOnly = localStorage.getItem("dealer_readonly") === "1";
+      state.username = localStorage.getItem("dealer_username") || "";
+      setRole(localStorage.getItem("dealer_role") || "owner", JSON.parse(localStorage.getItem("dealer_permissions") || "null"));
       state.demo = false;
       setApi("Live", "on");
       enterDashboard();
     } else {
       setApi("Offline", "err");
       ui.btnLogout.disabled = true;
+      ui.btnLogoutAll.disabled = true;
     }
   }
 
+  // Accounts with two-factor on get a challenge back; the second step trades it plus a code for tokens.
   async function doLogin(){
+    if(state.twoFactorChallenge) return verifyLoginCode();
+    const username = (ui.loginUsername.value || "").trim().toLowerCase();
     const passcode = (ui.passcode.value || "").trim();
     if(!passcode){
       setLoginStatus("Enter your passcode.", true);
@@ -213,23 +456,17 @@ const API = {
       const res = await fetch(API.login(), {
         method:"POST",
         headers:{ "Content-Type":"application/json", "Accept":"application/json" },
-        body: JSON.stringify({ dealerId: state.configDealerId, passcode })
+        body: JSON.stringify({ dealerId: state.configDealerId, username: username || undefined, passcode })
       });
       const data = await res.json().catch(()=>null);
       if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Login failed");
 
-      state.token = data.token;
-      state.dealerId = data.dealerId || state.configDealerId;
-      state.dealerName = data.dealerName || state.configDealerId;
-      state.demo = false;
-
-      localStorage.setItem("dealer_token", state.token);
-      localStorage.setItem("dealer_id", state.dealerId);
-      localStorage.setItem("dealer_name", state.dealerName);
-
-      setApi("Live", "on");
-      enterDashboard();
-      toast("Signed in.", "success");
+      if(data.twoFactorRequired){
+        setLoginCodeStep(data.challenge);
+        setLoginStatus("Enter the code from your authenticator app.", false);
+        return;
+      }
+      finishLogin(data);
     }catch(e){
       setLoginStatus(String(e?.message || "Login failed"), true);
       setApi("Error", "err");
@@ -237,11 +474,74 @@ const API = {
     }
   }
 
+  async function verifyLoginCode(){
+    const code = (ui.loginCode.value || "").trim();
+    if(!code){
+      setLoginStatus("Enter the code from your authenticator app.", true);
+      return;
+    }
+    setLoginStatus("Checking code…", false);
+    try{
+      const res = await fetch(API.twoFactorVerify(), {
+        method:"POST",
+        headers:{ "Content-Type":"application/json", "Accept":"application/json" },
+        body: JSON.stringify({ challenge: state.twoFactorChallenge, code })
+      });
+      const data = await res.json().catch(()=>null);
+      if(!res.ok || !data || data.ok !== true){
+        // Expired or used-up challenge: back to the passcode step.
+        if(res.status === 401 && /expired/i.test(data?.error || "")) setLoginCodeStep(null);
+        ui.loginCode.value = "";
+        throw new Error(data?.error || "Invalid code");
+      }
+      setLoginCodeStep(null);
+      finishLogin(data);
+      if(data.recoveryCodeUsed){
+        toast(`Recovery code used — ${data.recoveryCodesLeft} left.`, data.recoveryCodesLeft > 2 ? "success" : "error");
+      }
+    }catch(e){
+      setLoginStatus(String(e?.message || "Invalid code"), true);
+    }
+  }
+
+  function setLoginCodeStep(challenge){
+    state.twoFactorChallenge = challenge || null;
+    ui.loginCodeRow.classList.toggle("hidden", !challenge);
+    ui.loginUsername.disabled = !!challenge;
+    ui.passcode.disabled = !!challenge;
+    ui.loginCode.value = "";
+    ui.btnLogin.textContent = challenge ? "Verify →" : "Sign in →";
+    if(challenge) ui.loginCode.focus();
+  }
+
+  function finishLogin(data){
+    state.token = data.token;
+    state.dealerId = data.dealerId || state.configDealerId;
+    storeTokens(data);
+    state.dealerName = data.dealerName || state.configDealerId;
+    state.readOnly = !!data.readOnly;
+    state.username = data.username || "";
+    setRole(data.staffRole, data.permissions);
+    state.demo = false;
+
+    localStorage.setItem("dealer_token", state.token);
+    localStorage.setItem("dealer_id", state.dealerId);
+    localStorage.setItem("dealer_name", state.dealerName);
+    localStorage.setItem("dealer_readonly", state.readOnly ? "1" : "0");
+    localStorage.setItem("dealer_username", state.username);
+
+    setApi("Live", "on");
+    enterDashboard();
+    toast("Signed in.", "success");
+  }
+
   function enterDemo(){
     state.demo = true;
     state.token = "demo-token";
     state.dealerId = state.configDealerId || "AA123";
     state.dealerName = "Demo Dealer";
+    state.username = "";
+    setRole("owner");
     state.vehicles = demoVehicles();
     setApi("Demo", "off");
     enterDashboard();
@@ -249,112 +549,1084 @@ const API = {
     toast("Demo mode.", "success");
   }
 
-  function logout(){
-    state.token = null;
-    state.dealerId = null;
-    state.dealerName = null;
-    state.vehicles = [];
-    state.leads = [];
-    state.demo = false;
-    state.unsignedFallback = false;
+  function logout(){
+    if(state.refreshToken && !state.demo){
+      fetch(API.logout(), {
+        method:"POST",
+        headers:{ "Content-Type":"application/json", "Accept":"application/json" },
+        body: JSON.stringify({ refreshToken: state.refreshToken })
+      }).catch(()=>{});
+    }
+    clearTimeout(state.refreshTimer);
+    state.token = null;
+    state.refreshToken = null;
+    state.tokenExpiresAt = 0;
+    state.dealerId = null;
+    state.dealerName = null;
+    state.vehicles = [];
+    state.leads = [];
+    state.demo = false;
+    state.readOnly = false;
+    state.username = "";
+    state.staffRole = "owner";
+    state.permissions = [];
+    state.twoFactor = null;
+    state.unsignedFallback = false;
+    ui.twoFactorCodes.textContent = "";
+    ui.twoFactorCodes.classList.add("hidden");
+
+    localStorage.removeItem("dealer_token");
+    localStorage.removeItem("dealer_refresh");
+    localStorage.removeItem("dealer_token_exp");
+    localStorage.removeItem("dealer_id");
+    localStorage.removeItem("dealer_name");
+    localStorage.removeItem("dealer_readonly");
+    localStorage.removeItem("dealer_username");
+    localStorage.removeItem("dealer_role");
+    localStorage.removeItem("dealer_permissions");
+
+    ui.dashView.classList.add("hidden");
+    ui.loginView.classList.remove("hidden");
+    ui.btnLogout.disabled = true;
+    ui.btnLogoutAll.disabled = true;
+    ui.topTitle.textContent = "Dealer Portal";
+    ui.topSub.textContent = "Log in to manage inventory + photos.";
+    ui.storefrontLink.href = "/storefront";
+    setLoginStatus("", false);
+    setApi("Offline", "err");
+    toast("Logged out.", "success");
+  }
+
+  // Access tokens last 15 minutes; the refresh token (rotated on every use) keeps the session going.
+  function storeTokens(data){
+    state.token = data.token;
+    if(data.refreshToken) state.refreshToken = data.refreshToken;
+    state.tokenExpiresAt = Date.now() + Number(data.expiresIn || 0) * 1000;
+    localStorage.setItem("dealer_token", state.token);
+    if(state.refreshToken) localStorage.setItem("dealer_refresh", state.refreshToken);
+    localStorage.setItem("dealer_token_exp", String(state.tokenExpiresAt));
+    scheduleRefresh();
+  }
+
+  function scheduleRefresh(){
+    clearTimeout(state.refreshTimer);
+    if(!state.refreshToken || !state.tokenExpiresAt) return;
+    const wait = Math.max(0, state.tokenExpiresAt - Date.now() - 60 * 1000);
+    state.refreshTimer = setTimeout(refreshSession, wait);
+  }
+
+  async function refreshSession(){
+    // Another tab may have rotated the refresh token already; always use the newest one.
+    state.refreshToken = localStorage.getItem("dealer_refresh") || state.refreshToken;
+    try{
+      const res = await fetch(API.refresh(), {
+        method:"POST",
+        headers:{ "Content-Type":"application/json", "Accept":"application/json" },
+        body: JSON.stringify({ refreshToken: state.refreshToken })
+      });
+      const data = await res.json().catch(()=>null);
+      if(res.status === 401 || res.status === 403){
+        state.refreshToken = null;
+        logout();
+        setLoginStatus(data?.error || "Session ended. Sign in again.", true);
+        return false;
+      }
+      if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Refresh failed");
+      if(!data.refreshToken) state.refreshToken = localStorage.getItem("dealer_refresh") || state.refreshToken;
+      storeTokens(data);
+      return true;
+    }catch{
+      // Network hiccup: try again shortly, the current token may still be valid.
+      clearTimeout(state.refreshTimer);
+      state.refreshTimer = setTimeout(refreshSession, 15 * 1000);
+      return true;
+    }
+  }
+
+  async function logoutEverywhere(){
+    if(state.demo) return logout();
+    const scope = state.username ? "all your devices" : "every device, including staff";
+    if(!confirm(`Sign out on ${scope}?`)) return;
+    try{
+      const data = await apiRequest(API.logoutAll(), "POST");
+      if(!data) return;
+      state.refreshToken = null;
+      logout();
+      setLoginStatus(`Signed out of ${data.ended} session(s).`, false);
+    }catch(e){
+      toast(String(e?.message || "Could not sign out everywhere."), "error");
+    }
+  }
+
+  function enterDashboard(){
+    ui.loginView.classList.add("hidden");
+    ui.dashView.classList.remove("hidden");
+    ui.btnLogout.disabled = false;
+    ui.btnLogoutAll.disabled = false;
+
+    ui.topTitle.textContent = state.dealerName || "Dealer Portal";
+    ui.topSub.textContent = "Inventory & media overview";
+    if(state.dealerId){
+      ui.storefrontLink.href = "/storefront";
+    }
+    applyAccessMode();
+    loadVehicles();
+    loadSales();
+    if(can("leads:read")){
+      loadLeads();
+      loadCalendarFeed();
+    }
+    loadFeeds();
+    loadDealerSettings();
+    if(can("settings:write")){
+      loadWebhooks();
+      loadProfile();
+    }
+    if(can("staff:manage")){
+      loadStaff();
+      loadTwoFactor();
+    }
+    if(!state.demo) refreshRole();
+  }
+
+  // Staff roles: owner (everything), sales (requests + recording sales), media (photos/video only).
+  // The server enforces the same permissions; this only hides controls the role can't use.
+  const ROLE_PERMISSIONS = {
+    owner: ["inventory:read", "inventory:write", "media:write", "leads:read", "leads:write", "sales:write", "settings:write", "staff:manage"],
+    sales: ["inventory:read", "leads:read", "leads:write", "sales:write"],
+    media: ["inventory:read", "media:write"],
+  };
+
+  function setRole(role, permissions){
+    state.staffRole = ROLE_PERMISSIONS[role] ? role : "owner";
+    state.permissions = Array.isArray(permissions) ? permissions : ROLE_PERMISSIONS[state.staffRole];
+    localStorage.setItem("dealer_role", state.staffRole);
+    localStorage.setItem("dealer_permissions", JSON.stringify(state.permissions));
+  }
+
+  function can(permission){
+    return state.demo || state.permissions.includes(permission);
+  }
+
+  // Roles can change mid-session (the owner edits them); pick up the live one after sign-in.
+  async function refreshRole(){
+    try{
+      const res = await fetch(API.me(), {
+        headers:{
+          "Accept":"application/json",
+          "Authorization":"Bearer " + state.token
+        }
+      });
+      const data = await res.json().catch(()=>null);
+      if(res.status === 401){
+        logout();
+        setLoginStatus(data?.error || "Please sign in again.", true);
+        return;
+      }
+      if(handleAccessError(res, data)) return;
+      if(!res.ok || !data || data.ok !== true) return;
+      if(data.staffRole === state.staffRole) return;
+      setRole(data.staffRole, data.permissions);
+      enterDashboard();
+    }catch{
+      // Keep the stored role; the server still enforces permissions.
+    }
+  }
+
+  // Paused dealers keep read access; controls that write are disabled.
+  function applyAccessMode(){
+    ui.btnAdd.disabled = state.readOnly;
+    ui.btnSave.disabled = state.readOnly || !(can("inventory:write") || can("media:write"));
+    ui.btnArchive.disabled = state.readOnly;
+    ui.btnRotateFeed.disabled = state.readOnly;
+    ui.btnSaveCrm.disabled = state.readOnly;
+    ui.btnSaveRouting.disabled = state.readOnly;
+    ui.btnAddWebhook.disabled = state.readOnly;
+    ui.btnSaveAvailability.disabled = state.readOnly;
+    ui.btnRotateCalFeed.disabled = state.readOnly;
+    ui.btnAddStaff.disabled = state.readOnly;
+    ui.btnSaveProfile.disabled = state.readOnly;
+    ui.btnRecordSale.disabled = state.readOnly;
+
+    ui.btnAdd.classList.toggle("hidden", !can("inventory:write"));
+    ui.btnRotateFeed.classList.toggle("hidden", !can("settings:write"));
+    ui.btnRotateCalFeed.classList.toggle("hidden", !can("settings:write"));
+    ui.btnExportAdf.classList.toggle("hidden", !can("leads:read"));
+    ui.requestsCard.classList.toggle("hidden", !can("leads:read"));
+    ui.calendarCard.classList.toggle("hidden", !can("leads:read"));
+    ui.pipelineCard.classList.toggle("hidden", !can("leads:read"));
+    ui.availabilityCard.classList.toggle("hidden", !can("settings:write"));
+    ui.crmCard.classList.toggle("hidden", !can("settings:write"));
+    ui.routingCard.classList.toggle("hidden", !can("settings:write"));
+    ui.webhooksCard.classList.toggle("hidden", !can("settings:write"));
+    ui.staffCard.classList.toggle("hidden", !can("staff:manage"));
+    ui.profileCard.classList.toggle("hidden", !can("settings:write"));
+    ui.passcodeHint.textContent = state.username
+      ? "Changes your own staff passcode. Your other devices are signed out."
+      : "Changes the shared dealer passcode. Other devices signed in with it are signed out; staff logins are not affected.";
+    ui.twoFactorCard.classList.toggle("hidden", !can("staff:manage"));
+    if(state.staffRole !== "owner"){
+      ui.topSub.textContent = `Signed in as ${state.username || "staff"} · ${state.staffRole}`;
+    }
+    ui.accessBanner.classList.toggle("hidden", !state.readOnly);
+    ui.accessBanner.textContent = state.readOnly
+      ? "Your account is paused — inventory and requests are read-only. Contact support to reactivate."
+      : "";
+  }
+
+  // Server re-checks dealer status on every call; react to a pause/suspension mid-session.
+  function handleAccessError(res, data){
+    if(res.status !== 403) return false;
+    if(data?.status === "suspended"){
+      logout();
+      setLoginStatus("Your dealer account is suspended. Contact support.", true);
+      return true;
+    }
+    if(data?.status === "paused" && !state.readOnly){
+      state.readOnly = true;
+      localStorage.setItem("dealer_readonly", "1");
+      applyAccessMode();
+      renderLeads();
+      toast("Account paused — read-only mode.", "error");
+      return true;
+    }
+    return false;
+  }
+
+  async function loadVehicles(){
+    ui.dashStatus.textContent = state.demo ? "Demo inventory loaded." : "Loading vehicles…";
+    if(state.demo){
+      ui.lastUpdated.textContent = "Updated: " + fmt(new Date());
+      updateKpis();
+      render();
+      return;
+    }
+
+    try{
+      // Archived rows come along so the "Archived" filter works without another round-trip.
+      const res = await fetch(API.vehiclesAll(), {
+        headers:{
+          "Accept":"application/json",
+          "Authorization":"Bearer " + state.token
+        }
+      });
+      const data = await res.json().catch(()=>null);
+      if(handleAccessError(res, data)) return;
+      if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Failed to load");
+
+      state.vehicles = normalize(data.vehicles || []);
+      ui.dashStatus.textContent = "Ready.";
+      ui.lastUpdated.textContent = "Updated: " + fmt(new Date());
+      setApi("Live", "on");
+      updateKpis();
+      render();
+      // Holds expire server-side, so they're refreshed alongside the inventory.
+      loadReservations();
+    }catch(e){
+      ui.dashStatus.textContent = String(e?.message || "Could not load vehicles.");
+      setApi("Error", "err");
+      toast("Failed to load inventory.", "error");
+    }
+  }
+
+  async function loadLeads(){
+    ui.leadStatus.textContent = state.demo ? "Demo requests loaded." : "Loading requests…";
+    if(state.demo){
+      state.leads = demoLeads();
+      state.assignees = [];
+      paintAssigneeFilter();
+      ui.leadUpdated.textContent = "Updated: " + fmt(new Date());
+      updateKpis();
+      renderLeads();
+      return;
+    }
+
+    try{
+      const res = await fetch(API.leads(), {
+        headers:{
+          "Accept":"application/json",
+          "Authorization":"Bearer " + state.token
+        }
+      });
+      const data = await res.json().catch(()=>null);
+      if(handleAccessError(res, data)) return;
+      if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Failed to load leads");
+
+      state.leads = Array.isArray(data.leads) ? data.leads : [];
+      if(data.pipeline?.stages) state.pipeline = data.pipeline;
+      state.assignees = Array.isArray(data.assignees) ? data.assignees : [];
+      paintAssigneeFilter();
+      paintRoutingRules();
+      ui.leadStatus.textContent = "Ready.";
+      ui.leadUpdated.textContent = "Updated: " + fmt(new Date());
+      updateKpis();
+      renderLeads();
+    }catch(e){
+      ui.leadStatus.textContent = String(e?.message || "Could not load leads.");
+      toast("Failed to load leads.", "error");
+    }
+  }
+
+  async function loadSales(){
+    if(state.demo){
+      updateKpis();
+      return;
+    }
+    try{
+      const data = await apiRequest(API.sales());
+      if(!data) return;
+      state.sales = Array.isArray(data.sales) ? data.sales : [];
+      updateKpis();
+    }catch(e){
+      toast(String(e?.message || "Failed to load sales."), "error");
+    }
+  }
+
+  async function loadReservations(){
+    if(state.demo) return;
+    try{
+      const data = await apiRequest(API.reservations());
+      if(!data) return;
+      state.reservations = Array.isArray(data.reservations) ? data.reservations : [];
+      render();
+    }catch(e){
+      toast(String(e?.message || "Failed to load reservations."), "error");
+    }
+  }
+
+  function activeVehicles(){
+    return state.vehicles.filter(v => !v.archivedAt);
+  }
+
+  // Facebook/Google catalog URLs (token-protected, public vehicles only).
+  async function loadFeeds(){
+    ui.feedFacebook.value = "";
+    ui.feedGoogle.value = "";
+    if(state.demo){
+      ui.feedStatus.textContent = "Feed links are available once you sign in.";
+      return;
+    }
+    try{
+      const res = await fetch(API.feeds(), {
+        headers:{
+          "Accept":"application/json",
+          "Authorization":"Bearer " + state.token
+        }
+      });
+      const data = await res.json().catch(()=>null);
+      if(handleAccessError(res, data)) return;
+      if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Failed to load feeds");
+      ui.feedFacebook.value = data.feeds?.facebook || "";
+      ui.feedGoogle.value = data.feeds?.google || "";
+      ui.feedStatus.textContent = "";
+    }catch(e){
+      ui.feedStatus.textContent = String(e?.message || "Could not load feed links.");
+    }
+  }
+
+  async function rotateFeed(){
+    if(state.demo || state.readOnly) return;
+    if(!confirm("Generate new feed links? Catalogs using the current links will stop updating.")) return;
+    try{
+      const res = await fetch(API.feedsRotate(), {
+        method:"POST",
+        headers:{
+          "Accept":"application/json",
+          "Authorization":"Bearer " + state.token
+        }
+      });
+      const data = await res.json().catch(()=>null);
+      if(handleAccessError(res, data)) return;
+      if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Rotate failed");
+      ui.feedFacebook.value = data.feeds?.facebook || "";
+      ui.feedGoogle.value = data.feeds?.google || "";
+      toast("New feed links generated.", "success");
+    }catch(e){
+      toast(String(e?.message || "Rotate failed."), "error");
+    }
+  }
+
+  // Per-dealer settings: CRM delivery (new leads POSTed as ADF/XML) and appointment availability.
+  async function loadDealerSettings(){
+    ui.adfEndpoint.value = "";
+    if(state.demo){
+      ui.crmStatus.textContent = "CRM delivery is available once you sign in.";
+      paintAvailability();
+      paintRouting();
+      return;
+    }
+    try{
+      const res = await fetch(API.settings(), {
+        headers:{
+          "Accept":"application/json",
+          "Authorization":"Bearer " + state.token
+        }
+      });
+      const data = await res.json().catch(()=>null);
+      if(handleAccessError(res, data)) return;
+      if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Failed to load settings");
+      state.settings = { ...state.settings, ...(data.settings || {}) };
+      ui.adfEndpoint.value = state.settings.adfEndpoint || "";
+      ui.crmStatus.textContent = "";
+      paintAvailability();
+      paintRouting();
+      renderCalendar();
+    }catch(e){
+      ui.crmStatus.textContent = String(e?.message || "Could not load CRM settings.");
+    }
+  }
+
+  const WEEKDAYS = [["mon","Mon"],["tue","Tue"],["wed","Wed"],["thu","Thu"],["fri","Fri"],["sat","Sat"],["sun","Sun"]];
+
+  function paintAvailability(){
+    const st = state.settings;
+    ui.avSlotMinutes.value = String(st.slotMinutes || 30);
+    ui.avMaxPerSlot.value = String(st.maxBookingsPerSlot || 0);
+    ui.avTimezone.value = st.timezone || "";
+    ui.avBlackout.value = (st.blackoutDates || []).join("\n");
+    ui.avHours.innerHTML = WEEKDAYS.map(([key, label]) => `
+      <div>
+        <div class="label"><span>${label}</span></div>
+        <input class="input" data-day="${key}" placeholder="closed" value="${esc(st.businessHours?.[key] || "")}">
+      </div>`).join("");
+    ui.btnSaveAvailability.disabled = state.readOnly || state.demo;
+  }
+
+  async function saveAvailability(){
+    if(state.demo || state.readOnly) return;
+    const businessHours = {};
+    ui.avHours.querySelectorAll("input[data-day]").forEach((input) => {
+      businessHours[input.dataset.day] = input.value.trim();
+    });
+    const settings = {
+      slotMinutes: Number(ui.avSlotMinutes.value),
+      maxBookingsPerSlot: Number(ui.avMaxPerSlot.value || 0),
+      timezone: ui.avTimezone.value.trim() || "America/Jamaica",
+      blackoutDates: ui.avBlackout.value.split(/[\s,]+/).map(x => x.trim()).filter(Boolean),
+      businessHours
+    };
+    ui.availabilityStatus.textContent = "Saving…";
+    try{
+      const res = await fetch(API.settings(), {
+        method:"POST",
+        headers:{
+          "Content-Type":"application/json",
+          "Accept":"application/json",
+          "Authorization":"Bearer " + state.token
+        },
+        body: JSON.stringify({ settings })
+      });
+      const data = await res.json().catch(()=>null);
+      if(handleAccessError(res, data)) return;
+      if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Save failed");
+      state.settings = { ...state.settings, ...(data.settings || {}) };
+      paintAvailability();
+      renderCalendar();
+      ui.availabilityStatus.textContent = "Availability saved.";
+      toast("Availability saved.", "success");
+    }catch(e){
+      ui.availabilityStatus.textContent = String(e?.message || "Save failed.");
+      toast(String(e?.message || "Save failed."), "error");
+    }
+  }
+
+  // Calendar: one week (Mon–Sun) of leads that carry a booked date + time.
+  function isoDay(d){
+    return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,"0")}-${String(d.getDate()).padStart(2,"0")}`;
+  }
+  function startOfWeek(d){
+    const out = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+    out.setDate(out.getDate() - ((out.getDay() + 6) % 7));
+    return out;
+  }
+  function shiftCalendar(weeks){
+    const base = weeks === 0 ? startOfWeek(new Date()) : new Date(state.calWeekStart);
+    base.setDate(base.getDate() + weeks * 7);
+    state.calWeekStart = base;
+    renderCalendar();
+  }
+
+  function renderCalendar(){
+    const start = state.calWeekStart || startOfWeek(new Date());
+    const today = isoDay(new Date());
+    const inactive = ["won","lost","closed","cancelled","no_show","spam"];
+    const booked = state.leads.filter(l => l.preferredDate && l.preferredTime && !inactive.includes(String(l.status||"").toLowerCase()));
+    const vehicleTitle = (id) => {
+      const v = state.vehicles.find(x => x.vehicleId === id);
+      return v ? (v.title || [v.year, v.make, v.model].filter(Boolean).join(" ")) : (id || "");
+    };
+
+    const days = [];
+    for(let i = 0; i < 7; i++){
+      const d = new Date(start);
+      d.setDate(start.getDate() + i);
+      days.push(d);
+    }
+    ui.calRange.textContent = `${days[0].toLocaleDateString()} – ${days[6].toLocaleDateString()}`;
+
+    ui.calGrid.innerHTML = days.map((d, i) => {
+      const key = isoDay(d);
+      const hours = state.settings.businessHours?.[WEEKDAYS[i][0]] || "";
+      const closed = !hours || (state.settings.blackoutDates || []).includes(key);
+      const items = booked
+        .filter(l => l.preferredDate === key)
+        .sort((a, b) => String(a.preferredTime).localeCompare(String(b.preferredTime)))
+        .map(l => `
+          <div class="calItem">
+            <div class="t">${esc(l.preferredTime)} · ${esc(l.name || "—")}</div>
+            <div>${esc(vehicleTitle(l.vehicleId))}</div>
+            <div style="color:var(--muted)">${esc(l.phone || "")} · <span class="tag ${esc(String(l.status||"new").toLowerCase())}">${esc(l.status || "new")}</span></div>
+          </div>`).join("");
+      return `
+        <div class="calDay${key === today ? " today" : ""}${closed ? " closedDay" : ""}">
+          <div class="d">${esc(d.toLocaleDateString(undefined, { weekday:"short", day:"numeric", month:"short" }))}</div>
+          <div class="hint">${closed ? "Closed" : esc(hours)}</div>
+          ${items || ""}
+        </div>`;
+    }).join("");
+  }
+
+  async function saveCrmSettings(){
+    if(state.demo || state.readOnly) return;
+    const adfEndpoint = ui.adfEndpoint.value.trim();
+    if(adfEndpoint && !/^https?:\/\//i.test(adfEndpoint)){
+      toast("Endpoint must start with http:// or https://", "error");
+      return;
+    }
+    try{
+      const res = await fetch(API.settings(), {
+        method:"POST",
+        headers:{
+          "Content-Type":"application/json",
+          "Accept":"application/json",
+          "Authorization":"Bearer " + state.token
+        },
+        body: JSON.stringify({ settings:{ adfEndpoint } })
+      });
+      const data = await res.json().catch(()=>null);
+      if(handleAccessError(res, data)) return;
+      if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Save failed");
+      ui.adfEndpoint.value = data.settings?.adfEndpoint || "";
+      ui.crmStatus.textContent = adfEndpoint ? "New requests will be sent to your CRM." : "CRM delivery is off.";
+      toast("CRM settings saved.", "success");
+    }catch(e){
+      toast(String(e?.message || "Save failed."), "error");
+    }
+  }
+
+  // Lead routing: a mode plus, for "by type", one salesperson per request type.
+  const ROUTING_TYPES = [["live_video","Live video"], ["walk_in","Walk-in"], ["whatsapp","WhatsApp"], ["inquiry","Inquiry"]];
+  function paintRouting(){
+    const routing = state.settings.leadRouting || { mode:"off", typeRules:{} };
+    ui.routingMode.value = routing.mode || "off";
+    ui.routingRules.innerHTML = "";
+    paintRoutingRules();
+  }
+  // Re-rendered when the mode or the assignee list changes; picks not yet saved are kept.
+  function paintRoutingRules(){
+    const saved = state.settings.leadRouting?.typeRules || {};
+    ui.routingRules.classList.toggle("hidden", ui.routingMode.value !== "by_type");
+    ui.routingRules.innerHTML = ROUTING_TYPES.map(([type, label]) => {
+      const current = ui.routingRules.querySelector(`[data-type="${type}"]`)?.value ?? (saved[type] || "");
+      return `<div class="field"><div class="label"><span>${esc(label)}</span><span>Assign to</span></div>`
+        + `<select class="select" data-type="${esc(type)}">${assigneeOptions(current, "Round-robin")}</select></div>`;
+    }).join("");
+  }
+  async function saveRoutingSettings(){
+    if(state.demo || state.readOnly) return;
+    const typeRules = {};
+    ui.routingRules.querySelectorAll("select[data-type]").forEach((sel) => {
+      if(sel.value) typeRules[sel.dataset.type] = sel.value;
+    });
+    const leadRouting = { mode: ui.routingMode.value, typeRules };
+    try{
+      const data = await apiRequest(API.settings(), "POST", { settings:{ leadRouting } });
+      if(!data) return;
+      state.settings = { ...state.settings, ...(data.settings || {}) };
+      ui.routingStatus.textContent = leadRouting.mode === "off" ? "New requests stay unassigned." : "New requests will be assigned as they arrive.";
+      toast("Lead routing saved.", "success");
+    }catch(e){
+      toast(String(e?.message || "Save failed."), "error");
+    }
+  }
+
+  // Private iCal link for the dealer's own calendar app.
+  async function loadCalendarFeed(){
+    ui.calFeedUrl.value = "";
+    if(state.demo) return;
+    try{
+      const res = await fetch(API.calendar(), {
+        headers:{
+          "Accept":"application/json",
+          "Authorization":"Bearer " + state.token
+        }
+      });
+      const data = await res.json().catch(()=>null);
+      if(handleAccessError(res, data)) return;
+      if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Failed to load calendar link");
+      ui.calFeedUrl.value = data.url || "";
+    }catch(e){
+      ui.calFeedUrl.placeholder = String(e?.message || "Calendar link unavailable.");
+    }
+  }
+
+  async function rotateCalendarFeed(){
+    if(state.demo || state.readOnly) return;
+    if(!confirm("Generate a new calendar link? Calendars subscribed to the current link will stop updating.")) return;
+    try{
+      const res = await fetch(API.calendarRotate(), {
+        method:"POST",
+        headers:{
+          "Accept":"application/json",
+          "Authorization":"Bearer " + state.token
+        }
+      });
+      const data = await res.json().catch(()=>null);
+      if(handleAccessError(res, data)) return;
+      if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Rotate failed");
+      ui.calFeedUrl.value = data.url || "";
+      toast("New calendar link generated.", "success");
+    }catch(e){
+      toast(String(e?.message || "Rotate failed."), "error");
+    }
+  }
+
+  // JSON call with the dealer token; returns null when handleAccessError took over.
+  async function apiRequest(url, method, body){
+    const res = await fetch(url, {
+      method: method || "GET",
+      headers:{
+        "Content-Type":"application/json",
+        "Accept":"application/json",
+        "Authorization":"Bearer " + state.token
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(()=>null);
+    if(handleAccessError(res, data)) return null;
+    if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Request failed");
+    return data;
+  }
+
+  // Webhook subscriptions. The signing secret is only shown once, right after creation.
+  async function loadWebhooks(){
+    state.webhooks = [];
+    if(state.demo){
+      renderWebhooks();
+      ui.webhookStatus.textContent = "Webhooks are available once you sign in.";
+      return;
+    }
+    try{
+      const data = await apiRequest(API.webhooks());
+      if(!data) return;
+      state.webhooks = Array.isArray(data.webhooks) ? data.webhooks : [];
+      state.webhookEvents = Array.isArray(data.events) ? data.events : [];
+      ui.webhookStatus.textContent = "";
+      renderWebhooks();
+      loadWebhookDeliveries();
+    }catch(e){
+      ui.webhookStatus.textContent = String(e?.message || "Could not load webhooks.");
+    }
+  }
+
+  function renderWebhooks(){
+    if(!ui.webhookEvents.children.length && state.webhookEvents.length){
+      ui.webhookEvents.innerHTML = state.webhookEvents
+        .map(ev => `<label><input type="checkbox" value="${esc(ev)}" checked> <span class="mono">${esc(ev)}</span></label>`)
+        .join("");
+    }
+
+    ui.webhookBody.innerHTML = "";
+    if(!state.webhooks.length){
+      const tr = document.createElement("tr");
+      const td = document.createElement("td");
+      td.colSpan = 4;
+      td.style.color = "var(--muted)";
+      td.style.padding = "14px";
+      td.textContent = "No webhooks yet.";
+      tr.appendChild(td);
+      ui.webhookBody.appendChild(tr);
+      return;
+    }
+
+    state.webhooks.forEach((h) => {
+      const tr = document.createElement("tr");
+      tr.appendChild(cell(`<div class="mono" style="word-break:break-all">${esc(h.url)}</div>${h.active === false ? '<span class="tag closed">paused</span>' : ""}`));
+      tr.appendChild(cell(`<div class="mono" style="font-size:11px">${(h.events || []).map(esc).join("<br>")}</div>`));
+      tr.appendChild(cell(`<span class="mono">${esc(h.secretHint || "")}</span>`));
+
+      const actions = document.createElement("td");
+      const testBtn = document.createElement("button");
+      testBtn.className = "btn btn-mini";
+      testBtn.textContent = "Send test";
+      testBtn.disabled = state.readOnly;
+      testBtn.onclick = () => testWebhook(h.id);
+
+      const toggleBtn = document.createElement("button");
+      toggleBtn.className = "btn btn-mini";
+      toggleBtn.textContent = h.active === false ? "Resume" : "Pause";
+      toggleBtn.disabled = state.readOnly;
+      toggleBtn.onclick = () => toggleWebhook(h);
+
+      const deleteBtn = document.createElement("button");
+      deleteBtn.className = "btn btn-mini";
+      deleteBtn.textContent = "Delete";
+      deleteBtn.disabled = state.readOnly;
+      deleteBtn.onclick = () => deleteWebhook(h.id);
+
+      actions.appendChild(testBtn);
+      actions.appendChild(toggleBtn);
+      actions.appendChild(deleteBtn);
+      tr.appendChild(actions);
+      ui.webhookBody.appendChild(tr);
+    });
+  }
+
+  async function addWebhook(){
+    if(state.demo || state.readOnly) return;
+    const url = ui.webhookUrl.value.trim();
+    const events = [...ui.webhookEvents.querySelectorAll("input:checked")].map(i => i.value);
+    if(!/^https?:\/\//i.test(url)){
+      toast("Endpoint must start with http:// or https://", "error");
+      return;
+    }
+    if(!events.length){
+      toast("Pick at least one event.", "error");
+      return;
+    }
+    try{
+      const data = await apiRequest(API.webhooks(), "POST", { url, events });
+      if(!data) return;
+      ui.webhookUrl.value = "";
+      prompt("Webhook added. Copy the signing secret now — it won't be shown again.", data.webhook?.secret || "");
+      loadWebhooks();
+    }catch(e){
+      toast(String(e?.message || "Could not add webhook."), "error");
+    }
+  }
+
+  async function toggleWebhook(h){
+    if(state.demo || state.readOnly) return;
+    try{
+      const data = await apiRequest(API.webhook(h.id), "POST", { active: h.active === false });
+      if(!data) return;
+      loadWebhooks();
+    }catch(e){
+      toast(String(e?.message || "Update failed."), "error");
+    }
+  }
+
+  async function deleteWebhook(id){
+    if(state.demo || state.readOnly) return;
+    if(!confirm("Delete this webhook? Deliveries to it stop immediately.")) return;
+    try{
+      const data = await apiRequest(API.webhook(id), "DELETE");
+      if(!data) return;
+      toast("Webhook deleted.", "success");
+      loadWebhooks();
+    }catch(e){
+      toast(String(e?.message || "Delete failed."), "error");
+    }
+  }
+
+  async function testWebhook(id){
+    if(state.demo || state.readOnly) return;
+    try{
+      const data = await apiRequest(API.webhookTest(id), "POST");
+      if(!data) return;
+      if(data.delivered) toast("Test delivered.", "success");
+      else toast("Test failed: " + (data.error || "no response"), "error");
+      loadWebhookDeliveries();
+    }catch(e){
+      toast(String(e?.message || "Test failed."), "error");
+    }
+  }
+
+  async function loadWebhookDeliveries(){
+    if(state.demo) return;
+    try{
+      const data = await apiRequest(API.webhookDeliveries());
+      if(!data) return;
+      const list = Array.isArray(data.deliveries) ? data.deliveries : [];
+      ui.webhookDeliveryBody.innerHTML = list.length
+        ? list.map(d => `<tr>
+            <td><span class="mono">${esc(d.event)}</span></td>
+            <td><span class="tag ${esc(d.status)}">${esc(d.status)}</span> <span class="mono" style="font-size:11px">${esc(d.error || d.responseStatus || "")}</span></td>
+            <td>${esc(d.attempt)}</td>
+            <td><span class="mono">${esc(d.createdAt)}</span></td>
+          </tr>`).join("")
+        : `<tr><td colspan="4" style="color:var(--muted);padding:14px">No deliveries yet.</td></tr>`;
+    }catch(e){
+      ui.webhookStatus.textContent = String(e?.message || "Could not load deliveries.");
+    }
+  }
+
+  // Staff accounts (owners only). New or reset passcodes are shown once.
+  async function loadStaff(){
+    state.staff = [];
+    if(state.demo){
+      renderStaff();
+      ui.staffStatus.textContent = "Staff accounts are available once you sign in.";
+      return;
+    }
+    try{
+      const data = await apiRequest(API.staff());
+      if(!data) return;
+      state.staff = Array.isArray(data.staff) ? data.staff : [];
+      ui.staffStatus.textContent = "";
+      renderStaff();
+    }catch(e){
+      ui.staffStatus.textContent = String(e?.message || "Could not load staff.");
+    }
+  }
+
+  function renderStaff(){
+    ui.staffBody.innerHTML = "";
+    if(!state.staff.length){
+      const tr = document.createElement("tr");
+      const td = document.createElement("td");
+      td.colSpan = 4;
+      td.style.color = "var(--muted)";
+      td.style.padding = "14px";
+      td.textContent = "No staff yet. The shared dealer passcode still signs in as owner.";
+      tr.appendChild(td);
+      ui.staffBody.appendChild(tr);
+      return;
+    }
+
+    state.staff.forEach((s) => {
+      const tr = document.createElement("tr");
+      tr.appendChild(cell(`<div class="mono">${esc(s.username)}</div><div style="color:var(--muted);font-size:11px;margin-top:2px">${esc(s.name || "")}</div>`));
 
-    localStorage.removeItem("dealer_token");
-    localStorage.removeItem("dealer_id");
-    localStorage.removeItem("dealer_name");
+      const roleTd = document.createElement("td");
+      const roleSel = document.createElement("select");
+      roleSel.className = "input";
+      roleSel.innerHTML = ["owner", "sales", "media"]
+        .map(r => `<option value="${r}"${r === s.role ? " selected" : ""}>${r}</option>`).join("");
+      roleSel.disabled = state.readOnly || s.username === state.username;
+      roleSel.onchange = () => staffAction(s, "update", { role: roleSel.value });
+      roleTd.appendChild(roleSel);
+      tr.appendChild(roleTd);
 
-    ui.dashView.classList.add("hidden");
-    ui.loginView.classList.remove("hidden");
-    ui.btnLogout.disabled = true;
-    ui.topTitle.textContent = "Dealer Portal";
-    ui.topSub.textContent = "Log in to manage inventory + photos.";
-    ui.storefrontLink.href = "/storefront";
-    setLoginStatus("", false);
-    setApi("Offline", "err");
-    toast("Logged out.", "success");
+      tr.appendChild(cell(`<span class="tag ${s.status === "active" ? "available" : "closed"}">${esc(s.status)}</span>
+        <div style="color:var(--muted);font-size:11px;margin-top:2px">${s.lastLoginAt ? "Last login " + esc(fmt(new Date(s.lastLoginAt))) : "Never signed in"}</div>`));
+
+      const actions = document.createElement("td");
+      const toggleBtn = document.createElement("button");
+      toggleBtn.className = "btn btn-mini";
+      toggleBtn.textContent = s.status === "active" ? "Disable" : "Enable";
+      toggleBtn.disabled = state.readOnly || s.username === state.username;
+      toggleBtn.onclick = () => staffAction(s, s.status === "active" ? "disable" : "enable");
+
+      const resetBtn = document.createElement("button");
+      resetBtn.className = "btn btn-mini";
+      resetBtn.textContent = "Reset passcode";
+      resetBtn.disabled = state.readOnly;
+      resetBtn.onclick = () => staffAction(s, "reset-passcode");
+
+      actions.appendChild(toggleBtn);
+      actions.appendChild(resetBtn);
+      tr.appendChild(actions);
+      ui.staffBody.appendChild(tr);
+    });
   }
 
-  function enterDashboard(){
-    ui.loginView.classList.add("hidden");
-    ui.dashView.classList.remove("hidden");
-    ui.btnLogout.disabled = false;
+  async function addStaff(){
+    if(state.demo || state.readOnly) return;
+    const username = ui.staffUsername.value.trim().toLowerCase();
+    const passcode = ui.staffPasscode.value.trim();
+    if(!/^[a-z0-9._-]{3,32}$/.test(username)){
+      toast("Username: 3-32 characters, a-z 0-9 . _ -", "error");
+      return;
+    }
+    try{
+      const data = await apiRequest(API.staff(), "POST", {
+        username,
+        name: ui.staffName.value.trim(),
+        role: ui.staffRole.value,
+        passcode: passcode || undefined
+      });
+      if(!data) return;
+      ui.staffUsername.value = "";
+      ui.staffName.value = "";
+      ui.staffPasscode.value = "";
+      if(data.passcode) prompt(`Staff account created. Passcode for ${username} (shown once):`, data.passcode);
+      else toast("Staff account created.", "success");
+      loadStaff();
+    }catch(e){
+      toast(String(e?.message || "Could not create staff account."), "error");
+    }
+  }
 
-    ui.topTitle.textContent = state.dealerName || "Dealer Portal";
-    ui.topSub.textContent = "Inventory & media overview";
-    if(state.dealerId){
-      ui.storefrontLink.href = "/storefront";
+  async function staffAction(s, action, body){
+    if(state.demo || state.readOnly) return;
+    if(action === "disable" && !confirm(`Disable ${s.username}? They lose access within a minute.`)) return;
+    if(action === "reset-passcode" && !confirm(`Reset the passcode for ${s.username}?`)) return;
+    try{
+      const data = await apiRequest(API.staffAction(s.username, action), "POST", body);
+      if(!data) return;
+      if(data.passcode) prompt(`New passcode for ${s.username} (shown once):`, data.passcode);
+      else toast("Staff account updated.", "success");
+      loadStaff();
+    }catch(e){
+      toast(String(e?.message || "Update failed."), "error");
+      loadStaff();
     }
-    loadVehicles();
-    loadLeads();
   }
 
-  async function loadVehicles(){
-    ui.dashStatus.textContent = state.demo ? "Demo inventory loaded." : "Loading vehicles…";
+  const PROFILE_FIELDS = [["name","profName"],["whatsapp","profWhatsapp"],["logoUrl","profLogoUrl"],["address","profAddress"],["hours","profHours"],["about","profAbout"]];
+
+  function paintProfile(profile){
+    PROFILE_FIELDS.forEach(([key, id]) => { ui[id].value = profile?.[key] || ""; });
+  }
+
+  async function loadProfile(){
+    paintProfile(null);
     if(state.demo){
-      ui.lastUpdated.textContent = "Updated: " + fmt(new Date());
-      updateKpis();
-      render();
+      ui.profileStatus.textContent = "Profile editing is available once you sign in.";
       return;
     }
+    try{
+      const data = await apiRequest(API.profile());
+      if(!data) return;
+      paintProfile(data.profile);
+      ui.profileStatus.textContent = data.envOverride
+        ? "This deployment sets the storefront name, logo and WhatsApp from server settings; address, hours and about still show."
+        : "";
+    }catch(e){
+      ui.profileStatus.textContent = String(e?.message || "Could not load profile.");
+    }
+  }
 
+  async function saveProfile(){
+    if(state.demo || state.readOnly) return;
+    const profile = {};
+    PROFILE_FIELDS.forEach(([key, id]) => { profile[key] = ui[id].value.trim(); });
+    if(!profile.name){
+      toast("Business name is required.", "error");
+      return;
+    }
+    if(profile.logoUrl && !/^https?:\/\//i.test(profile.logoUrl)){
+      toast("Logo URL must start with http:// or https://", "error");
+      return;
+    }
     try{
-      const res = await fetch(API.vehicles(), {
-        headers:{
-          "Accept":"application/json",
-          "Authorization":"Bearer " + state.token
-        }
-      });
-      const data = await res.json().catch(()=>null);
-      if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Failed to load");
+      const data = await apiRequest(API.profile(), "POST", { profile });
+      if(!data) return;
+      paintProfile(data.profile);
+      state.dealerName = data.profile.name;
+      localStorage.setItem("dealer_name", state.dealerName);
+      ui.topTitle.textContent = state.dealerName;
+      toast("Profile saved.", "success");
+    }catch(e){
+      toast(String(e?.message || "Save failed."), "error");
+    }
+  }
 
-      state.vehicles = normalize(data.vehicles || []);
-      ui.dashStatus.textContent = "Ready.";
-      ui.lastUpdated.textContent = "Updated: " + fmt(new Date());
-      setApi("Live", "on");
-      updateKpis();
-      render();
+  async function changePasscode(){
+    if(state.demo) return;
+    const currentPasscode = ui.pcCurrent.value;
+    const newPasscode = ui.pcNew.value.trim();
+    if(!currentPasscode || newPasscode.length < 6){
+      toast("Enter your current passcode and a new one of 6+ characters.", "error");
+      return;
+    }
+    try{
+      const data = await apiRequest(API.passcode(), "POST", { currentPasscode, newPasscode });
+      if(!data) return;
+      ui.pcCurrent.value = "";
+      ui.pcNew.value = "";
+      ui.passcodeStatus.textContent = data.endedSessions
+        ? `Passcode changed. Signed out ${data.endedSessions} other session(s).`
+        : "Passcode changed.";
+      toast("Passcode changed.", "success");
     }catch(e){
-      ui.dashStatus.textContent = String(e?.message || "Could not load vehicles.");
-      setApi("Error", "err");
-      toast("Failed to load inventory.", "error");
+      toast(String(e?.message || "Could not change passcode."), "error");
     }
   }
 
-  async function loadLeads(){
-    ui.leadStatus.textContent = state.demo ? "Demo requests loaded." : "Loading requests…";
+  // Two-factor for the signed-in owner. Recovery codes come back only from enable/regenerate.
+  async function loadTwoFactor(){
+    state.twoFactor = null;
+    ui.twoFactorSetup.classList.add("hidden");
     if(state.demo){
-      state.leads = demoLeads();
-      ui.leadUpdated.textContent = "Updated: " + fmt(new Date());
-      updateKpis();
-      renderLeads();
+      renderTwoFactor();
+      ui.twoFactorStatus.textContent = "Two-factor is available once you sign in.";
       return;
     }
+    try{
+      const data = await apiRequest(API.twoFactor());
+      if(!data) return;
+      state.twoFactor = data.twoFactor;
+      ui.twoFactorStatus.textContent = "";
+      renderTwoFactor();
+    }catch(e){
+      ui.twoFactorStatus.textContent = String(e?.message || "Could not load two-factor status.");
+    }
+  }
+
+  function renderTwoFactor(){
+    const tf = state.twoFactor;
+    const enabled = !!tf?.enabled;
+    const settingUp = !ui.twoFactorSetup.classList.contains("hidden");
+    ui.twoFactorState.textContent = enabled
+      ? `On since ${fmt(new Date(tf.enabledAt))} · ${tf.recoveryCodesLeft} recovery code${tf.recoveryCodesLeft === 1 ? "" : "s"} left`
+      : settingUp ? "Scan the key, then enter the code your app shows to turn it on." : "Off";
+    ui.btnTwoFactorSetup.classList.toggle("hidden", enabled);
+    ui.btnTwoFactorEnable.classList.toggle("hidden", enabled || !settingUp);
+    ui.btnTwoFactorDisable.classList.toggle("hidden", !enabled);
+    ui.btnTwoFactorRecovery.classList.toggle("hidden", !enabled);
+    [ui.btnTwoFactorSetup, ui.btnTwoFactorEnable, ui.btnTwoFactorDisable, ui.btnTwoFactorRecovery]
+      .forEach(b => { b.disabled = state.demo || !tf; });
+  }
 
+  async function setupTwoFactor(){
+    if(state.demo) return;
     try{
-      const res = await fetch(API.leads(), {
-        headers:{
-          "Accept":"application/json",
-          "Authorization":"Bearer " + state.token
-        }
-      });
-      const data = await res.json().catch(()=>null);
-      if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Failed to load leads");
+      const data = await apiRequest(API.twoFactorAction("setup"), "POST");
+      if(!data) return;
+      ui.twoFactorLink.href = data.otpauthUri;
+      ui.twoFactorSecret.textContent = data.secret.replace(/(.{4})/g, "$1 ").trim();
+      ui.twoFactorSetup.classList.remove("hidden");
+      ui.twoFactorCode.value = "";
+      ui.twoFactorCode.focus();
+      renderTwoFactor();
+    }catch(e){
+      toast(String(e?.message || "Could not start setup."), "error");
+    }
+  }
 
-      state.leads = Array.isArray(data.leads) ? data.leads : [];
-      ui.leadStatus.textContent = "Ready.";
-      ui.leadUpdated.textContent = "Updated: " + fmt(new Date());
-      updateKpis();
-      renderLeads();
+  async function twoFactorAction(action){
+    if(state.demo) return;
+    const code = ui.twoFactorCode.value.trim();
+    if(!code){
+      toast("Enter the code from your authenticator app.", "error");
+      return;
+    }
+    if(action === "disable" && !confirm("Turn off two-factor sign-in?")) return;
+    try{
+      const data = await apiRequest(API.twoFactorAction(action), "POST", { code });
+      if(!data) return;
+      state.twoFactor = data.twoFactor;
+      ui.twoFactorCode.value = "";
+      ui.twoFactorSetup.classList.add("hidden");
+      ui.twoFactorCodes.classList.toggle("hidden", !data.recoveryCodes);
+      ui.twoFactorCodes.textContent = data.recoveryCodes
+        ? "Recovery codes (each works once; store them somewhere safe — they won't be shown again):\n\n" + data.recoveryCodes.join("\n")
+        : "";
+      renderTwoFactor();
+      toast(action === "disable" ? "Two-factor turned off." : action === "enable" ? "Two-factor turned on." : "New recovery codes ready.", "success");
     }catch(e){
-      ui.leadStatus.textContent = String(e?.message || "Could not load leads.");
-      toast("Failed to load leads.", "error");
+      toast(String(e?.message || "Two-factor update failed."), "error");
     }
   }
 
   function updateKpis(){
-    const total = state.vehicles.length;
-    const available = state.vehicles.filter(v => v.status === "available").length;
-    const pending = state.vehicles.filter(v => v.status === "pending").length;
-    const sold = state.vehicles.filter(v => v.status === "sold").length;
+    const active = activeVehicles();
+    const total = active.length;
+    const available = active.filter(v => v.status === "available").length;
+    const pending = active.filter(v => v.status === "pending").length;
+    const sold = active.filter(v => v.status === "sold").length;
 
     const totalLeads = state.leads.length;
     const booked = state.leads.filter(l => (l.status||"").toLowerCase() === "booked").length;
@@ -362,6 +1634,7 @@ const API = {
     const today = new Date();
     const todayKey = today.toISOString().slice(0, 10);
     const newToday = state.leads.filter(l => String(l.createdAt || "").slice(0,10) === todayKey).length;
+    const followUpsDue = state.leads.filter(isFollowUpDue).length;
 
     ui.kTotal.textContent = String(total);
     ui.kAvailable.textContent = String(available);
@@ -370,6 +1643,36 @@ const API = {
     ui.kRequests.textContent = String(totalLeads);
     ui.kNewToday.textContent = String(newToday);
     ui.kBooked.textContent = String(booked);
+    ui.kFollowUps.textContent = String(followUpsDue);
+
+    const m = saleMetrics(state.sales, state.leads, ui.leadStart.value, ui.leadEnd.value);
+    ui.kRevenue.textContent = m.revenue ? money(m.revenue) : "0";
+    ui.kRevenueSub.textContent = `${m.count} sale${m.count === 1 ? "" : "s"} in range`;
+    ui.kDaysToSell.textContent = m.avgDays == null ? "—" : `${m.avgDays}d`;
+    ui.kConversion.textContent = m.conversion == null ? "—" : `${Math.round(m.conversion * 100)}%`;
+    ui.kConversionSub.textContent = `${m.converted} of ${m.leads} requests bought`;
+  }
+
+  // Sales dated inside [startKey, endKey] (YYYY-MM-DD, either may be blank) give revenue and days-to-sell;
+  // conversion is the share of requests created in the range that are linked to any sale.
+  function saleMetrics(sales, leads, startKey, endKey){
+    const within = (d) => {
+      const k = String(d || "").slice(0,10);
+      return !!k && (!startKey || k >= startKey) && (!endKey || k <= endKey);
+    };
+    const closed = sales.filter(s => within(s.saleDate));
+    const days = closed.map(s => s.daysInStock).filter(d => d !== null && d !== "" && Number.isFinite(Number(d)));
+    const rangeLeads = leads.filter(l => within(l.createdAt));
+    const soldLeadIds = new Set(sales.map(s => s.leadId).filter(Boolean));
+    const converted = rangeLeads.filter(l => soldLeadIds.has(l.leadId)).length;
+    return {
+      count: closed.length,
+      revenue: closed.reduce((sum, s) => sum + num(s.salePrice), 0),
+      avgDays: days.length ? Math.round(days.reduce((sum, d) => sum + Number(d), 0) / days.length) : null,
+      leads: rangeLeads.length,
+      converted,
+      conversion: rangeLeads.length ? converted / rangeLeads.length : null
+    };
   }
 
   function render(){
@@ -377,10 +1680,10 @@ const API = {
     const fs = (ui.filterStatus.value || "").trim().toLowerCase();
     const sort = ui.sort.value || "newest";
 
-    let list = [...state.vehicles];
+    let list = fs === "archived" ? state.vehicles.filter(v => v.archivedAt) : activeVehicles();
 
     if(q) list = list.filter(v => blob(v).includes(q));
-    if(fs) list = list.filter(v => (String(v.status||"available").toLowerCase() === fs));
+    if(fs && fs !== "archived") list = list.filter(v => (String(v.status||"available").toLowerCase() === fs));
 
     list.sort((a,b)=>{
       if(sort==="priceAsc") return (a.price||0)-(b.price||0);
@@ -418,8 +1721,10 @@ const API = {
                        <div style="color:var(--muted);font-size:11px;margin-top:2px">${esc(v.title||"")}</div>`;
 
       const td3 = document.createElement("td");
-      const s = String(v.status||"available").toLowerCase();
-      td3.innerHTML = `<span class="tag ${esc(s)}">${esc(s)}</span>`;
+      const s = v.archivedAt ? "archived" : String(v.status||"available").toLowerCase();
+      const hold = s === "pending" ? state.reservations.find(r => r.vehicleId === v.vehicleId) : null;
+      td3.innerHTML = `<span class="tag ${esc(s)}">${esc(hold ? "reserved" : s)}</span>`
+        + (hold ? `<div style="color:var(--muted);font-size:11px;margin-top:2px">${esc(hold.customerName)} · until ${esc(fmt(hold.expiresAt))}</div>` : "");
 
       const td4 = document.createElement("td");
       td4.innerHTML = `<div style="font-weight:900">${money(v.price)}</div>`;
@@ -439,11 +1744,15 @@ const API = {
 
   function getFilteredLeads(){
     const status = (ui.leadStatusFilter.value || "").toLowerCase();
+    const assignee = ui.leadAssigneeFilter.value || "";
     const start = ui.leadStart.value ? new Date(ui.leadStart.value) : null;
     const end = ui.leadEnd.value ? new Date(ui.leadEnd.value) : null;
 
     return state.leads.filter((l) => {
       if(status && String(l.status || "").toLowerCase() !== status) return false;
+      if(assignee === "__unassigned" && l.assignee) return false;
+      if(assignee === "__mine" && l.assignee !== state.username) return false;
+      if(assignee && !assignee.startsWith("__") && l.assignee !== assignee) return false;
       if(start || end){
         const created = l.createdAt ? new Date(l.createdAt) : null;
         if(start && created && created < start) return false;
@@ -457,11 +1766,13 @@ const API = {
     const list = getFilteredLeads();
     ui.leadBody.innerHTML = "";
     ui.leadCount.textContent = String(list.length);
+    renderCalendar();
+    renderKanban(list);
 
     if(!list.length){
       const tr = document.createElement("tr");
       const td = document.createElement("td");
-      td.colSpan = 6;
+      td.colSpan = 7;
       td.style.color = "var(--muted)";
       td.style.padding = "14px";
       td.textContent = "No requests match your filters.";
@@ -476,38 +1787,257 @@ const API = {
       tr.appendChild(cell(`<div style="font-weight:900">${esc(l.name || "—")}</div><div style="color:var(--muted);font-size:11px;margin-top:2px">${esc(l.phone || "")}</div>`));
       tr.appendChild(cell(`<div class="mono">${esc(l.vehicleId || "—")}</div>`));
       tr.appendChild(cell(`<span class="tag ${esc((l.type || "lead").toLowerCase())}">${esc(l.type || "lead")}</span>`));
-      tr.appendChild(cell(`<span class="tag ${esc((l.status || "new").toLowerCase())}">${esc(l.status || "new")}</span>`));
-      tr.appendChild(cell(`<span class="mono">${esc(l.createdAt || "")}</span>`));
+      const lost = l.status === "lost" && l.lostReason ? `<div style="color:var(--muted);font-size:11px;margin-top:2px">${esc(l.lostReason)}</div>` : "";
+      tr.appendChild(cell(`<span class="tag ${esc((l.status || "new").toLowerCase())}">${esc(l.status || "new")}</span>${lost}`));
+      const assigneeCell = document.createElement("td");
+      if(can("leads:write") && !state.demo){
+        const assign = document.createElement("select");
+        assign.className = "select btn-mini";
+        assign.innerHTML = assigneeOptions(l.assignee || "", "Unassigned");
+        assign.disabled = state.readOnly;
+        assign.onchange = () => assignLead(l.leadId, assign.value);
+        assigneeCell.appendChild(assign);
+      }else{
+        assigneeCell.innerHTML = l.assignee ? esc(l.assignee) : `<span style="color:var(--muted)">Unassigned</span>`;
+      }
+      tr.appendChild(assigneeCell);
+      const followUp = l.nextFollowUp
+        ? `<div style="color:${isFollowUpDue(l) ? "var(--bad)" : "var(--muted)"};font-size:11px;margin-top:2px">Follow up ${esc(l.nextFollowUp)}</div>`
+        : "";
+      tr.appendChild(cell(`<span class="mono">${esc(l.createdAt || "")}</span>${followUp}`));
 
       const actions = document.createElement("td");
-      const bookedBtn = document.createElement("button");
-      bookedBtn.className = "btn btn-mini";
-      bookedBtn.textContent = "Mark booked";
-      bookedBtn.disabled = String(l.status || "").toLowerCase() === "booked";
-      bookedBtn.onclick = () => updateLeadStatus(l.leadId, "booked");
-
-      const closedBtn = document.createElement("button");
-      closedBtn.className = "btn btn-mini";
-      closedBtn.textContent = "Close";
-      closedBtn.disabled = String(l.status || "").toLowerCase() === "closed";
-      closedBtn.onclick = () => updateLeadStatus(l.leadId, "closed");
-
-      actions.appendChild(bookedBtn);
-      actions.appendChild(closedBtn);
+      const activityBtn = document.createElement("button");
+      activityBtn.className = "btn btn-mini";
+      activityBtn.textContent = l.activityCount ? `Activity (${l.activityCount})` : "Activity";
+      activityBtn.onclick = () => openLeadDrawer(l);
+
+      const next = nextStages(l.status);
+      const move = document.createElement("select");
+      move.className = "select btn-mini";
+      move.innerHTML = `<option value="">Move to…</option>` + next.map(st => `<option value="${esc(st)}">${esc(st)}</option>`).join("");
+      move.disabled = state.readOnly || !can("leads:write") || !next.length;
+      move.onchange = () => { const st = move.value; move.value = ""; if(st) moveLead(l, st); };
+
+      actions.appendChild(activityBtn);
+      actions.appendChild(move);
       tr.appendChild(actions);
 
       ui.leadBody.appendChild(tr);
     });
   }
 
-  async function updateLeadStatus(leadId, status){
+  // Assignee filter: All / Unassigned / Mine (staff logins only) / each salesperson, keeping the current pick.
+  function paintAssigneeFilter(){
+    const current = ui.leadAssigneeFilter.value;
+    const names = [...new Set([...state.assignees, ...state.leads.map(l => l.assignee).filter(Boolean)])].sort();
+    ui.leadAssigneeFilter.innerHTML = `<option value="">All</option><option value="__unassigned">Unassigned</option>`
+      + (state.username ? `<option value="__mine">Mine</option>` : "")
+      + names.map(n => `<option value="${esc(n)}">${esc(n)}</option>`).join("");
+    ui.leadAssigneeFilter.value = [...ui.leadAssigneeFilter.options].some(o => o.value === current) ? current : "";
+  }
+  // <option>s for an assignee picker; a disabled user who still holds the lead stays listed.
+  function assigneeOptions(selected, emptyLabel){
+    const names = selected && !state.assignees.includes(selected) ? [...state.assignees, selected] : state.assignees;
+    return `<option value="">${esc(emptyLabel)}</option>`
+      + names.map(n => `<option value="${esc(n)}"${n === selected ? " selected" : ""}>${esc(n)}</option>`).join("");
+  }
+  async function assignLead(leadId, assignee){
+    if(state.demo || state.readOnly) return;
+    try{
+      const data = await apiRequest(API.leadAssign(leadId), "POST", { assignee });
+      if(!data) return;
+      const lead = state.leads.find(l => l.leadId === leadId);
+      if(lead) lead.assignee = data.assignment?.assignee || "";
+      toast(assignee ? `Assigned to ${assignee}.` : "Request unassigned.", "success");
+      if(state.drawerLeadId === leadId) loadLeadActivities(leadId);
+    }catch(e){
+      toast(String(e?.message || "Could not assign request."), "error");
+    }finally{
+      renderLeads();
+      const open = state.leads.find(l => l.leadId === state.drawerLeadId);
+      if(open) ui.ldAssignee.innerHTML = assigneeOptions(open.assignee || "", "Unassigned");
+    }
+  }
+
+  // Open requests whose next follow-up is today or already past (local date).
+  function isFollowUpDue(l){
+    const inactive = ["won","lost","closed","cancelled","no_show","spam"];
+    return !!l.nextFollowUp && l.nextFollowUp <= isoDay(new Date()) && !inactive.includes(String(l.status || "").toLowerCase());
+  }
+
+  // Lead drawer: activity timeline plus a form to log calls/messages/notes and set the next follow-up.
+  function openLeadDrawer(l){
+    state.drawerLeadId = l.leadId;
+    ui.ldTitle.textContent = l.name || "Request";
+    ui.ldSub.textContent = [l.phone, l.email, l.vehicleId ? `Vehicle ${l.vehicleId}` : "", l.status].filter(Boolean).join(" · ");
+    ui.ldBody.value = "";
+    ui.ldType.value = "call";
+    ui.ldFollowUpDate.value = l.nextFollowUp || "";
+    ui.ldAssignee.innerHTML = assigneeOptions(l.assignee || "", "Unassigned");
+    ui.ldAssignee.disabled = state.demo || state.readOnly || !can("leads:write");
+    ui.ldStatus.textContent = "";
+    ui.ldStatus.classList.remove("error");
+    ui.ldForm.classList.toggle("hidden", state.demo || !can("leads:write"));
+    ui.btnLogActivity.disabled = state.readOnly;
+    paintFollowUp(l.nextFollowUp);
+    ui.ldTimeline.innerHTML = "";
+    ui.leadDrawer.classList.add("show");
+    ui.leadDrawer.setAttribute("aria-hidden","false");
+    loadLeadActivities(l.leadId);
+  }
+  function closeLeadDrawer(){
+    ui.leadDrawer.classList.remove("show");
+    ui.leadDrawer.setAttribute("aria-hidden","true");
+    state.drawerLeadId = null;
+  }
+  function paintFollowUp(date){
+    ui.ldFollowUp.textContent = date ? `Next follow-up: ${date}` : "No follow-up scheduled.";
+  }
+  async function loadLeadActivities(leadId){
+    if(state.demo){
+      ui.ldTimeline.innerHTML = `<li class="hint">Activity is available once you sign in.</li>`;
+      return;
+    }
+    try{
+      const data = await apiRequest(API.leadActivities(leadId));
+      if(!data || state.drawerLeadId !== leadId) return;
+      const activities = Array.isArray(data.activities) ? data.activities : [];
+      ui.ldTimeline.innerHTML = activities.map((a) => {
+        const system = a.type === "status" || a.type === "assignment";
+        const label = a.type.charAt(0).toUpperCase() + a.type.slice(1);
+        const follow = a.followUpDate ? ` · follow up ${esc(a.followUpDate)}` : "";
+        return `<li class="${system ? "status" : ""}"><b>${esc(label)}</b> · ${esc(a.by || "—")}`
+          + `<div class="body">${esc(a.body)}</div><div class="hint">${esc(fmt(a.createdAt))}${follow}</div></li>`;
+      }).join("") || `<li class="hint">No activity yet.</li>`;
+    }catch(e){
+      ui.ldTimeline.innerHTML = `<li class="hint">${esc(e?.message || "Could not load activity.")}</li>`;
+    }
+  }
+  async function logLeadActivity(){
+    const leadId = state.drawerLeadId;
+    const body = (ui.ldBody.value || "").trim();
+    if(!leadId) return;
+    if(!body){
+      ui.ldStatus.textContent = "Add a few details first.";
+      ui.ldStatus.classList.add("error");
+      return;
+    }
+    ui.btnLogActivity.disabled = true;
+    ui.ldStatus.classList.remove("error");
+    ui.ldStatus.textContent = "Saving…";
+    try{
+      const data = await apiRequest(API.leadActivities(leadId), "POST", {
+        type: ui.ldType.value,
+        body,
+        followUpDate: ui.ldFollowUpDate.value || ""
+      });
+      if(!data) return;
+      const lead = state.leads.find(l => l.leadId === leadId);
+      if(lead){
+        lead.nextFollowUp = data.nextFollowUp || "";
+        lead.lastActivityAt = data.activity.createdAt;
+        lead.activityCount = (lead.activityCount || 0) + 1;
+      }
+      ui.ldBody.value = "";
+      ui.ldStatus.textContent = "Logged.";
+      paintFollowUp(data.nextFollowUp);
+      updateKpis();
+      renderLeads();
+      loadLeadActivities(leadId);
+    }catch(e){
+      ui.ldStatus.textContent = String(e?.message || "Could not log activity.");
+      ui.ldStatus.classList.add("error");
+    }finally{
+      ui.btnLogActivity.disabled = state.readOnly;
+    }
+  }
+
+  // Pipeline helpers. Statuses from before the pipeline (closed, cancelled, …) sit in the Lost column
+  // and may move anywhere, matching the server rules.
+  function leadStage(status){
+    const s = String(status || "new").toLowerCase();
+    if(state.pipeline.stages.includes(s)) return s;
+    return ["closed","cancelled","no_show","spam"].includes(s) ? "lost" : "new";
+  }
+  function nextStages(status){
+    const s = String(status || "new").toLowerCase();
+    if(!state.pipeline.stages.includes(s)) return state.pipeline.stages.filter(st => st !== leadStage(s));
+    return state.pipeline.transitions[s] || [];
+  }
+  function moveLead(lead, stage){
+    if(!nextStages(lead.status).includes(stage)){
+      toast(`A ${lead.status || "new"} request can't move to ${stage}.`, "error");
+      return;
+    }
+    let lostReason = "";
+    if(stage === "lost"){
+      lostReason = (prompt(`Why was ${lead.name || "this request"} lost?`) || "").trim();
+      if(!lostReason){
+        toast("A reason is required to mark a request lost.", "error");
+        return;
+      }
+    }
+    updateLeadStatus(lead.leadId, stage, lostReason);
+  }
+
+  function renderKanban(list){
+    const draggable = can("leads:write") && !state.readOnly;
+    let dragging = null;
+    ui.kanban.innerHTML = "";
+    state.pipeline.stages.forEach((stage) => {
+      const leads = list.filter(l => leadStage(l.status) === stage);
+      const col = document.createElement("div");
+      col.className = "kCol";
+      col.innerHTML = `<div class="kHead"><span>${esc(stage)}</span><span>${leads.length}</span></div>`;
+
+      leads.forEach((l) => {
+        const card = document.createElement("div");
+        card.className = "kCard";
+        card.draggable = draggable;
+        const follow = l.nextFollowUp ? `<div style="color:${isFollowUpDue(l) ? "var(--bad)" : "var(--muted)"}">Follow up ${esc(l.nextFollowUp)}</div>` : "";
+        const lost = stage === "lost" && l.lostReason ? `<div style="color:var(--muted)">${esc(l.lostReason)}</div>` : "";
+        card.innerHTML = `<div style="font-weight:900">${esc(l.name || "—")}</div>`
+          + `<div class="mono" style="color:var(--muted)">${esc(l.vehicleId || "—")}</div>`
+          + `<div style="color:var(--muted)">${esc(l.assignee || "Unassigned")}</div>${follow}${lost}`;
+        card.addEventListener("click", () => openLeadDrawer(l));
+        card.addEventListener("dragstart", (e) => {
+          dragging = l;
+          e.dataTransfer.effectAllowed = "move";
+          e.dataTransfer.setData("text/plain", l.leadId);
+        });
+        card.addEventListener("dragend", () => {
+          dragging = null;
+          ui.kanban.querySelectorAll(".kCol").forEach(c => c.classList.remove("dropOk", "dropNo"));
+        });
+        col.appendChild(card);
+      });
+
+      col.addEventListener("dragover", (e) => {
+        if(!dragging || leadStage(dragging.status) === stage) return;
+        const ok = nextStages(dragging.status).includes(stage);
+        col.classList.toggle("dropOk", ok);
+        col.classList.toggle("dropNo", !ok);
+        if(ok) e.preventDefault();
+      });
+      col.addEventListener("dragleave", () => col.classList.remove("dropOk", "dropNo"));
+      col.addEventListener("drop", (e) => {
+        e.preventDefault();
+        col.classList.remove("dropOk", "dropNo");
+        if(dragging) moveLead(dragging, stage);
+      });
+      ui.kanban.appendChild(col);
+    });
+  }
+
+  async function updateLeadStatus(leadId, status, lostReason){
     if(!leadId || !status) return;
     ui.leadStatus.textContent = "Updating status…";
 
     try{
       if(state.demo){
         const idx = state.leads.findIndex(l => l.leadId === leadId);
-        if(idx > -1) state.leads[idx].status = status;
+        if(idx > -1) state.leads[idx] = { ...state.leads[idx], status, lostReason: lostReason || "" };
         ui.leadStatus.textContent = "Status updated (demo).";
         updateKpis();
         renderLeads();
@@ -521,18 +2051,24 @@ const API = {
           "Accept":"application/json",
           "Authorization":"Bearer " + state.token
         },
-        body: JSON.stringify({ leadId, status })
+        body: JSON.stringify({ leadId, status, lostReason: lostReason || "" })
       });
       const data = await res.json().catch(()=>null);
+      if(handleAccessError(res, data)) return;
       if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Status update failed");
 
       const idx = state.leads.findIndex(l => l.leadId === leadId);
-      if(idx > -1) state.leads[idx] = { ...state.leads[idx], status };
+      if(idx > -1){
+        const prev = state.leads[idx];
+        // Real changes land on the lead's activity timeline as a "status" entry.
+        const changed = String(prev.status || "") !== status;
+        state.leads[idx] = { ...prev, status, lostReason: lostReason || "", activityCount: (prev.activityCount || 0) + (changed ? 1 : 0) };
+      }
       ui.leadStatus.textContent = "Status updated.";
       updateKpis();
       renderLeads();
     }catch(e){
-      ui.leadStatus.textContent = "Failed to update status.";
+      ui.leadStatus.textContent = String(e?.message || "Failed to update status.");
       toast("Status update failed.", "error");
     }
   }
@@ -557,8 +2093,42 @@ const API = {
     URL.revokeObjectURL(url);
   }
 
+  // ADF/XML is built server-side so vehicle and dealer details match what CRMs receive.
+  async function exportLeadsAdf(){
+    const list = getFilteredLeads();
+    if(!list.length){
+      toast("No requests to export.", "error");
+      return;
+    }
+    if(state.demo){
+      toast("ADF export is available once you sign in.", "error");
+      return;
+    }
+    try{
+      const res = await fetch(API.leadsAdf(list.map(l => l.leadId)), {
+        headers:{ "Authorization":"Bearer " + state.token }
+      });
+      if(!res.ok){
+        const data = await res.json().catch(()=>null);
+        if(handleAccessError(res, data)) return;
+        throw new Error(data?.error || "Export failed");
+      }
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${state.dealerId || "dealer"}_leads_adf.xml`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    }catch(e){
+      toast(String(e?.message || "Export failed."), "error");
+    }
+  }
+
   function exportInventory(){
-    const list = state.vehicles || [];
+    const list = activeVehicles();
     if(!list.length){
       toast("No inventory to export.", "error");
       return;
@@ -623,6 +2193,20 @@ const API = {
     ui.replaceFile.value = "";
     state.replacingIndex = null;
 
+    fillSaleFields(v);
+    fillHoldFields(v);
+
+    ui.btnArchive.classList.toggle("hidden", !v || !can("inventory:write"));
+    ui.btnArchive.textContent = v?.archivedAt ? "Restore ↺" : "Archive 🗄";
+
+    // Media staff edit photos only; sales can look but not change anything.
+    [ui.vStatus, ui.vMake, ui.vModel, ui.vYear, ui.vPrice, ui.vTitle, ui.vNotes,
+      ui.vMileage, ui.vTransmission, ui.vFuelType, ui.vBodyType, ui.vColor, ui.vVin]
+      .forEach(input => { if(input) input.disabled = !can("inventory:write"); });
+    [ui.salePrice, ui.saleDate, ui.saleLead, ui.salesperson]
+      .forEach(input => { if(input) input.disabled = !can("sales:write"); });
+    ui.files.disabled = !can("media:write");
+
     if(!state.editing){
       state.editing = {
         images: [],
@@ -631,10 +2215,194 @@ const API = {
     }
     if(!Array.isArray(state.editing.images)) state.editing.images = [];
     renderGallery();
+    loadVehicleHistory(v);
     ui.backdrop.classList.add("show");
     ui.backdrop.setAttribute("aria-hidden","false");
   }
 
+  // Prefills the sale section from the recorded sale, or from the vehicle (list price, today, current user).
+  function fillSaleFields(v){
+    const sale = v ? state.sales.find(s => s.vehicleId === v.vehicleId) : null;
+    ui.salePrice.value = sale?.salePrice || v?.price || "";
+    ui.saleDate.value = sale?.saleDate || isoDay(new Date());
+    ui.salesperson.value = sale?.salesperson || state.username || "";
+    const leads = v ? state.leads.filter(l => l.vehicleId === v.vehicleId || l.leadId === sale?.leadId) : [];
+    ui.saleLead.innerHTML = `<option value="">No linked request</option>` + leads.map(l =>
+      `<option value="${esc(l.leadId)}">${esc(l.name || "—")} · ${esc(l.phone || "")} · ${esc(String(l.createdAt || "").slice(0,10))}</option>`
+    ).join("");
+    ui.saleLead.value = sale?.leadId || "";
+    toggleSaleCard();
+  }
+  // Owners save the sale with the vehicle; sales staff can't edit the vehicle, so they get their own button.
+  function salesOnly(){
+    return can("sales:write") && !can("inventory:write");
+  }
+  function toggleSaleCard(){
+    const v = state.editing;
+    const canRecord = salesOnly() && !!v?.vehicleId && !v.archivedAt && !state.demo;
+    ui.saleCard.classList.toggle("hidden", ui.vStatus.value !== "sold" && !canRecord);
+    ui.btnRecordSale.classList.toggle("hidden", !canRecord);
+  }
+  function buildSalePayload(){
+    return {
+      salePrice: num(ui.salePrice.value),
+      saleDate: ui.saleDate.value || "",
+      leadId: ui.saleLead.value || "",
+      salesperson: (ui.salesperson.value || "").trim()
+    };
+  }
+  async function recordSale(vehicleId, sale){
+    if(state.demo){
+      state.sales = [{ ...sale, vehicleId, daysInStock: null }, ...state.sales.filter(s => s.vehicleId !== vehicleId)];
+      return;
+    }
+    const data = await apiRequest(API.vehicleSale(vehicleId), "POST", sale);
+    if(!data) return null;
+    state.sales = [data.sale, ...state.sales.filter(s => s.vehicleId !== vehicleId)];
+    if(sale.leadId && can("leads:read")) loadLeads();
+    return data;
+  }
+  async function recordSaleOnly(){
+    const v = state.editing;
+    if(!v?.vehicleId) return;
+    const sale = buildSalePayload();
+    if(sale.salePrice <= 0 || !sale.saleDate){
+      setMStatus("Sale price and sale date are required.", true);
+      return;
+    }
+    ui.btnRecordSale.disabled = true;
+    setMStatus("Recording sale…", false);
+    try{
+      const data = await recordSale(v.vehicleId, sale);
+      if(!data) return;
+      applyHoldChange(data.vehicle);
+      setMStatus("Sale recorded ✅", false);
+      toast("Sale recorded.", "success");
+    }catch(e){
+      setMStatus(String(e?.message || "Could not record the sale."), true);
+    }finally{
+      ui.btnRecordSale.disabled = state.readOnly;
+    }
+  }
+
+  // Reservation card: only for saved vehicles that are available (new hold) or already held.
+  function fillHoldFields(v){
+    const hold = v ? state.reservations.find(r => r.vehicleId === v.vehicleId) : null;
+    const status = String(v?.status || "").toLowerCase();
+    const show = !!v?.vehicleId && !v.archivedAt && !state.demo && can("inventory:write") && (hold || status === "available");
+    ui.holdCard.classList.toggle("hidden", !show);
+    ui.holdStatus.textContent = "";
+    ui.holdStatus.classList.remove("error");
+    if(!show) return;
+
+    const leads = state.leads.filter(l => l.vehicleId === v.vehicleId || l.leadId === hold?.leadId);
+    ui.holdLead.innerHTML = `<option value="">No linked request</option>` + leads.map(l =>
+      `<option value="${esc(l.leadId)}">${esc(l.name || "—")} · ${esc(l.phone || "")}</option>`
+    ).join("");
+    ui.holdLead.value = hold?.leadId || "";
+    ui.holdCustomer.value = hold?.customerName || "";
+    ui.holdDeposit.value = hold?.depositAmount || "";
+    ui.holdUntil.value = localInputValue(hold ? new Date(hold.expiresAt) : new Date(Date.now() + 48 * 60 * 60 * 1000));
+    ui.holdSummary.textContent = hold
+      ? `Held for ${hold.customerName}${hold.depositAmount ? ` (deposit ${money(hold.depositAmount)})` : ""} until ${fmt(hold.expiresAt)}.`
+      : "Hold this vehicle for a buyer. It shows as reserved on your storefront and goes back to Available when the hold expires.";
+    ui.btnReserve.textContent = hold ? "Update hold" : "Reserve";
+    ui.btnReleaseHold.classList.toggle("hidden", !hold);
+    [ui.holdLead, ui.holdCustomer, ui.holdDeposit, ui.holdUntil, ui.btnReserve, ui.btnReleaseHold]
+      .forEach(input => { input.disabled = state.readOnly; });
+  }
+  function localInputValue(d){
+    return `${isoDay(d)}T${String(d.getHours()).padStart(2,"0")}:${String(d.getMinutes()).padStart(2,"0")}`;
+  }
+  function setHoldStatus(msg, isError){
+    ui.holdStatus.textContent = msg;
+    ui.holdStatus.classList.toggle("error", !!isError);
+  }
+  // Reserve/release apply straight away (they don't wait for Save) and update the vehicle's status.
+  async function reserveVehicle(){
+    const v = state.editing;
+    if(!v?.vehicleId) return;
+    if(!ui.holdUntil.value){
+      setHoldStatus("Pick when the hold ends.", true);
+      return;
+    }
+    ui.btnReserve.disabled = true;
+    setHoldStatus("Saving hold…", false);
+    try{
+      const data = await apiRequest(API.vehicleReservation(v.vehicleId), "POST", {
+        leadId: ui.holdLead.value || "",
+        customerName: (ui.holdCustomer.value || "").trim(),
+        depositAmount: num(ui.holdDeposit.value),
+        expiresAt: new Date(ui.holdUntil.value).toISOString()
+      });
+      if(!data) return;
+      state.reservations = [data.reservation, ...state.reservations.filter(r => r.vehicleId !== v.vehicleId)];
+      applyHoldChange(data.vehicle);
+      toast("Vehicle reserved.", "success");
+    }catch(e){
+      setHoldStatus(String(e?.message || "Could not reserve."), true);
+    }finally{
+      ui.btnReserve.disabled = state.readOnly;
+    }
+  }
+  async function releaseHold(){
+    const v = state.editing;
+    if(!v?.vehicleId || !confirm(`Release the hold on ${v.vehicleId}? It goes back to Available.`)) return;
+    ui.btnReleaseHold.disabled = true;
+    try{
+      const data = await apiRequest(API.vehicleReservation(v.vehicleId), "DELETE");
+      if(!data) return;
+      state.reservations = state.reservations.filter(r => r.vehicleId !== v.vehicleId);
+      applyHoldChange(data.vehicle);
+      toast("Hold released.", "success");
+    }catch(e){
+      setHoldStatus(String(e?.message || "Could not release."), true);
+    }finally{
+      ui.btnReleaseHold.disabled = state.readOnly;
+    }
+  }
+  function applyHoldChange(vehicle){
+    if(vehicle){
+      const [saved] = normalize([vehicle]);
+      const idx = state.vehicles.findIndex(x => x.vehicleId === saved.vehicleId);
+      if(idx > -1) state.vehicles[idx] = saved;
+      state.editing.status = saved.status;
+      ui.vStatus.value = String(saved.status || "available").toLowerCase();
+      toggleSaleCard();
+    }
+    fillHoldFields(state.editing);
+    loadVehicleHistory(state.editing);
+    updateKpis();
+    render();
+  }
+
+  // Timeline of price changes and status moves for the vehicle being edited (newest first).
+  async function loadVehicleHistory(v){
+    ui.vHistory.innerHTML = "";
+    ui.historyCard.classList.add("hidden");
+    if(!v?.vehicleId || state.demo) return;
+    try{
+      const data = await apiRequest(API.vehicleHistory(v.vehicleId));
+      if(!data || state.editing?.vehicleId !== v.vehicleId) return;
+      const history = Array.isArray(data.history) ? data.history : [];
+      ui.vHistory.innerHTML = history.map((h) => {
+        const parts = [];
+        if(h.priceTo != null){
+          parts.push(h.priceFrom == null ? `Listed at ${esc(money(h.priceTo))}` : `Price ${esc(money(h.priceFrom))} → <b>${esc(money(h.priceTo))}</b>`);
+        }
+        if(h.statusTo != null){
+          parts.push(h.statusFrom == null ? `Status ${esc(h.statusTo)}` : `Status ${esc(h.statusFrom || "—")} → <b>${esc(h.statusTo)}</b>`);
+        }
+        const drop = h.priceFrom != null && Number(h.priceTo) < Number(h.priceFrom);
+        return `<li class="${drop ? "drop" : ""}">${parts.join(" · ")}<div class="hint">${esc(fmt(h.at))}</div></li>`;
+      }).join("") || `<li class="hint">No changes recorded yet.</li>`;
+      ui.historyCard.classList.remove("hidden");
+    }catch(e){
+      ui.vHistory.innerHTML = `<li class="hint">${esc(e?.message || "Could not load history.")}</li>`;
+      ui.historyCard.classList.remove("hidden");
+    }
+  }
+
   function closeModal(){
     ui.backdrop.classList.remove("show");
     ui.backdrop.setAttribute("aria-hidden","true");
@@ -695,6 +2463,7 @@ const API = {
         renderGallery();
       };
 
+      heroBtn.disabled = replaceBtn.disabled = removeBtn.disabled = !can("media:write");
       actions.appendChild(heroBtn);
       actions.appendChild(replaceBtn);
       actions.appendChild(removeBtn);
@@ -760,11 +2529,24 @@ const API = {
   // 3) Upload images to Cloudinary -> get secure_url
   // 4) Merge images, set hero automatically (or chosen), save again -> Sheets/storefront updated
   async function saveVehicleAndUpload(){
+    if(state.readOnly){
+      setMStatus("Your account is paused — changes are disabled.", true);
+      return;
+    }
+    if(!can("inventory:write") && !can("media:write")){
+      setMStatus("Your role can't edit vehicles.", true);
+      return;
+    }
     const payload = buildPayload();
     if(!payload.make || !payload.model){
       setMStatus("Make + Model are required.", true);
       return;
     }
+    const sale = payload.status === "sold" && can("inventory:write") ? buildSalePayload() : null;
+    if(sale && (sale.salePrice <= 0 || !sale.saleDate)){
+      setMStatus("Sale price and sale date are required for a sold vehicle.", true);
+      return;
+    }
     if(!state.demo && !state.token){
       setMStatus("Not logged in.", true);
       return;
@@ -845,6 +2627,9 @@ const API = {
         images: mergedImages,
         heroImage: heroImage
       });
+      if(sale) await recordSale(savedBase.vehicleId, sale);
+      // The server drops the sale record when a vehicle leaves "sold".
+      else if(payload.status !== "sold") state.sales = state.sales.filter(s => s.vehicleId !== savedBase.vehicleId);
 
       state.editing.images = mergedImages;
       state.editing.heroImage = heroImage;
@@ -855,7 +2640,52 @@ const API = {
       setMStatus(String(e?.message || "Save failed."), true);
       toast("Save failed.", "error");
     }finally{
-      ui.btnSave.disabled = false;
+      ui.btnSave.disabled = state.readOnly;
+    }
+  }
+
+  // Archive hides the vehicle from the storefront and this table; restore brings it back as-is.
+  async function toggleArchive(){
+    const v = state.editing;
+    if(!v?.vehicleId) return;
+    if(state.readOnly){
+      setMStatus("Your account is paused — changes are disabled.", true);
+      return;
+    }
+    const restoring = !!v.archivedAt;
+    if(!restoring && !confirm(`Archive ${v.vehicleId}? It will be hidden from your storefront until restored.`)) return;
+
+    ui.btnArchive.disabled = true;
+    setMStatus(restoring ? "Restoring…" : "Archiving…", false);
+    try{
+      if(state.demo){
+        const idx = state.vehicles.findIndex(x => x.vehicleId === v.vehicleId);
+        if(idx > -1) state.vehicles[idx].archivedAt = restoring ? "" : new Date().toISOString();
+      }else{
+        const res = await fetch(restoring ? API.vehicleRestore(v.vehicleId) : API.vehicle(v.vehicleId), {
+          method: restoring ? "POST" : "DELETE",
+          headers:{
+            "Accept":"application/json",
+            "Authorization":"Bearer " + state.token
+          }
+        });
+        const data = await res.json().catch(()=>null);
+        if(handleAccessError(res, data)) return;
+        if(!res.ok || !data || data.ok !== true) throw new Error(data?.error || "Update failed");
+      }
+      toast(restoring ? "Vehicle restored." : "Vehicle archived.", "success");
+      closeModal();
+      if(state.demo){
+        updateKpis();
+        render();
+      }else{
+        await loadVehicles();
+      }
+    }catch(e){
+      setMStatus(String(e?.message || "Update failed."), true);
+      toast(restoring ? "Restore failed." : "Archive failed.", "error");
+    }finally{
+      ui.btnArchive.disabled = state.readOnly;
     }
   }
 
@@ -1081,6 +2911,7 @@ const API = {
       vin: v.vin || "",
       heroImage: v.heroImage || "",
       images: Array.isArray(v.images) ? v.images : [],
+      archivedAt: v.archivedAt || "",
       updatedAt: v.updatedAt || v.createdAt || new Date().toISOString(),
       createdAt: v.createdAt || v.updatedAt || new Date().toISOString()
     }));
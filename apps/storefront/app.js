@@ -2,7 +2,13 @@
     let allVehicles = [];
     let filtered = [];
     let cloudCfg = { cloudName:"", baseFolder:"" };
-    let storefrontSettings = { storefrontLogoUrl:"", storefrontHeroVideoUrl:"" };
+    const DEFAULT_STOREFRONT_SETTINGS = {
+      storefrontLogoUrl:"",
+      storefrontHeroVideoUrl:"",
+      defaultCurrency:"JMD",
+      whatsappMessageTemplate:""
+    };
+    let storefrontSettings = { ...DEFAULT_STOREFRONT_SETTINGS };
     let currentDealerId = "";
     let dealerProfile = null;
 
@@ -15,10 +21,14 @@
 
     // --------- Helpers ----------
     function qs(id){ return document.getElementById(id); }
+    function currencyPrefix(){
+      const code = String(storefrontSettings.defaultCurrency || "JMD").toUpperCase();
+      return code === "JMD" ? "J$" : code;
+    }
     function money(n){
       const x = Number(n || 0);
       if (!isFinite(x) || x <= 0) return "Price on request";
-      return "J$ " + x.toLocaleString();
+      return currencyPrefix() + " " + x.toLocaleString();
     }
     function norm(s){ return String(s || "").trim().toLowerCase(); }
     function isHttpUrl(u){ return typeof u === "string" && /^https?:\/\//i.test(u); }
@@ -33,19 +43,40 @@
         .replaceAll("'","&#39;");
     }
 
+    function vehiclePageUrl(dealerId, vehicleId){
+      return `/d/${encodeURIComponent(dealerId)}/v/${encodeURIComponent(vehicleId)}`;
+    }
+
     function buildWhatsAppLink(title, vehicleId){
       const digits = digitsOnly(dealerProfile?.whatsapp || "");
       if (!digits) return "#";
       const dealerName = dealerProfile?.name || "Dealer";
-      const link = `${location.origin}/d/${encodeURIComponent(currentDealerId || "")}`;
-      const messageParts = [
-        `${dealerName} — WhatsApp request`,
-        title ? `Vehicle: ${title}` : "",
-        vehicleId ? `ID: ${vehicleId}` : "",
-        `Link: ${link}`
-      ].filter(Boolean);
-      const text = encodeURIComponent(messageParts.join("\\n"));
-      return `https://wa.me/${digits}?text=${text}`;
+      // Vehicle requests link to the detail page so the chat shows a rich preview.
+      const link = vehicleId
+        ? location.origin + vehiclePageUrl(currentDealerId || "", vehicleId)
+        : `${location.origin}/d/${encodeURIComponent(currentDealerId || "")}`;
+      const template = storefrontSettings.whatsappMessageTemplate || "";
+      let message;
+      if (template){
+        // Platform template (admin Settings): drop lines whose placeholders are all empty.
+        const values = { dealer: dealerName, vehicle: title || "", vehicleId: vehicleId || "", link };
+        message = template
+          .split("\n")
+          .filter(line => {
+            const keys = [...line.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+            return !keys.length || keys.some(k => values[k]);
+          })
+          .map(line => line.replace(/\{(\w+)\}/g, (m, k) => (k in values ? values[k] : m)))
+          .join("\n");
+      } else {
+        message = [
+          `${dealerName} — WhatsApp request`,
+          title ? `Vehicle: ${title}` : "",
+          vehicleId ? `ID: ${vehicleId}` : "",
+          `Link: ${link}`
+        ].filter(Boolean).join("\n");
+      }
+      return `https://wa.me/${digits}?text=${encodeURIComponent(message)}`;
     }
 
     function showToast(msg, ok=true){
@@ -66,6 +97,12 @@
       return vehicleId;
     }
 
+    // /d/:dealerId links pin the storefront to that dealer; otherwise config decides.
+    function dealerIdFromPath(){
+      const m = location.pathname.match(/^\/d\/([^/]+)/);
+      return m ? decodeURIComponent(m[1]).trim().toUpperCase() : "";
+    }
+
     function setDealerVisibility(hasDealer){
       qs("filters").style.display = hasDealer ? "flex" : "none";
       qs("kpis").style.display = hasDealer ? "grid" : "none";
@@ -114,16 +151,13 @@
         const data = await res.json().catch(()=>null);
         cloudCfg.cloudName = data?.cloudinary?.cloudName || "";
         cloudCfg.baseFolder = data?.cloudinary?.baseFolder || "";
-        storefrontSettings = {
-          storefrontLogoUrl: data?.settings?.storefrontLogoUrl || "",
-          storefrontHeroVideoUrl: data?.settings?.storefrontHeroVideoUrl || ""
-        };
-        currentDealerId = (data?.dealerId || "").trim().toUpperCase();
+        storefrontSettings = { ...DEFAULT_STOREFRONT_SETTINGS, ...(data?.settings || {}) };
+        currentDealerId = dealerIdFromPath() || (data?.dealerId || "").trim().toUpperCase();
         applyHeroMedia();
       }catch{
         cloudCfg = { cloudName:"", baseFolder:"" };
-        storefrontSettings = { storefrontLogoUrl:"", storefrontHeroVideoUrl:"" };
-        currentDealerId = "";
+        storefrontSettings = { ...DEFAULT_STOREFRONT_SETTINGS };
+        currentDealerId = dealerIdFromPath();
         applyHeroMedia();
       }
     }
@@ -168,8 +202,14 @@
       }
       const name = dealerProfile?.name || "Live Inventory";
       qs("storeTitle").textContent = name;
-      qs("storeSub").textContent = "Browse verified inventory and request a viewing in minutes.";
+      qs("storeSub").textContent = dealerProfile?.unavailable
+        ? "This storefront is temporarily unavailable."
+        : "Browse verified inventory and request a viewing in minutes.";
       qs("dealerPill").textContent = name;
+      if (dealerProfile?.unavailable){
+        qs("whatsAppBtn").style.display = "none";
+        return;
+      }
 
       const wa = qs("whatsAppBtn");
       if (dealerProfile?.whatsapp){
@@ -209,11 +249,27 @@
       heroFallback.style.display = "block";
     }
 
+    // Suspended dealers: hide inventory and filters behind a neutral notice.
+    function showUnavailable(){
+      qs("unavailable").style.display = "block";
+      qs("invalidLink").style.display = "none";
+      setDealerVisibility(false);
+      allVehicles = [];
+      qs("grid").innerHTML = "";
+      qs("empty").style.display = "none";
+      qs("countMeta").textContent = "0";
+    }
+
     // --------- Fetch inventory ----------
     async function loadInventory(){
       const dealerId = currentDealerId;
       qs("dealerPill").textContent = dealerProfile?.name ? dealerProfile.name : (dealerId || "Dealer");
+      qs("unavailable").style.display = "none";
       qs("invalidLink").style.display = dealerId ? "none" : "block";
+      if (dealerProfile?.unavailable){
+        showUnavailable();
+        return;
+      }
       setDealerVisibility(!!dealerId);
       if (!dealerId){
         allVehicles = [];
@@ -236,6 +292,10 @@
       try{
         const res = await fetch(url.toString(), { headers: { "Accept":"application/json" }});
         const data = await res.json().catch(()=>null);
+        if (data?.unavailable){
+          showUnavailable();
+          return;
+        }
         allVehicles = (data && Array.isArray(data.vehicles)) ? data.vehicles : [];
         buildFilterOptions(allVehicles);
         applyFilters();
@@ -368,7 +428,7 @@
       if (!prices.length) qs("kRange").textContent = "—";
       else {
         const min = Math.min(...prices), max = Math.max(...prices);
-        qs("kRange").textContent = "J$ " + min.toLocaleString() + " → " + "J$ " + max.toLocaleString();
+        qs("kRange").textContent = money(min) + " → " + money(max);
       }
 
       if (!list.length) qs("kTip").textContent = "Try clearing filters or searching by make/model.";
@@ -443,6 +503,19 @@
         tag.innerHTML = `<span class="miniDot"></span><span>Verified dealer</span>`;
         media.appendChild(tag);
 
+        // Held vehicles stay listed with reservedUntil; otherwise flag a recent price cut.
+        if (v.reservedUntil) {
+          const hold = document.createElement("div");
+          hold.className = "tag reserved";
+          hold.textContent = "Reserved until " + new Date(v.reservedUntil).toLocaleString(undefined, { month:"short", day:"numeric", hour:"numeric", minute:"2-digit" });
+          media.appendChild(hold);
+        } else if (v.priceReduced) {
+          const drop = document.createElement("div");
+          drop.className = "tag priceDrop";
+          drop.textContent = "Price reduced";
+          media.appendChild(drop);
+        }
+
         const hero = pickHeroUrl(v);
         if (hero){
           const img = document.createElement("img");
@@ -462,8 +535,11 @@
         const c = document.createElement("div");
         c.className = "content";
 
-        const t = document.createElement("div");
+        const t = document.createElement("a");
         t.className = "title";
+        t.href = vehiclePageUrl(dealerId, vehicleId);
+        t.style.display = "block";
+        t.style.textDecoration = "none";
         t.textContent = title;
 
         const meta = document.createElement("div");
@@ -488,13 +564,19 @@
         const price = document.createElement("div");
         price.className = "price";
         price.textContent = money(v.price);
+        if (v.priceReduced) {
+          const was = document.createElement("s");
+          was.className = "wasPrice";
+          was.textContent = money(v.priceReduced.previousPrice);
+          price.appendChild(was);
+        }
 
         const st = document.createElement("div");
         st.className = "status " + ((status==="published" || status==="available" || status==="in_stock" || status==="instock") ? "published" : "");
         st.textContent =
           (status==="published" || status==="available" || status==="in_stock" || status==="instock")
             ? "IN STOCK"
-            : (v.status || "Draft");
+            : v.reservedUntil ? "RESERVED" : (v.status || "Draft");
 
         pr.appendChild(price);
         pr.appendChild(st);
@@ -531,9 +613,15 @@
         walkBtn.textContent = "Book a Walk-In";
         walkBtn.onclick = () => openBooking("walk_in", dealerId, vehicleId, title);
 
+        const detailsBtn = document.createElement("a");
+        detailsBtn.className = "btn btn-ghost btn-sm";
+        detailsBtn.href = vehiclePageUrl(dealerId, vehicleId);
+        detailsBtn.textContent = "Full details & gallery";
+
         panel.appendChild(waBtn);
         panel.appendChild(liveBtn);
         panel.appendChild(walkBtn);
+        panel.appendChild(detailsBtn);
 
         makeRequest.onclick = () => {
           const isOpen = panel.classList.contains("show");
@@ -567,7 +655,7 @@
 
     // --------- Booking funnel ----------
     function openBooking(type, dealerId, vehicleId, title){
-      booking = { dealerId, vehicleId, title, dealerName: dealerProfile?.name || "" };
+      booking = { dealerId, vehicleId, title, dealerName: dealerProfile?.name || "", formToken: "" };
       qs("mType").value = type;
       qs("mTitle").textContent = type==="live_video" ? "Book a live video viewing" : "Book a walk-in";
       qs("mSub").textContent =
@@ -577,6 +665,43 @@
       qs("mStatus").textContent = "";
       qs("backdrop").style.display = "flex";
       qs("backdrop").setAttribute("aria-hidden","false");
+      loadSlots(dealerId, vehicleId);
+    }
+
+    // Appointment slots come from the dealer's business hours minus existing bookings.
+    let slotDays = [];
+    async function loadSlots(dealerId, vehicleId){
+      slotDays = [];
+      qs("mDate").innerHTML = `<option value="">Loading dates…</option>`;
+      qs("mTime").innerHTML = `<option value="">Pick a date first</option>`;
+      try{
+        const url = `/api/public/slots?dealerId=${encodeURIComponent(dealerId || "")}&vehicleId=${encodeURIComponent(vehicleId || "")}`;
+        const res = await fetch(url, { headers:{ "Accept":"application/json" } });
+        const data = await res.json().catch(()=>null);
+        if (!res.ok || !data?.ok) throw new Error(data?.error || "Failed to load slots");
+        slotDays = (data.days || []).filter(d => d.slots && d.slots.length);
+        // Keep the token from when the form opened; refreshing slots after a clash shouldn't restart the clock.
+        booking.formToken = booking.formToken || data.formToken || "";
+      }catch(e){
+        slotDays = [];
+      }
+      renderSlotDates();
+    }
+
+    function renderSlotDates(){
+      const dateSel = qs("mDate");
+      dateSel.innerHTML = `<option value="">No preference — please call me</option>` + slotDays.map(d => {
+        const label = new Date(d.date + "T00:00:00").toLocaleDateString(undefined, { weekday:"short", month:"short", day:"numeric" });
+        return `<option value="${esc(d.date)}">${esc(label)}</option>`;
+      }).join("");
+      renderSlotTimes();
+    }
+
+    function renderSlotTimes(){
+      const day = slotDays.find(d => d.date === qs("mDate").value);
+      qs("mTime").innerHTML = day
+        ? day.slots.map(t => `<option value="${esc(t)}">${esc(t)}</option>`).join("")
+        : `<option value="">Pick a date first</option>`;
     }
 
     function closeBooking(){
@@ -596,7 +721,9 @@
         preferredDate: qs("mDate").value || "",
         preferredTime: qs("mTime").value || "",
         notes: qs("mNotes").value.trim(),
-        source: "storefront"
+        source: "storefront",
+        website: qs("mWebsite").value,
+        formToken: booking.formToken
       };
 
       if (!payload.name || !payload.phone){
@@ -617,11 +744,21 @@
         if (!res.ok){
           qs("mStatus").textContent = data?.error || "Could not send request.";
           showToast("Request not sent.", false);
+          // Someone else took the slot: refresh the pickers so it disappears.
+          if (data?.slotTaken) loadSlots(booking.dealerId, booking.vehicleId);
           return;
         }
 
-        qs("mStatus").textContent = "Request sent. We’ll confirm shortly.";
+        // Paused dealers: the server holds the request for review (202 + held).
+        qs("mStatus").textContent = data?.held
+          ? "Request received. The dealer will follow up once they’re back online."
+          : "Request sent. We’ll confirm shortly.";
         showToast("Viewing request sent.");
+        // Booked slots come back with a signed .ics link; keep the modal open so it can be saved.
+        if (data?.inviteUrl){
+          qs("mStatus").insertAdjacentHTML("beforeend", ` <a href="${esc(data.inviteUrl)}" download><strong>Add to my calendar (.ics)</strong></a>`);
+          return;
+        }
         setTimeout(closeBooking, 600);
       }catch(e){
         qs("mStatus").textContent = "Could not send request. Please try again.";
@@ -651,6 +788,7 @@
     qs("mCancel").onclick = closeBooking;
     qs("backdrop").addEventListener("click",(e)=>{ if(e.target.id==="backdrop") closeBooking(); });
     qs("mSubmit").onclick = submitBooking;
+    qs("mDate").onchange = renderSlotTimes;
     document.addEventListener("click", (e)=>{
       if (!e.target.closest(".actions")) {
         document.querySelectorAll(".actionPanel").forEach((el) => el.classList.remove("show"));
@@ -0,0 +1,106 @@
+// scripts/check-storage.js
+// Round-trips dealers, vehicles, leads and records through the file driver in a
+// throwaway DATA_DIR and checks the stored rows against storage/common.js.
+//
+//   npm test
+
+"use strict";
+
+const assert = require("assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFileStore } = require("../storage/file");
+const {
+  DEALER_HEADERS,
+  VEHICLE_HEADERS,
+  LEAD_HEADERS,
+  RECORD_HEADERS,
+  dealerToRow,
+  vehicleFromRow,
+} = require("../storage/common");
+
+async function main() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-check-"));
+  try {
+    const store = createFileStore({ dataDir });
+    const readRaw = () => JSON.parse(fs.readFileSync(path.join(dataDir, "store.json"), "utf8"));
+
+    // Dealers
+    const dealer = { dealerId: "AB123", name: "Check Motors", status: "active", passcodeHash: "x", whatsapp: "+2712" };
+    await store.ensureDealerLayout(dealer.dealerId);
+    await store.adminUpsertDealer(dealer);
+    await store.adminUpsertDealer({ ...dealer, name: "Check Motors 2" });
+    const dealers = await store.adminListDealers();
+    assert.equal(dealers.length, 1, "upsert must replace, not append");
+    assert.equal(dealers[0].name, "Check Motors 2");
+    assert.equal((await store.adminGetDealer("AB123")).whatsapp, "+2712");
+    assert.equal(await store.adminGetDealer("ZZ999"), null);
+    assert.equal(readRaw().dealers[0].length, DEALER_HEADERS.length);
+    assert.deepEqual(readRaw().dealers[0].slice(0, 3), dealerToRow({ ...dealer, name: "Check Motors 2" }).slice(0, 3));
+
+    // Vehicles
+    const vehicle = {
+      vehicleId: "v1",
+      title: "2019 Polo",
+      make: "VW",
+      model: "Polo",
+      year: 2019,
+      price: 189000,
+      status: "available",
+      images: ["https://example.com/a.jpg"],
+      mileage: 0,
+      vin: "WVW123",
+    };
+    const saved = await store.dealerUpsertVehicle("AB123", vehicle);
+    assert.ok(saved.updatedAt);
+    const [listed] = await store.dealerListVehicles("AB123");
+    assert.equal(readRaw().dealerTabs.AB123.vehicles[0].length, VEHICLE_HEADERS.length);
+    assert.deepEqual(listed, vehicleFromRow(readRaw().dealerTabs.AB123.vehicles[0], "AB123"));
+    assert.equal(listed.price, 189000);
+    assert.equal(listed.mileage, 0, "a zero mileage must survive the round trip");
+    assert.deepEqual(listed.images, vehicle.images);
+    assert.equal(await store.dealerDeleteVehicle("AB123", "v1"), true);
+    assert.equal(await store.dealerDeleteVehicle("AB123", "v1"), false);
+    assert.deepEqual(await store.dealerListVehicles("AB123"), []);
+
+    // Leads
+    const lead = await store.dealerAppendLead("AB123", { vehicleId: "v1", name: "Jane", phone: "0821234567" });
+    assert.match(lead.leadId, /^lead_[0-9a-f]{12}$/);
+    assert.equal(readRaw().dealerTabs.AB123.leads[0].length, LEAD_HEADERS.length);
+    const [listedLead] = await store.dealerListLeads("AB123");
+    assert.equal(listedLead.leadId, lead.leadId);
+    assert.equal(listedLead.type, "video");
+    assert.equal(listedLead.source, "storefront");
+    assert.equal(listedLead.status, "new");
+    const updated = await store.dealerUpdateLeadStatus("AB123", lead.leadId, "contacted");
+    assert.equal(updated.status, "contacted");
+    assert.equal(updated.rowNum, listedLead.rowNum);
+    assert.equal((await store.dealerListLeads("AB123"))[0].status, "contacted");
+    assert.equal(await store.dealerUpdateLeadStatus("AB123", "lead_missing", "contacted"), null);
+
+    // Records
+    await store.putRecord("CHECK", { id: "a", n: 1 });
+    await store.putRecord("CHECK", { id: "a", n: 2 });
+    await store.appendRecord("CHECK", { id: "b", n: 3 });
+    assert.deepEqual(await store.getRecord("CHECK", "a"), { id: "a", n: 2 });
+    assert.equal((await store.listRecords("CHECK")).length, 2);
+    assert.equal(readRaw().records.CHECK[0].length, RECORD_HEADERS.length);
+    assert.equal(await store.deleteRecord("CHECK", "a"), true);
+    assert.equal(await store.getRecord("CHECK", "a"), null);
+    assert.deepEqual(await store.listRecords("EMPTY"), []);
+
+    // Concurrent writes are serialized, so none are lost.
+    await Promise.all(Array.from({ length: 20 }, (_, i) => store.appendRecord("BURST", { id: `r${i}` })));
+    assert.equal((await store.listRecords("BURST")).length, 20);
+
+    console.log("storage check passed");
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,342 @@
+// scripts/check-storefront.js
+// Boots server.js on the file driver, loads the storefront page it actually serves
+// and runs that page's inline script against a small stand-in DOM: open the booking
+// modal from a vehicle card, pick a slot and send the request like a visitor would.
+//
+//   npm test
+
+"use strict";
+
+const assert = require("assert/strict");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const vm = require("vm");
+const { createFileStore } = require("../storage/file");
+
+const ROOT = path.join(__dirname, "..");
+const PORT = 18000 + (process.pid % 1000);
+const ORIGIN = `http://127.0.0.1:${PORT}`;
+// Keep in step with MIN_LEAD_FILL_MS in server.js.
+const MIN_FILL_MS = 3000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function waitFor(what, fn, timeoutMs = 5000) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const out = fn();
+    if (out) return out;
+    if (Date.now() > until) throw new Error(`Timed out waiting for ${what}`);
+    await sleep(25);
+  }
+}
+
+// ---------- Stand-in DOM ----------
+// Just enough of the element API for the storefront script; unknown ids resolve to null like a browser.
+class El {
+  constructor(tag, id = "") {
+    this.tagName = String(tag).toUpperCase();
+    this.id = id;
+    this.children = [];
+    this.style = {};
+    this.attrs = {};
+    this.value = "";
+    this.textContent = "";
+    this.options = [];
+    this._html = "";
+    const classes = new Set();
+    this.classList = {
+      add: (c) => classes.add(c),
+      remove: (c) => classes.delete(c),
+      contains: (c) => classes.has(c),
+      toggle: (c, on) => ((on ?? !classes.has(c)) ? classes.add(c) : classes.delete(c)),
+    };
+  }
+  get innerHTML() {
+    return this._html;
+  }
+  set innerHTML(html) {
+    this._html = String(html);
+    this.children = [];
+    if (this.tagName === "SELECT") {
+      this.options = [...this._html.matchAll(/<option value="([^"]*)"/g)].map((m) => m[1]);
+      this.value = this.options[0] ?? "";
+    }
+  }
+  insertAdjacentHTML(_where, html) {
+    this._html += html;
+  }
+  appendChild(child) {
+    this.children.push(child);
+    return child;
+  }
+  setAttribute(k, v) {
+    this.attrs[k] = String(v);
+  }
+  getAttribute(k) {
+    return this.attrs[k] ?? null;
+  }
+  addEventListener(type, fn) {
+    this[`on${type}`] = fn;
+  }
+  querySelector() {
+    return new El("div");
+  }
+  // Depth-first search through appended children.
+  find(pred) {
+    for (const c of this.children) {
+      if (!(c instanceof El)) continue;
+      if (pred(c)) return c;
+      const hit = c.find(pred);
+      if (hit) return hit;
+    }
+    return null;
+  }
+  text() {
+    return [this.textContent, ...this.children.map((c) => (c instanceof El ? c.text() : c.data))].join(" ");
+  }
+}
+
+function pageScripts(html) {
+  return [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)].map((m) => m[1]);
+}
+
+// Runs the page's inline script; returns the element lookup so checks can poke at the page.
+async function openPage(pagePath) {
+  const res = await fetch(ORIGIN + pagePath);
+  assert.equal(res.status, 200, `GET ${pagePath}`);
+  const html = await res.text();
+  const elements = new Map([...html.matchAll(/<(\w+)[^>]*\sid="([^"]+)"/g)].map((m) => [m[2], new El(m[1], m[2])]));
+
+  const document = {
+    getElementById: (id) => elements.get(id) || null,
+    createElement: (tag) => new El(tag),
+    createTextNode: (data) => ({ data }),
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+  };
+  const location = new URL(ORIGIN + pagePath);
+  const context = vm.createContext({
+    document,
+    location,
+    window: { open: () => null },
+    URL,
+    console,
+    fetch: (url, opts) => fetch(new URL(String(url), ORIGIN), opts),
+    setTimeout: (fn, ms) => setTimeout(fn, ms).unref(),
+    setInterval: () => 0,
+  });
+  context.window.history = { replaceState: () => {} };
+  const scripts = pageScripts(html);
+  assert.equal(scripts.length, 1, "storefront should have exactly one inline script");
+  vm.runInContext(scripts[0], context, { filename: pagePath });
+  return { qs: (id) => document.getElementById(id), html };
+}
+
+function buttonLabelled(root, label) {
+  return root.find((el) => el.tagName === "BUTTON" && el.textContent === label);
+}
+
+// ---------- Server ----------
+function startServer(dataDir) {
+  const child = spawn(process.execPath, [path.join(ROOT, "server.js")], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      STORAGE_DRIVER: "file",
+      DATA_DIR: dataDir,
+      ADMIN_PASSWORD: "storefront-check",
+      DEALER_ID: "",
+      DEFAULT_DEALER_ID: "",
+      PUBLIC_BASE_URL: "",
+    },
+    stdio: ["ignore", "ignore", "inherit"],
+  });
+  return child;
+}
+
+async function waitForServer(child) {
+  const until = Date.now() + 15000;
+  while (Date.now() < until) {
+    if (child.exitCode != null) throw new Error(`server.js exited with ${child.exitCode}`);
+    try {
+      const res = await fetch(`${ORIGIN}/api/public/config`);
+      if (res.ok) return;
+    } catch {
+      // not listening yet
+    }
+    await sleep(100);
+  }
+  throw new Error("server.js did not start");
+}
+
+async function seed(store) {
+  const now = new Date().toISOString();
+  await store.adminUpsertDealer({ dealerId: "AB123", name: "Check Motors", status: "active", createdAt: now, updatedAt: now });
+  await store.adminUpsertDealer({ dealerId: "CD456", name: "Parked Motors", status: "suspended", createdAt: now, updatedAt: now });
+  await store.dealerUpsertVehicle("AB123", {
+    vehicleId: "v1",
+    title: "2019 Toyota Axio",
+    make: "Toyota",
+    model: "Axio",
+    year: 2019,
+    price: 2150000,
+    status: "available",
+  });
+  // Cut from 2.5M a day ago, inside the "Price reduced" badge window.
+  await store.dealerUpsertVehicle("AB123", { vehicleId: "v2", title: "2017 Honda Fit", price: 1300000, status: "available" });
+  await store.appendRecord("VEHICLE_HISTORY", {
+    id: "hist_v2",
+    dealerId: "AB123",
+    vehicleId: "v2",
+    at: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+    priceFrom: 1450000,
+    priceTo: 1300000,
+  });
+  // On hold until tomorrow: listed as reserved rather than hidden.
+  await store.dealerUpsertVehicle("AB123", { vehicleId: "v3", title: "2020 Nissan Note", price: 1800000, status: "pending" });
+  await store.putRecord("RESERVATIONS", {
+    id: "AB123:v3",
+    dealerId: "AB123",
+    vehicleId: "v3",
+    customerName: "Held Customer",
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+  });
+}
+
+// ---------- Checks ----------
+// Opens /d/:dealerId and waits for the vehicle cards to replace the loading skeleton.
+async function openGrid(dealerId) {
+  const page = await openPage(`/d/${dealerId}`);
+  const grid = page.qs("grid");
+  await waitFor("vehicle cards", () => grid.children.length && grid.children.every((c) => c.find((el) => el.className === "title")));
+  const cardFor = (title) => grid.children.find((c) => c.text().includes(title));
+  return { ...page, cardFor };
+}
+
+// Opens the booking modal from the Toyota's card.
+async function openBooking(dealerId) {
+  const page = await openGrid(dealerId);
+  const card = page.cardFor("2019 Toyota Axio");
+  assert.ok(card, "the Toyota should be listed");
+  buttonLabelled(card, "Live Video Viewing").onclick();
+  assert.equal(page.qs("backdrop").style.display, "flex");
+  await waitFor("slot dates", () => page.qs("mDate").options.length > 1);
+  return { ...page, card };
+}
+
+function pickSlot(qs, date) {
+  const dateSel = qs("mDate");
+  dateSel.value = date || dateSel.options[1];
+  dateSel.onchange();
+  const timeSel = qs("mTime");
+  assert.ok(timeSel.options.length > 0 && timeSel.value, "picking a date should list its times");
+  return { date: dateSel.value, time: timeSel.value };
+}
+
+async function send(qs, name, phone) {
+  qs("mName").value = name;
+  qs("mPhone").value = phone;
+  qs("mSubmit").onclick();
+  const status = qs("mStatus");
+  await waitFor("booking response", () => status.textContent && status.textContent !== "Sending request…");
+  return status.textContent;
+}
+
+async function checkBooking(store) {
+  // Two visitors open the same vehicle and go for the same slot.
+  const first = await openBooking("AB123");
+  const second = await openBooking("AB123");
+  const slot = pickSlot(first.qs);
+  const secondSlot = pickSlot(second.qs, slot.date);
+  assert.deepEqual(secondSlot, slot);
+
+  // A real visitor takes a few seconds to fill the form; faster submissions are quarantined.
+  await sleep(MIN_FILL_MS + 200);
+  assert.match(await send(first.qs, "Jane Visitor", "876-555-0101"), /^Request sent/);
+
+  const [lead] = await store.dealerListLeads("AB123");
+  assert.ok(lead, "the booking should reach the dealer's leads");
+  assert.equal(lead.vehicleId, "v1");
+  assert.equal(lead.preferredDate, slot.date);
+  assert.equal(lead.preferredTime, slot.time);
+  assert.deepEqual(await store.listRecords("LEAD_REVIEW"), [], "a real booking must not be held as spam");
+
+  // A booked slot offers its calendar invite right in the modal.
+  const invite = first.qs("mStatus").innerHTML.match(/<a href="([^"]+)" download>/);
+  assert.ok(invite, "the confirmation should link the .ics invite");
+  const ics = await fetch(ORIGIN + invite[1].replaceAll("&amp;", "&"));
+  assert.equal(ics.status, 200);
+  assert.match(await ics.text(), /BEGIN:VCALENDAR/);
+
+  // The slower visitor is told the slot went, and the refreshed pickers no longer offer it.
+  const clash = await send(second.qs, "Sam Visitor", "876-555-0102");
+  assert.doesNotMatch(clash, /^Request sent/);
+  await waitFor("refreshed slots", () => second.qs("mDate").options.length > 1);
+  pickSlot(second.qs, slot.date);
+  assert.ok(!second.qs("mTime").options.includes(slot.time), "a booked slot should no longer be offered");
+  assert.equal((await store.dealerListLeads("AB123")).length, 1);
+}
+
+// The honeypot field is hidden from people, so anything typed there holds the lead for review.
+async function checkHoneypot(store) {
+  const { qs } = await openBooking("AB123");
+  await sleep(MIN_FILL_MS + 200);
+  qs("mWebsite").value = "https://spam.example";
+  await send(qs, "Bot", "876-555-0199");
+  const held = await store.listRecords("LEAD_REVIEW");
+  assert.equal(held.length, 1);
+  assert.equal(held[0].reason, "spam_honeypot");
+}
+
+async function checkCards() {
+  const { cardFor } = await openGrid("AB123");
+  // Card titles lead to the server-rendered vehicle page.
+  const title = cardFor("2019 Toyota Axio").find((el) => el.className === "title");
+  assert.equal(title.tagName, "A");
+  assert.equal(title.href, "/d/AB123/v/v1");
+  const page = await fetch(ORIGIN + title.href);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /2019 Toyota Axio/);
+
+  const cut = cardFor("2017 Honda Fit");
+  assert.ok(cut.find((el) => el.className === "tag priceDrop"), "a recent price cut should show its badge");
+  assert.equal(cut.find((el) => el.className === "wasPrice")?.textContent, "J$ 1,450,000");
+  assert.equal(cardFor("2019 Toyota Axio").find((el) => el.className === "tag priceDrop"), null);
+
+  const held = cardFor("2020 Nissan Note");
+  assert.ok(held, "a reserved vehicle should stay listed");
+  assert.match(held.find((el) => el.className === "tag reserved")?.textContent || "", /^Reserved until /);
+  assert.equal(held.find((el) => String(el.className).startsWith("status"))?.textContent, "RESERVED");
+}
+
+async function checkSuspended() {
+  const { qs } = await openPage("/d/CD456");
+  await waitFor("unavailable notice", () => qs("unavailable").style.display === "block");
+  assert.equal(qs("grid").children.length, 0);
+}
+
+async function main() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "storefront-check-"));
+  const store = createFileStore({ dataDir });
+  await seed(store);
+  const server = startServer(dataDir);
+  try {
+    await waitForServer(server);
+    await checkSuspended();
+    await checkCards();
+    await checkBooking(store);
+    await checkHoneypot(store);
+    console.log("storefront check passed");
+  } finally {
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,7 +1,7 @@
 // server.js (root)
 // Cloud Run-ready Express server:
 // - Serves static UIs: / (storefront), /dealer, /admin
-// - Google Sheets as DB (one spreadsheet, dealer-per-tab model)
+// - Pluggable storage (storage/): Google Sheets (default) or a local JSON file (STORAGE_DRIVER=file)
 // - OPTIONAL: GCS signed upload URLs (env MEDIA_BUCKET) [kept for back-compat]
 // - Admin + Dealer auth via Cloud Run env vars + passcode hashes
 //
@@ -14,16 +14,42 @@
 // 6) Makes GCS signing optional (won't crash if bucket perms are missing and you don't use it)
 // 7) Adds SIGNED Cloudinary upload signer: POST /api/dealer/cloudinary/sign
 // 8) OPTIONAL: Cloudinary folder listing endpoint (server-side Admin API) if ENABLE_CLOUDINARY_LIST=true
+// 9) Storage drivers behind one interface, so all three apps run offline with STORAGE_DRIVER=file
+// 10) Server-rendered vehicle pages (/d/:dealerId/v/:vehicleId) with OpenGraph tags for share previews
+// 11) schema.org Car/Offer JSON-LD on vehicle pages + /sitemap.xml and /d/:dealerId/sitemap.xml
+// 12) Facebook/Google vehicle catalog feeds (/feeds/:dealerId/...) behind a per-dealer feed token
+// 13) ADF/XML lead export, optional ADF POST to a dealer CRM, inbound POST /api/public/leads/adf
+// 14) Per-dealer outbound webhooks (lead/vehicle events), HMAC-signed, retried with backoff
+// 15) Appointment slots from dealer business hours; bookings are checked for slot conflicts
+// 16) iCalendar: private per-dealer feed of booked viewings + signed .ics invite for customers
+// 17) Admin accounts in ADMIN_USERS (PBKDF2 passwords); ADMIN_USERNAME/ADMIN_PASSWORD (8+ chars) only seed the first one
+// 18) Dealer staff accounts (owner / sales / media) in DEALER_STAFF; dealer routes check role permissions
+// 19) Dealer login lockout per dealerId + per IP with exponential backoff; admins alerted and can clear it
+// 20) 15-minute access tokens + rotating refresh tokens (SESSIONS); token versions revoke old tokens on reset
+// 21) Optional TOTP two-factor login (admin + dealer owners) with recovery codes; admins can reset a lost device
+// 22) Dealer self-service: change own passcode (current one required) and edit profile (name/logo/WhatsApp/address/hours/about)
+// 23) Append-only audit log (AUDIT_LOG) of every mutating API call: actor, action, target, before/after diff, IP; admin Audit tab + CSV
+//     (except anonymous /api/public/* intake, token refresh and upload signing — see isAuditedRequest)
+// 24) Vehicle price/status history (VEHICLE_HISTORY) with a dealer timeline and storefront "Price reduced" badge
+// 25) Sale records (SALES): price, date, linked lead, salesperson; revenue, days-to-sell and lead→sale KPIs
+// 26) Vehicle reservations (RESERVATIONS): customer, deposit, expiry; expired holds return to available, storefront shows "Reserved until"
+// 27) Lead activity timeline (LEAD_ACTIVITIES): calls, WhatsApp, notes, follow-up dates; "follow-ups due" KPI
+// 28) Lead pipeline new → contacted → booked → showed → negotiating → won/lost with checked moves + lost reasons; dealer Kanban
+// 29) Lead assignees (LEAD_ASSIGNMENTS) with optional auto-routing of new leads: round-robin, by vehicle or by lead type
+// 30) Public lead intake: per-IP/per-phone rate limits, unknown dealers rejected, honeypot + fill-time spam quarantined to LEAD_REVIEW
 
 "use strict";
 
 const express = require("express");
+const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
 const https = require("https");
+const http = require("http");
+const dns = require("dns");
+const net = require("net");
 
-// Google APIs
-const { google } = require("googleapis");
+const { createStore } = require("./storage");
 
 // GCS (optional/back-compat)
 let Storage;
@@ -39,17 +65,26 @@ const app = express();
 const PORT = Number(process.env.PORT || 8080);
 const ROOT = __dirname;
 
-const ADMIN_USERNAME = String(process.env.ADMIN_USERNAME || "adminpytch");
-const ADMIN_PASSWORD = String(process.env.ADMIN_PASSWORD || "123456");
+// Bootstrap only: seeds the first ADMIN_USERS account while that collection is empty.
+// The username still defaults to adminpytch; there is no built-in password. With the offline file driver and
+// no ADMIN_PASSWORD, a random one is made for this process and printed at startup (only while no admin exists yet).
+const DEV_ADMIN = String(process.env.STORAGE_DRIVER || "").trim().toLowerCase() === "file" && !process.env.ADMIN_PASSWORD;
+const ADMIN_USERNAME = String(process.env.ADMIN_USERNAME || "adminpytch").trim().toLowerCase();
+const ADMIN_PASSWORD = String(process.env.ADMIN_PASSWORD || (DEV_ADMIN ? generateAdminPassword() : ""));
 
 const JWT_SECRET = String(process.env.JWT_SECRET || "dev-secret-change-me");
-const GOOGLE_SHEET_ID = String(process.env.GOOGLE_SHEET_ID || "");
 const DEFAULT_DEALER_ID = String(process.env.DEALER_ID || process.env.DEFAULT_DEALER_ID || "").trim();
 const DEALER_PASSCODE = String(process.env.DEALER_PASSCODE || "").trim();
 const DEALER_NAME = String(process.env.DEALER_NAME || "").trim();
 const DEALER_LOGO_URL = String(process.env.DEALER_LOGO_URL || "").trim();
 const DEALER_WHATSAPP = String(process.env.DEALER_WHATSAPP || "").trim();
 
+// Optional: POSTed JSON ({ text, ... }, Slack-compatible) when a dealer login keeps failing
+const SECURITY_ALERT_WEBHOOK_URL = String(process.env.SECURITY_ALERT_WEBHOOK_URL || "").trim();
+
+// Absolute origin for canonical/OpenGraph URLs (falls back to the request host)
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || "").trim().replace(/\/+$/, "");
+
 // GCS settings (optional)
 const MEDIA_BUCKET = String(process.env.MEDIA_BUCKET || "samplemedia1");
 const GCS_PUBLIC_BASE = String(process.env.GCS_PUBLIC_BASE || "https://storage.googleapis.com");
@@ -66,10 +101,8 @@ const CLOUDINARY_API_SECRET = String(process.env.CLOUDINARY_API_SECRET || "");
 // Optional: allow server-side folder listing
 const ENABLE_CLOUDINARY_LIST = String(process.env.ENABLE_CLOUDINARY_LIST || "").toLowerCase() === "true";
 
-// Dealer sheet layout
-const DEALER_LEADS_START_ROW = Number(process.env.DEALER_LEADS_START_ROW || 2000);
-const ADMIN_SHEET_TITLE = String(process.env.ADMIN_SHEET_TITLE || "ADMIN");
-const DEALER_MIN_ROWS = Number(process.env.DEALER_MIN_ROWS || Math.max(1200, DEALER_LEADS_START_ROW + 300));
+// Storage (STORAGE_DRIVER=sheets|file, see storage/index.js)
+const store = createStore();
 
 // ---------- Middleware ----------
 app.disable("x-powered-by");
@@ -95,6 +128,20 @@ app.use((req, res, next) => {
   next();
 });
 
+// Audit trail for every mutating API call (see "Audit log" below). Runs after the route so req.user,
+// req.route and any res.locals.audit set by the handler are available.
+app.use((req, res, next) => {
+  if (isAuditedRequest(req)) {
+    res.on("finish", () => {
+      recordAudit(req, res).catch((e) => console.error(`[AUDIT] ${req.method} ${req.path} not recorded:`, e?.message || e));
+    });
+  }
+  next();
+});
+
+// Never serve the local store (STORAGE_DRIVER=file defaults DATA_DIR to ./data under the repo root)
+app.use("/data", (_req, res) => res.status(404).send("Not Found"));
+
 // Serve static files from repo root
 app.use(express.static(ROOT, { extensions: ["html"] }));
 
@@ -104,7 +151,7 @@ function serveAppIndex(appName) {
 }
 app.get("/", serveAppIndex("storefront"));
 app.get(["/storefront", "/storefront/", "/storefront/:dealerId"], serveAppIndex("storefront"));
-app.get("/d/:dealerId", serveAppIndex("storefront"));
+app.get("/d/:dealerId", serveDealerStorefront);
 app.get(["/dealer", "/dealer/"], serveAppIndex("dealer"));
 app.get(["/admin", "/admin/"], serveAppIndex("admin"));
 app.get("/health", (_req, res) => res.json({ ok: true }));
@@ -152,18 +199,581 @@ function requireAuth(req, res, next) {
   if (!token) return res.status(401).json({ ok: false, error: "Missing token" });
   try {
     req.user = verifyJwt(token);
+    // Purpose tokens (2FA challenges) are not sessions.
+    if (req.user.purpose) return res.status(401).json({ ok: false, error: "Invalid token" });
     return next();
   } catch (_e) {
     return res.status(401).json({ ok: false, error: "Invalid token" });
   }
 }
-function requireAdmin(req, res, next) {
+// Re-checks the account so disabling an admin applies to tokens already issued.
+async function requireAdmin(req, res, next) {
   if (!req.user || req.user.role !== "admin") return res.status(403).json({ ok: false, error: "Forbidden" });
-  next();
+  try {
+    const user = await getAdminUser(req.user.sub || req.user.username);
+    if (!user || user.status !== "active") return res.status(401).json({ ok: false, error: "Admin account disabled" });
+    const ended = await checkTokenSession(req.user);
+    if (ended) return res.status(401).json({ ok: false, error: ended });
+    next();
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to check admin account" });
+  }
 }
-function requireDealer(req, res, next) {
-  if (!req.user || req.user.role !== "dealer") return res.status(403).json({ ok: false, error: "Forbidden" });
-  next();
+// Dealer tokens carry the staff username; the role is re-read from DEALER_STAFF so role changes and
+// disabled accounts apply to tokens already issued. Tokens from the shared passcode act as owner.
+function requireDealer(permission) {
+  return async (req, res, next) => {
+    if (!req.user || req.user.role !== "dealer") return res.status(403).json({ ok: false, error: "Forbidden" });
+    try {
+      if (req.user.username) {
+        const staff = await getDealerStaff(req.user.dealerId, req.user.username);
+        if (!staff || staff.status !== "active") return res.status(401).json({ ok: false, error: "Staff account disabled" });
+        req.user.staffRole = staff.role;
+      } else {
+        req.user.staffRole = "owner";
+      }
+      const ended = await checkTokenSession(req.user);
+      if (ended) return res.status(401).json({ ok: false, error: ended });
+      if (permission && !dealerCan(req.user, permission)) {
+        return res.status(403).json({ ok: false, error: `Your role (${req.user.staffRole}) can't do that`, role: req.user.staffRole });
+      }
+      next();
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e?.message || "Failed to check staff account" });
+    }
+  };
+}
+
+// ---------- Dealer lifecycle (active / paused / suspended) ----------
+// active: full access · paused: read-only dealer portal, storefront stays up, leads held for review
+// suspended: locked out, storefront shows "temporarily unavailable", leads rejected
+const DEALER_STATUSES = ["active", "paused", "suspended"];
+const DEALER_STATUS_CACHE_MS = 30 * 1000;
+const dealerStatusCache = new Map();
+
+function dealerAccessLevel(status) {
+  const s = String(status || "active").toLowerCase();
+  if (s === "suspended") return "none";
+  if (s === "paused") return "read";
+  return "write";
+}
+// Dealers configured purely via env (DEALER_PASSCODE) have no ADMIN row and count as active.
+async function lookupDealerStatus(dealerId) {
+  const hit = dealerStatusCache.get(dealerId);
+  if (hit && Date.now() - hit.at < DEALER_STATUS_CACHE_MS) return hit;
+  const dealer = await store.adminGetDealer(dealerId);
+  const envDealer = !!DEFAULT_DEALER_ID && normalizeDealerId(dealerId) === normalizeDealerId(DEFAULT_DEALER_ID);
+  const entry = { status: dealer ? dealer.status || "active" : "active", exists: !!dealer || envDealer, at: Date.now() };
+  dealerStatusCache.set(dealerId, entry);
+  return entry;
+}
+async function getDealerStatus(dealerId) {
+  return (await lookupDealerStatus(dealerId)).status;
+}
+// Public endpoints only take leads for dealers that have an ADMIN row (or are the env-configured dealer).
+async function dealerExists(dealerId) {
+  return (await lookupDealerStatus(dealerId)).exists;
+}
+function forgetDealerStatus(dealerId) {
+  dealerStatusCache.delete(dealerId);
+}
+// Re-checks the live dealer status so pausing/suspending applies to tokens already issued.
+function requireDealerAccess(level) {
+  return async (req, res, next) => {
+    try {
+      const access = dealerAccessLevel(await getDealerStatus(req.user.dealerId));
+      if (access === "none") return res.status(403).json({ ok: false, error: "Dealer account suspended", status: "suspended" });
+      if (level === "write" && access !== "write") {
+        return res.status(403).json({ ok: false, error: "Dealer account is paused (read-only)", status: "paused" });
+      }
+      next();
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e?.message || "Failed to check dealer status" });
+    }
+  };
+}
+
+// ---------- Admin users (ADMIN_USERS records, id = lowercase username) ----------
+const ADMIN_USERS_COLLECTION = "ADMIN_USERS";
+const ADMIN_USER_CACHE_MS = 30 * 1000;
+const MIN_ADMIN_PASSWORD_LENGTH = 8;
+const adminUserCache = new Map();
+
+function normalizeUsername(u) {
+  return String(u || "").trim().toLowerCase();
+}
+function isValidUsername(u) {
+  return /^[a-z0-9._-]{3,32}$/.test(u);
+}
+function publicAdminUser(user) {
+  const { passwordHash: _h, ...rest } = user;
+  return rest;
+}
+function generateAdminPassword() {
+  return crypto.randomBytes(9).toString("base64").replace(/[+/=]/g, "x");
+}
+// Startup check while no admin exists yet: prints the dev password, and refuses to run when the env pair
+// could never sign in (no one could ever reach the admin console).
+async function checkAdminBootstrap() {
+  if ((await store.listRecords(ADMIN_USERS_COLLECTION)).length) return;
+  if (!ADMIN_PASSWORD || ADMIN_PASSWORD.length < MIN_ADMIN_PASSWORD_LENGTH) {
+    console.error(
+      `[ADMIN] No admin accounts exist and ADMIN_PASSWORD is ${ADMIN_PASSWORD ? `shorter than ${MIN_ADMIN_PASSWORD_LENGTH} characters` : "not set"}; ` +
+        `set ADMIN_PASSWORD (${MIN_ADMIN_PASSWORD_LENGTH}+ characters) to create the first admin.`
+    );
+    process.exit(1);
+  }
+  if (DEV_ADMIN) console.log(`[ADMIN] dev login for this run: ${ADMIN_USERNAME} / ${ADMIN_PASSWORD} (set ADMIN_PASSWORD to choose one)`);
+}
+async function getAdminUser(username) {
+  const id = normalizeUsername(username);
+  const hit = adminUserCache.get(id);
+  if (hit && Date.now() - hit.at < ADMIN_USER_CACHE_MS) return hit.user;
+  const user = await store.getRecord(ADMIN_USERS_COLLECTION, id);
+  adminUserCache.set(id, { user, at: Date.now() });
+  return user;
+}
+async function saveAdminUser(user) {
+  const record = { ...user, updatedAt: nowIso() };
+  await store.putRecord(ADMIN_USERS_COLLECTION, record);
+  adminUserCache.delete(record.id);
+  return record;
+}
+// First login on an empty ADMIN_USERS collection creates the account from the env pair.
+async function seedAdminUser(username, password) {
+  if (ADMIN_PASSWORD.length < MIN_ADMIN_PASSWORD_LENGTH) return null;
+  if (username !== ADMIN_USERNAME || !timingSafeEqual(password, ADMIN_PASSWORD)) return null;
+  const existing = await store.listRecords(ADMIN_USERS_COLLECTION);
+  if (existing.length) return null;
+  const now = nowIso();
+  console.log(`[ADMIN] seeded first admin account "${username}" from ADMIN_USERNAME`);
+  return saveAdminUser({
+    id: username,
+    username,
+    name: username,
+    passwordHash: hashPasscode(password),
+    status: "active",
+    createdAt: now,
+    createdBy: "env",
+  });
+}
+
+// ---------- Dealer staff (DEALER_STAFF records, id = dealerId:username) ----------
+// owner: everything incl. staff + settings · sales: leads + recording sales · media: photos/video on existing vehicles
+const DEALER_STAFF_COLLECTION = "DEALER_STAFF";
+const DEALER_STAFF_CACHE_MS = 30 * 1000;
+const MIN_STAFF_PASSCODE_LENGTH = 6;
+const STAFF_ROLES = ["owner", "sales", "media"];
+const STAFF_PERMISSIONS = {
+  owner: ["inventory:read", "inventory:write", "media:write", "leads:read", "leads:write", "sales:write", "settings:write", "staff:manage"],
+  sales: ["inventory:read", "leads:read", "leads:write", "sales:write"],
+  media: ["inventory:read", "media:write"],
+};
+const dealerStaffCache = new Map();
+
+function staffRecordId(dealerId, username) {
+  return `${dealerId}:${normalizeUsername(username)}`;
+}
+function staffPermissions(role) {
+  return STAFF_PERMISSIONS[role] || [];
+}
+function dealerCan(user, permission) {
+  return staffPermissions(user?.staffRole || "owner").includes(permission);
+}
+function publicStaff(staff) {
+  const { passcodeHash: _h, ...rest } = staff;
+  return rest;
+}
+async function getDealerStaff(dealerId, username) {
+  const id = staffRecordId(dealerId, username);
+  const hit = dealerStaffCache.get(id);
+  if (hit && Date.now() - hit.at < DEALER_STAFF_CACHE_MS) return hit.staff;
+  const staff = await store.getRecord(DEALER_STAFF_COLLECTION, id);
+  dealerStaffCache.set(id, { staff, at: Date.now() });
+  return staff;
+}
+async function listDealerStaff(dealerId) {
+  const all = await store.listRecords(DEALER_STAFF_COLLECTION);
+  return all.filter((s) => s.dealerId === dealerId).sort((a, b) => a.username.localeCompare(b.username));
+}
+async function saveDealerStaff(staff) {
+  const record = { ...staff, updatedAt: nowIso() };
+  await store.putRecord(DEALER_STAFF_COLLECTION, record);
+  dealerStaffCache.delete(record.id);
+  return record;
+}
+
+// ---------- Login lockout (LOGIN_LOCKOUTS records, id = dealer:<dealerId> | admin:<username> | ip:<address>) ----------
+// A few free attempts, then every failure doubles the lock (30s, 1m, 2m … capped at 1h).
+// Counters reset after a successful login or a quiet day; admins see and clear them from the dealer modal.
+const LOGIN_LOCKOUTS_COLLECTION = "LOGIN_LOCKOUTS";
+const LOGIN_FREE_ATTEMPTS = { dealer: 5, admin: 5, ip: 20 };
+const LOGIN_BASE_LOCK_MS = 30 * 1000;
+const LOGIN_MAX_LOCK_MS = 60 * 60 * 1000;
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const LOGIN_ALERT_FAILURES = 10;
+const LOGIN_LOCKOUT_MAX_IPS = 10;
+
+// Cloud Run's front end appends the real client address last; earlier entries are client-supplied.
+function clientIp(req) {
+  const forwarded = String(req.get("x-forwarded-for") || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return forwarded[forwarded.length - 1] || req.socket?.remoteAddress || "unknown";
+}
+function lockoutDelayMs(kind, failures) {
+  const over = failures - LOGIN_FREE_ATTEMPTS[kind];
+  if (over < 0) return 0;
+  return Math.min(LOGIN_BASE_LOCK_MS * 2 ** over, LOGIN_MAX_LOCK_MS);
+}
+function isStaleLockout(record) {
+  return !record || Date.now() - Date.parse(record.lastFailureAt || 0) > LOGIN_FAILURE_WINDOW_MS;
+}
+function lockoutRemainingMs(record) {
+  if (!record?.lockedUntil) return 0;
+  return Math.max(0, Date.parse(record.lockedUntil) - Date.now());
+}
+function publicLockout(record) {
+  if (isStaleLockout(record)) return null;
+  const remaining = lockoutRemainingMs(record);
+  return {
+    ...record,
+    locked: remaining > 0,
+    retryAfter: Math.ceil(remaining / 1000),
+    alert: record.failures >= LOGIN_ALERT_FAILURES,
+  };
+}
+// Counts the attempt as a failure *before* the credentials are checked, while holding the key's and the IP's
+// counter locks, so parallel guesses see each other. Returns { retryAfter }: > 0 (seconds) means the attempt is
+// refused and nothing was counted. Call releaseLoginAttempt once the credentials check out.
+async function reserveLoginAttempt(kind, key, ip) {
+  return withLock(`login:${kind}:${key}`, () =>
+    withLock(`login:ip:${ip}`, async () => {
+      const records = await Promise.all([
+        store.getRecord(LOGIN_LOCKOUTS_COLLECTION, `${kind}:${key}`),
+        store.getRecord(LOGIN_LOCKOUTS_COLLECTION, `ip:${ip}`),
+      ]);
+      const remaining = Math.max(...records.map(lockoutRemainingMs));
+      if (remaining > 0) return { retryAfter: Math.ceil(remaining / 1000) };
+      await Promise.all([bumpLoginFailures(kind, key, ip, records[0]), bumpLoginFailures("ip", ip, ip, records[1])]);
+      return { retryAfter: 0 };
+    })
+  );
+}
+// Caller holds the counter's lock.
+async function bumpLoginFailures(kind, key, ip, prev) {
+  const base = isStaleLockout(prev) ? null : prev;
+  const now = Date.now();
+  const failures = (base?.failures || 0) + 1;
+  const delay = lockoutDelayMs(kind, failures);
+  const record = {
+    id: `${kind}:${key}`,
+    kind,
+    key,
+    failures,
+    firstFailureAt: base?.firstFailureAt || new Date(now).toISOString(),
+    lastFailureAt: new Date(now).toISOString(),
+    lockedUntil: delay ? new Date(now + delay).toISOString() : "",
+    alertedAt: base?.alertedAt || "",
+    ...(kind !== "ip" ? { ips: [ip, ...(base?.ips || []).filter((x) => x !== ip)].slice(0, LOGIN_LOCKOUT_MAX_IPS) } : {}),
+  };
+  if (failures >= LOGIN_ALERT_FAILURES && !record.alertedAt) {
+    record.alertedAt = record.lastFailureAt;
+    sendSecurityAlert(record);
+  }
+  await store.putRecord(LOGIN_LOCKOUTS_COLLECTION, record);
+  return record;
+}
+// Undoes a reserved attempt whose credentials were right: one failure fewer, lock recomputed from the last failure.
+async function releaseLoginAttempt(kind, key, ip) {
+  const undo = (kind, key) =>
+    withLock(`login:${kind}:${key}`, async () => {
+      const id = `${kind}:${key}`;
+      const prev = await store.getRecord(LOGIN_LOCKOUTS_COLLECTION, id);
+      if (isStaleLockout(prev)) return;
+      const failures = (prev.failures || 0) - 1;
+      if (failures <= 0) return store.deleteRecord(LOGIN_LOCKOUTS_COLLECTION, id);
+      const delay = lockoutDelayMs(kind, failures);
+      const lockedUntil = delay ? new Date(Date.parse(prev.lastFailureAt) + delay).toISOString() : "";
+      await store.putRecord(LOGIN_LOCKOUTS_COLLECTION, { ...prev, failures, lockedUntil });
+    });
+  await Promise.all([undo(kind, key), undo("ip", ip)]);
+}
+function sendLockedOut(res, retryAfter) {
+  const wait = retryAfter >= 60 ? `${Math.ceil(retryAfter / 60)} min` : `${retryAfter}s`;
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ ok: false, error: `Too many failed attempts. Try again in ${wait}.`, retryAfter });
+}
+async function clearLoginLockouts(ids) {
+  await Promise.all(ids.map((id) => store.deleteRecord(LOGIN_LOCKOUTS_COLLECTION, id)));
+}
+// Fire-and-forget: the server log always gets the warning, the optional webhook a short message.
+function sendSecurityAlert(record) {
+  const text = `Repeated failed logins for ${record.kind} ${record.key}: ${record.failures} failures since ${record.firstFailureAt}`;
+  console.warn(`[SECURITY] ${text}`, record.ips ? `ips=${record.ips.join(",")}` : "");
+  if (!SECURITY_ALERT_WEBHOOK_URL) return;
+  fetch(SECURITY_ALERT_WEBHOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text, event: "login.repeated_failures", ...record }),
+    signal: AbortSignal.timeout(10 * 1000),
+  }).catch((e) => console.warn("[SECURITY] alert webhook failed:", e?.message || e));
+}
+
+// ---------- Sessions (SESSIONS records, id = sid) + token versions ----------
+// Access tokens are short-lived JWTs carrying { sid, tv }. The refresh token ("<sid>.<secret>") is
+// rotated on every use; presenting an old secret again revokes the session.
+// tv must match the subject's token version: TOKEN_VERSIONS[dealerId] for shared-passcode dealer
+// logins, staff.tokenVersion for staff, user.tokenVersion for admins. Bumping it ends every session.
+const SESSIONS_COLLECTION = "SESSIONS";
+const TOKEN_VERSIONS_COLLECTION = "TOKEN_VERSIONS";
+const ACCESS_TOKEN_TTL_S = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SESSION_CACHE_MS = 30 * 1000;
+const sessionCache = new Map();
+const dealerTokenVersionCache = new Map();
+
+function hashRefreshSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+async function getDealerTokenVersion(dealerId) {
+  const hit = dealerTokenVersionCache.get(dealerId);
+  if (hit && Date.now() - hit.at < SESSION_CACHE_MS) return hit.version;
+  const record = await store.getRecord(TOKEN_VERSIONS_COLLECTION, dealerId);
+  const version = Number(record?.version || 0);
+  dealerTokenVersionCache.set(dealerId, { version, at: Date.now() });
+  return version;
+}
+async function bumpDealerTokenVersion(dealerId) {
+  const version = (await getDealerTokenVersion(dealerId)) + 1;
+  await store.putRecord(TOKEN_VERSIONS_COLLECTION, { id: dealerId, version, updatedAt: nowIso() });
+  dealerTokenVersionCache.set(dealerId, { version, at: Date.now() });
+  return version;
+}
+// Current tv for a token's subject (claims as signed into the JWT / stored on the session).
+async function currentTokenVersion(claims) {
+  if (claims.role === "admin") return Number((await getAdminUser(claims.sub || claims.username))?.tokenVersion || 0);
+  if (claims.username) return Number((await getDealerStaff(claims.dealerId, claims.username))?.tokenVersion || 0);
+  return getDealerTokenVersion(claims.dealerId);
+}
+async function getSession(sid) {
+  const hit = sessionCache.get(sid);
+  if (hit && Date.now() - hit.at < SESSION_CACHE_MS) return hit.session;
+  const session = await store.getRecord(SESSIONS_COLLECTION, sid);
+  sessionCache.set(sid, { session, at: Date.now() });
+  return session;
+}
+async function saveSession(session) {
+  await store.putRecord(SESSIONS_COLLECTION, session);
+  sessionCache.set(session.id, { session, at: Date.now() });
+  return session;
+}
+function isLiveSession(session) {
+  return !!session && !session.revokedAt && Date.parse(session.expiresAt) > Date.now();
+}
+function publicSession(session) {
+  const { refreshHash: _h, prevRefreshHash: _p, claims, ...rest } = session;
+  return { ...rest, username: claims?.username || "" };
+}
+function issueAccessToken(session) {
+  return {
+    token: signJwt({ ...session.claims, sid: session.id, tv: session.tokenVersion }, ACCESS_TOKEN_TTL_S),
+    expiresIn: ACCESS_TOKEN_TTL_S,
+  };
+}
+function issueTokens(session, secret) {
+  return { ...issueAccessToken(session), refreshToken: `${session.id}.${secret}` };
+}
+// claims: what goes into every access token for this login ({ role, dealerId | sub, username, ... }).
+async function startSession(req, claims) {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const now = Date.now();
+  const session = await saveSession({
+    id: crypto.randomBytes(12).toString("hex"),
+    kind: claims.role,
+    dealerId: claims.dealerId || "",
+    claims,
+    tokenVersion: await currentTokenVersion(claims),
+    refreshHash: hashRefreshSecret(secret),
+    createdAt: new Date(now).toISOString(),
+    lastUsedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + REFRESH_TOKEN_TTL_MS).toISOString(),
+    ip: clientIp(req),
+    userAgent: String(req.get("user-agent") || "").slice(0, 200),
+    revokedAt: "",
+  });
+  return issueTokens(session, secret);
+}
+// Checks tv + sid of a verified access token; returns an error message or null.
+async function checkTokenSession(user) {
+  if (Number(user.tv || 0) !== (await currentTokenVersion(user))) return "Session ended. Sign in again.";
+  if (user.sid && !isLiveSession(await getSession(user.sid))) return "Session ended. Sign in again.";
+  return null;
+}
+async function listSessions(filter) {
+  const all = await store.listRecords(SESSIONS_COLLECTION);
+  return all.filter((s) => isLiveSession(s) && filter(s)).sort((a, b) => String(b.lastUsedAt).localeCompare(String(a.lastUsedAt)));
+}
+async function revokeSessions(filter, revokedBy) {
+  const sessions = await listSessions(filter);
+  const revokedAt = nowIso();
+  await Promise.all(sessions.map((s) => saveSession({ ...s, revokedAt, revokedBy })));
+  return sessions.length;
+}
+
+// ---------- Two-factor auth (TOTP, RFC 6238; TWO_FACTOR records) ----------
+// id = admin:<username> | dealer:<dealerId> (shared-passcode owner) | staff:<dealerId>:<username>
+// Enrollment: setup stores a pending secret, enable confirms it with a first code and hands out
+// recovery codes (stored as sha256). Used time steps are remembered so a code works only once.
+const TWO_FACTOR_COLLECTION = "TWO_FACTOR";
+const TOTP_PERIOD_S = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW_STEPS = 1;
+const TOTP_ISSUER = "Pytch";
+const TWO_FACTOR_CHALLENGE_TTL_S = 5 * 60;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const twoFactorAttempts = new Map();
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+function base32Decode(str) {
+  const clean = String(str || "").toUpperCase().replace(/[^A-Z2-7]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+// RFC 4226 HOTP over the RFC 6238 time step (HMAC-SHA1, 6 digits, 30s: what authenticator apps expect).
+function totpAt(secret, step) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(step));
+  const h = crypto.createHmac("sha1", base32Decode(secret)).update(msg).digest();
+  const offset = h[h.length - 1] & 15;
+  const bin = h.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+// Returns the matching time step, or -1. Steps at or before lastStep were already used.
+function matchTotp(secret, code, lastStep = -1) {
+  const clean = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(clean)) return -1;
+  const now = Math.floor(Date.now() / 1000 / TOTP_PERIOD_S);
+  for (let step = now - TOTP_WINDOW_STEPS; step <= now + TOTP_WINDOW_STEPS; step++) {
+    if (step > lastStep && timingSafeEqual(totpAt(secret, step), clean)) return step;
+  }
+  return -1;
+}
+function otpauthUri(secret, label) {
+  const name = encodeURIComponent(`${TOTP_ISSUER}:${label}`);
+  const params = new URLSearchParams({ secret, issuer: TOTP_ISSUER, algorithm: "SHA1", digits: String(TOTP_DIGITS), period: String(TOTP_PERIOD_S) });
+  return `otpauth://totp/${name}?${params}`;
+}
+function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(String(code).toLowerCase().replace(/[^a-z0-9]/g, "")).digest("hex");
+}
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+function twoFactorSubject(claims) {
+  if (claims.role === "admin") return `admin:${claims.sub || claims.username}`;
+  if (claims.username) return `staff:${claims.dealerId}:${claims.username}`;
+  return `dealer:${claims.dealerId}`;
+}
+function twoFactorLabel(claims) {
+  if (claims.role === "admin") return `admin ${claims.username}`;
+  return claims.username ? `${claims.dealerId} ${claims.username}` : claims.dealerId;
+}
+function publicTwoFactor(record) {
+  return {
+    enabled: !!record?.enabledAt,
+    enabledAt: record?.enabledAt || "",
+    recoveryCodesLeft: (record?.recoveryCodes || []).length,
+  };
+}
+async function getTwoFactor(subject) {
+  return store.getRecord(TWO_FACTOR_COLLECTION, subject);
+}
+async function saveTwoFactor(record) {
+  return store.putRecord(TWO_FACTOR_COLLECTION, { ...record, updatedAt: nowIso() });
+}
+// Accepts a current TOTP code or an unused recovery code; consumes whichever matched.
+// Returns { ok, recovery } — recovery is true when a recovery code was spent.
+async function consumeTwoFactorCode(subject, code) {
+  return withLock(`2fa:${subject}`, async () => {
+    const record = await getTwoFactor(subject);
+    if (!record?.enabledAt) return { ok: false };
+    const step = matchTotp(record.secret, code, Number(record.lastStep ?? -1));
+    if (step !== -1) {
+      await saveTwoFactor({ ...record, lastStep: step });
+      return { ok: true, recovery: false };
+    }
+    const hash = hashRecoveryCode(code);
+    const codes = record.recoveryCodes || [];
+    if (String(code || "").trim().length > TOTP_DIGITS && codes.includes(hash)) {
+      await saveTwoFactor({ ...record, recoveryCodes: codes.filter((c) => c !== hash) });
+      return { ok: true, recovery: true, recoveryCodesLeft: codes.length - 1 };
+    }
+    return { ok: false };
+  });
+}
+function pruneTwoFactorAttempts() {
+  const now = Date.now();
+  for (const [jti, entry] of twoFactorAttempts) if (entry.exp < now) twoFactorAttempts.delete(jti);
+}
+
+// Final step of every password login: start the session, or, when the subject has TOTP enabled,
+// hand back a short-lived challenge for POST /api/auth/2fa/verify. extra = app-specific response fields.
+async function respondLogin(req, res, claims, extra = {}) {
+  const twoFactor = await getTwoFactor(twoFactorSubject(claims));
+  if (twoFactor?.enabledAt) {
+    const challenge = signJwt(
+      { purpose: "2fa", jti: crypto.randomBytes(12).toString("hex"), claims, extra },
+      TWO_FACTOR_CHALLENGE_TTL_S
+    );
+    return res.json({ ok: true, twoFactorRequired: true, challenge });
+  }
+  await completeLogin(claims);
+  res.json({ ok: true, ...(await startSession(req, claims)), ...extra });
+}
+// Resets the failed-login counter and stamps lastLoginAt once the login is fully verified.
+async function completeLogin(claims) {
+  if (claims.role === "admin") {
+    await clearLoginLockouts([`admin:${claims.sub}`]);
+    const user = await getAdminUser(claims.sub);
+    if (user) await saveAdminUser({ ...user, lastLoginAt: nowIso() });
+    return;
+  }
+  await clearLoginLockouts([`dealer:${claims.dealerId}`]);
+  if (claims.username) {
+    const staff = await getDealerStaff(claims.dealerId, claims.username);
+    if (staff) await saveDealerStaff({ ...staff, lastLoginAt: nowIso() });
+  }
 }
 
 // ---------- Password / passcode hashing ----------
@@ -202,28 +812,30 @@ function gen6() {
 function nowIso() {
   return new Date().toISOString();
 }
-function safeDealerTabName(dealerId) {
-  return String(dealerId || "")
-    .trim()
-    .replace(/[^\w\- ]+/g, "_")
-    .slice(0, 80);
-}
 function digitsOnly(s) {
   return String(s || "").replace(/\D+/g, "");
 }
 function isValidDealerId(dealerId) {
   return /^[A-Za-z]{2}\d{3,5}$/.test(String(dealerId || "").trim());
 }
+function normalizeDealerId(dealerId) {
+  return String(dealerId || "").trim().toUpperCase();
+}
 function makeVehicleId() {
   return "VEH-" + crypto.randomBytes(3).toString("hex").toUpperCase();
 }
-function safeParseJsonArray(v) {
-  try {
-    const x = JSON.parse(v || "[]");
-    return Array.isArray(x) ? x : [];
-  } catch {
-    return [];
-  }
+// In-process mutex: calls sharing a key ("slots:AB123", "login:ip:…", "session:…") run one at a time,
+// so read-check-write sequences on the store don't interleave. Per instance only.
+const locks = new Map();
+function withLock(key, fn) {
+  const prev = locks.get(key) || Promise.resolve();
+  const next = prev.then(fn, fn);
+  const tail = next.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return next;
 }
 function publicDealer(d) {
   return {
@@ -232,465 +844,1513 @@ function publicDealer(d) {
     status: d.status,
     whatsapp: d.whatsapp,
     logoUrl: d.logoUrl,
+    address: d.address,
+    hours: d.hours,
+    about: d.about,
     passcode: d.passcode,
     createdAt: d.createdAt,
     updatedAt: d.updatedAt,
   };
 }
-function filterPublicVehicles(list) {
-  return (list || []).filter((v) => {
-    const s = String(v.status || "").toLowerCase();
-    return ["published", "available", "in_stock", "instock"].includes(s);
-  });
-}
-function isHttpUrl(u) {
-  return typeof u === "string" && /^https?:\/\//i.test(u);
-}
 
-// ---------- Google Sheets client ----------
-async function getSheetsClient() {
-  if (!GOOGLE_SHEET_ID) throw new Error("Missing GOOGLE_SHEET_ID env var");
-  const auth = new google.auth.GoogleAuth({
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-  });
-  const client = await auth.getClient();
-  return google.sheets({ version: "v4", auth: client });
-}
-async function getSpreadsheetMeta(sheets) {
-  const meta = await sheets.spreadsheets.get({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    fields: "sheets(properties(sheetId,title,gridProperties(rowCount,columnCount)))",
-  });
-  const tabs = meta.data.sheets || [];
-  const byTitle = new Map();
-  for (const t of tabs) byTitle.set(t.properties.title, t.properties);
-  return { tabs, byTitle };
-}
-async function ensureRows(sheets, sheetId, neededRowCount) {
-  await sheets.spreadsheets.batchUpdate({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    requestBody: {
-      requests: [
-        {
-          updateSheetProperties: {
-            properties: { sheetId, gridProperties: { rowCount: neededRowCount } },
-            fields: "gridProperties.rowCount",
-          },
-        },
-      ],
-    },
-  });
-}
-async function ensureTab(sheets, title, minRows = 1000) {
-  const meta = await getSpreadsheetMeta(sheets);
+// ---------- Dealer profile (the self-editable columns of the dealer row) ----------
+const MIN_DEALER_PASSCODE_LENGTH = 6;
+const DEALER_PROFILE_LIMITS = { name: 80, logoUrl: 500, whatsapp: 15, address: 200, hours: 300, about: 1000 };
 
-  if (meta.byTitle.has(title)) {
-    const props = meta.byTitle.get(title);
-    const currentRows = props.gridProperties?.rowCount || 1000;
-    if (currentRows < minRows) {
-      await ensureRows(sheets, props.sheetId, minRows);
-      const meta2 = await getSpreadsheetMeta(sheets);
-      return meta2.byTitle.get(title);
+function dealerProfile(d) {
+  return {
+    dealerId: d.dealerId,
+    name: d.name || "",
+    logoUrl: d.logoUrl || "",
+    whatsapp: d.whatsapp || "",
+    address: d.address || "",
+    hours: d.hours || "",
+    about: d.about || "",
+  };
+}
+// Partial update: only the keys present in input change.
+function validateDealerProfile(input, current) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "profile object required" };
+  const unknown = Object.keys(input).filter((k) => !(k in DEALER_PROFILE_LIMITS));
+  if (unknown.length) return { error: `Unknown field(s): ${unknown.join(", ")}` };
+
+  const next = dealerProfile(current);
+  for (const key of Object.keys(input)) {
+    next[key] = key === "whatsapp" ? digitsOnly(input[key]) : String(input[key] ?? "").trim();
+    if (next[key].length > DEALER_PROFILE_LIMITS[key]) {
+      return { error: `${key} must be ${DEALER_PROFILE_LIMITS[key]} characters or fewer` };
     }
-    return props;
   }
+  if (!next.name) return { error: "name required" };
+  if (next.logoUrl && !isHttpUrl(next.logoUrl)) return { error: "logoUrl must be an http(s) URL" };
+  if (next.whatsapp && next.whatsapp.length < 7) return { error: "whatsapp must be a full number with country code" };
+  return { profile: next };
+}
 
-  await sheets.spreadsheets.batchUpdate({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    requestBody: { requests: [{ addSheet: { properties: { title } } }] },
-  });
-
-  const meta2 = await getSpreadsheetMeta(sheets);
-  const props2 = meta2.byTitle.get(title);
+// ---------- Audit log (AUDIT_LOG records) ----------
+// Append-only: one record per mutating API call (written by the audit middleware once the response is sent).
+// Routes that know the stored state before and after the change set
+//   res.locals.audit = { action?, target?, dealerId?, before, after }
+// and get a field-level diff; other calls keep the request body. Secrets are never copied, only marked changed.
+const AUDIT_LOG_COLLECTION = "AUDIT_LOG";
+const AUDIT_SECRET_KEY = /pass|secret|token|hash|code|challenge/i;
+const AUDIT_MAX_VALUE_CHARS = 500;
+const AUDIT_PAGE_LIMIT = 500;
+const AUDIT_EXPORT_LIMIT = 20000;
+// Deliberately not logged, although they are POSTs:
+// - /api/public/*: anonymous storefront/ADF lead intake. Anyone can call it, so logging it would let bots flood
+//   an append-only log; each lead is already a record (dealer tab or LEAD_REVIEW) and abuse is rate limited.
+// - /api/auth/refresh: runs every few minutes per signed-in tab and only rotates that session's own refresh
+//   secret; the logins that create sessions and the revocations that end them are logged.
+// - /uploads/sign and /cloudinary/sign: return an upload signature and write nothing; the vehicle save that
+//   attaches the media is logged.
+function isAuditedRequest(req) {
+  if (!["POST", "PUT", "PATCH", "DELETE"].includes(req.method)) return false;
+  if (!req.path.startsWith("/api/") || req.path.startsWith("/api/public/")) return false;
+  if (req.path === "/api/auth/refresh") return false;
+  return !/\/(uploads|cloudinary)\/sign$/.test(req.path);
+}
 
-  const currentRows2 = props2.gridProperties?.rowCount || 1000;
-  if (currentRows2 < minRows) {
-    await ensureRows(sheets, props2.sheetId, minRows);
-    const meta3 = await getSpreadsheetMeta(sheets);
-    return meta3.byTitle.get(title);
+function auditActor(req, status) {
+  const user = req.user;
+  if (user?.role === "admin") return { type: "admin", username: user.username, label: user.username };
+  if (user?.role === "dealer") {
+    return {
+      type: user.username ? "staff" : "dealer",
+      dealerId: user.dealerId,
+      username: user.username || "",
+      label: user.username ? `${user.dealerId}/${user.username}` : user.dealerId,
+    };
   }
-
-  return props2;
+  // Not signed in yet (login calls): keep who they claimed to be, flagged unless the login went through.
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const claimed = [body.dealerId, body.username].filter(Boolean).map(String).join("/");
+  if (!claimed) return { type: "anonymous", label: "anonymous" };
+  return { type: "anonymous", label: status < 400 ? claimed : `${claimed} (unverified)` };
 }
-async function ensureAdminSheet(sheets) {
-  await ensureTab(sheets, ADMIN_SHEET_TITLE, 200);
-
-  const headers = ["dealerId", "name", "status", "passcodeHash", "whatsapp", "logoUrl", "createdAt", "updatedAt"];
-  const range = `${ADMIN_SHEET_TITLE}!A1:H1`;
-
-  const existing = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range });
-  const row = (existing.data.values && existing.data.values[0]) || [];
-  if (row.join("|") !== headers.join("|")) {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: GOOGLE_SHEET_ID,
-      range,
-      valueInputOption: "RAW",
-      requestBody: { values: [headers] },
-    });
+function auditValue(v) {
+  if (v === undefined || v === null) return null;
+  const json = typeof v === "string" ? v : JSON.stringify(v);
+  if (json.length <= AUDIT_MAX_VALUE_CHARS) return v;
+  return `${json.slice(0, AUDIT_MAX_VALUE_CHARS)}… (${json.length} chars)`;
+}
+function redactForAudit(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return auditValue(body);
+  const out = {};
+  for (const [key, value] of Object.entries(body)) {
+    out[key] = AUDIT_SECRET_KEY.test(key) ? "[redacted]" : auditValue(value);
   }
+  return out;
 }
-async function ensureDealerTabLayout(sheets, dealerId) {
-  const title = safeDealerTabName(dealerId);
-
-  // ✅ ensure enough rows for A2000:L2000
-  await ensureTab(sheets, title, DEALER_MIN_ROWS);
-
-  const vehHeaders = [
-    "vehicleId",
-    "title",
-    "make",
-    "model",
-    "year",
-    "price",
-    "status",
-    "notes",
-    "heroImage",
-    "heroVideo",
-    "imagesJson",
-    "updatedAt",
-    "mileage",
-    "transmission",
-    "fuelType",
-    "bodyType",
-    "color",
-    "vin",
-  ];
-
-  const vehRange = `${title}!A1:R1`;
-  const existingVeh = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range: vehRange });
-  const rowVeh = (existingVeh.data.values && existingVeh.data.values[0]) || [];
-  if (rowVeh.join("|") !== vehHeaders.join("|")) {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: GOOGLE_SHEET_ID,
-      range: vehRange,
-      valueInputOption: "RAW",
-      requestBody: { values: [vehHeaders] },
-    });
+// { field: { from, to } } for every top-level field that differs.
+function auditDiff(before, after) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (key === "updatedAt") continue;
+    const from = before?.[key];
+    const to = after?.[key];
+    if (JSON.stringify(from ?? "") === JSON.stringify(to ?? "")) continue;
+    diff[key] = AUDIT_SECRET_KEY.test(key) ? { changed: true } : { from: auditValue(from), to: auditValue(to) };
+  }
+  return diff;
+}
+function auditTarget(req) {
+  const params = Object.entries(req.params || {}).map(([k, v]) => `${k}:${v}`);
+  if (params.length) return params.join(" ");
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  for (const key of ["vehicleId", "leadId", "username", "dealerId"]) {
+    if (body[key]) return `${key}:${body[key]}`;
+  }
+  return "";
+}
+async function recordAudit(req, res) {
+  const at = nowIso();
+  const info = res.locals.audit || {};
+  const route = `${req.method} ${req.baseUrl || ""}${req.route?.path || req.path}`;
+  const record = {
+    id: `${at}_${crypto.randomBytes(4).toString("hex")}`,
+    at,
+    actor: auditActor(req, res.statusCode),
+    action: info.action || route,
+    route,
+    target: info.target || auditTarget(req),
+    dealerId: normalizeDealerId(info.dealerId || req.user?.dealerId || req.params?.dealerId || req.body?.dealerId || ""),
+    status: res.statusCode,
+    ip: clientIp(req),
+  };
+  if ("before" in info || "after" in info) record.diff = auditDiff(info.before, info.after);
+  else record.body = redactForAudit(req.body);
+  await store.appendRecord(AUDIT_LOG_COLLECTION, record);
+  return record;
+}
+// filters: { q, actor, dealerId, action, from, to (YYYY-MM-DD), outcome: "ok" | "failed" }
+async function listAuditEntries(filters = {}) {
+  const q = String(filters.q || "").trim().toLowerCase();
+  const actor = String(filters.actor || "").trim().toLowerCase();
+  const dealerId = normalizeDealerId(filters.dealerId || "");
+  const action = String(filters.action || "").trim().toLowerCase();
+  const from = isIsoDate(filters.from) ? String(filters.from) : "";
+  const to = isIsoDate(filters.to) ? String(filters.to) : "";
+  const all = await store.listRecords(AUDIT_LOG_COLLECTION);
+  return all
+    .filter((e) => {
+      if (actor && !String(e.actor?.label || "").toLowerCase().includes(actor) && e.actor?.type !== actor) return false;
+      if (dealerId && e.dealerId !== dealerId) return false;
+      if (action && !String(e.action).toLowerCase().includes(action)) return false;
+      if (from && String(e.at).slice(0, 10) < from) return false;
+      if (to && String(e.at).slice(0, 10) > to) return false;
+      if (filters.outcome === "ok" && !(e.status < 400)) return false;
+      if (filters.outcome === "failed" && e.status < 400) return false;
+      if (q && !JSON.stringify(e).toLowerCase().includes(q)) return false;
+      return true;
+    })
+    .sort((a, b) => String(b.at).localeCompare(String(a.at)));
+}
+// One line per entry for the CSV export: "field: from -> to; ...", or the request body.
+function auditChangesText(e) {
+  if (e.diff) {
+    return Object.entries(e.diff)
+      .map(([k, d]) => (d.changed ? `${k}: changed` : `${k}: ${JSON.stringify(d.from)} -> ${JSON.stringify(d.to)}`))
+      .join("; ");
   }
+  return e.body && typeof e.body === "object" ? JSON.stringify(e.body) : String(e.body ?? "");
+}
+const AUDIT_CSV_COLUMNS = ["at", "actor", "actorType", "dealerId", "action", "route", "target", "status", "changes", "ip"];
+function renderAuditCsv(entries) {
+  const rows = entries.map((e) =>
+    [e.at, e.actor?.label, e.actor?.type, e.dealerId, e.action, e.route, e.target, e.status, auditChangesText(e), e.ip]
+      .map(spreadsheetCsvCell)
+      .join(",")
+  );
+  return [AUDIT_CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
 
-  const leadHeaders = [
-    "createdAt",
-    "leadId",
-    "vehicleId",
-    "type",
-    "name",
-    "phone",
-    "email",
-    "preferredDate",
-    "preferredTime",
-    "notes",
-    "source",
-    "status",
-  ];
+// ---------- Lead review queue (LEAD_REVIEW records) ----------
+// Leads that shouldn't reach a dealer tab yet (dealer paused, suspected spam) wait here for an admin to release
+// or discard. Spam reasons start with "spam_" and carry the intake signals that tripped them.
+const LEAD_REVIEW_COLLECTION = "LEAD_REVIEW";
+
+async function holdLeadForReview(dealerId, lead, reason, signals = null) {
+  const record = {
+    id: "held_" + crypto.randomBytes(6).toString("hex"),
+    dealerId,
+    reason,
+    heldAt: nowIso(),
+    lead,
+    ...(signals ? { signals } : {}),
+  };
+  await store.appendRecord(LEAD_REVIEW_COLLECTION, record);
+  return record;
+}
 
-  const leadRow = DEALER_LEADS_START_ROW;
-  const leadRange = `${title}!A${leadRow}:L${leadRow}`;
-
-  const existingLead = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range: leadRange });
-  const rowLead = (existingLead.data.values && existingLead.data.values[0]) || [];
-  if (rowLead.join("|") !== leadHeaders.join("|")) {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: GOOGLE_SHEET_ID,
-      range: leadRange,
-      valueInputOption: "RAW",
-      requestBody: { values: [leadHeaders] },
-    });
+// ---------- Public lead intake protection ----------
+// POST /api/public/leads needs no login, so each IP and each phone number gets a sliding-window budget
+// (kept in memory, per instance); the ADF intake gets its own per-IP and per-dealer budgets. The
+// storefront forms carry a hidden honeypot field ("website") people never see, and the signed formToken
+// that /api/public/slots hands out when the booking form opens. A filled honeypot, or a storefront-sourced
+// lead with no valid token or sent too soon after the form opened, is quarantined as spam; the caller
+// gets the same 202 a held lead gets so bots learn nothing. Leads from other sources (API integrations)
+// are only rate limited.
+const LEAD_RATE_LIMITS = {
+  ip: { max: 10, windowMs: 10 * 60 * 1000 },
+  phone: { max: 5, windowMs: 60 * 60 * 1000 },
+  // ADF intake: documents per sending IP, and prospects per dealer (a CRM can batch many leads in one post).
+  adfIp: { max: 30, windowMs: 10 * 60 * 1000 },
+  adfDealer: { max: 200, windowMs: 60 * 60 * 1000 },
+};
+const LEAD_RATE_SWEEP_MS = 10 * 60 * 1000;
+const MIN_LEAD_FILL_MS = 3000;
+const LEAD_FORM_TOKEN_TTL_S = 24 * 60 * 60;
+const LEAD_FORM_SOURCES = ["storefront", "vehicle_page"];
+const leadRateHits = new Map(); // "<kind>:<key>" -> hit times (ms), oldest first
+
+// Counts a hit and returns 0, or (when over budget, without counting) seconds until a slot frees up.
+function leadRateLimit(kind, key) {
+  const { max, windowMs } = LEAD_RATE_LIMITS[kind];
+  const now = Date.now();
+  const id = `${kind}:${key}`;
+  const hits = (leadRateHits.get(id) || []).filter((t) => now - t < windowMs);
+  if (hits.length >= max) {
+    leadRateHits.set(id, hits);
+    return Math.max(1, Math.ceil((hits[0] + windowMs - now) / 1000));
   }
+  hits.push(now);
+  leadRateHits.set(id, hits);
+  return 0;
 }
-async function adminListDealers(sheets) {
-  await ensureAdminSheet(sheets);
-  const range = `${ADMIN_SHEET_TITLE}!A2:H`;
-  const res = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range });
-  const rows = res.data.values || [];
-  return rows.map((r) => ({
-    dealerId: r[0] || "",
-    name: r[1] || "",
-    status: (r[2] || "active").toLowerCase(),
-    passcodeHash: r[3] || "",
-    whatsapp: r[4] || "",
-    logoUrl: r[5] || "",
-    createdAt: r[6] || "",
-    updatedAt: r[7] || "",
-  }));
-}
-async function adminUpsertDealer(sheets, dealer) {
-  await ensureAdminSheet(sheets);
-
-  const dealers = await adminListDealers(sheets);
-  const idx = dealers.findIndex((d) => d.dealerId === dealer.dealerId);
-
-  const rowValues = [
-    dealer.dealerId,
-    dealer.name,
-    dealer.status || "active",
-    dealer.passcodeHash || "",
-    dealer.whatsapp || "",
-    dealer.logoUrl || "",
-    dealer.createdAt || nowIso(),
-    dealer.updatedAt || nowIso(),
-    dealer.passcode || "",
-  ];
-
-  if (idx === -1) {
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: GOOGLE_SHEET_ID,
-      range: `${ADMIN_SHEET_TITLE}!A:H`,
-      valueInputOption: "RAW",
-      insertDataOption: "INSERT_ROWS",
-      requestBody: { values: [rowValues] },
-    });
-  } else {
-    const rowNum = idx + 2;
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: GOOGLE_SHEET_ID,
-      range: `${ADMIN_SHEET_TITLE}!A${rowNum}:H${rowNum}`,
-      valueInputOption: "RAW",
-      requestBody: { values: [rowValues] },
-    });
+function sweepLeadRateLimits() {
+  const now = Date.now();
+  for (const [id, hits] of leadRateHits) {
+    const { windowMs } = LEAD_RATE_LIMITS[id.slice(0, id.indexOf(":"))];
+    if (!hits.length || now - hits[hits.length - 1] >= windowMs) leadRateHits.delete(id);
   }
 }
-async function adminGetDealer(sheets, dealerId) {
-  const dealers = await adminListDealers(sheets);
-  return dealers.find((d) => d.dealerId === dealerId) || null;
-}
-async function dealerListVehicles(sheets, dealerId) {
-  const tab = safeDealerTabName(dealerId);
-  await ensureDealerTabLayout(sheets, dealerId);
-
-  const range = `${tab}!A2:R`;
-  const res = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range });
-  const rows = res.data.values || [];
-  return rows
-    .filter((r) => (r[0] || "").trim())
-    .map((r) => ({
-      ...(r.length >= 18
-        ? {
-            vehicleId: r[0] || "",
-            title: r[1] || "",
-            make: r[2] || "",
-            model: r[3] || "",
-            year: r[4] ? Number(r[4]) : null,
-            price: r[5] ? Number(r[5]) : 0,
-            status: r[6] || "",
-            notes: r[7] || "",
-            heroImage: r[8] || "",
-            heroVideo: r[9] || "",
-            images: safeParseJsonArray(r[10]),
-            updatedAt: r[11] || "",
-            mileage: r[12] ? Number(r[12]) : null,
-            transmission: r[13] || "",
-            fuelType: r[14] || "",
-            bodyType: r[15] || "",
-            color: r[16] || "",
-            vin: r[17] || "",
-          }
-        : {
-            vehicleId: r[0] || "",
-            title: r[1] || "",
-            make: r[2] || "",
-            model: r[3] || "",
-            year: r[4] ? Number(r[4]) : null,
-            price: r[5] ? Number(r[5]) : 0,
-            status: r[6] || "",
-            notes: r[7] || "",
-            heroImage: r[8] || "",
-            heroVideo: "",
-            images: safeParseJsonArray(r[9]),
-            updatedAt: r[10] || "",
-            mileage: null,
-            transmission: "",
-            fuelType: "",
-            bodyType: "",
-            color: "",
-            vin: "",
-          }),
-      dealerId,
-    }));
-}
-async function dealerUpsertVehicle(sheets, dealerId, vehicle) {
-  const tab = safeDealerTabName(dealerId);
-  await ensureDealerTabLayout(sheets, dealerId);
-
-  const range = `${tab}!A2:R`;
-  const res = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range });
-  const rows = res.data.values || [];
-
-  let foundRowNum = -1;
-  for (let i = 0; i < rows.length; i++) {
-    if ((rows[i][0] || "").trim() === vehicle.vehicleId) {
-      foundRowNum = i + 2;
-      break;
-    }
-  }
-
-  const updatedAt = nowIso();
-  const rowValues = [
-    vehicle.vehicleId,
-    vehicle.title || "",
-    vehicle.make || "",
-    vehicle.model || "",
-    vehicle.year ? String(vehicle.year) : "",
-    vehicle.price ? String(vehicle.price) : "",
-    vehicle.status || "available",
-    vehicle.notes || "",
-    vehicle.heroImage || "",
-    vehicle.heroVideo || "",
-    JSON.stringify(vehicle.images || []),
-    updatedAt,
-    vehicle.mileage != null && vehicle.mileage !== "" ? String(vehicle.mileage) : "",
-    vehicle.transmission || "",
-    vehicle.fuelType || "",
-    vehicle.bodyType || "",
-    vehicle.color || "",
-    vehicle.vin || "",
-  ];
-
-  if (foundRowNum === -1) {
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: GOOGLE_SHEET_ID,
-      range: `${tab}!A:R`,
-      valueInputOption: "RAW",
-      insertDataOption: "INSERT_ROWS",
-      requestBody: { values: [rowValues] },
-    });
-  } else {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: GOOGLE_SHEET_ID,
-      range: `${tab}!A${foundRowNum}:R${foundRowNum}`,
-      valueInputOption: "RAW",
-      requestBody: { values: [rowValues] },
-    });
+// Last 10 digits, so "+1 (876) 555-1234" and "8765551234" share a budget.
+function phoneRateKey(phone) {
+  return String(phone || "").replace(/\D/g, "").slice(-10);
+}
+// The fill time is measured from openedAt inside the token, so the client can't claim it.
+function issueLeadFormToken(dealerId) {
+  return signJwt({ purpose: "lead_form", dealerId: normalizeDealerId(dealerId), openedAt: Date.now() }, LEAD_FORM_TOKEN_TTL_S);
+}
+// Returns { reason, fillMs }: reason is a LEAD_REVIEW reason when the submission looks automated, else "".
+function leadSpamCheck(body, lead) {
+  if (String(body.website || "").trim()) return { reason: "spam_honeypot", fillMs: null };
+  if (!LEAD_FORM_SOURCES.includes(lead.source)) return { reason: "", fillMs: null };
+  let form = null;
+  try {
+    form = verifyJwt(body.formToken);
+  } catch {
+    form = null;
   }
+  if (form?.purpose !== "lead_form" || form.dealerId !== normalizeDealerId(lead.dealerId)) {
+    return { reason: "spam_no_form_token", fillMs: null };
+  }
+  const fillMs = Date.now() - Number(form.openedAt);
+  return { reason: fillMs >= MIN_LEAD_FILL_MS ? "" : "spam_too_fast", fillMs };
+}
 
-  return { ...vehicle, updatedAt, dealerId };
-}
-async function dealerListLeads(sheets, dealerId) {
-  const tab = safeDealerTabName(dealerId);
-  await ensureDealerTabLayout(sheets, dealerId);
-
-  const start = DEALER_LEADS_START_ROW + 1;
-  const range = `${tab}!A${start}:L`;
-  const res = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range });
-  const rows = res.data.values || [];
-
-  return rows
-    .map((r, idx) => ({
-      createdAt: r[0] || "",
-      leadId: r[1] || "",
-      vehicleId: r[2] || "",
-      type: r[3] || "",
-      name: r[4] || "",
-      phone: r[5] || "",
-      email: r[6] || "",
-      preferredDate: r[7] || "",
-      preferredTime: r[8] || "",
-      notes: r[9] || "",
-      source: r[10] || "",
-      status: r[11] || "new",
-      dealerId,
-      rowNum: start + idx,
-    }))
-    .filter((l) => (l.leadId || "").trim());
-}
-async function dealerUpdateLeadStatus(sheets, dealerId, leadId, status) {
-  const leads = await dealerListLeads(sheets, dealerId);
-  const lead = leads.find((l) => l.leadId === leadId);
-  if (!lead) return null;
-
-  const tab = safeDealerTabName(dealerId);
-  const range = `${tab}!L${lead.rowNum}`;
-  await sheets.spreadsheets.values.update({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    range,
-    valueInputOption: "RAW",
-    requestBody: { values: [[status]] },
+function parseDealerStatus(v, fallback) {
+  const s = String(v || fallback || "active").trim().toLowerCase();
+  return DEALER_STATUSES.includes(s) ? s : null;
+}
+function filterPublicVehicles(list) {
+  return (list || []).filter((v) => {
+    if (v.archivedAt) return false;
+    const s = String(v.status || "").toLowerCase();
+    return ["published", "available", "in_stock", "instock"].includes(s);
   });
-
-  return { ...lead, status };
 }
-async function dealerAppendLead(sheets, dealerId, lead) {
-  const tab = safeDealerTabName(dealerId);
-  await ensureDealerTabLayout(sheets, dealerId);
+async function findDealerVehicle(dealerId, vehicleId) {
+  if (!vehicleId) return null;
+  const vehicles = await store.dealerListVehicles(dealerId);
+  return vehicles.find((v) => v.vehicleId === vehicleId) || null;
+}
+function isHttpUrl(u) {
+  return typeof u === "string" && /^https?:\/\//i.test(u);
+}
+function xmlEscape(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
 
-  const leadId = lead.leadId || "lead_" + crypto.randomBytes(6).toString("hex");
-  const createdAt = nowIso();
+// ---------- Platform settings (SETTINGS record "platform") ----------
+const SETTINGS_COLLECTION = "SETTINGS";
+const SETTINGS_ID = "platform";
+const SETTINGS_CACHE_MS = 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  storefrontLogoUrl: "",
+  storefrontHeroVideoUrl: "",
+  defaultCurrency: "JMD",
+  whatsappMessageTemplate: "{dealer} — WhatsApp request\nVehicle: {vehicle}\nID: {vehicleId}\nLink: {link}",
+  supportEmail: "",
+};
 
-  const values = [
-    [
-      createdAt,
-      leadId,
-      lead.vehicleId || "",
-      lead.type || "video",
-      lead.name || "",
-      lead.phone || "",
-      lead.email || "",
-      lead.preferredDate || "",
-      lead.preferredTime || "",
-      lead.notes || "",
-      lead.source || "storefront",
-      lead.status || "new",
-    ],
-  ];
+let settingsCache = { value: null, at: 0 };
 
-  const appendRange = `${tab}!A${DEALER_LEADS_START_ROW + 1}:L`;
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    range: appendRange,
-    valueInputOption: "RAW",
-    insertDataOption: "INSERT_ROWS",
-    requestBody: { values },
-  });
+// Returns { settings } or { error } — unknown keys are rejected, omitted keys keep their current value.
+function validateSettings(input, current) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "settings object required" };
 
-  return { ...lead, leadId, createdAt, status: lead.status || "new" };
-}
+  const unknown = Object.keys(input).filter((k) => !(k in DEFAULT_SETTINGS));
+  if (unknown.length) return { error: `Unknown setting(s): ${unknown.join(", ")}` };
 
-// ---------- GCS (Signed upload URLs) - OPTIONAL/BACK-COMPAT ----------
-const gcs = {
-  enabled: Boolean(Storage),
-  storage: null,
-  bucket: null,
-};
+  const next = { ...current };
+  for (const key of Object.keys(input)) next[key] = String(input[key] ?? "").trim();
 
-if (Storage) {
-  try {
-    gcs.storage = new Storage();
-    gcs.bucket = gcs.storage.bucket(MEDIA_BUCKET);
-  } catch (e) {
-    console.warn("[GCS] Disabled: could not init Storage:", e?.message || e);
-    gcs.enabled = false;
+  for (const key of ["storefrontLogoUrl", "storefrontHeroVideoUrl"]) {
+    if (next[key] && !isHttpUrl(next[key])) return { error: `${key} must be an http(s) URL` };
   }
-} else {
-  console.warn("[GCS] @google-cloud/storage not installed. GCS signing disabled.");
+  next.defaultCurrency = next.defaultCurrency.toUpperCase();
+  if (!/^[A-Z]{3}$/.test(next.defaultCurrency)) return { error: "defaultCurrency must be a 3-letter ISO code" };
+  if (next.whatsappMessageTemplate.length > 500) {
+    return { error: "whatsappMessageTemplate must be 500 characters or fewer" };
+  }
+  if (next.supportEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(next.supportEmail)) {
+    return { error: "supportEmail must be a valid email" };
+  }
+  return { settings: next };
 }
-
-function sanitizeFilename(name) {
-  return String(name || "file").replace(/[^\w.\-]+/g, "_").slice(0, 140);
+async function loadSettings() {
+  if (settingsCache.value && Date.now() - settingsCache.at < SETTINGS_CACHE_MS) return settingsCache.value;
+  const record = await store.getRecord(SETTINGS_COLLECTION, SETTINGS_ID);
+  const { id: _id, updatedAt: _u, updatedBy: _b, ...saved } = record || {};
+  const value = { ...DEFAULT_SETTINGS, ...saved };
+  settingsCache = { value, at: Date.now() };
+  return value;
+}
+async function saveSettings(settings, updatedBy) {
+  await store.putRecord(SETTINGS_COLLECTION, { ...settings, id: SETTINGS_ID, updatedAt: nowIso(), updatedBy });
+  settingsCache = { value: { ...settings }, at: Date.now() };
+  return settings;
 }
-async function signUpload({ dealerId, vehicleId, type, filename, contentType }) {
-  if (!gcs.enabled || !gcs.bucket) throw new Error("GCS signing disabled");
-  if (!["image", "video"].includes(type)) throw new Error("type must be image or video");
 
-  const safeName = sanitizeFilename(filename);
-  const folder = type === "image" ? "images/original" : "videos/original";
-  const objectKey = `dealers/${dealerId}/vehicles/${vehicleId}/${folder}/${Date.now()}_${safeName}`;
+// ---------- Catalog feed + calendar tokens (FEED_TOKENS / CALENDAR_TOKENS, one record per dealer) ----------
+const FEED_TOKENS_COLLECTION = "FEED_TOKENS";
+const CALENDAR_TOKENS_COLLECTION = "CALENDAR_TOKENS";
 
-  const file = gcs.bucket.file(objectKey);
-  const [url] = await file.getSignedUrl({
-    version: "v4",
-    action: "write",
-    expires: Date.now() + 10 * 60 * 1000,
-    contentType,
-  });
+function makeFeedToken() {
+  return crypto.randomBytes(18).toString("hex");
+}
+async function getDealerToken(collection, dealerId, { create = false } = {}) {
+  const record = await store.getRecord(collection, dealerId);
+  if (record?.token || !create) return record?.token || "";
+  return rotateDealerToken(collection, dealerId);
+}
+async function rotateDealerToken(collection, dealerId) {
+  const token = makeFeedToken();
+  await store.putRecord(collection, { id: dealerId, dealerId, token, createdAt: nowIso() });
+  return token;
+}
+const getFeedToken = (dealerId, opts) => getDealerToken(FEED_TOKENS_COLLECTION, dealerId, opts);
+const rotateFeedToken = (dealerId) => rotateDealerToken(FEED_TOKENS_COLLECTION, dealerId);
 
-  const publicUrl = `${GCS_PUBLIC_BASE}/${MEDIA_BUCKET}/${objectKey}`;
-  return { url, objectKey, publicUrl };
+// Calendar URLs carry no dealerId, so the token is "<dealerId>.<secret>".
+async function getCalendarToken(dealerId, opts) {
+  const secret = await getDealerToken(CALENDAR_TOKENS_COLLECTION, dealerId, opts);
+  return secret ? `${dealerId}.${secret}` : "";
+}
+async function rotateCalendarToken(dealerId) {
+  return `${dealerId}.${await rotateDealerToken(CALENDAR_TOKENS_COLLECTION, dealerId)}`;
+}
+function calendarFeedUrl(baseUrl, token) {
+  return `${baseUrl}/api/dealer/calendar.ics?token=${encodeURIComponent(token)}`;
+}
+function feedUrls(baseUrl, dealerId, token) {
+  const base = `${baseUrl}/feeds/${encodeURIComponent(dealerId)}`;
+  const q = `?token=${encodeURIComponent(token)}`;
+  return { facebook: `${base}/facebook.xml${q}`, google: `${base}/google.csv${q}` };
 }
 
-// =========================
-// Cloudinary: SIGNED upload signature endpoint
-// =========================
+// ---------- Dealer settings (DEALER_SETTINGS records, one per dealer) ----------
+const DEALER_SETTINGS_COLLECTION = "DEALER_SETTINGS";
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DEFAULT_DEALER_SETTINGS = {
+  adfEndpoint: "",
+  // Appointment availability, in the dealer's local time. Hours are "HH:MM-HH:MM" or "" for closed.
+  timezone: "America/Jamaica",
+  slotMinutes: 30,
+  businessHours: { sun: "", mon: "09:00-17:00", tue: "09:00-17:00", wed: "09:00-17:00", thu: "09:00-17:00", fri: "09:00-17:00", sat: "09:00-13:00" },
+  blackoutDates: [],
+  // 0 = no dealer-wide cap; a vehicle can never be booked twice in the same slot either way.
+  maxBookingsPerSlot: 0,
+  // How new public leads get an assignee; typeRules maps a lead type (live_video, walk_in, …) to a username.
+  leadRouting: { mode: "off", typeRules: {} },
+};
 
-// Cloudinary signature rules: sign a sorted param string, append api_secret, sha1 hex.
+async function loadDealerSettings(dealerId) {
+  const record = await store.getRecord(DEALER_SETTINGS_COLLECTION, dealerId);
+  const { id: _id, dealerId: _d, updatedAt: _u, ...saved } = record || {};
+  return { ...DEFAULT_DEALER_SETTINGS, ...saved };
+}
+function validateDealerSettings(input, current) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "settings object required" };
+  const unknown = Object.keys(input).filter((k) => !(k in DEFAULT_DEALER_SETTINGS));
+  if (unknown.length) return { error: `Unknown setting(s): ${unknown.join(", ")}` };
+
+  const next = { ...current };
+  if ("adfEndpoint" in input) {
+    const url = String(input.adfEndpoint || "").trim();
+    if (url && !isHttpUrl(url)) return { error: "adfEndpoint must be an http(s) URL" };
+    next.adfEndpoint = url;
+  }
+  if ("timezone" in input) {
+    const tz = String(input.timezone || "").trim();
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    } catch {
+      return { error: "timezone must be an IANA zone like America/Jamaica" };
+    }
+    next.timezone = tz;
+  }
+  if ("slotMinutes" in input) {
+    const n = Number(input.slotMinutes);
+    if (!Number.isInteger(n) || n < 10 || n > 240) return { error: "slotMinutes must be 10-240" };
+    next.slotMinutes = n;
+  }
+  if ("businessHours" in input) {
+    const hours = input.businessHours;
+    if (!hours || typeof hours !== "object" || Array.isArray(hours)) return { error: "businessHours object required" };
+    const out = {};
+    for (const day of WEEKDAYS) {
+      const value = day in hours ? String(hours[day] || "").trim() : String(current.businessHours?.[day] || "");
+      if (value && !parseHoursRange(value)) return { error: `businessHours.${day} must look like 09:00-17:00` };
+      out[day] = value;
+    }
+    next.businessHours = out;
+  }
+  if ("blackoutDates" in input) {
+    const list = Array.isArray(input.blackoutDates) ? input.blackoutDates.map((d) => String(d).trim()).filter(Boolean) : [];
+    const bad = list.find((d) => !isIsoDate(d));
+    if (bad) return { error: `Invalid blackout date: ${bad}` };
+    next.blackoutDates = [...new Set(list)].sort();
+  }
+  if ("maxBookingsPerSlot" in input) {
+    const n = Number(input.maxBookingsPerSlot || 0);
+    if (!Number.isInteger(n) || n < 0 || n > 50) return { error: "maxBookingsPerSlot must be 0-50" };
+    next.maxBookingsPerSlot = n;
+  }
+  if ("leadRouting" in input) {
+    const routing = input.leadRouting;
+    if (!routing || typeof routing !== "object" || Array.isArray(routing)) return { error: "leadRouting object required" };
+    const mode = String(routing.mode ?? current.leadRouting?.mode ?? "off").trim();
+    if (!LEAD_ROUTING_MODES.includes(mode)) return { error: `leadRouting.mode must be one of: ${LEAD_ROUTING_MODES.join(", ")}` };
+    const rules = routing.typeRules ?? current.leadRouting?.typeRules ?? {};
+    if (!rules || typeof rules !== "object" || Array.isArray(rules)) return { error: "leadRouting.typeRules object required" };
+    const typeRules = {};
+    for (const [type, username] of Object.entries(rules)) {
+      const key = String(type).trim().toLowerCase();
+      const user = normalizeUsername(username);
+      if (!key || !user) continue;
+      if (!isValidUsername(user)) return { error: `leadRouting.typeRules.${key} must be a staff username` };
+      typeRules[key] = user;
+    }
+    next.leadRouting = { mode, typeRules };
+  }
+  return { settings: next };
+}
+
+// ---------- Appointment slots ----------
+// Slots are plain local "YYYY-MM-DD" + "HH:MM" strings (the same fields leads already carry),
+// so no timezone conversion is stored; the dealer timezone only decides what "now" is.
+const BOOKING_WINDOW_DAYS = 30;
+// won/lost come from the lead pipeline; the rest are statuses older rows may still carry.
+const INACTIVE_LEAD_STATUSES = ["won", "lost", "closed", "cancelled", "no_show", "spam"];
+
+function isIsoDate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(s || "")) && !isNaN(new Date(`${s}T00:00:00Z`).getTime());
+}
+function timeToMinutes(t) {
+  const m = String(t || "").match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+function minutesToTime(n) {
+  return `${String(Math.floor(n / 60)).padStart(2, "0")}:${String(n % 60).padStart(2, "0")}`;
+}
+function parseHoursRange(value) {
+  const [open, close] = String(value || "").split("-").map((x) => timeToMinutes(x.trim()));
+  if (open == null || close == null || close <= open) return null;
+  return { open, close };
+}
+function addDays(date, n) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+// Current date + minutes-since-midnight in the dealer's timezone.
+function dealerLocalNow(timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", { timeZone: timezone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit" })
+      .formatToParts(new Date())
+      .map((p) => [p.type, p.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+function daySlots(settings, date) {
+  if ((settings.blackoutDates || []).includes(date)) return [];
+  const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  const range = parseHoursRange(settings.businessHours?.[weekday]);
+  if (!range) return [];
+  const step = Number(settings.slotMinutes) || DEFAULT_DEALER_SETTINGS.slotMinutes;
+  const out = [];
+  for (let t = range.open; t + step <= range.close; t += step) out.push(minutesToTime(t));
+  return out;
+}
+function isBookedLead(lead) {
+  return Boolean(lead.preferredDate && lead.preferredTime) && !INACTIVE_LEAD_STATUSES.includes(String(lead.status || "").toLowerCase());
+}
+// Returns null when the slot is bookable, otherwise { status, error } for the response.
+function checkAppointmentSlot(settings, leads, { vehicleId, preferredDate, preferredTime }) {
+  if (!isIsoDate(preferredDate) || timeToMinutes(preferredTime) == null) {
+    return { status: 400, error: "Pick a date and time from the available slots" };
+  }
+  const now = dealerLocalNow(settings.timezone);
+  const lastDay = addDays(now.date, BOOKING_WINDOW_DAYS - 1);
+  if (preferredDate < now.date || preferredDate > lastDay) {
+    return { status: 400, error: `Appointments can be booked up to ${BOOKING_WINDOW_DAYS} days ahead` };
+  }
+  if (preferredDate === now.date && timeToMinutes(preferredTime) <= now.minutes) {
+    return { status: 400, error: "That time has already passed" };
+  }
+  if (!daySlots(settings, preferredDate).includes(preferredTime)) {
+    return { status: 400, error: "That time is outside the dealer's opening hours" };
+  }
+  const sameSlot = leads.filter((l) => isBookedLead(l) && l.preferredDate === preferredDate && l.preferredTime === preferredTime);
+  if (vehicleId && sameSlot.some((l) => l.vehicleId === vehicleId)) {
+    return { status: 409, error: "That slot was just booked for this vehicle. Please pick another time." };
+  }
+  if (settings.maxBookingsPerSlot && sameSlot.length >= settings.maxBookingsPerSlot) {
+    return { status: 409, error: "That slot is fully booked. Please pick another time." };
+  }
+  return null;
+}
+async function listAvailableSlots(dealerId, vehicleId, from, days) {
+  const [settings, leads] = await Promise.all([loadDealerSettings(dealerId), store.dealerListLeads(dealerId)]);
+  const now = dealerLocalNow(settings.timezone);
+  const start = from && from > now.date ? from : now.date;
+  const end = addDays(now.date, BOOKING_WINDOW_DAYS - 1);
+  const out = [];
+  for (let date = start, i = 0; date <= end && i < days; date = addDays(date, 1), i++) {
+    const slots = daySlots(settings, date).filter(
+      (time) => !checkAppointmentSlot(settings, leads, { vehicleId, preferredDate: date, preferredTime: time })
+    );
+    out.push({ date, slots });
+  }
+  return { timezone: settings.timezone, slotMinutes: settings.slotMinutes, days: out };
+}
+
+// ---------- Outbound POSTs to dealer-supplied URLs (webhooks, ADF CRM endpoint) ----------
+// Dealers pick these URLs, so the server must not become a proxy into its own network: only http(s), and the
+// host may not resolve to loopback, private, link-local/metadata, CGNAT or multicast space. The check runs
+// inside the socket's DNS lookup, so the address that is checked is the one connected to (no rebinding), and
+// redirects are never followed. Callers only ever see the generic messages from outboundErrorMessage().
+const NON_PUBLIC_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  NON_PUBLIC_NETWORKS.addSubnet(network, prefix, "ipv4");
+}
+// No ::ffff:0:0/96 entry: BlockList already checks IPv4-mapped addresses against the IPv4 rules above,
+// and such a rule would match every IPv4 address as well.
+for (const [network, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  NON_PUBLIC_NETWORKS.addSubnet(network, prefix, "ipv6");
+}
+const OUTBOUND_BLOCKED = "OUTBOUND_BLOCKED";
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !NON_PUBLIC_NETWORKS.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+function blockedError(message) {
+  return Object.assign(new Error(message), { code: OUTBOUND_BLOCKED });
+}
+// dns.lookup drop-in for http(s).request that refuses hosts with any non-public address.
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some((a) => !isPublicAddress(a.address))) {
+      return callback(blockedError(`${hostname} does not resolve to a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+function parseOutboundUrl(url) {
+  let target;
+  try {
+    target = new URL(String(url || ""));
+  } catch {
+    throw blockedError("Invalid URL");
+  }
+  if (!["http:", "https:"].includes(target.protocol)) throw blockedError("Only http(s) URLs are allowed");
+  if (target.username || target.password) throw blockedError("URLs with credentials are not allowed");
+  const host = target.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !isPublicAddress(host)) throw blockedError("Private and local addresses are not allowed");
+  return target;
+}
+// For settings forms: "" when the URL is allowed, else a message fit to show the dealer.
+async function publicUrlError(url) {
+  try {
+    const target = parseOutboundUrl(url);
+    const host = target.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(host)) return "";
+    const addresses = await dns.promises.lookup(host, { all: true });
+    if (!addresses.length || addresses.some((a) => !isPublicAddress(a.address))) {
+      return "URL must point to a public address (no localhost, private or internal hosts)";
+    }
+    return "";
+  } catch (e) {
+    if (e?.code === OUTBOUND_BLOCKED) return e.message;
+    return "URL host could not be resolved";
+  }
+}
+// Resolves { status } once response headers arrive; rejects on blocked targets, network errors and timeouts.
+function postToPublicUrl(url, { headers = {}, body = "", timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = parseOutboundUrl(url);
+    } catch (e) {
+      return reject(e);
+    }
+    const req = (target.protocol === "https:" ? https : http).request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: publicOnlyLookup,
+        timeout: timeoutMs,
+      },
+      (res) => {
+        res.resume();
+        resolve({ status: res.statusCode, ok: res.statusCode >= 200 && res.statusCode < 300 });
+      }
+    );
+    req.on("timeout", () => req.destroy(Object.assign(new Error("Request timed out"), { code: "ETIMEDOUT" })));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+// What a dealer may see about a failed outbound request; the raw error only goes to the server log.
+function outboundErrorMessage(e) {
+  if (e?.code === OUTBOUND_BLOCKED) return "Blocked: endpoint must be a public http(s) address";
+  if (e?.code === "ETIMEDOUT") return "Timed out";
+  return "Could not connect";
+}
+
+// ---------- Webhooks (WEBHOOKS subscriptions, WEBHOOK_DELIVERIES log) ----------
+// Each POST carries X-Webhook-Event, X-Webhook-Id, X-Webhook-Timestamp and
+// X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${rawBody}`).
+// Retries live in process memory; a restart drops pending retries (the log keeps the failure).
+const WEBHOOKS_COLLECTION = "WEBHOOKS";
+const WEBHOOK_DELIVERIES_COLLECTION = "WEBHOOK_DELIVERIES";
+const WEBHOOK_EVENTS = ["lead.created", "lead.status_changed", "vehicle.created", "vehicle.updated", "vehicle.sold"];
+const WEBHOOK_RETRY_DELAYS_MS = [0, 30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000];
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const MAX_WEBHOOKS_PER_DEALER = 10;
+
+function makeWebhookId() {
+  return "wh_" + crypto.randomBytes(6).toString("hex");
+}
+function makeWebhookSecret() {
+  return "whsec_" + crypto.randomBytes(24).toString("hex");
+}
+function signWebhookPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+// The secret is only returned when a subscription is created.
+function publicWebhook(hook) {
+  const { secret, ...rest } = hook;
+  return { ...rest, secretHint: secret ? `…${String(secret).slice(-4)}` : "" };
+}
+
+async function listDealerWebhooks(dealerId) {
+  const all = await store.listRecords(WEBHOOKS_COLLECTION);
+  return all.filter((h) => h.dealerId === dealerId);
+}
+function validateWebhookInput(input, current) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "webhook object required" };
+  const next = { ...current };
+  if ("url" in input || !current) {
+    const url = String(input.url || "").trim();
+    if (!isHttpUrl(url)) return { error: "url must be an http(s) URL" };
+    next.url = url;
+  }
+  if ("events" in input || !current) {
+    const events = Array.isArray(input.events) ? [...new Set(input.events.map(String))] : [];
+    const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) return { error: `Unknown event(s): ${unknown.join(", ")}` };
+    if (!events.length) return { error: "Pick at least one event" };
+    next.events = events;
+  }
+  if ("active" in input) next.active = Boolean(input.active);
+  return { webhook: next };
+}
+async function createWebhook(dealerId, input) {
+  const existing = await listDealerWebhooks(dealerId);
+  if (existing.length >= MAX_WEBHOOKS_PER_DEALER) {
+    return { error: `At most ${MAX_WEBHOOKS_PER_DEALER} webhooks per dealer` };
+  }
+  const { webhook, error } = validateWebhookInput(input, null);
+  if (error) return { error };
+  const urlError = await publicUrlError(webhook.url);
+  if (urlError) return { error: urlError };
+  const now = nowIso();
+  const hook = {
+    ...webhook,
+    id: makeWebhookId(),
+    dealerId,
+    secret: makeWebhookSecret(),
+    active: webhook.active !== false,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await store.putRecord(WEBHOOKS_COLLECTION, hook);
+  return { webhook: hook };
+}
+async function updateWebhook(dealerId, id, input) {
+  const current = await store.getRecord(WEBHOOKS_COLLECTION, id);
+  if (!current || current.dealerId !== dealerId) return { notFound: true };
+  const { webhook, error } = validateWebhookInput(input, current);
+  if (error) return { error };
+  if (webhook.url !== current.url) {
+    const urlError = await publicUrlError(webhook.url);
+    if (urlError) return { error: urlError };
+  }
+  const hook = { ...webhook, updatedAt: nowIso() };
+  await store.putRecord(WEBHOOKS_COLLECTION, hook);
+  return { webhook: hook };
+}
+async function deleteWebhook(dealerId, id) {
+  const current = await store.getRecord(WEBHOOKS_COLLECTION, id);
+  if (!current || current.dealerId !== dealerId) return false;
+  return store.deleteRecord(WEBHOOKS_COLLECTION, id);
+}
+async function listWebhookDeliveries(dealerId, limit = 50) {
+  const all = await store.listRecords(WEBHOOK_DELIVERIES_COLLECTION);
+  return all
+    .filter((d) => d.dealerId === dealerId)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, limit);
+}
+
+// One log row per attempt; network errors, 408, 429 and 5xx are retried.
+async function attemptWebhookDelivery(hook, payload, attempt, { retry = true } = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  let responseStatus = 0;
+  let error = "";
+  let blocked = false;
+  try {
+    const res = await postToPublicUrl(hook.url, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "carsalesweblink-webhooks/1",
+        "X-Webhook-Event": payload.event,
+        "X-Webhook-Id": payload.id,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": signWebhookPayload(hook.secret, timestamp, body),
+      },
+      body,
+      timeoutMs: WEBHOOK_TIMEOUT_MS,
+    });
+    responseStatus = res.status;
+    if (!res.ok) error = `HTTP ${res.status}`;
+  } catch (e) {
+    console.warn("[WEBHOOK] delivery error", hook.id, e?.message || e);
+    error = outboundErrorMessage(e);
+    blocked = e?.code === OUTBOUND_BLOCKED;
+  }
+
+  const delivered = !error;
+  const retryable = !delivered && !blocked && (!responseStatus || responseStatus === 408 || responseStatus === 429 || responseStatus >= 500);
+  const willRetry = retry && retryable && attempt < WEBHOOK_RETRY_DELAYS_MS.length;
+  await store
+    .appendRecord(WEBHOOK_DELIVERIES_COLLECTION, {
+      id: `${payload.id}_${attempt}`,
+      eventId: payload.id,
+      webhookId: hook.id,
+      dealerId: hook.dealerId,
+      event: payload.event,
+      url: hook.url,
+      attempt,
+      status: delivered ? "delivered" : willRetry ? "retrying" : "failed",
+      responseStatus,
+      error,
+      createdAt: nowIso(),
+    })
+    .catch((e) => console.warn("[WEBHOOK] log failed", e?.message || e));
+
+  if (willRetry) scheduleWebhookDelivery(hook.id, payload, attempt + 1);
+  return { delivered, responseStatus, error };
+}
+// Re-reads the subscription before every attempt, so a retry never outlives a delete, a disable,
+// a new URL or a rotated secret; it goes to whatever the subscription says now, or nowhere.
+function scheduleWebhookDelivery(hookId, payload, attempt) {
+  const timer = setTimeout(async () => {
+    try {
+      const hook = await store.getRecord(WEBHOOKS_COLLECTION, hookId);
+      if (!hook || hook.dealerId !== payload.dealerId || hook.active === false || !(hook.events || []).includes(payload.event)) {
+        console.log(`[WEBHOOK] dropped ${payload.id} attempt ${attempt}: ${hookId} was removed, disabled or unsubscribed`);
+        return;
+      }
+      await attemptWebhookDelivery(hook, payload, attempt);
+    } catch (e) {
+      console.warn("[WEBHOOK] delivery crashed", hookId, e?.message || e);
+    }
+  }, WEBHOOK_RETRY_DELAYS_MS[attempt - 1]);
+  timer.unref?.();
+}
+
+// Fire-and-forget: never blocks or fails the request that caused the event.
+function emitDealerEvent(dealerId, event, data) {
+  listDealerWebhooks(dealerId)
+    .then((hooks) => {
+      const targets = hooks.filter((h) => h.active !== false && (h.events || []).includes(event));
+      if (!targets.length) return;
+      const payload = { id: "evt_" + crypto.randomBytes(8).toString("hex"), event, dealerId, createdAt: nowIso(), data };
+      targets.forEach((hook) => scheduleWebhookDelivery(hook.id, payload, 1));
+    })
+    .catch((e) => console.warn("[WEBHOOK] emit failed", dealerId, event, e?.message || e));
+}
+// Synchronous single attempt for the "Send test" button; not retried.
+async function sendWebhookTest(dealerId, id) {
+  const hook = await store.getRecord(WEBHOOKS_COLLECTION, id);
+  if (!hook || hook.dealerId !== dealerId) return { notFound: true };
+  const payload = { id: "evt_" + crypto.randomBytes(8).toString("hex"), event: "ping", dealerId, createdAt: nowIso(), data: {} };
+  return attemptWebhookDelivery(hook, payload, 1, { retry: false });
+}
+
+// ---------- ADF/XML leads (Auto-lead Data Format 1.0) ----------
+const ADF_SOURCE = "carsalesweblink";
+const ADF_DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+function adfTag(name, value, indent, attrs = "") {
+  if (value === "" || value == null) return "";
+  return `${indent}<${name}${attrs}>${xmlEscape(value)}</${name}>`;
+}
+function leadToAdfProspect(lead, { dealer, vehicle, currency }) {
+  const v = vehicle || {};
+  const price = Number(v.price || 0);
+  const timeframe = [lead.preferredDate, lead.preferredTime].filter(Boolean).join(" ");
+  const lines = [
+    `  <prospect status="new">`,
+    adfTag("id", lead.leadId, "    ", ` sequence="1" source="${ADF_SOURCE}"`),
+    adfTag("requestdate", lead.createdAt || nowIso(), "    "),
+    `    <vehicle interest="buy" status="used">`,
+    adfTag("id", lead.vehicleId, "      ", ` source="${ADF_SOURCE}"`),
+    adfTag("year", v.year || "", "      "),
+    adfTag("make", v.make, "      "),
+    adfTag("model", v.model, "      "),
+    adfTag("vin", v.vin, "      "),
+    adfTag("odometer", v.mileage != null && v.mileage !== "" ? Number(v.mileage) : "", "      ", ` units="km"`),
+    v.color ? `      <colorcombination>\n${adfTag("exteriorcolor", v.color, "        ")}\n      </colorcombination>` : "",
+    isFinite(price) && price > 0 ? adfTag("price", price, "      ", ` type="asking" currency="${xmlEscape(currency)}"`) : "",
+    adfTag("comments", vehicle ? vehicleTitle(vehicle) : "", "      "),
+    `    </vehicle>`,
+    `    <customer>`,
+    `      <contact>`,
+    adfTag("name", lead.name, "        ", ` part="full"`),
+    adfTag("email", lead.email, "        "),
+    adfTag("phone", lead.phone, "        ", ` type="voice"`),
+    `      </contact>`,
+    timeframe ? `      <timeframe>\n${adfTag("description", `Preferred ${timeframe}`, "        ")}\n      </timeframe>` : "",
+    adfTag("comments", [lead.type ? `Request: ${lead.type}` : "", lead.notes].filter(Boolean).join("\n"), "      "),
+    `    </customer>`,
+    `    <vendor>`,
+    adfTag("id", dealer.dealerId, "      ", ` source="${ADF_SOURCE}"`),
+    adfTag("vendorname", dealer.name || dealer.dealerId, "      "),
+    `    </vendor>`,
+    `    <provider>`,
+    adfTag("name", "Carsales Weblink", "      ", ` part="full"`),
+    adfTag("service", lead.source || "storefront", "      "),
+    `    </provider>`,
+    `  </prospect>`,
+  ];
+  return lines.filter(Boolean).join("\n");
+}
+// One <adf> document; ADF allows several prospects per document.
+async function buildDealerAdf(dealerId, leads) {
+  const [dealer, vehicles] = await Promise.all([store.adminGetDealer(dealerId), store.dealerListVehicles(dealerId)]);
+  let currency = DEFAULT_SETTINGS.defaultCurrency;
+  try {
+    currency = (await loadSettings()).defaultCurrency;
+  } catch {
+    // defaults are fine for an export
+  }
+  const byId = new Map(vehicles.map((v) => [v.vehicleId, v]));
+  const ctx = { dealer: dealer || { dealerId, name: dealerId }, currency };
+  const prospects = leads.map((l) => leadToAdfProspect(l, { ...ctx, vehicle: byId.get(l.vehicleId) }));
+  return ['<?xml version="1.0" encoding="UTF-8"?>', '<?adf version="1.0"?>', "<adf>", ...prospects, "</adf>", ""].join("\n");
+}
+function sendAdf(res, filename, xml) {
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.type("application/xml").send(xml);
+}
+
+// Inbound ADF from third-party sites. ADF is a small, flat format, so a tag scanner is enough.
+function xmlDecode(s) {
+  return String(s || "")
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_m, text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;"))
+    .replace(/<[^>]+>/g, "")
+    .replace(/&#x([0-9a-f]+);/gi, (_m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_m, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+function xmlElements(xml, tag) {
+  const re = new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, "gi");
+  return [...String(xml || "").matchAll(re)].map((m) => ({ attrs: m[1] || "", body: m[2] }));
+}
+function xmlAttr(attrs, name) {
+  const m = String(attrs || "").match(new RegExp(`${name}\\s*=\\s*["']([^"']*)["']`, "i"));
+  return m ? m[1].trim().toLowerCase() : "";
+}
+function xmlFirstText(xml, tag) {
+  const el = xmlElements(xml, tag)[0];
+  return el ? xmlDecode(el.body) : "";
+}
+function parseAdfProspects(xml) {
+  return xmlElements(xml, "prospect").map(({ body }) => {
+    const vehicle = xmlElements(body, "vehicle")[0]?.body || "";
+    const customer = xmlElements(body, "customer")[0]?.body || "";
+    const vendor = xmlElements(body, "vendor")[0]?.body || "";
+    const provider = xmlElements(body, "provider")[0]?.body || "";
+
+    const names = xmlElements(customer, "name");
+    const full = names.find((n) => xmlAttr(n.attrs, "part") === "full");
+    const name = full
+      ? xmlDecode(full.body)
+      : ["first", "middle", "last"]
+          .map((part) => names.find((n) => xmlAttr(n.attrs, "part") === part))
+          .filter(Boolean)
+          .map((n) => xmlDecode(n.body))
+          .join(" ") || (names[0] ? xmlDecode(names[0].body) : "");
+
+    const vehicleSummary = [xmlFirstText(vehicle, "year"), xmlFirstText(vehicle, "make"), xmlFirstText(vehicle, "model")]
+      .filter(Boolean)
+      .join(" ");
+    const vin = xmlFirstText(vehicle, "vin");
+    const timeframe = xmlFirstText(xmlElements(customer, "timeframe")[0]?.body || "", "description");
+
+    return {
+      vendorId: xmlFirstText(vendor, "id"),
+      lead: {
+        vehicleId: xmlFirstText(vehicle, "id"),
+        type: "inquiry",
+        name,
+        phone: xmlFirstText(customer, "phone"),
+        email: xmlFirstText(customer, "email"),
+        preferredDate: "",
+        preferredTime: "",
+        notes: [
+          xmlFirstText(customer, "comments"),
+          vehicleSummary || vin ? `Vehicle: ${[vehicleSummary, vin && `VIN ${vin}`].filter(Boolean).join(", ")}` : "",
+          timeframe ? `Timeframe: ${timeframe}` : "",
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        source: "adf:" + (xmlFirstText(provider, "name") || "unknown").slice(0, 60),
+        status: "new",
+      },
+    };
+  });
+}
+
+// Fire-and-forget: CRM outages must never fail or slow down lead capture.
+async function deliverLeadAdf(dealerId, lead) {
+  const { adfEndpoint } = await loadDealerSettings(dealerId);
+  if (!adfEndpoint) return;
+  const xml = await buildDealerAdf(dealerId, [lead]);
+  // Same guard as webhooks: the endpoint is dealer-supplied.
+  const res = await postToPublicUrl(adfEndpoint, {
+    headers: { "Content-Type": "application/xml" },
+    body: xml,
+    timeoutMs: ADF_DELIVERY_TIMEOUT_MS,
+  });
+  if (!res.ok) throw new Error(`CRM responded ${res.status}`);
+}
+// ---------- Lead + vehicle writes (shared by dealer/admin routes, fire events) ----------
+// Runs after a lead lands in a dealer tab (public form, ADF intake, released from review).
+function afterLeadSaved(dealerId, lead) {
+  deliverLeadAdf(dealerId, lead).catch((e) => {
+    console.warn("[ADF] delivery failed", dealerId, lead.leadId, e?.message || e);
+  });
+  emitDealerEvent(dealerId, "lead.created", { lead });
+  autoAssignLead(dealerId, lead).catch((e) => {
+    console.warn("[ROUTING] assignment failed", dealerId, lead.leadId, e?.message || e);
+  });
+}
+
+// Returns { lead, previousStatus }, or null when the lead doesn't exist.
+// `by` names who made the change on the lead's activity timeline. Moves are checked against the pipeline
+// unless `enforcePipeline` is false (a recorded sale always wins the lead); a rejected move returns { error, code }.
+async function updateLeadStatus(dealerId, leadId, status, { by = "", lostReason = "", enforcePipeline = true } = {}) {
+  const leads = await store.dealerListLeads(dealerId);
+  const before = leads.find((l) => l.leadId === leadId);
+  if (!before) return null;
+  if (enforcePipeline) {
+    const check = validateLeadTransition(before.status, status, lostReason);
+    if (check.error) return check;
+    ({ status, lostReason } = check);
+  }
+  const updated = await store.dealerUpdateLeadStatus(dealerId, leadId, status);
+  if (!updated) return null;
+  if (String(before.status || "") !== status) {
+    emitDealerEvent(dealerId, "lead.status_changed", { lead: updated, previousStatus: before.status || "" });
+    const body = `${before.status || "new"} → ${status}${lostReason ? `: ${lostReason}` : ""}`;
+    await addLeadActivity(dealerId, leadId, { type: "status", body, lostReason }, by).catch((e) =>
+      console.warn("[ACTIVITY] log failed", e?.message || e)
+    );
+  }
+  return { lead: updated, previousStatus: before.status || "" };
+}
+
+// `existing` is the stored vehicle (or null for a new one) so events can tell created/updated/sold apart.
+async function saveDealerVehicle(dealerId, vehicle, existing) {
+  const saved = await store.dealerUpsertVehicle(dealerId, vehicle);
+  await recordVehicleHistory(dealerId, existing, saved).catch((e) => console.warn("[HISTORY] log failed", e?.message || e));
+  emitDealerEvent(dealerId, existing ? "vehicle.updated" : "vehicle.created", { vehicle: saved });
+  const wasSold = String(existing?.status || "").toLowerCase() === "sold";
+  const isSold = String(saved.status || "").toLowerCase() === "sold";
+  if (!wasSold && isSold) {
+    emitDealerEvent(dealerId, "vehicle.sold", { vehicle: saved });
+  }
+  // Moving a vehicle back out of "sold" undoes the sale so revenue/metrics don't count it.
+  if (wasSold && !isSold) {
+    await store.deleteRecord(SALES_COLLECTION, saleRecordId(dealerId, saved.vehicleId));
+  }
+  // A hold only lives while the vehicle is pending; any other status (sold, available) ends it.
+  const wasPending = String(existing?.status || "").toLowerCase() === "pending";
+  if (wasPending && String(saved.status || "").toLowerCase() !== "pending") {
+    await store.deleteRecord(RESERVATIONS_COLLECTION, reservationRecordId(dealerId, saved.vehicleId));
+  }
+  return saved;
+}
+
+// ---------- Vehicle history (VEHICLE_HISTORY records) ----------
+// The vehicle row only holds the current price/status, so every save that changes either (and the first
+// listing) appends an entry here. Entries are never edited.
+const VEHICLE_HISTORY_COLLECTION = "VEHICLE_HISTORY";
+const PRICE_DROP_BADGE_DAYS = 14;
+const PRICE_DROPS_CACHE_MS = 60 * 1000;
+const priceDropsCache = new Map(); // dealerId -> { at, drops: Map(vehicleId -> { previousPrice, reducedAt }) }
+
+async function recordVehicleHistory(dealerId, before, after) {
+  const priceChanged = !before || Number(before.price || 0) !== Number(after.price || 0);
+  const statusChanged = !before || String(before.status || "") !== String(after.status || "");
+  if (!priceChanged && !statusChanged) return null;
+
+  const at = nowIso();
+  const entry = {
+    id: `${dealerId}:${after.vehicleId}:${at}:${crypto.randomBytes(3).toString("hex")}`,
+    dealerId,
+    vehicleId: after.vehicleId,
+    at,
+    event: before ? "changed" : "listed",
+  };
+  if (priceChanged) Object.assign(entry, { priceFrom: before ? Number(before.price || 0) : null, priceTo: Number(after.price || 0) });
+  if (statusChanged) Object.assign(entry, { statusFrom: before ? String(before.status || "") : null, statusTo: String(after.status || "") });
+  await store.appendRecord(VEHICLE_HISTORY_COLLECTION, entry);
+  priceDropsCache.delete(dealerId);
+  return entry;
+}
+async function listVehicleHistory(dealerId, vehicleId) {
+  const all = await store.listRecords(VEHICLE_HISTORY_COLLECTION);
+  return all
+    .filter((h) => h.dealerId === dealerId && (!vehicleId || h.vehicleId === vehicleId))
+    .sort((a, b) => String(b.at).localeCompare(String(a.at)));
+}
+// Vehicles whose most recent price change was a cut made within the badge window.
+async function getRecentPriceDrops(dealerId) {
+  const cached = priceDropsCache.get(dealerId);
+  if (cached && Date.now() - cached.at < PRICE_DROPS_CACHE_MS) return cached.drops;
+
+  const since = Date.now() - PRICE_DROP_BADGE_DAYS * 24 * 60 * 60 * 1000;
+  const drops = new Map();
+  const seen = new Set();
+  for (const h of await listVehicleHistory(dealerId)) {
+    if (h.priceTo == null || seen.has(h.vehicleId)) continue;
+    seen.add(h.vehicleId);
+    if (h.priceFrom > h.priceTo && h.priceTo > 0 && Date.parse(h.at) >= since) {
+      drops.set(h.vehicleId, { previousPrice: h.priceFrom, reducedAt: h.at });
+    }
+  }
+  priceDropsCache.set(dealerId, { at: Date.now(), drops });
+  return drops;
+}
+// Adds priceReduced: { previousPrice, reducedAt } to vehicles that qualify for the storefront badge.
+async function withPriceDrops(dealerId, vehicles) {
+  const drops = await getRecentPriceDrops(dealerId);
+  return vehicles.map((v) => {
+    const drop = drops.get(v.vehicleId);
+    return drop && Number(v.price || 0) < drop.previousPrice ? { ...v, priceReduced: drop } : v;
+  });
+}
+
+// ---------- Sales (SALES records) ----------
+// One record per sold vehicle, keyed dealerId:vehicleId. Listing date (from VEHICLE_HISTORY; vehicle rows
+// don't keep one) and list price are copied in at sale time so metrics survive later edits or a purge.
+const SALES_COLLECTION = "SALES";
+const SALESPERSON_MAX_CHARS = 80;
+
+function saleRecordId(dealerId, vehicleId) {
+  return `${dealerId}:${vehicleId}`;
+}
+async function listDealerSales(dealerId) {
+  const all = await store.listRecords(SALES_COLLECTION);
+  return all
+    .filter((s) => s.dealerId === dealerId)
+    .sort((a, b) => String(b.saleDate).localeCompare(String(a.saleDate)));
+}
+function publicSale(s) {
+  const { id: _id, ...rest } = s;
+  return rest;
+}
+// `today` is the dealer-local date and `listedAt` the vehicle's first history entry ("" if it predates history).
+// Returns { sale, lead } with the validated fields or { error }.
+function validateSale(input, { vehicle, leads, today, listedAt }) {
+  const salePrice = Number(input.salePrice);
+  if (!Number.isFinite(salePrice) || salePrice <= 0) return { error: "salePrice must be a positive number" };
+
+  const saleDate = String(input.saleDate || today).trim();
+  if (!isIsoDate(saleDate)) return { error: "saleDate must be YYYY-MM-DD" };
+  if (saleDate > today) return { error: "saleDate cannot be in the future" };
+
+  const leadId = String(input.leadId || "").trim();
+  const lead = leadId ? leads.find((l) => l.leadId === leadId) : null;
+  if (leadId && !lead) return { error: "leadId not found for this dealer" };
+
+  const salesperson = String(input.salesperson || "").trim();
+  if (salesperson.length > SALESPERSON_MAX_CHARS) return { error: `salesperson must be at most ${SALESPERSON_MAX_CHARS} characters` };
+
+  const listedDay = String(listedAt || "").slice(0, 10);
+  const daysInStock = isIsoDate(listedDay)
+    ? Math.max(0, Math.round((Date.parse(`${saleDate}T00:00:00Z`) - Date.parse(`${listedDay}T00:00:00Z`)) / 86400000))
+    : null;
+
+  return {
+    sale: {
+      salePrice,
+      saleDate,
+      leadId,
+      salesperson,
+      listPrice: Number(vehicle.price || 0),
+      listedAt: listedAt || "",
+      daysInStock,
+    },
+    lead,
+  };
+}
+
+// ---------- Reservations (RESERVATIONS records) ----------
+// A hold puts the vehicle in "pending" for one customer until expiresAt, with an optional deposit.
+// One active record per vehicle (dealerId:vehicleId); releasing, expiring or changing the status deletes it.
+const RESERVATIONS_COLLECTION = "RESERVATIONS";
+const RESERVATION_MAX_DAYS = 30;
+const RESERVATION_SWEEP_MS = 60 * 1000;
+
+function reservationRecordId(dealerId, vehicleId) {
+  return `${dealerId}:${vehicleId}`;
+}
+async function listDealerReservations(dealerId) {
+  const all = await store.listRecords(RESERVATIONS_COLLECTION);
+  return all.filter((r) => r.dealerId === dealerId).sort((a, b) => String(a.expiresAt).localeCompare(String(b.expiresAt)));
+}
+function publicReservation(r) {
+  const { id: _id, ...rest } = r;
+  return rest;
+}
+// Returns { reservation } with the validated fields (customer filled from the linked lead) or { error }.
+function validateReservation(input, { leads }) {
+  const leadId = String(input.leadId || "").trim();
+  const lead = leadId ? leads.find((l) => l.leadId === leadId) : null;
+  if (leadId && !lead) return { error: "leadId not found for this dealer" };
+
+  const customerName = String(input.customerName || lead?.name || "").trim().slice(0, 120);
+  const customerPhone = String(input.customerPhone || lead?.phone || "").trim().slice(0, 40);
+  if (!customerName) return { error: "customerName or leadId required" };
+
+  const depositAmount = input.depositAmount == null || input.depositAmount === "" ? 0 : Number(input.depositAmount);
+  if (!Number.isFinite(depositAmount) || depositAmount < 0) return { error: "depositAmount must be zero or more" };
+
+  const expires = new Date(String(input.expiresAt || ""));
+  if (isNaN(expires.getTime())) return { error: "expiresAt must be an ISO date-time" };
+  if (expires.getTime() <= Date.now()) return { error: "expiresAt must be in the future" };
+  if (expires.getTime() > Date.now() + RESERVATION_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Holds can last at most ${RESERVATION_MAX_DAYS} days` };
+  }
+
+  return { reservation: { leadId, customerName, customerPhone, depositAmount, expiresAt: expires.toISOString() } };
+}
+// Deletes the hold and puts a still-pending vehicle back to available. Returns the saved vehicle (or null).
+async function endReservation(dealerId, vehicleId) {
+  await store.deleteRecord(RESERVATIONS_COLLECTION, reservationRecordId(dealerId, vehicleId));
+  const vehicle = await findDealerVehicle(dealerId, vehicleId);
+  if (!vehicle || String(vehicle.status || "").toLowerCase() !== "pending") return null;
+  return saveDealerVehicle(dealerId, { ...vehicle, status: "available" }, vehicle);
+}
+async function sweepExpiredReservations() {
+  const now = new Date().toISOString();
+  const expired = (await store.listRecords(RESERVATIONS_COLLECTION)).filter((r) => String(r.expiresAt) <= now);
+  for (const r of expired) {
+    await withLock(`reservation:${r.id}`, async () => {
+      const current = await store.getRecord(RESERVATIONS_COLLECTION, r.id);
+      if (!current || String(current.expiresAt) > new Date().toISOString()) return; // released or extended meanwhile
+      await endReservation(r.dealerId, r.vehicleId);
+      console.log(`[RESERVATION] hold on ${r.dealerId}/${r.vehicleId} for ${r.customerName} expired`);
+    }).catch((e) => console.warn("[RESERVATION] expiry failed", r.id, e?.message || e));
+  }
+}
+// Public listings: normal public vehicles plus held ones, which carry reservedUntil instead of disappearing.
+async function listPublicVehicles(dealerId) {
+  const [vehicles, reservations] = await Promise.all([store.dealerListVehicles(dealerId), listDealerReservations(dealerId)]);
+  const holds = new Map(reservations.map((r) => [r.vehicleId, r.expiresAt]));
+  const now = new Date().toISOString();
+  return vehicles.flatMap((v) => {
+    if (filterPublicVehicles([v]).length) return [v];
+    const until = holds.get(v.vehicleId);
+    const held = !v.archivedAt && String(v.status || "").toLowerCase() === "pending" && until > now;
+    return held ? [{ ...v, reservedUntil: until }] : [];
+  });
+}
+
+// ---------- Lead activity (LEAD_ACTIVITIES records) ----------
+// The lead row only carries a status, so calls, messages, notes and follow-up dates are appended here.
+// The newest dealer-logged entry decides the lead's next follow-up (the portal prefills the current one,
+// so leaving it blank clears it). Status changes and assignments are logged too, as "status"/"assignment" entries.
+const LEAD_ACTIVITIES_COLLECTION = "LEAD_ACTIVITIES";
+const LEAD_ACTIVITY_TYPES = ["note", "call", "whatsapp", "email", "meeting"];
+const LEAD_ACTIVITY_MAX_CHARS = 2000;
+// Logged by the server, never by hand, and ignored when working out the next follow-up.
+const LEAD_SYSTEM_ACTIVITY_TYPES = ["status", "assignment"];
+
+async function listLeadActivities(dealerId, leadId) {
+  const all = await store.listRecords(LEAD_ACTIVITIES_COLLECTION);
+  return all
+    .filter((a) => a.dealerId === dealerId && (!leadId || a.leadId === leadId))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+async function addLeadActivity(dealerId, leadId, { type, body, followUpDate = "", lostReason = "" }, by) {
+  const createdAt = nowIso();
+  const activity = {
+    id: `${leadId}:${createdAt}:${crypto.randomBytes(3).toString("hex")}`,
+    dealerId,
+    leadId,
+    type,
+    body,
+    followUpDate,
+    ...(lostReason ? { lostReason } : {}),
+    by: by || "",
+    createdAt,
+  };
+  await store.appendRecord(LEAD_ACTIVITIES_COLLECTION, activity);
+  return activity;
+}
+// leadId -> { nextFollowUp, lastActivityAt, activityCount, lostReason } from a newest-first activity list.
+// lostReason comes from the latest status change, so it is blank again once a lost lead is reopened.
+function summarizeLeadActivities(activities) {
+  const out = new Map();
+  for (const a of activities) {
+    let summary = out.get(a.leadId);
+    if (!summary) {
+      summary = { nextFollowUp: null, lastActivityAt: a.createdAt, activityCount: 0, lostReason: null };
+      out.set(a.leadId, summary);
+    }
+    summary.activityCount += 1;
+    if (summary.nextFollowUp === null && !LEAD_SYSTEM_ACTIVITY_TYPES.includes(a.type)) summary.nextFollowUp = a.followUpDate || "";
+    if (summary.lostReason === null && a.type === "status") summary.lostReason = a.lostReason || "";
+  }
+  for (const summary of out.values()) {
+    summary.nextFollowUp = summary.nextFollowUp || "";
+    summary.lostReason = summary.lostReason || "";
+  }
+  return out;
+}
+function withLeadSummaries(leads, activities) {
+  const summaries = summarizeLeadActivities(activities);
+  const empty = { nextFollowUp: "", lastActivityAt: "", activityCount: 0, lostReason: "" };
+  return leads.map((l) => ({ ...l, ...(summaries.get(l.leadId) || empty) }));
+}
+function validateLeadActivity(input) {
+  const type = String(input.type || "").trim().toLowerCase();
+  if (!LEAD_ACTIVITY_TYPES.includes(type)) return { error: `type must be one of: ${LEAD_ACTIVITY_TYPES.join(", ")}` };
+  const body = String(input.body || "").trim();
+  if (!body) return { error: "body required" };
+  if (body.length > LEAD_ACTIVITY_MAX_CHARS) return { error: `body must be at most ${LEAD_ACTIVITY_MAX_CHARS} characters` };
+  const followUpDate = String(input.followUpDate || "").trim();
+  if (followUpDate && !isIsoDate(followUpDate)) return { error: "followUpDate must be YYYY-MM-DD" };
+  return { activity: { type, body, followUpDate } };
+}
+function publicLeadActivity(a) {
+  const { id, dealerId: _d, ...rest } = a;
+  return { activityId: id, ...rest };
+}
+
+// ---------- Lead pipeline ----------
+// new → contacted → booked → showed → negotiating → won | lost, plus a few steps back (a no-show goes back
+// to contacted, a lost lead can be reopened). Rows from before the pipeline (closed, cancelled, …) may
+// move to any stage. Won is final; recording a sale is the only other way in.
+const LEAD_STAGES = ["new", "contacted", "booked", "showed", "negotiating", "won", "lost"];
+const LEAD_TRANSITIONS = {
+  new: ["contacted", "booked", "lost"],
+  contacted: ["booked", "negotiating", "won", "lost"],
+  booked: ["contacted", "showed", "lost"],
+  showed: ["negotiating", "won", "lost"],
+  negotiating: ["won", "lost"],
+  won: [],
+  lost: ["contacted"],
+};
+const LEAD_LOST_REASON_MAX_CHARS = 200;
+
+// Returns { status, lostReason } for an allowed move, or { error, code }.
+function validateLeadTransition(from, to, lostReason) {
+  const next = String(to || "").trim().toLowerCase();
+  if (!LEAD_STAGES.includes(next)) return { error: `status must be one of: ${LEAD_STAGES.join(", ")}`, code: 400 };
+  const current = String(from || "new").trim().toLowerCase();
+  if (current !== next && LEAD_STAGES.includes(current) && !LEAD_TRANSITIONS[current].includes(next)) {
+    return { error: `A ${current} lead can't move to ${next}`, code: 409 };
+  }
+  const reason = String(lostReason || "").trim();
+  if (next === "lost" && !reason) return { error: "lostReason required when marking a lead lost", code: 400 };
+  if (reason.length > LEAD_LOST_REASON_MAX_CHARS) {
+    return { error: `lostReason must be at most ${LEAD_LOST_REASON_MAX_CHARS} characters`, code: 400 };
+  }
+  return { status: next, lostReason: next === "lost" ? reason : "" };
+}
+const LEAD_PIPELINE = { stages: LEAD_STAGES, transitions: LEAD_TRANSITIONS };
+
+// ---------- Lead assignment (LEAD_ASSIGNMENTS records, id = dealerId:leadId) ----------
+// One record per lead naming the staff member who owns it ("" = unassigned). Only active staff whose role can
+// write leads may hold one. With leadRouting on, every new lead is routed once as it arrives:
+// round_robin gives it to whoever has gone longest without an assignment, by_vehicle keeps open leads on
+// one vehicle with one person, by_type follows typeRules. The last two fall back to round-robin.
+const LEAD_ASSIGNMENTS_COLLECTION = "LEAD_ASSIGNMENTS";
+const LEAD_ROUTING_MODES = ["off", "round_robin", "by_vehicle", "by_type"];
+
+async function listLeadAssignments(dealerId) {
+  const all = await store.listRecords(LEAD_ASSIGNMENTS_COLLECTION);
+  return all.filter((a) => a.dealerId === dealerId);
+}
+// Usernames that can be given leads, alphabetical.
+async function listLeadAssignees(dealerId) {
+  const staff = await listDealerStaff(dealerId);
+  return staff.filter((s) => s.status !== "disabled" && staffPermissions(s.role).includes("leads:write")).map((s) => s.username);
+}
+function withLeadAssignees(leads, assignments) {
+  const byLead = new Map(assignments.map((a) => [a.leadId, a.assignee]));
+  return leads.map((l) => ({ ...l, assignee: byLead.get(l.leadId) || "" }));
+}
+async function assignLead(dealerId, leadId, assignee, by) {
+  const id = `${dealerId}:${leadId}`;
+  const before = await store.getRecord(LEAD_ASSIGNMENTS_COLLECTION, id);
+  const record = { id, dealerId, leadId, assignee, assignedAt: nowIso(), assignedBy: by || "" };
+  await store.putRecord(LEAD_ASSIGNMENTS_COLLECTION, record);
+  if ((before?.assignee || "") !== assignee) {
+    const body = assignee ? `Assigned to ${assignee}` : `Unassigned from ${before.assignee}`;
+    await addLeadActivity(dealerId, leadId, { type: "assignment", body }, by).catch((e) =>
+      console.warn("[ACTIVITY] log failed", e?.message || e)
+    );
+  }
+  return { assignment: record, previousAssignee: before?.assignee || "" };
+}
+function pickLeadAssignee(routing, lead, leads, assignments, eligible) {
+  if (!eligible.length) return "";
+  const byLead = new Map(assignments.map((a) => [a.leadId, a]));
+  if (routing.mode === "by_type") {
+    const user = routing.typeRules?.[String(lead.type || "").toLowerCase()];
+    if (eligible.includes(user)) return user;
+  }
+  if (routing.mode === "by_vehicle" && lead.vehicleId) {
+    const sibling = leads
+      .filter((l) => l.leadId !== lead.leadId && l.vehicleId === lead.vehicleId)
+      .filter((l) => !INACTIVE_LEAD_STATUSES.includes(String(l.status || "").toLowerCase()))
+      .map((l) => byLead.get(l.leadId))
+      .filter((a) => a && eligible.includes(a.assignee))
+      .sort((a, b) => String(b.assignedAt).localeCompare(String(a.assignedAt)))[0];
+    if (sibling) return sibling.assignee;
+  }
+  // Round-robin without a stored cursor: whoever was assigned a lead least recently (never beats any date).
+  const lastAssigned = new Map();
+  for (const a of assignments) {
+    if (a.assignee && String(a.assignedAt) > (lastAssigned.get(a.assignee) || "")) lastAssigned.set(a.assignee, String(a.assignedAt));
+  }
+  return [...eligible].sort((a, b) => (lastAssigned.get(a) || "").localeCompare(lastAssigned.get(b) || ""))[0];
+}
+// Serialized per dealer so two leads arriving together don't both go to the same person.
+async function autoAssignLead(dealerId, lead) {
+  const { leadRouting } = await loadDealerSettings(dealerId);
+  if (!leadRouting || leadRouting.mode === "off") return null;
+  return withLock(`routing:${dealerId}`, async () => {
+    const [eligible, assignments, leads] = await Promise.all([
+      listLeadAssignees(dealerId),
+      listLeadAssignments(dealerId),
+      store.dealerListLeads(dealerId),
+    ]);
+    const assignee = pickLeadAssignee(leadRouting, lead, leads, assignments, eligible);
+    return assignee ? assignLead(dealerId, lead.leadId, assignee, "routing") : null;
+  });
+}
+
+// Applies dealer status rules (suspended -> rejected, paused -> held) before persisting.
+async function acceptPublicLead(dealerId, lead) {
+  const access = dealerAccessLevel(await getDealerStatus(dealerId));
+  if (access === "none") return { unavailable: true };
+  if (access === "read") {
+    await holdLeadForReview(dealerId, lead, "dealer_paused");
+    return { held: true };
+  }
+  await store.ensureDealerLayout(dealerId);
+  if (!lead.preferredDate && !lead.preferredTime) {
+    const saved = await store.dealerAppendLead(dealerId, lead);
+    afterLeadSaved(dealerId, saved);
+    return { lead: saved };
+  }
+  // Check-then-append under one lock per dealer so two requests can't grab the same slot.
+  return withLock(`slots:${dealerId}`, async () => {
+    const [settings, leads] = await Promise.all([loadDealerSettings(dealerId), store.dealerListLeads(dealerId)]);
+    const conflict = checkAppointmentSlot(settings, leads, lead);
+    if (conflict) return { conflict };
+    const saved = await store.dealerAppendLead(dealerId, lead);
+    afterLeadSaved(dealerId, saved);
+    return { lead: saved };
+  });
+}
+
+// ---------- GCS (Signed upload URLs) - OPTIONAL/BACK-COMPAT ----------
+const gcs = {
+  enabled: Boolean(Storage),
+  storage: null,
+  bucket: null,
+};
+
+if (Storage) {
+  try {
+    gcs.storage = new Storage();
+    gcs.bucket = gcs.storage.bucket(MEDIA_BUCKET);
+  } catch (e) {
+    console.warn("[GCS] Disabled: could not init Storage:", e?.message || e);
+    gcs.enabled = false;
+  }
+} else {
+  console.warn("[GCS] @google-cloud/storage not installed. GCS signing disabled.");
+}
+
+function sanitizeFilename(name) {
+  return String(name || "file").replace(/[^\w.\-]+/g, "_").slice(0, 140);
+}
+async function signUpload({ dealerId, vehicleId, type, filename, contentType }) {
+  if (!gcs.enabled || !gcs.bucket) throw new Error("GCS signing disabled");
+  if (!["image", "video"].includes(type)) throw new Error("type must be image or video");
+
+  const safeName = sanitizeFilename(filename);
+  const folder = type === "image" ? "images/original" : "videos/original";
+  const objectKey = `dealers/${dealerId}/vehicles/${vehicleId}/${folder}/${Date.now()}_${safeName}`;
+
+  const file = gcs.bucket.file(objectKey);
+  const [url] = await file.getSignedUrl({
+    version: "v4",
+    action: "write",
+    expires: Date.now() + 10 * 60 * 1000,
+    contentType,
+  });
+
+  const publicUrl = `${GCS_PUBLIC_BASE}/${MEDIA_BUCKET}/${objectKey}`;
+  return { url, objectKey, publicUrl };
+}
+
+// =========================
+// Cloudinary: SIGNED upload signature endpoint
+// =========================
+
+// Cloudinary signature rules: sign a sorted param string, append api_secret, sha1 hex.
 // We only sign what we need: folder + timestamp (you can add more later if you want).
 function cloudinarySignature(params, apiSecret) {
   const keys = Object.keys(params).filter((k) => params[k] !== undefined && params[k] !== null && params[k] !== "");
@@ -700,7 +2360,7 @@ function cloudinarySignature(params, apiSecret) {
 }
 
 // Dealer-only signer
-app.post("/api/dealer/cloudinary/sign", requireAuth, requireDealer, async (req, res) => {
+app.post("/api/dealer/cloudinary/sign", requireAuth, requireDealer("media:write"), requireDealerAccess("write"), async (req, res) => {
   try {
     if (!CLOUDINARY_CLOUD_NAME) return res.status(400).json({ ok: false, error: "CLOUDINARY_CLOUD_NAME missing" });
     if (!CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
@@ -820,42 +2480,427 @@ app.get("/api/public/cloudinary/list", async (req, res) => {
 // =========================
 
 // PUBLIC CONFIG
-app.get("/api/public/config", (_req, res) => {
+app.get("/api/public/config", async (_req, res) => {
+  // Settings are read-only here; fall back to defaults so config never fails on a storage hiccup.
+  let settings = DEFAULT_SETTINGS;
+  try {
+    settings = await loadSettings();
+  } catch (e) {
+    console.warn("[settings] using defaults:", e?.message || e);
+  }
+
   res.json({
     ok: true,
+    dealerId: DEFAULT_DEALER_ID,
     cloudinary: {
       cloudName: CLOUDINARY_CLOUD_NAME,
       uploadPreset: CLOUDINARY_UPLOAD_PRESET, // optional fallback only
       baseFolder: CLOUDINARY_BASE_FOLDER,
     },
+    settings,
   });
 });
 
-// ----- ADMIN -----
-app.post("/api/admin/login", async (req, res) => {
-  const { username, password } = req.body || {};
-  if (!username || !password) return res.status(400).json({ ok: false, error: "username and password required" });
+// ----- AUTH (dealer + admin sessions) -----
+// Old refresh secrets stay usable for a few seconds so two tabs refreshing at once don't trip reuse detection.
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
 
-  if (String(username) !== ADMIN_USERNAME || String(password) !== ADMIN_PASSWORD) {
-    return res.status(401).json({ ok: false, error: "Invalid credentials" });
-  }
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const [sid, secret] = String(req.body?.refreshToken || "").split(".");
+    if (!sid || !secret) return res.status(400).json({ ok: false, error: "refreshToken required" });
+
+    const out = await withLock(`session:${sid}`, async () => {
+      const session = await store.getRecord(SESSIONS_COLLECTION, sid);
+      if (!isLiveSession(session)) return { status: 401 };
+      const hash = hashRefreshSecret(secret);
+
+      if (!timingSafeEqual(hash, session.refreshHash)) {
+        const graceful =
+          session.prevRefreshHash &&
+          timingSafeEqual(hash, session.prevRefreshHash) &&
+          Date.now() - Date.parse(session.lastUsedAt) < REFRESH_REUSE_GRACE_MS;
+        if (graceful) return { session };
+        // A rotated-out refresh token came back: someone else may hold this session.
+        console.warn(`[SESSION] refresh token reuse on ${sid}, revoking`);
+        await saveSession({ ...session, revokedAt: nowIso(), revokedBy: "refresh-reuse" });
+        return { status: 401 };
+      }
+
+      if (session.tokenVersion !== (await currentTokenVersion(session.claims))) return { status: 401 };
+      if (session.kind === "admin") {
+        const user = await getAdminUser(session.claims.sub);
+        if (!user || user.status !== "active") return { status: 401 };
+      } else {
+        if (session.claims.username) {
+          const staff = await getDealerStaff(session.dealerId, session.claims.username);
+          if (!staff || staff.status !== "active") return { status: 401 };
+        }
+        if (dealerAccessLevel(await getDealerStatus(session.dealerId)) === "none") return { status: 403 };
+      }
+
+      const next = crypto.randomBytes(32).toString("base64url");
+      const saved = await saveSession({
+        ...session,
+        refreshHash: hashRefreshSecret(next),
+        prevRefreshHash: session.refreshHash,
+        lastUsedAt: nowIso(),
+        ip: clientIp(req),
+      });
+      return { tokens: issueTokens(saved, next) };
+    });
+
+    if (out.status === 403) return res.status(403).json({ ok: false, error: "Dealer account suspended", status: "suspended" });
+    if (out.status) return res.status(401).json({ ok: false, error: "Session ended. Sign in again." });
+    if (out.session) {
+      // Grace path: fresh access token only; the other tab already holds the new refresh token.
+      return res.json({ ok: true, ...issueAccessToken(out.session) });
+    }
+    res.json({ ok: true, ...out.tokens });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Refresh failed" });
+  }
+});
+
+// Holding the refresh token is enough to end that session (the access token may already be expired).
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const [sid, secret] = String(req.body?.refreshToken || "").split(".");
+    if (!sid || !secret) return res.status(400).json({ ok: false, error: "refreshToken required" });
+    const session = await store.getRecord(SESSIONS_COLLECTION, sid);
+    if (isLiveSession(session) && timingSafeEqual(hashRefreshSecret(secret), session.refreshHash)) {
+      await saveSession({ ...session, revokedAt: nowIso(), revokedBy: "logout" });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Logout failed" });
+  }
+});
+
+// Second login step for accounts with TOTP enabled: the password step hands out a short-lived challenge.
+app.post("/api/auth/2fa/verify", async (req, res) => {
+  const { challenge, code } = req.body || {};
+  if (!challenge || !code) return res.status(400).json({ ok: false, error: "challenge and code required" });
+
+  let payload;
+  try {
+    payload = verifyJwt(String(challenge));
+  } catch (_e) {
+    return res.status(401).json({ ok: false, error: "Sign-in expired. Start again." });
+  }
+  if (payload.purpose !== "2fa" || !payload.claims) return res.status(401).json({ ok: false, error: "Invalid challenge" });
+
+  try {
+    pruneTwoFactorAttempts();
+    const attempt = twoFactorAttempts.get(payload.jti) || { count: 0, exp: payload.exp * 1000 };
+    if (attempt.used || attempt.count >= TWO_FACTOR_MAX_ATTEMPTS) {
+      return res.status(401).json({ ok: false, error: "Sign-in expired. Start again." });
+    }
+
+    const { claims, extra } = payload;
+    const kind = claims.role === "admin" ? "admin" : "dealer";
+    const key = kind === "admin" ? claims.sub : claims.dealerId;
+    const ip = clientIp(req);
+    const lockout = await reserveLoginAttempt(kind, key, ip);
+    if (lockout.retryAfter > 0) return sendLockedOut(res, lockout.retryAfter);
+
+    const result = await consumeTwoFactorCode(twoFactorSubject(claims), code);
+    if (!result.ok) {
+      twoFactorAttempts.set(payload.jti, { ...attempt, count: attempt.count + 1 });
+      return res.status(401).json({ ok: false, error: "Invalid code" });
+    }
+    await releaseLoginAttempt(kind, key, ip);
+    twoFactorAttempts.set(payload.jti, { ...attempt, used: true });
+
+    await completeLogin(claims);
+    const tokens = await startSession(req, claims);
+    res.json({
+      ok: true,
+      ...tokens,
+      ...extra,
+      ...(result.recovery ? { recoveryCodeUsed: true, recoveryCodesLeft: result.recoveryCodesLeft } : {}),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Verification failed" });
+  }
+});
+
+// Enrollment is the same for admins and dealer owners; only the route prefix and guards differ.
+function mountTwoFactorRoutes(base, ...guards) {
+  app.get(base, ...guards, async (req, res) => {
+    try {
+      res.json({ ok: true, twoFactor: publicTwoFactor(await getTwoFactor(twoFactorSubject(req.user))) });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e?.message || "Failed to load 2FA status" });
+    }
+  });
+
+  app.post(`${base}/setup`, ...guards, async (req, res) => {
+    try {
+      const subject = twoFactorSubject(req.user);
+      const record = (await getTwoFactor(subject)) || { id: subject, createdAt: nowIso() };
+      if (record.enabledAt) return res.status(409).json({ ok: false, error: "Two-factor is already on. Turn it off first." });
+      const secret = base32Encode(crypto.randomBytes(20));
+      await saveTwoFactor({ ...record, pendingSecret: secret });
+      res.json({ ok: true, secret, otpauthUri: otpauthUri(secret, twoFactorLabel(req.user)) });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e?.message || "Failed to start 2FA setup" });
+    }
+  });
+
+  app.post(`${base}/enable`, ...guards, async (req, res) => {
+    try {
+      const subject = twoFactorSubject(req.user);
+      const record = await getTwoFactor(subject);
+      if (!record?.pendingSecret) return res.status(400).json({ ok: false, error: "Start setup first" });
+      const step = matchTotp(record.pendingSecret, req.body?.code);
+      if (step === -1) return res.status(400).json({ ok: false, error: "Code doesn't match. Check your authenticator's clock." });
+      const recoveryCodes = generateRecoveryCodes();
+      const saved = await saveTwoFactor({
+        ...record,
+        secret: record.pendingSecret,
+        pendingSecret: "",
+        lastStep: step,
+        enabledAt: nowIso(),
+        recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      });
+      // Recovery codes are only ever shown here (and on regenerate).
+      res.json({ ok: true, twoFactor: publicTwoFactor(saved), recoveryCodes });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e?.message || "Failed to enable 2FA" });
+    }
+  });
+
+  app.post(`${base}/disable`, ...guards, async (req, res) => {
+    try {
+      const subject = twoFactorSubject(req.user);
+      const result = await consumeTwoFactorCode(subject, req.body?.code);
+      if (!result.ok) return res.status(400).json({ ok: false, error: "Invalid code" });
+      await store.deleteRecord(TWO_FACTOR_COLLECTION, subject);
+      res.json({ ok: true, twoFactor: publicTwoFactor(null) });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e?.message || "Failed to disable 2FA" });
+    }
+  });
+
+  app.post(`${base}/recovery-codes`, ...guards, async (req, res) => {
+    try {
+      const subject = twoFactorSubject(req.user);
+      const result = await consumeTwoFactorCode(subject, req.body?.code);
+      if (!result.ok) return res.status(400).json({ ok: false, error: "Invalid code" });
+      const recoveryCodes = generateRecoveryCodes();
+      const saved = await saveTwoFactor({ ...(await getTwoFactor(subject)), recoveryCodes: recoveryCodes.map(hashRecoveryCode) });
+      res.json({ ok: true, twoFactor: publicTwoFactor(saved), recoveryCodes });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e?.message || "Failed to regenerate recovery codes" });
+    }
+  });
+}
+
+// ----- ADMIN -----
+app.post("/api/admin/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) return res.status(400).json({ ok: false, error: "username and password required" });
+
+  try {
+    const id = normalizeUsername(username);
+    const ip = clientIp(req);
+    const lockout = await reserveLoginAttempt("admin", id, ip);
+    if (lockout.retryAfter > 0) return sendLockedOut(res, lockout.retryAfter);
+
+    let user = await getAdminUser(id);
+    if (!user) user = await seedAdminUser(id, String(password));
+    if (!user || !verifyPasscode(String(password), user.passwordHash)) {
+      return res.status(401).json({ ok: false, error: "Invalid credentials" });
+    }
+    await releaseLoginAttempt("admin", id, ip);
+    if (user.status !== "active") return res.status(403).json({ ok: false, error: "Admin account disabled" });
+
+    const claims = { role: "admin", sub: user.id, username: user.username, name: user.name || user.username };
+    return respondLogin(req, res, claims, { user: publicAdminUser(user) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || "Login failed" });
+  }
+});
+
+app.get("/api/admin/me", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const user = await getAdminUser(req.user.sub || req.user.username);
+    res.json({ ok: true, user: publicAdminUser(user) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load account" });
+  }
+});
+
+mountTwoFactorRoutes("/api/admin/2fa", requireAuth, requireAdmin);
+
+app.post("/api/admin/logout-all", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const user = await getAdminUser(req.user.sub || req.user.username);
+    await saveAdminUser({ ...user, tokenVersion: Number(user.tokenVersion || 0) + 1 });
+    const ended = await revokeSessions((s) => s.kind === "admin" && s.claims?.sub === user.id, user.username);
+    res.json({ ok: true, ended });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to end sessions" });
+  }
+});
+
+app.get("/api/admin/users", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    const [users, twoFactor] = await Promise.all([store.listRecords(ADMIN_USERS_COLLECTION), store.listRecords(TWO_FACTOR_COLLECTION)]);
+    const enrolled = new Set(twoFactor.filter((r) => r.enabledAt).map((r) => r.id));
+    users.sort((a, b) => String(a.username).localeCompare(String(b.username)));
+    res.json({ ok: true, users: users.map((u) => ({ ...publicAdminUser(u), twoFactorEnabled: enrolled.has(`admin:${u.id}`) })) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load admin users" });
+  }
+});
+
+// Without a password one is generated and returned once.
+app.post("/api/admin/users", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const username = normalizeUsername(body.username);
+    if (!isValidUsername(username)) {
+      return res.status(400).json({ ok: false, error: "username must be 3-32 characters: a-z, 0-9, . _ -" });
+    }
+    const password = String(body.password || "") || generateAdminPassword();
+    if (password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ ok: false, error: `password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters` });
+    }
+    if (await store.getRecord(ADMIN_USERS_COLLECTION, username)) {
+      return res.status(409).json({ ok: false, error: "That username is taken" });
+    }
+
+    const user = await saveAdminUser({
+      id: username,
+      username,
+      name: String(body.name || "").trim() || username,
+      passwordHash: hashPasscode(password),
+      status: "active",
+      createdAt: nowIso(),
+      createdBy: req.user.username,
+    });
+    res.locals.audit = { action: "admin_user.create", target: `admin:${username}`, before: null, after: user };
+    res.json({ ok: true, user: publicAdminUser(user), password: body.password ? undefined : password });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to create admin user" });
+  }
+});
+
+app.post("/api/admin/users/:username/:action", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const action = String(req.params.action || "");
+    if (!["disable", "enable", "reset-password", "reset-2fa"].includes(action)) {
+      return res.status(400).json({ ok: false, error: "action must be disable, enable, reset-password or reset-2fa" });
+    }
+    const user = await store.getRecord(ADMIN_USERS_COLLECTION, normalizeUsername(req.params.username));
+    if (!user) return res.status(404).json({ ok: false, error: "Admin user not found" });
+    // `after` is replaced once the change is saved; rejected requests show no diff.
+    res.locals.audit = { action: `admin_user.${action}`, target: `admin:${user.id}`, before: user, after: user };
+
+    if (action === "disable") {
+      if (user.id === (req.user.sub || req.user.username)) {
+        return res.status(400).json({ ok: false, error: "You can't disable your own account" });
+      }
+      const others = (await store.listRecords(ADMIN_USERS_COLLECTION)).filter((u) => u.status === "active" && u.id !== user.id);
+      if (!others.length) return res.status(400).json({ ok: false, error: "At least one admin must stay active" });
+    }
+
+    if (action === "reset-password") {
+      const password = String(req.body?.password || "") || generateAdminPassword();
+      if (password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ ok: false, error: `password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters` });
+      }
+      const saved = await saveAdminUser({
+        ...user,
+        passwordHash: hashPasscode(password),
+        passwordResetBy: req.user.username,
+        tokenVersion: Number(user.tokenVersion || 0) + 1,
+      });
+      await revokeSessions((s) => s.kind === "admin" && s.claims?.sub === user.id, req.user.username);
+      res.locals.audit.after = saved;
+      return res.json({ ok: true, user: publicAdminUser(saved), password: req.body?.password ? undefined : password });
+    }
+
+    // For a lost authenticator: the user signs in with the password alone and can enroll again.
+    if (action === "reset-2fa") {
+      await store.deleteRecord(TWO_FACTOR_COLLECTION, `admin:${user.id}`);
+      res.locals.audit.after = { ...user, twoFactor: "reset" };
+      console.log(`[SECURITY] ${req.user.username} reset two-factor for admin ${user.username}`);
+      return res.json({ ok: true, user: publicAdminUser(user) });
+    }
+
+    const saved = await saveAdminUser({
+      ...user,
+      status: action === "disable" ? "disabled" : "active",
+      statusChangedBy: req.user.username,
+    });
+    if (action === "disable") await revokeSessions((s) => s.kind === "admin" && s.claims?.sub === user.id, req.user.username);
+    res.locals.audit.after = saved;
+    res.json({ ok: true, user: publicAdminUser(saved) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to update admin user" });
+  }
+});
+
+app.get("/api/admin/settings", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    const settings = await loadSettings();
+    res.json({ ok: true, settings });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load settings" });
+  }
+});
+
+app.post("/api/admin/settings", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const current = await loadSettings();
+    const { settings, error } = validateSettings((req.body || {}).settings, current);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const saved = await saveSettings(settings, req.user.username);
+    res.locals.audit = { action: "platform.settings.update", target: "settings", before: current, after: saved };
+    res.json({ ok: true, settings: saved });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to save settings" });
+  }
+});
 
-  const token = signJwt({ role: "admin", username: ADMIN_USERNAME }, 8 * 3600);
-  return res.json({ ok: true, token });
+// Filters: ?q= &actor= (label or type) &dealerId= &action= &from= &to= (YYYY-MM-DD) &outcome=ok|failed &limit=
+app.get("/api/admin/audit", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const entries = await listAuditEntries(req.query);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), AUDIT_PAGE_LIMIT);
+    res.json({ ok: true, total: entries.length, entries: entries.slice(0, limit) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load audit log" });
+  }
+});
+
+app.get("/api/admin/audit/export.csv", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const entries = (await listAuditEntries(req.query)).slice(0, AUDIT_EXPORT_LIMIT);
+    res.setHeader("Content-Disposition", `attachment; filename="audit_${nowIso().slice(0, 10)}.csv"`);
+    res.type("text/csv").send(renderAuditCsv(entries));
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to export audit log" });
+  }
 });
 
 app.get("/api/admin/dealers", requireAuth, requireAdmin, async (_req, res) => {
   try {
-    const sheets = await getSheetsClient();
-    const dealers = await adminListDealers(sheets);
+    const [dealers, lockouts] = await Promise.all([store.adminListDealers(), store.listRecords(LOGIN_LOCKOUTS_COLLECTION)]);
+    const lockoutByDealer = new Map(lockouts.filter((r) => r.kind === "dealer").map((r) => [r.key, publicLockout(r)]));
 
     const withCounts = await Promise.all(
       dealers.map(async (d) => {
+        const loginLockout = lockoutByDealer.get(d.dealerId) || null;
         try {
-          const vehicles = await dealerListVehicles(sheets, d.dealerId);
-          return { ...publicDealer(d), vehicleCount: vehicles.length };
+          const vehicles = await store.dealerListVehicles(d.dealerId);
+          return { ...publicDealer(d), vehicleCount: vehicles.length, loginLockout };
         } catch {
-          return { ...publicDealer(d), vehicleCount: 0 };
+          return { ...publicDealer(d), vehicleCount: 0, loginLockout };
         }
       })
     );
@@ -866,6 +2911,75 @@ app.get("/api/admin/dealers", requireAuth, requireAdmin, async (_req, res) => {
   }
 });
 
+app.get("/api/admin/dealers/:dealerId/sessions", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = normalizeDealerId(req.params.dealerId);
+    const sessions = await listSessions((s) => s.dealerId === dealerId);
+    res.json({ ok: true, sessions: sessions.map(publicSession) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load sessions" });
+  }
+});
+
+// :sid = one session, "all" = every session of the dealer plus a token-version bump for older tokens.
+app.post("/api/admin/dealers/:dealerId/sessions/:sid/revoke", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = normalizeDealerId(req.params.dealerId);
+    const sid = String(req.params.sid || "");
+    if (sid === "all") await bumpDealerTokenVersion(dealerId);
+    const ended = await revokeSessions((s) => s.dealerId === dealerId && (sid === "all" || s.id === sid), req.user.username);
+    if (sid !== "all" && !ended) return res.status(404).json({ ok: false, error: "Session not found" });
+    res.json({ ok: true, ended });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to end sessions" });
+  }
+});
+
+// Failed dealer logins: the dealer counter plus the counters of the IPs it saw.
+app.get("/api/admin/dealers/:dealerId/lockout", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = normalizeDealerId(req.params.dealerId);
+    const record = await store.getRecord(LOGIN_LOCKOUTS_COLLECTION, `dealer:${dealerId}`);
+    const lockout = publicLockout(record);
+    const ips = lockout
+      ? (await Promise.all((record.ips || []).map((ip) => store.getRecord(LOGIN_LOCKOUTS_COLLECTION, `ip:${ip}`))))
+          .map(publicLockout)
+          .filter(Boolean)
+      : [];
+    res.json({ ok: true, lockout, ips });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load lockout" });
+  }
+});
+
+app.delete("/api/admin/dealers/:dealerId/lockout", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = normalizeDealerId(req.params.dealerId);
+    const record = await store.getRecord(LOGIN_LOCKOUTS_COLLECTION, `dealer:${dealerId}`);
+    const ids = record ? [record.id, ...(record.ips || []).map((ip) => `ip:${ip}`)] : [];
+    await clearLoginLockouts(ids);
+    console.log(`[SECURITY] ${req.user.username} cleared login lockout for ${dealerId}`);
+    res.json({ ok: true, cleared: ids.length });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to clear lockout" });
+  }
+});
+
+// Without a username this resets the shared-passcode owner; with one, that staff member.
+app.post("/api/admin/dealers/:dealerId/2fa/reset", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = normalizeDealerId(req.params.dealerId);
+    const username = normalizeUsername(req.body?.username);
+    const subject = twoFactorSubject({ role: "dealer", dealerId, username });
+    const existed = !!(await getTwoFactor(subject));
+    await store.deleteRecord(TWO_FACTOR_COLLECTION, subject);
+    console.log(`[SECURITY] ${req.user.username} reset two-factor for ${subject}`);
+    res.json({ ok: true, reset: existed });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to reset 2FA" });
+  }
+});
+
 app.post("/api/admin/dealers", requireAuth, requireAdmin, async (req, res) => {
   try {
     const { dealerId, name, status, whatsapp, logoUrl } = req.body || {};
@@ -874,9 +2988,7 @@ app.post("/api/admin/dealers", requireAuth, requireAdmin, async (req, res) => {
       return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
     }
 
-    const sheets = await getSheetsClient();
-
-    const existing = await adminGetDealer(sheets, dealerId);
+    const existing = await store.adminGetDealer(dealerId);
     const isNew = !existing;
 
     let passcode = null;
@@ -887,21 +2999,29 @@ app.post("/api/admin/dealers", requireAuth, requireAdmin, async (req, res) => {
       passcodeHash = hashPasscode(passcode);
     }
 
+    const dealerStatus = parseDealerStatus(status, existing?.status);
+    if (!dealerStatus) return res.status(400).json({ ok: false, error: `status must be one of ${DEALER_STATUSES.join(", ")}` });
+
     const record = {
       dealerId,
       name,
-      status: String(status || existing?.status || "active").toLowerCase(),
+      status: dealerStatus,
       passcodeHash,
       whatsapp: digitsOnly(whatsapp || existing?.whatsapp || ""),
       logoUrl: String(logoUrl || existing?.logoUrl || ""),
+      address: existing?.address || "",
+      hours: existing?.hours || "",
+      about: existing?.about || "",
       createdAt: existing?.createdAt || nowIso(),
       updatedAt: nowIso(),
     };
 
-    await adminUpsertDealer(sheets, record);
-    await ensureDealerTabLayout(sheets, dealerId);
+    await store.adminUpsertDealer(record);
+    await store.ensureDealerLayout(dealerId);
+    forgetDealerStatus(dealerId);
+    res.locals.audit = { action: isNew ? "dealer.create" : "dealer.update", target: `dealer:${dealerId}`, before: existing, after: record };
 
-    res.json({ ok: true, dealer: publicDealer(record), passcode: issuedPasscode || undefined });
+    res.json({ ok: true, dealer: publicDealer(record), passcode: passcode || undefined });
   } catch (e) {
     res.status(500).json({ ok: false, error: e?.message || "Failed to create dealer" });
   }
@@ -915,8 +3035,7 @@ app.post("/api/admin/reset-passcode", requireAuth, requireAdmin, async (req, res
       return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
     }
 
-    const sheets = await getSheetsClient();
-    const existing = await adminGetDealer(sheets, dealerId);
+    const existing = await store.adminGetDealer(dealerId);
     if (!existing) return res.status(404).json({ ok: false, error: "Dealer not found" });
 
     const newPass = gen6();
@@ -926,21 +3045,176 @@ app.post("/api/admin/reset-passcode", requireAuth, requireAdmin, async (req, res
       updatedAt: nowIso(),
     };
 
-    await adminUpsertDealer(sheets, updated);
+    await store.adminUpsertDealer(updated);
+    res.locals.audit = {
+      action: "dealer.passcode.reset",
+      target: `dealer:${dealerId}`,
+      dealerId,
+      before: { passcodeHash: existing.passcodeHash },
+      after: { passcodeHash: updated.passcodeHash },
+    };
+    // Sessions signed in with the old shared passcode end now; staff keep their own sessions.
+    await bumpDealerTokenVersion(dealerId);
+    await revokeSessions((s) => s.dealerId === dealerId && !s.claims?.username, req.user.username);
     res.json({ ok: true, dealerId, passcode: newPass });
   } catch (e) {
     res.status(500).json({ ok: false, error: e?.message || "Failed to reset passcode" });
   }
 });
 
+app.get("/api/admin/dealers/:dealerId/feeds", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = String(req.params.dealerId || "").trim();
+    if (!isValidDealerId(dealerId)) {
+      return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
+    }
+    if (!(await store.adminGetDealer(dealerId))) return res.status(404).json({ ok: false, error: "Dealer not found" });
+    const token = await getFeedToken(dealerId, { create: true });
+    res.json({ ok: true, dealerId, feeds: feedUrls(publicBaseUrl(req), dealerId, token) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load feeds" });
+  }
+});
+
+// Rotating invalidates every catalog URL previously handed out for this dealer.
+app.post("/api/admin/dealers/:dealerId/feeds/rotate", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = String(req.params.dealerId || "").trim();
+    if (!isValidDealerId(dealerId)) {
+      return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
+    }
+    if (!(await store.adminGetDealer(dealerId))) return res.status(404).json({ ok: false, error: "Dealer not found" });
+    const token = await rotateFeedToken(dealerId);
+    res.json({ ok: true, dealerId, feeds: feedUrls(publicBaseUrl(req), dealerId, token) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to rotate feed token" });
+  }
+});
+
+app.get("/api/admin/dealers/:dealerId/webhooks", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = String(req.params.dealerId || "").trim();
+    if (!isValidDealerId(dealerId)) {
+      return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
+    }
+    const webhooks = await listDealerWebhooks(dealerId);
+    res.json({ ok: true, events: WEBHOOK_EVENTS, webhooks: webhooks.map(publicWebhook) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load webhooks" });
+  }
+});
+
+app.post("/api/admin/dealers/:dealerId/webhooks", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = String(req.params.dealerId || "").trim();
+    if (!isValidDealerId(dealerId)) {
+      return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
+    }
+    if (!(await store.adminGetDealer(dealerId))) return res.status(404).json({ ok: false, error: "Dealer not found" });
+    const { webhook, error } = await createWebhook(dealerId, req.body?.webhook ?? req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    res.json({ ok: true, webhook: { ...publicWebhook(webhook), secret: webhook.secret } });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to create webhook" });
+  }
+});
+
+app.post("/api/admin/dealers/:dealerId/webhooks/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = String(req.params.dealerId || "").trim();
+    if (!isValidDealerId(dealerId)) {
+      return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
+    }
+    const result = await updateWebhook(dealerId, String(req.params.id), req.body?.webhook ?? req.body);
+    if (result.notFound) return res.status(404).json({ ok: false, error: "Webhook not found" });
+    if (result.error) return res.status(400).json({ ok: false, error: result.error });
+    res.json({ ok: true, webhook: publicWebhook(result.webhook) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to update webhook" });
+  }
+});
+
+app.delete("/api/admin/dealers/:dealerId/webhooks/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = String(req.params.dealerId || "").trim();
+    if (!isValidDealerId(dealerId)) {
+      return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
+    }
+    if (!(await deleteWebhook(dealerId, String(req.params.id)))) {
+      return res.status(404).json({ ok: false, error: "Webhook not found" });
+    }
+    res.json({ ok: true, deleted: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to delete webhook" });
+  }
+});
+
+app.post("/api/admin/dealers/:dealerId/webhooks/:id/test", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = String(req.params.dealerId || "").trim();
+    if (!isValidDealerId(dealerId)) {
+      return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
+    }
+    const result = await sendWebhookTest(dealerId, String(req.params.id));
+    if (result.notFound) return res.status(404).json({ ok: false, error: "Webhook not found" });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to send test" });
+  }
+});
+
+app.get("/api/admin/dealers/:dealerId/webhooks/deliveries", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = String(req.params.dealerId || "").trim();
+    if (!isValidDealerId(dealerId)) {
+      return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
+    }
+    res.json({ ok: true, deliveries: await listWebhookDeliveries(dealerId) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load deliveries" });
+  }
+});
+
+app.get("/api/admin/lead-review", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    const held = await store.listRecords(LEAD_REVIEW_COLLECTION);
+    held.sort((a, b) => String(b.heldAt || "").localeCompare(String(a.heldAt || "")));
+    res.json({ ok: true, held });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load held leads" });
+  }
+});
+
+// Release: append the held lead to its dealer tab. Discard: drop it.
+app.post("/api/admin/lead-review/:id/:action", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    if (!["release", "discard"].includes(action)) {
+      return res.status(400).json({ ok: false, error: "action must be release or discard" });
+    }
+    const held = await store.getRecord(LEAD_REVIEW_COLLECTION, id);
+    if (!held) return res.status(404).json({ ok: false, error: "Held lead not found" });
+
+    let lead = null;
+    if (action === "release") {
+      await store.ensureDealerLayout(held.dealerId);
+      lead = await store.dealerAppendLead(held.dealerId, { ...held.lead, dealerId: held.dealerId });
+      afterLeadSaved(held.dealerId, lead);
+    }
+    await store.deleteRecord(LEAD_REVIEW_COLLECTION, id);
+    res.json({ ok: true, action, lead });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to update held lead" });
+  }
+});
+
 app.get("/api/admin/inventory", requireAuth, requireAdmin, async (_req, res) => {
   try {
-    const sheets = await getSheetsClient();
-    const dealers = await adminListDealers(sheets);
+    const dealers = await store.adminListDealers();
 
     const results = await Promise.allSettled(
       dealers.map(async (d) => {
-        const vehicles = await dealerListVehicles(sheets, d.dealerId);
+        const vehicles = await store.dealerListVehicles(d.dealerId);
         return vehicles;
       })
     );
@@ -954,12 +3228,11 @@ app.get("/api/admin/inventory", requireAuth, requireAdmin, async (_req, res) =>
 
 app.get("/api/admin/requests", requireAuth, requireAdmin, async (_req, res) => {
   try {
-    const sheets = await getSheetsClient();
-    const dealers = await adminListDealers(sheets);
+    const dealers = await store.adminListDealers();
 
     const results = await Promise.allSettled(
       dealers.map(async (d) => {
-        const leads = await dealerListLeads(sheets, d.dealerId);
+        const leads = await store.dealerListLeads(d.dealerId);
         return leads;
       })
     );
@@ -978,166 +3251,866 @@ app.get("/api/admin/dealer/:dealerId/vehicles", requireAuth, requireAdmin, async
     if (!isValidDealerId(dealerId)) {
       return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
     }
-    const sheets = await getSheetsClient();
-    const vehicles = await dealerListVehicles(sheets, dealerId);
+    const vehicles = await store.dealerListVehicles(dealerId);
     res.json({ ok: true, vehicles });
   } catch (e) {
     res.status(500).json({ ok: false, error: e?.message || "Failed to load dealer inventory" });
   }
 });
 
-app.get("/api/admin/dealer/:dealerId/leads", requireAuth, requireAdmin, async (req, res) => {
+// Hard purge: removes the vehicle row and closes the gap in the dealer tab.
+app.delete("/api/admin/dealer/:dealerId/vehicles/:vehicleId", requireAuth, requireAdmin, async (req, res) => {
   try {
     const dealerId = String(req.params.dealerId || "").trim();
-    if (!dealerId) return res.status(400).json({ ok: false, error: "dealerId required" });
+    const vehicleId = String(req.params.vehicleId || "").trim();
     if (!isValidDealerId(dealerId)) {
       return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
     }
-    const sheets = await getSheetsClient();
-    const leads = await dealerListLeads(sheets, dealerId);
-    res.json({ ok: true, leads });
+    if (!vehicleId) return res.status(400).json({ ok: false, error: "vehicleId required" });
+
+    const removed = await store.dealerDeleteVehicle(dealerId, vehicleId);
+    if (!removed) return res.status(404).json({ ok: false, error: "Vehicle not found" });
+    res.locals.audit = { action: "vehicle.purge", target: `vehicle:${vehicleId}`, dealerId };
+    res.json({ ok: true, dealerId, vehicleId, purged: true });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e?.message || "Failed to load dealer leads" });
+    res.status(500).json({ ok: false, error: e?.message || "Failed to purge vehicle" });
   }
 });
 
-app.post("/api/admin/dealer/:dealerId/leads/status", requireAuth, requireAdmin, async (req, res) => {
+app.get("/api/admin/dealer/:dealerId/leads/adf", requireAuth, requireAdmin, async (req, res) => {
   try {
     const dealerId = String(req.params.dealerId || "").trim();
-    const { leadId, status } = req.body || {};
-    if (!dealerId || !leadId || !status) {
-      return res.status(400).json({ ok: false, error: "dealerId, leadId, status required" });
-    }
     if (!isValidDealerId(dealerId)) {
       return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
     }
-    const sheets = await getSheetsClient();
-    const updated = await dealerUpdateLeadStatus(sheets, dealerId, String(leadId), String(status));
-    if (!updated) return res.status(404).json({ ok: false, error: "Lead not found" });
-    res.json({ ok: true, lead: updated });
+    const leads = await store.dealerListLeads(dealerId);
+    sendAdf(res, `${dealerId}_leads_adf.xml`, await buildDealerAdf(dealerId, leads));
   } catch (e) {
-    res.status(500).json({ ok: false, error: e?.message || "Failed to update lead status" });
+    res.status(500).json({ ok: false, error: e?.message || "Failed to export ADF" });
   }
 });
 
-// ----- DEALER -----
-app.post("/api/dealer/login", async (req, res) => {
+app.get("/api/admin/dealer/:dealerId/leads", requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { dealerId, passcode } = req.body || {};
-    if (!passcode) return res.status(400).json({ ok: false, error: "passcode required" });
+    const dealerId = String(req.params.dealerId || "").trim();
+    if (!dealerId) return res.status(400).json({ ok: false, error: "dealerId required" });
+    if (!isValidDealerId(dealerId)) {
+      return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
+    }
+    const [leads, activities, assignments] = await Promise.all([
+      store.dealerListLeads(dealerId),
+      listLeadActivities(dealerId),
+      listLeadAssignments(dealerId),
+    ]);
+    res.json({ ok: true, leads: withLeadAssignees(withLeadSummaries(leads, activities), assignments), pipeline: LEAD_PIPELINE });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load dealer leads" });
+  }
+});
+
+app.get("/api/admin/dealer/:dealerId/sales", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = String(req.params.dealerId || "").trim();
+    if (!isValidDealerId(dealerId)) {
+      return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
+    }
+    const sales = await listDealerSales(dealerId);
+    res.json({ ok: true, sales: sales.map(publicSale) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load dealer sales" });
+  }
+});
+
+app.post("/api/admin/dealer/:dealerId/leads/status", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const dealerId = String(req.params.dealerId || "").trim();
+    const { leadId, status, lostReason } = req.body || {};
+    if (!dealerId || !leadId || !status) {
+      return res.status(400).json({ ok: false, error: "dealerId, leadId, status required" });
+    }
+    if (!isValidDealerId(dealerId)) {
+      return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
+    }
+    const updated = await updateLeadStatus(dealerId, String(leadId), String(status), { by: `admin:${req.user.username}`, lostReason });
+    if (!updated) return res.status(404).json({ ok: false, error: "Lead not found" });
+    if (updated.error) return res.status(updated.code).json({ ok: false, error: updated.error });
+    res.locals.audit = { action: "lead.status", target: `lead:${leadId}`, before: { status: updated.previousStatus }, after: { status: updated.lead.status } };
+    res.json({ ok: true, lead: updated.lead });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to update lead status" });
+  }
+});
+
+// ----- DEALER -----
+app.post("/api/dealer/login", async (req, res) => {
+  try {
+    const { dealerId, passcode, username } = req.body || {};
+    if (!passcode) return res.status(400).json({ ok: false, error: "passcode required" });
     const resolvedDealerId = String(dealerId || DEFAULT_DEALER_ID || "").trim();
     if (!resolvedDealerId) return res.status(400).json({ ok: false, error: "dealerId required" });
     if (!isValidDealerId(resolvedDealerId)) {
       return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
     }
 
+    // Refuse while this dealerId or this IP is locked out; every attempt counts against both until the
+    // passcode checks out, then it is given back. A completed login also resets the dealer counter (see completeLogin).
+    // Everything below (lockout key, lookups, token claim) uses the canonical id, so "ab123" logs in as AB123.
+    const normalized = normalizeDealerId(resolvedDealerId);
+    const ip = clientIp(req);
+    const lockout = await reserveLoginAttempt("dealer", normalized, ip);
+    if (lockout.retryAfter > 0) return sendLockedOut(res, lockout.retryAfter);
+    const rejectLogin = () => res.status(401).json({ ok: false, error: "Invalid credentials" });
+    const passcodeOk = () => releaseLoginAttempt("dealer", normalized, ip);
+
+    // Staff login (username + personal passcode); without a username the shared passcode logs in as owner.
+    if (normalizeUsername(username)) {
+      const staff = await getDealerStaff(normalized, username);
+      if (!staff || staff.status !== "active" || !verifyPasscode(passcode, staff.passcodeHash)) return rejectLogin();
+      await passcodeOk();
+      const dealer = await store.adminGetDealer(normalized);
+      const status = dealer ? dealer.status || "active" : "active";
+      const access = dealerAccessLevel(status);
+      if (access === "none") {
+        return res.status(403).json({ ok: false, error: "Dealer account suspended. Contact support.", status: "suspended" });
+      }
+      return respondLogin(req, res, { role: "dealer", dealerId: normalized, username: staff.username }, {
+        dealerName: dealer?.name || DEALER_NAME || normalized,
+        dealerId: normalized,
+        status,
+        readOnly: access === "read",
+        username: staff.username,
+        staffRole: staff.role,
+        permissions: staffPermissions(staff.role),
+      });
+    }
+
     if (DEALER_PASSCODE) {
-      if (!timingSafeEqual(passcode, DEALER_PASSCODE)) {
-        return res.status(401).json({ ok: false, error: "Invalid credentials" });
+      if (!timingSafeEqual(passcode, DEALER_PASSCODE)) return rejectLogin();
+      await passcodeOk();
+      return respondLogin(req, res, { role: "dealer", dealerId: normalized }, {
+        dealerName: DEALER_NAME || normalized,
+        dealerId: normalized,
+        staffRole: "owner",
+        permissions: staffPermissions("owner"),
+      });
+    }
+
+    const dealer = await store.adminGetDealer(normalized);
+    if (!dealer || !verifyPasscode(passcode, dealer.passcodeHash)) return rejectLogin();
+    await passcodeOk();
+
+    const access = dealerAccessLevel(dealer.status);
+    if (access === "none") {
+      return res.status(403).json({ ok: false, error: "Dealer account suspended. Contact support.", status: "suspended" });
+    }
+
+    return respondLogin(req, res, { role: "dealer", dealerId: normalized }, {
+      dealerName: dealer.name,
+      dealerId: normalized,
+      status: dealer.status,
+      readOnly: access === "read",
+      staffRole: "owner",
+      permissions: staffPermissions("owner"),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Login failed" });
+  }
+});
+
+// ?archived=only lists the archive, ?archived=all lists everything; default hides archived rows.
+app.get("/api/dealer/vehicles", requireAuth, requireDealer("inventory:read"), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const archived = String(req.query.archived || "").toLowerCase();
+    const vehicles = (await store.dealerListVehicles(req.user.dealerId)).filter((v) => {
+      if (archived === "all") return true;
+      if (archived === "only") return !!v.archivedAt;
+      return !v.archivedAt;
+    });
+    res.json({ ok: true, vehicles });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load vehicles" });
+  }
+});
+
+app.post("/api/dealer/vehicles", requireAuth, requireDealer("media:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+
+    const body = req.body || {};
+    const vehicleId = String(body.vehicleId || "").trim() || makeVehicleId();
+    const existing = body.vehicleId ? await findDealerVehicle(dealerId, vehicleId) : null;
+
+    let vehicle = {
+      vehicleId,
+      title: String(body.title || "").trim(),
+      make: String(body.make || "").trim(),
+      model: String(body.model || "").trim(),
+      year: body.year != null && body.year !== "" ? Number(body.year) : null,
+      price: body.price != null && body.price !== "" ? Number(body.price) : 0,
+      status: String(body.status || "available").trim(),
+      notes: String(body.notes || "").trim(),
+      mileage: body.mileage != null && body.mileage !== "" ? Number(body.mileage) : null,
+      transmission: String(body.transmission || "").trim(),
+      fuelType: String(body.fuelType || "").trim(),
+      bodyType: String(body.bodyType || "").trim(),
+      color: String(body.color || "").trim(),
+      vin: String(body.vin || "").trim(),
+      heroImage: String(body.heroImage || "").trim(),
+      heroVideo: String(body.heroVideo || "").trim(),
+      images: Array.isArray(body.images) ? body.images : [],
+      // Archiving only happens through DELETE/restore; edits keep whatever is stored.
+      archivedAt: existing?.archivedAt || "",
+    };
+
+    // Media staff may only touch photos/video, and only on vehicles that already exist.
+    if (!dealerCan(req.user, "inventory:write")) {
+      if (!existing) return res.status(403).json({ ok: false, error: "Your role can only edit media on existing vehicles" });
+      vehicle = { ...existing, heroImage: vehicle.heroImage, heroVideo: vehicle.heroVideo, images: vehicle.images };
+    }
+
+    if (!vehicle.make || !vehicle.model) {
+      return res.status(400).json({ ok: false, error: "make and model required" });
+    }
+
+    // Keep only URL-like strings
+    if (vehicle.heroImage && !isHttpUrl(vehicle.heroImage)) vehicle.heroImage = "";
+    if (vehicle.heroVideo && !isHttpUrl(vehicle.heroVideo)) vehicle.heroVideo = "";
+    vehicle.images = (vehicle.images || []).filter(isHttpUrl);
+    vehicle.images = vehicle.images.slice(0, 7);
+
+    // Auto-hero: if hero missing but images exist
+    if (!vehicle.heroImage && vehicle.images.length) vehicle.heroImage = vehicle.images[0];
+
+    const saved = await saveDealerVehicle(dealerId, vehicle, existing);
+    res.locals.audit = { action: existing ? "vehicle.update" : "vehicle.create", target: `vehicle:${vehicleId}`, before: existing, after: saved };
+    res.json({ ok: true, vehicle: saved });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to save vehicle" });
+  }
+});
+
+// Soft delete: the row stays in the sheet with archivedAt set and can be restored.
+app.delete("/api/dealer/vehicles/:vehicleId", requireAuth, requireDealer("inventory:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const vehicle = await findDealerVehicle(dealerId, String(req.params.vehicleId || "").trim());
+    if (!vehicle) return res.status(404).json({ ok: false, error: "Vehicle not found" });
+    if (vehicle.archivedAt) return res.json({ ok: true, vehicle });
+
+    const saved = await saveDealerVehicle(dealerId, { ...vehicle, archivedAt: nowIso() }, vehicle);
+    res.locals.audit = { action: "vehicle.archive", target: `vehicle:${vehicle.vehicleId}`, before: vehicle, after: saved };
+    res.json({ ok: true, vehicle: saved });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to archive vehicle" });
+  }
+});
+
+app.post("/api/dealer/vehicles/:vehicleId/restore", requireAuth, requireDealer("inventory:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const vehicle = await findDealerVehicle(dealerId, String(req.params.vehicleId || "").trim());
+    if (!vehicle) return res.status(404).json({ ok: false, error: "Vehicle not found" });
+    if (!vehicle.archivedAt) return res.json({ ok: true, vehicle });
+
+    const saved = await saveDealerVehicle(dealerId, { ...vehicle, archivedAt: "" }, vehicle);
+    res.locals.audit = { action: "vehicle.restore", target: `vehicle:${vehicle.vehicleId}`, before: vehicle, after: saved };
+    res.json({ ok: true, vehicle: saved });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to restore vehicle" });
+  }
+});
+
+// Newest first: { at, event: "listed" | "changed", priceFrom?, priceTo?, statusFrom?, statusTo? }
+app.get("/api/dealer/vehicles/:vehicleId/history", requireAuth, requireDealer("inventory:read"), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const history = await listVehicleHistory(req.user.dealerId, String(req.params.vehicleId || "").trim());
+    res.json({ ok: true, history: history.map(({ id: _id, dealerId: _d, updatedAt: _u, ...h }) => h) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load vehicle history" });
+  }
+});
+
+// Records (or corrects) a vehicle's sale and marks it sold. The linked lead, if any, becomes won.
+// Body: { salePrice, saleDate?: "YYYY-MM-DD" (defaults to today), leadId?, salesperson? }
+app.post("/api/dealer/vehicles/:vehicleId/sale", requireAuth, requireDealer("sales:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const vehicle = await findDealerVehicle(dealerId, String(req.params.vehicleId || "").trim());
+    if (!vehicle) return res.status(404).json({ ok: false, error: "Vehicle not found" });
+    if (vehicle.archivedAt) return res.status(400).json({ ok: false, error: "Restore the vehicle before recording a sale" });
+
+    const id = saleRecordId(dealerId, vehicle.vehicleId);
+    const [settings, leads, current, history] = await Promise.all([
+      loadDealerSettings(dealerId),
+      store.dealerListLeads(dealerId),
+      store.getRecord(SALES_COLLECTION, id),
+      listVehicleHistory(dealerId, vehicle.vehicleId),
+    ]);
+    const listedAt = history.length ? history[history.length - 1].at : "";
+    const today = dealerLocalNow(settings.timezone).date;
+    const { sale, lead, error } = validateSale(req.body || {}, { vehicle, leads, today, listedAt });
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const soldVehicle = String(vehicle.status || "").toLowerCase() === "sold"
+      ? vehicle
+      : await saveDealerVehicle(dealerId, { ...vehicle, status: "sold" }, vehicle);
+
+    const now = nowIso();
+    const record = {
+      id,
+      dealerId,
+      vehicleId: vehicle.vehicleId,
+      vehicleTitle: vehicle.title || [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(" "),
+      ...sale,
+      salesperson: sale.salesperson || req.user.username || "owner",
+      recordedBy: req.user.username || "owner",
+      createdAt: current?.createdAt || now,
+      updatedAt: now,
+    };
+    await store.putRecord(SALES_COLLECTION, record);
+
+    if (lead && String(lead.status || "").toLowerCase() !== "won") {
+      await updateLeadStatus(dealerId, lead.leadId, "won", { by: req.user.username || "owner", enforcePipeline: false });
+    }
+
+    res.locals.audit = { action: "vehicle.sale", target: `vehicle:${vehicle.vehicleId}`, before: current, after: record };
+    res.json({ ok: true, sale: publicSale(record), vehicle: soldVehicle });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to record sale" });
+  }
+});
+
+app.get("/api/dealer/reservations", requireAuth, requireDealer("inventory:read"), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const reservations = await listDealerReservations(req.user.dealerId);
+    res.json({ ok: true, reservations: reservations.map(publicReservation) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load reservations" });
+  }
+});
+
+// Places (or updates) a hold and sets the vehicle to pending.
+// Body: { leadId? | customerName, customerPhone?, depositAmount?, expiresAt: ISO date-time (max 30 days out) }
+app.post("/api/dealer/vehicles/:vehicleId/reservation", requireAuth, requireDealer("inventory:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const vehicle = await findDealerVehicle(dealerId, String(req.params.vehicleId || "").trim());
+    if (!vehicle) return res.status(404).json({ ok: false, error: "Vehicle not found" });
+    if (vehicle.archivedAt) return res.status(400).json({ ok: false, error: "Restore the vehicle before reserving it" });
+
+    const id = reservationRecordId(dealerId, vehicle.vehicleId);
+    await withLock(`reservation:${id}`, async () => {
+      const current = await store.getRecord(RESERVATIONS_COLLECTION, id);
+      const status = String(vehicle.status || "").toLowerCase();
+      if (!current && status !== "available") {
+        return res.status(409).json({ ok: false, error: `Only available vehicles can be reserved (this one is ${status || "unlisted"})` });
       }
-      const normalized = normalizeDealerId(resolvedDealerId);
-      const token = signJwt({ role: "dealer", dealerId: normalized }, 8 * 3600);
-      return res.json({ ok: true, token, dealerName: DEALER_NAME || normalized, dealerId: normalized });
+      const { reservation, error } = validateReservation(req.body || {}, { leads: await store.dealerListLeads(dealerId) });
+      if (error) return res.status(400).json({ ok: false, error });
+
+      const now = nowIso();
+      const record = {
+        id,
+        dealerId,
+        vehicleId: vehicle.vehicleId,
+        ...reservation,
+        createdBy: current?.createdBy || req.user.username || "owner",
+        createdAt: current?.createdAt || now,
+        updatedAt: now,
+      };
+      await store.putRecord(RESERVATIONS_COLLECTION, record);
+      const saved = status === "pending" ? vehicle : await saveDealerVehicle(dealerId, { ...vehicle, status: "pending" }, vehicle);
+
+      res.locals.audit = { action: current ? "vehicle.reservation.update" : "vehicle.reserve", target: `vehicle:${vehicle.vehicleId}`, before: current, after: record };
+      res.json({ ok: true, reservation: publicReservation(record), vehicle: saved });
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to reserve vehicle" });
+  }
+});
+
+// Releases a hold early; a still-pending vehicle goes back to available.
+app.delete("/api/dealer/vehicles/:vehicleId/reservation", requireAuth, requireDealer("inventory:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const vehicleId = String(req.params.vehicleId || "").trim();
+    const id = reservationRecordId(dealerId, vehicleId);
+    await withLock(`reservation:${id}`, async () => {
+      const current = await store.getRecord(RESERVATIONS_COLLECTION, id);
+      if (!current) return res.status(404).json({ ok: false, error: "No active reservation for this vehicle" });
+      const vehicle = await endReservation(dealerId, vehicleId);
+      res.locals.audit = { action: "vehicle.release", target: `vehicle:${vehicleId}`, before: current, after: null };
+      res.json({ ok: true, vehicle: vehicle || (await findDealerVehicle(dealerId, vehicleId)) });
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to release reservation" });
+  }
+});
+
+app.get("/api/dealer/sales", requireAuth, requireDealer("inventory:read"), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const sales = await listDealerSales(req.user.dealerId);
+    res.json({ ok: true, sales: sales.map(publicSale) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load sales" });
+  }
+});
+
+// ?leadIds=a,b limits the export to specific leads (the dealer app sends its current filter).
+app.get("/api/dealer/leads/adf", requireAuth, requireDealer("leads:read"), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const ids = String(req.query.leadIds || "")
+      .split(",")
+      .map((x) => x.trim())
+      .filter(Boolean);
+    let leads = await store.dealerListLeads(dealerId);
+    if (ids.length) leads = leads.filter((l) => ids.includes(l.leadId));
+    sendAdf(res, `${dealerId}_leads_adf.xml`, await buildDealerAdf(dealerId, leads));
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to export ADF" });
+  }
+});
+
+app.get("/api/dealer/settings", requireAuth, requireDealer(), requireDealerAccess("read"), async (req, res) => {
+  try {
+    res.json({ ok: true, settings: await loadDealerSettings(req.user.dealerId) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load settings" });
+  }
+});
+
+app.post("/api/dealer/settings", requireAuth, requireDealer("settings:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const current = await loadDealerSettings(dealerId);
+    const { settings, error } = validateDealerSettings(req.body?.settings ?? req.body, current);
+    if (error) return res.status(400).json({ ok: false, error });
+    if (settings.adfEndpoint && settings.adfEndpoint !== current.adfEndpoint) {
+      const urlError = await publicUrlError(settings.adfEndpoint);
+      if (urlError) return res.status(400).json({ ok: false, error: `adfEndpoint: ${urlError}` });
+    }
+    await store.putRecord(DEALER_SETTINGS_COLLECTION, { ...settings, id: dealerId, dealerId, updatedAt: nowIso() });
+    res.locals.audit = { action: "dealer.settings.update", target: `dealer:${dealerId}`, before: current, after: settings };
+    res.json({ ok: true, settings });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to save settings" });
+  }
+});
+
+app.get("/api/dealer/calendar", requireAuth, requireDealer("leads:read"), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const token = await getCalendarToken(req.user.dealerId, { create: true });
+    res.json({ ok: true, url: calendarFeedUrl(publicBaseUrl(req), token) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load calendar link" });
+  }
+});
+
+app.post("/api/dealer/calendar/rotate", requireAuth, requireDealer("settings:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const token = await rotateCalendarToken(req.user.dealerId);
+    res.json({ ok: true, url: calendarFeedUrl(publicBaseUrl(req), token) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to rotate calendar link" });
+  }
+});
+
+app.get("/api/dealer/feeds", requireAuth, requireDealer("inventory:read"), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const token = await getFeedToken(dealerId, { create: true });
+    res.json({ ok: true, feeds: feedUrls(publicBaseUrl(req), dealerId, token) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load feeds" });
+  }
+});
+
+app.post("/api/dealer/feeds/rotate", requireAuth, requireDealer("settings:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const token = await rotateFeedToken(dealerId);
+    res.json({ ok: true, feeds: feedUrls(publicBaseUrl(req), dealerId, token) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to rotate feed token" });
+  }
+});
+
+app.get("/api/dealer/webhooks", requireAuth, requireDealer("settings:write"), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const webhooks = await listDealerWebhooks(dealerId);
+    res.json({ ok: true, events: WEBHOOK_EVENTS, webhooks: webhooks.map(publicWebhook) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load webhooks" });
+  }
+});
+
+app.post("/api/dealer/webhooks", requireAuth, requireDealer("settings:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const { webhook, error } = await createWebhook(dealerId, req.body?.webhook ?? req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    res.json({ ok: true, webhook: { ...publicWebhook(webhook), secret: webhook.secret } });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to create webhook" });
+  }
+});
+
+app.post("/api/dealer/webhooks/:id", requireAuth, requireDealer("settings:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const result = await updateWebhook(dealerId, String(req.params.id), req.body?.webhook ?? req.body);
+    if (result.notFound) return res.status(404).json({ ok: false, error: "Webhook not found" });
+    if (result.error) return res.status(400).json({ ok: false, error: result.error });
+    res.json({ ok: true, webhook: publicWebhook(result.webhook) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to update webhook" });
+  }
+});
+
+app.delete("/api/dealer/webhooks/:id", requireAuth, requireDealer("settings:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    if (!(await deleteWebhook(dealerId, String(req.params.id)))) {
+      return res.status(404).json({ ok: false, error: "Webhook not found" });
+    }
+    res.json({ ok: true, deleted: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to delete webhook" });
+  }
+});
+
+app.post("/api/dealer/webhooks/:id/test", requireAuth, requireDealer("settings:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const result = await sendWebhookTest(dealerId, String(req.params.id));
+    if (result.notFound) return res.status(404).json({ ok: false, error: "Webhook not found" });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to send test" });
+  }
+});
+
+app.get("/api/dealer/webhooks/deliveries", requireAuth, requireDealer("settings:write"), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    res.json({ ok: true, deliveries: await listWebhookDeliveries(dealerId) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load deliveries" });
+  }
+});
+
+app.get("/api/dealer/leads", requireAuth, requireDealer("leads:read"), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const [leads, activities, assignments, assignees] = await Promise.all([
+      store.dealerListLeads(dealerId),
+      listLeadActivities(dealerId),
+      listLeadAssignments(dealerId),
+      listLeadAssignees(dealerId),
+    ]);
+    res.json({
+      ok: true,
+      leads: withLeadAssignees(withLeadSummaries(leads, activities), assignments),
+      pipeline: LEAD_PIPELINE,
+      assignees,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load leads" });
+  }
+});
+
+// Timeline for one lead, newest first: { activityId, leadId, type, body, followUpDate, by, createdAt }
+app.get("/api/dealer/leads/:leadId/activities", requireAuth, requireDealer("leads:read"), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const leadId = String(req.params.leadId || "").trim();
+    const lead = (await store.dealerListLeads(dealerId)).find((l) => l.leadId === leadId);
+    if (!lead) return res.status(404).json({ ok: false, error: "Lead not found" });
+    const activities = await listLeadActivities(dealerId, leadId);
+    const summary = summarizeLeadActivities(activities).get(leadId);
+    res.json({ ok: true, activities: activities.map(publicLeadActivity), nextFollowUp: summary?.nextFollowUp || "" });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load lead activity" });
+  }
+});
+
+// Body: { type: note|call|whatsapp|email|meeting, body, followUpDate?: "YYYY-MM-DD" (blank clears it) }
+app.post("/api/dealer/leads/:leadId/activities", requireAuth, requireDealer("leads:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const leadId = String(req.params.leadId || "").trim();
+    const lead = (await store.dealerListLeads(dealerId)).find((l) => l.leadId === leadId);
+    if (!lead) return res.status(404).json({ ok: false, error: "Lead not found" });
+
+    const { activity, error } = validateLeadActivity(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error });
+    const saved = await addLeadActivity(dealerId, leadId, activity, req.user.username || "owner");
+    res.locals.audit = { action: `lead.activity.${activity.type}`, target: `lead:${leadId}`, before: null, after: saved };
+    res.json({ ok: true, activity: publicLeadActivity(saved), nextFollowUp: activity.followUpDate });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to log lead activity" });
+  }
+});
+
+// Body: { assignee: username } — "" unassigns. The assignee must be active staff who can work leads.
+app.post("/api/dealer/leads/:leadId/assign", requireAuth, requireDealer("leads:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const dealerId = req.user.dealerId;
+    const leadId = String(req.params.leadId || "").trim();
+    const lead = (await store.dealerListLeads(dealerId)).find((l) => l.leadId === leadId);
+    if (!lead) return res.status(404).json({ ok: false, error: "Lead not found" });
+
+    const assignee = normalizeUsername(req.body?.assignee);
+    if (assignee && !(await listLeadAssignees(dealerId)).includes(assignee)) {
+      return res.status(400).json({ ok: false, error: "assignee must be an active staff member who can work leads" });
     }
+    const { assignment, previousAssignee } = await assignLead(dealerId, leadId, assignee, req.user.username || "owner");
+    res.locals.audit = { action: "lead.assign", target: `lead:${leadId}`, before: { assignee: previousAssignee }, after: { assignee } };
+    res.json({ ok: true, assignment });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to assign lead" });
+  }
+});
 
-    const sheets = await getSheetsClient();
-    const dealer = await adminGetDealer(sheets, dealerId);
-    if (!dealer) return res.status(401).json({ ok: false, error: "Invalid credentials" });
+app.post("/api/dealer/leads/status", requireAuth, requireDealer("leads:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const { leadId, status, lostReason } = req.body || {};
+    if (!leadId || !status) return res.status(400).json({ ok: false, error: "leadId and status required" });
+    const updated = await updateLeadStatus(req.user.dealerId, String(leadId), String(status), {
+      by: req.user.username || "owner",
+      lostReason,
+    });
+    if (!updated) return res.status(404).json({ ok: false, error: "Lead not found" });
+    if (updated.error) return res.status(updated.code).json({ ok: false, error: updated.error });
+    res.locals.audit = { action: "lead.status", target: `lead:${leadId}`, before: { status: updated.previousStatus }, after: { status: updated.lead.status } };
+    res.json({ ok: true, lead: updated.lead });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to update lead status" });
+  }
+});
+
+app.get("/api/dealer/me", requireAuth, requireDealer(), requireDealerAccess("read"), (req, res) => {
+  res.json({
+    ok: true,
+    dealerId: req.user.dealerId,
+    username: req.user.username || "",
+    staffRole: req.user.staffRole,
+    permissions: staffPermissions(req.user.staffRole),
+  });
+});
+
+app.get("/api/dealer/profile", requireAuth, requireDealer(), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const dealer = await store.adminGetDealer(req.user.dealerId);
+    if (!dealer) return res.status(404).json({ ok: false, error: "Dealer not found" });
+    // Single-dealer deploys take the storefront name/logo/WhatsApp from env vars instead.
+    res.json({ ok: true, profile: dealerProfile(dealer), envOverride: !!(DEALER_NAME || DEALER_LOGO_URL || DEALER_WHATSAPP) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load profile" });
+  }
+});
+
+app.post("/api/dealer/profile", requireAuth, requireDealer("settings:write"), requireDealerAccess("write"), async (req, res) => {
+  try {
+    const { dealerId } = req.user;
+    const out = await withLock(`profile:${dealerId}`, async () => {
+      const dealer = await store.adminGetDealer(dealerId);
+      if (!dealer) return { status: 404, error: "Dealer not found" };
+      const { profile, error } = validateDealerProfile(req.body?.profile, dealer);
+      if (error) return { status: 400, error };
+
+      const updated = { ...dealer, ...profile, dealerId, updatedAt: nowIso() };
+      await store.adminUpsertDealer(updated);
+      res.locals.audit = {
+        action: "dealer.profile.update",
+        target: `dealer:${dealerId}`,
+        before: dealerProfile(dealer),
+        after: dealerProfile(updated),
+      };
+      return { profile: dealerProfile(updated) };
+    });
+    if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+    res.json({ ok: true, profile: out.profile });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to save profile" });
+  }
+});
+
+// Staff change their own passcode; without a username this changes the shared dealer passcode.
+// Other sessions of the same login end; the one making the change stays signed in.
+app.post("/api/dealer/passcode", requireAuth, requireDealer(), requireDealerAccess("read"), async (req, res) => {
+  try {
+    const { dealerId, username, sid } = req.user;
+    const currentPasscode = String(req.body?.currentPasscode || "");
+    const newPasscode = String(req.body?.newPasscode || "").trim();
+    if (!currentPasscode || !newPasscode) {
+      return res.status(400).json({ ok: false, error: "currentPasscode and newPasscode required" });
+    }
+    if (newPasscode.length < MIN_DEALER_PASSCODE_LENGTH) {
+      return res.status(400).json({ ok: false, error: `newPasscode must be at least ${MIN_DEALER_PASSCODE_LENGTH} characters` });
+    }
+    if (!username && DEALER_PASSCODE) {
+      return res.status(400).json({ ok: false, error: "This passcode is set by the server (DEALER_PASSCODE) and can't be changed here" });
+    }
+
+    // Guessing the current passcode counts against the same lockout as the login form.
+    const ip = clientIp(req);
+    const lockout = await reserveLoginAttempt("dealer", dealerId, ip);
+    if (lockout.retryAfter > 0) return sendLockedOut(res, lockout.retryAfter);
+
+    const account = username ? await getDealerStaff(dealerId, username) : await store.adminGetDealer(dealerId);
+    if (!account) {
+      await releaseLoginAttempt("dealer", dealerId, ip);
+      return res.status(404).json({ ok: false, error: "Account not found" });
+    }
+    if (!verifyPasscode(currentPasscode, account.passcodeHash)) {
+      return res.status(401).json({ ok: false, error: "Current passcode is wrong" });
+    }
+    await releaseLoginAttempt("dealer", dealerId, ip);
+    if (verifyPasscode(newPasscode, account.passcodeHash)) {
+      return res.status(400).json({ ok: false, error: "New passcode must be different" });
+    }
+
+    const updated = { ...account, passcodeHash: hashPasscode(newPasscode), updatedAt: nowIso() };
+    if (username) await saveDealerStaff({ ...updated, passcodeChangedAt: nowIso() });
+    else await store.adminUpsertDealer(updated);
+
+    const sameLogin = (s) => s.dealerId === dealerId && (s.claims?.username || "") === (username || "") && s.id !== sid;
+    const ended = await revokeSessions(sameLogin, username || dealerId);
+    res.locals.audit = {
+      action: username ? "staff.passcode.change" : "dealer.passcode.change",
+      target: username ? `staff:${dealerId}:${username}` : `dealer:${dealerId}`,
+      before: { passcodeHash: account.passcodeHash },
+      after: { passcodeHash: updated.passcodeHash },
+    };
+    res.json({ ok: true, endedSessions: ended });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to change passcode" });
+  }
+});
 
-    if (!verifyPasscode(passcode, dealer.passcodeHash)) {
-      return res.status(401).json({ ok: false, error: "Invalid credentials" });
+// Staff end their own sessions; the shared-passcode owner ends every session of the dealership.
+app.post("/api/dealer/logout-all", requireAuth, requireDealer(), async (req, res) => {
+  try {
+    const { dealerId, username } = req.user;
+    let ended;
+    if (username) {
+      const staff = await getDealerStaff(dealerId, username);
+      await saveDealerStaff({ ...staff, tokenVersion: Number(staff.tokenVersion || 0) + 1 });
+      ended = await revokeSessions((s) => s.dealerId === dealerId && s.claims?.username === username, username);
+    } else {
+      await bumpDealerTokenVersion(dealerId);
+      ended = await revokeSessions((s) => s.dealerId === dealerId, "owner");
     }
-
-    const token = signJwt({ role: "dealer", dealerId }, 8 * 3600);
-    res.json({ ok: true, token, dealerName: dealer.name, dealerId });
+    res.json({ ok: true, ended });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e?.message || "Login failed" });
+    res.status(500).json({ ok: false, error: e?.message || "Failed to end sessions" });
   }
 });
 
-app.get("/api/dealer/vehicles", requireAuth, requireDealer, async (req, res) => {
+mountTwoFactorRoutes("/api/dealer/2fa", requireAuth, requireDealer("staff:manage"));
+
+app.get("/api/dealer/staff", requireAuth, requireDealer("staff:manage"), requireDealerAccess("read"), async (req, res) => {
   try {
-    const sheets = await getSheetsClient();
-    const vehicles = await dealerListVehicles(sheets, req.user.dealerId);
-    res.json({ ok: true, vehicles });
+    const staff = await listDealerStaff(req.user.dealerId);
+    res.json({ ok: true, staff: staff.map(publicStaff), roles: STAFF_ROLES });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e?.message || "Failed to load vehicles" });
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load staff" });
   }
 });
 
-app.post("/api/dealer/vehicles", requireAuth, requireDealer, async (req, res) => {
+// Without a passcode a 6-digit one is generated and returned once.
+app.post("/api/dealer/staff", requireAuth, requireDealer("staff:manage"), requireDealerAccess("write"), async (req, res) => {
   try {
-    const sheets = await getSheetsClient();
     const dealerId = req.user.dealerId;
-
     const body = req.body || {};
-    const vehicleId = String(body.vehicleId || "").trim() || makeVehicleId();
-
-    const vehicle = {
-      vehicleId,
-      title: String(body.title || "").trim(),
-      make: String(body.make || "").trim(),
-      model: String(body.model || "").trim(),
-      year: body.year != null && body.year !== "" ? Number(body.year) : null,
-      price: body.price != null && body.price !== "" ? Number(body.price) : 0,
-      status: String(body.status || "available").trim(),
-      notes: String(body.notes || "").trim(),
-      mileage: body.mileage != null && body.mileage !== "" ? Number(body.mileage) : null,
-      transmission: String(body.transmission || "").trim(),
-      fuelType: String(body.fuelType || "").trim(),
-      bodyType: String(body.bodyType || "").trim(),
-      color: String(body.color || "").trim(),
-      vin: String(body.vin || "").trim(),
-      heroImage: String(body.heroImage || "").trim(),
-      heroVideo: String(body.heroVideo || "").trim(),
-      images: Array.isArray(body.images) ? body.images : [],
-    };
-
-    if (!vehicle.make || !vehicle.model) {
-      return res.status(400).json({ ok: false, error: "make and model required" });
+    const username = normalizeUsername(body.username);
+    if (!isValidUsername(username)) {
+      return res.status(400).json({ ok: false, error: "username must be 3-32 characters: a-z, 0-9, . _ -" });
+    }
+    const role = String(body.role || "").trim();
+    if (!STAFF_ROLES.includes(role)) return res.status(400).json({ ok: false, error: `role must be one of: ${STAFF_ROLES.join(", ")}` });
+    const passcode = String(body.passcode || "") || gen6();
+    if (passcode.length < MIN_STAFF_PASSCODE_LENGTH) {
+      return res.status(400).json({ ok: false, error: `passcode must be at least ${MIN_STAFF_PASSCODE_LENGTH} characters` });
+    }
+    if (await store.getRecord(DEALER_STAFF_COLLECTION, staffRecordId(dealerId, username))) {
+      return res.status(409).json({ ok: false, error: "That username is taken" });
     }
 
-    // Keep only URL-like strings
-    if (vehicle.heroImage && !isHttpUrl(vehicle.heroImage)) vehicle.heroImage = "";
-    if (vehicle.heroVideo && !isHttpUrl(vehicle.heroVideo)) vehicle.heroVideo = "";
-    vehicle.images = (vehicle.images || []).filter(isHttpUrl);
-    vehicle.images = vehicle.images.slice(0, 7);
-
-    // Auto-hero: if hero missing but images exist
-    if (!vehicle.heroImage && vehicle.images.length) vehicle.heroImage = vehicle.images[0];
-
-    const saved = await dealerUpsertVehicle(sheets, dealerId, vehicle);
-    res.json({ ok: true, vehicle: saved });
+    const staff = await saveDealerStaff({
+      id: staffRecordId(dealerId, username),
+      dealerId,
+      username,
+      name: String(body.name || "").trim() || username,
+      role,
+      passcodeHash: hashPasscode(passcode),
+      status: "active",
+      createdAt: nowIso(),
+      createdBy: req.user.username || "owner",
+    });
+    res.locals.audit = { action: "staff.create", target: `staff:${dealerId}:${username}`, before: null, after: staff };
+    res.json({ ok: true, staff: publicStaff(staff), passcode: body.passcode ? undefined : passcode });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e?.message || "Failed to save vehicle" });
+    res.status(500).json({ ok: false, error: e?.message || "Failed to create staff account" });
   }
 });
 
-app.get("/api/dealer/leads", requireAuth, requireDealer, async (req, res) => {
+// action: update (name/role) | disable | enable | reset-passcode
+app.post("/api/dealer/staff/:username/:action", requireAuth, requireDealer("staff:manage"), requireDealerAccess("write"), async (req, res) => {
   try {
-    const sheets = await getSheetsClient();
-    const leads = await dealerListLeads(sheets, req.user.dealerId);
-    res.json({ ok: true, leads });
-  } catch (e) {
-    res.status(500).json({ ok: false, error: e?.message || "Failed to load leads" });
-  }
-});
+    const action = String(req.params.action || "");
+    if (!["update", "disable", "enable", "reset-passcode"].includes(action)) {
+      return res.status(400).json({ ok: false, error: "action must be update, disable, enable or reset-passcode" });
+    }
+    const staff = await store.getRecord(DEALER_STAFF_COLLECTION, staffRecordId(req.user.dealerId, req.params.username));
+    if (!staff) return res.status(404).json({ ok: false, error: "Staff account not found" });
+    // `after` is replaced once the change is saved; rejected requests show no diff.
+    res.locals.audit = { action: `staff.${action}`, target: `staff:${staff.dealerId}:${staff.username}`, before: staff, after: staff };
+    const self = staff.username === req.user.username;
+    const body = req.body || {};
 
-app.post("/api/dealer/leads/status", requireAuth, requireDealer, async (req, res) => {
-  try {
-    const { leadId, status } = req.body || {};
-    if (!leadId || !status) return res.status(400).json({ ok: false, error: "leadId and status required" });
-    const sheets = await getSheetsClient();
-    const updated = await dealerUpdateLeadStatus(sheets, req.user.dealerId, String(leadId), String(status));
-    if (!updated) return res.status(404).json({ ok: false, error: "Lead not found" });
-    res.json({ ok: true, lead: updated });
+    if (action === "update") {
+      const role = body.role != null ? String(body.role).trim() : staff.role;
+      if (!STAFF_ROLES.includes(role)) return res.status(400).json({ ok: false, error: `role must be one of: ${STAFF_ROLES.join(", ")}` });
+      if (self && role !== "owner") return res.status(400).json({ ok: false, error: "You can't change your own role" });
+      const name = body.name != null ? String(body.name).trim() || staff.username : staff.name;
+      const saved = await saveDealerStaff({ ...staff, role, name });
+      res.locals.audit.after = saved;
+      return res.json({ ok: true, staff: publicStaff(saved) });
+    }
+
+    if (action === "reset-passcode") {
+      const passcode = String(body.passcode || "") || gen6();
+      if (passcode.length < MIN_STAFF_PASSCODE_LENGTH) {
+        return res.status(400).json({ ok: false, error: `passcode must be at least ${MIN_STAFF_PASSCODE_LENGTH} characters` });
+      }
+      const saved = await saveDealerStaff({
+        ...staff,
+        passcodeHash: hashPasscode(passcode),
+        tokenVersion: Number(staff.tokenVersion || 0) + 1,
+      });
+      await revokeSessions((s) => s.dealerId === staff.dealerId && s.claims?.username === staff.username, req.user.username || "owner");
+      res.locals.audit.after = saved;
+      return res.json({ ok: true, staff: publicStaff(saved), passcode: body.passcode ? undefined : passcode });
+    }
+
+    if (action === "disable" && self) return res.status(400).json({ ok: false, error: "You can't disable your own account" });
+    const saved = await saveDealerStaff({ ...staff, status: action === "disable" ? "disabled" : "active" });
+    res.locals.audit.after = saved;
+    if (action === "disable") {
+      await revokeSessions((s) => s.dealerId === staff.dealerId && s.claims?.username === staff.username, req.user.username || "owner");
+    }
+    res.json({ ok: true, staff: publicStaff(saved) });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e?.message || "Failed to update lead status" });
+    res.status(500).json({ ok: false, error: e?.message || "Failed to update staff account" });
   }
 });
 
 // OPTIONAL/BACK-COMPAT: Signed upload URL for GCS
-app.post("/api/dealer/uploads/sign", requireAuth, requireDealer, async (req, res) => {
+app.post("/api/dealer/uploads/sign", requireAuth, requireDealer("media:write"), requireDealerAccess("write"), async (req, res) => {
   try {
     const dealerId = req.user.dealerId;
     const { vehicleId, type, filename, contentType } = req.body || {};
@@ -1163,6 +4136,17 @@ app.post("/api/dealers/:dealerId/vehicles/:vehicleId/uploads/sign", requireAuth,
     if (req.user?.role !== "dealer" && req.user?.role !== "admin") {
       return res.status(403).json({ ok: false, error: "Forbidden" });
     }
+    if (req.user.role === "dealer" && dealerAccessLevel(await getDealerStatus(dealerId)) !== "write") {
+      return res.status(403).json({ ok: false, error: "Dealer account is not active" });
+    }
+    if (req.user.role === "dealer" && req.user.username) {
+      const staff = await getDealerStaff(dealerId, req.user.username);
+      if (!staff || staff.status !== "active" || !staffPermissions(staff.role).includes("media:write")) {
+        return res.status(403).json({ ok: false, error: "Forbidden" });
+      }
+    }
+    const ended = await checkTokenSession(req.user);
+    if (ended) return res.status(401).json({ ok: false, error: ended });
 
     const { type, filename, contentType } = req.body || {};
     if (!type || !filename || !contentType) {
@@ -1182,7 +4166,6 @@ app.get("/api/public/vehicles", async (req, res) => {
   try {
     const { dealerId } = req.query || {};
     const normalizedDealerId = normalizeDealerId(dealerId);
-    const sheets = await getSheetsClient();
 
     const resolvedDealerId = String(dealerId || DEFAULT_DEALER_ID || "").trim();
     if (!resolvedDealerId) {
@@ -1192,13 +4175,62 @@ app.get("/api/public/vehicles", async (req, res) => {
       return res.status(400).json({ error: "dealerId must be two letters followed by 3-5 numbers" });
     }
 
-    const vehicles = await dealerListVehicles(sheets, dealerId);
-    return res.json({ vehicles: filterPublicVehicles(vehicles) });
+    if (dealerAccessLevel(await getDealerStatus(resolvedDealerId)) === "none") {
+      return res.status(403).json({ error: "Dealer temporarily unavailable", unavailable: true });
+    }
+
+    const vehicles = await listPublicVehicles(resolvedDealerId);
+    return res.json({ vehicles: await withPriceDrops(resolvedDealerId, vehicles) });
   } catch (e) {
     res.status(500).json({ error: e?.message || "Failed to load public vehicles" });
   }
 });
 
+// Public dealer profile; DEALER_NAME/LOGO/WHATSAPP env vars override the sheet (single-dealer deploys).
+async function loadPublicDealer(dealerId) {
+  if (DEALER_NAME || DEALER_LOGO_URL || DEALER_WHATSAPP) {
+    return {
+      dealerId: normalizeDealerId(dealerId),
+      name: DEALER_NAME || "Dealer",
+      logoUrl: DEALER_LOGO_URL,
+      whatsapp: digitsOnly(DEALER_WHATSAPP),
+    };
+  }
+  const dealer = await store.adminGetDealer(dealerId);
+  if (!dealer) return null;
+  if (dealerAccessLevel(dealer.status) === "none") {
+    return { dealerId: dealer.dealerId, name: dealer.name, status: dealer.status, unavailable: true };
+  }
+  return {
+    dealerId: dealer.dealerId,
+    name: dealer.name,
+    status: dealer.status,
+    logoUrl: dealer.logoUrl,
+    whatsapp: dealer.whatsapp,
+    address: dealer.address,
+    hours: dealer.hours,
+    about: dealer.about,
+  };
+}
+
+// Open appointment slots for one vehicle (or dealer-wide when vehicleId is omitted).
+app.get("/api/public/slots", async (req, res) => {
+  try {
+    const dealerId = String(req.query.dealerId || DEFAULT_DEALER_ID || "").trim();
+    if (!isValidDealerId(dealerId)) return res.status(400).json({ ok: false, error: "dealerId required" });
+    if (dealerAccessLevel(await getDealerStatus(dealerId)) === "none") {
+      return res.status(403).json({ ok: false, error: "This dealer is temporarily unavailable", unavailable: true });
+    }
+    const from = isIsoDate(req.query.from) ? String(req.query.from) : "";
+    const days = Math.min(Math.max(Number(req.query.days) || 14, 1), BOOKING_WINDOW_DAYS);
+    const result = await listAvailableSlots(dealerId, String(req.query.vehicleId || "").trim(), from, days);
+    // The booking form loads slots as it opens, so this is where its spam-check token comes from.
+    res.json({ ok: true, dealerId, ...result, formToken: issueLeadFormToken(dealerId) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || "Failed to load slots" });
+  }
+});
+
 app.get("/api/public/dealer", async (req, res) => {
   try {
     const dealerId = String(req.query.dealerId || DEFAULT_DEALER_ID || "").trim();
@@ -1206,29 +4238,9 @@ app.get("/api/public/dealer", async (req, res) => {
     if (!isValidDealerId(dealerId)) {
       return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
     }
-    if (DEALER_NAME || DEALER_LOGO_URL || DEALER_WHATSAPP) {
-      return res.json({
-        ok: true,
-        dealer: {
-          dealerId: normalizeDealerId(dealerId),
-          name: DEALER_NAME || "Dealer",
-          logoUrl: DEALER_LOGO_URL,
-          whatsapp: digitsOnly(DEALER_WHATSAPP),
-        },
-      });
-    }
-    const sheets = await getSheetsClient();
-    const dealer = await adminGetDealer(sheets, dealerId);
+    const dealer = await loadPublicDealer(dealerId);
     if (!dealer) return res.status(404).json({ ok: false, error: "Dealer not found" });
-    res.json({
-      ok: true,
-      dealer: {
-        dealerId: dealer.dealerId,
-        name: dealer.name,
-        logoUrl: dealer.logoUrl,
-        whatsapp: dealer.whatsapp,
-      },
-    });
+    res.json({ ok: true, dealer });
   } catch (e) {
     res.status(500).json({ ok: false, error: e?.message || "Failed to load dealer" });
   }
@@ -1255,17 +4267,838 @@ app.post("/api/public/leads", async (req, res) => {
     };
 
     if (!lead.name || !lead.phone) return res.status(400).json({ ok: false, error: "name and phone required" });
+    if (!isValidDealerId(dealerId)) {
+      return res.status(400).json({ ok: false, error: "dealerId must be two letters followed by 3-5 numbers" });
+    }
+
+    const ip = clientIp(req);
+    const retryAfter = leadRateLimit("ip", ip) || leadRateLimit("phone", phoneRateKey(lead.phone));
+    if (retryAfter) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ ok: false, error: "Too many requests. Please try again later.", retryAfter });
+    }
+    if (!(await dealerExists(dealerId))) return res.status(404).json({ ok: false, error: "Unknown dealer" });
+
+    const spam = leadSpamCheck(body, lead);
+    if (spam.reason) {
+      const honeypot = String(body.website || "").slice(0, 200);
+      await holdLeadForReview(dealerId, lead, spam.reason, { ip, fillMs: spam.fillMs, honeypot });
+      return res.status(202).json({ ok: true, held: true });
+    }
 
-    const sheets = await getSheetsClient();
-    await ensureDealerTabLayout(sheets, dealerId);
-    const saved = await dealerAppendLead(sheets, dealerId, lead);
+    const result = await acceptPublicLead(dealerId, lead);
+    if (result.unavailable) {
+      return res.status(403).json({ ok: false, error: "This dealer is temporarily unavailable", unavailable: true });
+    }
+    if (result.held) return res.status(202).json({ ok: true, held: true });
+    if (result.conflict) {
+      const { status, error } = result.conflict;
+      return res.status(status).json({ ok: false, error, ...(status === 409 ? { slotTaken: true } : {}) });
+    }
 
-    res.json({ ok: true, lead: saved });
+    const saved = result.lead;
+    res.json({ ok: true, lead: saved, ...(isBookedLead(saved) ? { inviteUrl: inviteUrl(dealerId, saved.leadId) } : {}) });
   } catch (e) {
     res.status(500).json({ ok: false, error: e?.message || "Failed to save lead" });
   }
 });
 
+// ADF/XML intake for third-party lead sources. Dealer comes from ?dealerId= or each prospect's <vendor><id>.
+app.post(
+  "/api/public/leads/adf",
+  express.text({ type: ["application/xml", "text/xml", "application/adf+xml", "text/plain"], limit: "1mb" }),
+  async (req, res) => {
+    try {
+      const xml = typeof req.body === "string" ? req.body : "";
+      if (!/<adf[\s>]/i.test(xml)) return res.status(400).json({ ok: false, error: "ADF XML body required" });
+
+      const retryAfter = leadRateLimit("adfIp", clientIp(req));
+      if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({ ok: false, error: "Too many requests. Please try again later.", retryAfter });
+      }
+
+      const prospects = parseAdfProspects(xml);
+      if (!prospects.length) return res.status(400).json({ ok: false, error: "No <prospect> found" });
+
+      const queryDealerId = String(req.query.dealerId || "").trim();
+      const results = [];
+      for (const p of prospects) {
+        const dealerId = queryDealerId || p.vendorId || DEFAULT_DEALER_ID;
+        if (!isValidDealerId(dealerId)) {
+          results.push({ ok: false, error: "dealerId required (query or <vendor><id>)" });
+          continue;
+        }
+        if (!p.lead.name || (!p.lead.phone && !p.lead.email)) {
+          results.push({ ok: false, dealerId, error: "name and phone or email required" });
+          continue;
+        }
+        if (!(await dealerExists(dealerId))) {
+          results.push({ ok: false, dealerId, error: "Unknown dealer" });
+          continue;
+        }
+        const limited =
+          leadRateLimit("adfDealer", normalizeDealerId(dealerId)) || (p.lead.phone && leadRateLimit("phone", phoneRateKey(p.lead.phone)));
+        if (limited) {
+          results.push({ ok: false, dealerId, error: "Rate limit exceeded", retryAfter: limited });
+          continue;
+        }
+        const result = await acceptPublicLead(dealerId, { ...p.lead, dealerId });
+        if (result.unavailable) results.push({ ok: false, dealerId, error: "Dealer temporarily unavailable" });
+        else if (result.held) results.push({ ok: true, dealerId, held: true });
+        else if (result.conflict) results.push({ ok: false, dealerId, error: result.conflict.error });
+        else results.push({ ok: true, dealerId, leadId: result.lead.leadId });
+      }
+
+      const accepted = results.filter((r) => r.ok).length;
+      const limited = !accepted && results.some((r) => r.retryAfter);
+      res.status(accepted ? 200 : limited ? 429 : 422).json({ ok: accepted > 0, accepted, results });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e?.message || "Failed to import ADF" });
+    }
+  }
+);
+
+// ---------- Vehicle detail pages (server-rendered) ----------
+// Rendered on the server so crawlers and WhatsApp/Facebook link previews see real title/OG tags.
+const VEHICLE_PAGE_TEMPLATE = path.join(ROOT, "apps", "storefront", "vehicle.html");
+let vehiclePageTemplate = null;
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+function publicBaseUrl(req) {
+  if (PUBLIC_BASE_URL) return PUBLIC_BASE_URL;
+  const proto = String(req.get("x-forwarded-proto") || req.protocol || "https").split(",")[0].trim();
+  return `${proto}://${req.get("host")}`;
+}
+function vehiclePagePath(dealerId, vehicleId) {
+  return `/d/${encodeURIComponent(dealerId)}/v/${encodeURIComponent(vehicleId)}`;
+}
+function vehicleTitle(v) {
+  return v.title || [v.year, v.make, v.model].filter(Boolean).join(" ") || "Vehicle";
+}
+function formatPrice(price, currency) {
+  const n = Number(price || 0);
+  if (!isFinite(n) || n <= 0) return "Price on request";
+  const code = String(currency || "JMD").toUpperCase();
+  return `${code === "JMD" ? "J$" : code} ${n.toLocaleString("en-US")}`;
+}
+function isPublicStatus(status) {
+  return ["published", "available", "in_stock", "instock"].includes(String(status || "").toLowerCase());
+}
+// Same rules as the storefront: lines whose placeholders are all empty are dropped.
+function fillMessageTemplate(template, values) {
+  return String(template || "")
+    .split("\n")
+    .filter((line) => {
+      const keys = [...line.matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+      return !keys.length || keys.some((k) => values[k]);
+    })
+    .map((line) => line.replace(/\{(\w+)\}/g, (m, k) => (k in values ? values[k] : m)))
+    .join("\n");
+}
+async function loadVehiclePageTemplate() {
+  if (!vehiclePageTemplate) vehiclePageTemplate = await fs.promises.readFile(VEHICLE_PAGE_TEMPLATE, "utf8");
+  return vehiclePageTemplate;
+}
+
+function renderVehicleMedia(v, title) {
+  const images = (v.images || []).filter(isHttpUrl);
+  const hero = isHttpUrl(v.heroImage) ? v.heroImage : images[0] || "";
+  const gallery = hero ? [hero, ...images.filter((u) => u !== hero)] : images;
+  const video = isHttpUrl(v.heroVideo) ? v.heroVideo : "";
+
+  let stage;
+  if (hero) {
+    stage = `<img src="${escapeHtml(hero)}" alt="${escapeHtml(title)}" referrerpolicy="no-referrer" />`;
+  } else if (video) {
+    stage = `<video src="${escapeHtml(video)}" controls playsinline></video>`;
+  } else {
+    stage = "Photos coming soon";
+  }
+
+  const thumbs = gallery.map(
+    (u, i) =>
+      `<button type="button" class="${i === 0 ? "active" : ""}" data-src="${escapeHtml(u)}" aria-label="Photo ${i + 1}">` +
+      `<img src="${escapeHtml(u)}" alt="" loading="lazy" referrerpolicy="no-referrer" /></button>`
+  );
+  if (video && hero) {
+    thumbs.push(`<button type="button" data-video="${escapeHtml(video)}" aria-label="Play video">▶</button>`);
+  }
+
+  return `<div class="stage">${stage}</div>` + (thumbs.length > 1 ? `<div class="thumbs">${thumbs.join("")}</div>` : "");
+}
+function renderVehicleSpecs(v) {
+  const rows = [
+    ["Year", v.year || ""],
+    ["Make", v.make],
+    ["Model", v.model],
+    ["Mileage", v.mileage != null && v.mileage !== "" ? `${Number(v.mileage).toLocaleString("en-US")} km` : ""],
+    ["Transmission", v.transmission],
+    ["Fuel type", v.fuelType],
+    ["Body type", v.bodyType],
+    ["Color", v.color],
+    ["VIN", v.vin],
+    ["Vehicle ID", v.vehicleId],
+  ].filter(([, value]) => value);
+  return rows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join("\n");
+}
+
+// schema.org Car + Offer, built from the same fields dealerListVehicles returns.
+function vehicleJsonLd({ vehicle, dealer, canonicalUrl, currency }) {
+  const images = (vehicle.images || []).filter(isHttpUrl);
+  const hero = isHttpUrl(vehicle.heroImage) ? vehicle.heroImage : "";
+  const price = Number(vehicle.price || 0);
+
+  const data = {
+    "@context": "https://schema.org",
+    "@type": "Car",
+    name: vehicleTitle(vehicle),
+    url: canonicalUrl,
+    sku: vehicle.vehicleId,
+    image: hero ? [hero, ...images.filter((u) => u !== hero)] : images,
+    description: vehicle.notes || undefined,
+    brand: vehicle.make ? { "@type": "Brand", name: vehicle.make } : undefined,
+    model: vehicle.model || undefined,
+    vehicleModelDate: vehicle.year ? String(vehicle.year) : undefined,
+    mileageFromOdometer:
+      vehicle.mileage != null && vehicle.mileage !== ""
+        ? { "@type": "QuantitativeValue", value: Number(vehicle.mileage), unitCode: "KMT" }
+        : undefined,
+    vehicleTransmission: vehicle.transmission || undefined,
+    fuelType: vehicle.fuelType || undefined,
+    bodyType: vehicle.bodyType || undefined,
+    color: vehicle.color || undefined,
+    vehicleIdentificationNumber: vehicle.vin || undefined,
+    offers: {
+      "@type": "Offer",
+      url: canonicalUrl,
+      price: isFinite(price) && price > 0 ? price : undefined,
+      priceCurrency: String(currency || "JMD").toUpperCase(),
+      availability: isPublicStatus(vehicle.status) ? "https://schema.org/InStock" : "https://schema.org/OutOfStock",
+      itemCondition: "https://schema.org/UsedCondition",
+      seller: { "@type": "AutoDealer", name: dealer.name || "Dealer" },
+    },
+  };
+  // JSON.stringify drops the undefined keys; "<" is escaped so notes can't close the script tag.
+  return JSON.stringify(data).replace(/</g, "\\u003c");
+}
+
+// "Oct 21, 5:00 PM" in the dealer's timezone, for held vehicles.
+function formatHoldUntil(iso, timezone) {
+  const opts = { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" };
+  try {
+    return new Intl.DateTimeFormat("en-US", { ...opts, timeZone: timezone || undefined }).format(new Date(iso));
+  } catch {
+    return new Intl.DateTimeFormat("en-US", opts).format(new Date(iso));
+  }
+}
+
+async function renderVehiclePage({ baseUrl, dealer, vehicle, settings, timezone }) {
+  const title = vehicleTitle(vehicle);
+  const price = formatPrice(vehicle.price, settings.defaultCurrency);
+  const canonicalUrl = baseUrl + vehiclePagePath(dealer.dealerId, vehicle.vehicleId);
+  const storefrontUrl = `/d/${encodeURIComponent(dealer.dealerId)}`;
+
+  const subtitle = [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(" • ");
+  const summary = [
+    price,
+    vehicle.mileage != null && vehicle.mileage !== "" ? `${Number(vehicle.mileage).toLocaleString("en-US")} km` : "",
+    vehicle.transmission,
+    vehicle.fuelType,
+  ].filter(Boolean);
+  const description = `${title} — ${summary.join(" • ")}. Available at ${dealer.name}.`;
+
+  const images = (vehicle.images || []).filter(isHttpUrl);
+  const ogImage = isHttpUrl(vehicle.heroImage) ? vehicle.heroImage : images[0] || "";
+  const ogVideo = isHttpUrl(vehicle.heroVideo) ? vehicle.heroVideo : "";
+  const ogMediaTags = [
+    ogImage ? `<meta property="og:image" content="${escapeHtml(ogImage)}" />` : "",
+    ogImage ? `<meta name="twitter:image" content="${escapeHtml(ogImage)}" />` : "",
+    ogVideo ? `<meta property="og:video" content="${escapeHtml(ogVideo)}" />` : "",
+    `<script type="application/ld+json">${vehicleJsonLd({
+      vehicle,
+      dealer,
+      canonicalUrl,
+      currency: settings.defaultCurrency,
+    })}</script>`,
+  ]
+    .filter(Boolean)
+    .join("\n  ");
+
+  let whatsappHtml = "";
+  const waDigits = digitsOnly(dealer.whatsapp || "");
+  if (waDigits) {
+    const message = fillMessageTemplate(settings.whatsappMessageTemplate || DEFAULT_SETTINGS.whatsappMessageTemplate, {
+      dealer: dealer.name || "Dealer",
+      vehicle: title,
+      vehicleId: vehicle.vehicleId,
+      link: canonicalUrl,
+    });
+    const href = `https://wa.me/${waDigits}?text=${encodeURIComponent(message)}`;
+    whatsappHtml = `<a class="btn btn-ghost" href="${escapeHtml(href)}" target="_blank" rel="noreferrer">WhatsApp</a>`;
+  }
+
+  const logoUrl = isHttpUrl(settings.storefrontLogoUrl) ? settings.storefrontLogoUrl : isHttpUrl(dealer.logoUrl) ? dealer.logoUrl : "";
+  const inStock = isPublicStatus(vehicle.status);
+
+  const vars = {
+    pageTitle: escapeHtml(`${title} — ${price} | ${dealer.name}`),
+    description: escapeHtml(description),
+    canonicalUrl: escapeHtml(canonicalUrl),
+    ogMediaTags,
+    twitterCard: ogImage ? "summary_large_image" : "summary",
+    dealerName: escapeHtml(dealer.name || "Dealer"),
+    dealerId: escapeHtml(dealer.dealerId),
+    vehicleId: escapeHtml(vehicle.vehicleId),
+    storefrontUrl: escapeHtml(storefrontUrl),
+    logoHtml: logoUrl ? `<img src="${escapeHtml(logoUrl)}" alt="${escapeHtml(dealer.name || "Dealer logo")}" />` : "C",
+    title: escapeHtml(title),
+    subtitle: escapeHtml(subtitle || "Details available on request"),
+    price: escapeHtml(price),
+    statusClass: inStock ? "published" : "",
+    statusLabel: escapeHtml(
+      vehicle.reservedUntil ? `Reserved until ${formatHoldUntil(vehicle.reservedUntil, timezone)}` : inStock ? "IN STOCK" : vehicle.status || "Draft"
+    ),
+    mediaHtml: renderVehicleMedia(vehicle, title),
+    specsHtml: renderVehicleSpecs(vehicle),
+    notesHtml: vehicle.notes ? `<div class="notes">${escapeHtml(vehicle.notes)}</div>` : "",
+    whatsappHtml,
+  };
+
+  const template = await loadVehiclePageTemplate();
+  return template.replace(/\{\{(\w+)\}\}/g, (_m, key) => (key in vars ? vars[key] : ""));
+}
+
+function sendVehicleNotFound(res, dealerId) {
+  const back = dealerId && isValidDealerId(dealerId) ? `/d/${encodeURIComponent(dealerId)}` : "/";
+  res
+    .status(404)
+    .type("html")
+    .send(
+      `<!doctype html><html lang="en"><head><meta charset="utf-8" /><meta name="robots" content="noindex" />` +
+        `<title>Vehicle not available</title></head><body style="font-family:system-ui,sans-serif;padding:32px">` +
+        `<h1 style="font-size:20px">This vehicle is no longer available</h1>` +
+        `<p><a href="${escapeHtml(back)}">Browse the rest of the inventory</a></p></body></html>`
+    );
+}
+
+app.get("/d/:dealerId/v/:vehicleId", async (req, res, next) => {
+  try {
+    const dealerId = String(req.params.dealerId || "").trim();
+    const vehicleId = String(req.params.vehicleId || "").trim();
+    if (!isValidDealerId(dealerId) || !vehicleId) return sendVehicleNotFound(res, "");
+
+    const dealer = await loadPublicDealer(dealerId);
+    if (!dealer || dealer.unavailable) return sendVehicleNotFound(res, "");
+
+    const vehicles = await listPublicVehicles(dealerId);
+    const vehicle = vehicles.find((v) => v.vehicleId === vehicleId);
+    if (!vehicle) return sendVehicleNotFound(res, dealerId);
+
+    let settings;
+    try {
+      settings = await loadSettings();
+    } catch {
+      settings = { ...DEFAULT_SETTINGS };
+    }
+
+    const timezone = vehicle.reservedUntil ? (await loadDealerSettings(dealerId)).timezone : "";
+    const html = await renderVehiclePage({ baseUrl: publicBaseUrl(req), dealer, vehicle, settings, timezone });
+    res.setHeader("Cache-Control", "public, max-age=300");
+    res.type("html").send(html);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Dealer storefront shell with an ItemList of vehicle pages, so crawlers can reach them without JS.
+const STOREFRONT_INDEX = path.join(ROOT, "apps", "storefront", "index.html");
+let storefrontIndexHtml = null;
+
+async function serveDealerStorefront(req, res) {
+  const dealerId = String(req.params.dealerId || "").trim();
+  if (!isValidDealerId(dealerId)) return res.sendFile(STOREFRONT_INDEX);
+  try {
+    const dealer = await loadPublicDealer(dealerId);
+    if (!dealer || dealer.unavailable) return res.sendFile(STOREFRONT_INDEX);
+
+    const baseUrl = publicBaseUrl(req);
+    // Same list as the storefront grid, so reserved cars stay in the structured data while held.
+    const vehicles = await listPublicVehicles(dealerId);
+    const itemList = {
+      "@context": "https://schema.org",
+      "@type": "ItemList",
+      name: `${dealer.name} inventory`,
+      url: `${baseUrl}/d/${encodeURIComponent(dealerId)}`,
+      itemListElement: vehicles.map((v, i) => ({
+        "@type": "ListItem",
+        position: i + 1,
+        url: baseUrl + vehiclePagePath(dealerId, v.vehicleId),
+        name: vehicleTitle(v),
+      })),
+    };
+
+    if (!storefrontIndexHtml) storefrontIndexHtml = await fs.promises.readFile(STOREFRONT_INDEX, "utf8");
+    const head = [
+      `<link rel="canonical" href="${escapeHtml(itemList.url)}" />`,
+      `<script type="application/ld+json">${JSON.stringify(itemList).replace(/</g, "\\u003c")}</script>`,
+    ].join("\n  ");
+    res.type("html").send(storefrontIndexHtml.replace("</head>", `  ${head}\n</head>`));
+  } catch {
+    // Storage hiccups or unknown dealers still get the client-rendered storefront.
+    res.sendFile(STOREFRONT_INDEX);
+  }
+}
+
+// ---------- Sitemaps ----------
+function sitemapLastmod(value) {
+  const d = new Date(value || "");
+  return isNaN(d.getTime()) ? "" : d.toISOString().slice(0, 10);
+}
+// Storefront URL + one URL per public vehicle (reserved ones included); suspended or unknown dealers yield nothing.
+async function dealerSitemapEntries(baseUrl, dealerId) {
+  if (dealerAccessLevel(await getDealerStatus(dealerId)) === "none") return [];
+  const vehicles = await listPublicVehicles(dealerId);
+  const newest = vehicles.map((v) => v.updatedAt).sort().pop();
+  return [
+    { loc: `${baseUrl}/d/${encodeURIComponent(dealerId)}`, lastmod: sitemapLastmod(newest), changefreq: "daily" },
+    ...vehicles.map((v) => ({
+      loc: baseUrl + vehiclePagePath(dealerId, v.vehicleId),
+      lastmod: sitemapLastmod(v.updatedAt),
+      changefreq: "weekly",
+    })),
+  ];
+}
+function renderSitemap(entries) {
+  const urls = entries.map((e) =>
+    [
+      "  <url>",
+      `    <loc>${xmlEscape(e.loc)}</loc>`,
+      e.lastmod ? `    <lastmod>${e.lastmod}</lastmod>` : "",
+      `    <changefreq>${e.changefreq}</changefreq>`,
+      "  </url>",
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+function sendSitemap(res, entries) {
+  res.setHeader("Cache-Control", "public, max-age=3600");
+  res.type("application/xml").send(renderSitemap(entries));
+}
+
+app.get("/sitemap.xml", async (req, res, next) => {
+  try {
+    const baseUrl = publicBaseUrl(req);
+    const dealerIds = (await store.adminListDealers()).map((d) => d.dealerId).filter(isValidDealerId);
+    if (DEFAULT_DEALER_ID && isValidDealerId(DEFAULT_DEALER_ID) && !dealerIds.includes(DEFAULT_DEALER_ID)) {
+      dealerIds.push(DEFAULT_DEALER_ID);
+    }
+
+    const results = await Promise.allSettled(dealerIds.map((id) => dealerSitemapEntries(baseUrl, id)));
+    sendSitemap(
+      res,
+      results.flatMap((r) => (r.status === "fulfilled" ? r.value : []))
+    );
+  } catch (e) {
+    next(e);
+  }
+});
+
+app.get("/d/:dealerId/sitemap.xml", async (req, res, next) => {
+  try {
+    const dealerId = String(req.params.dealerId || "").trim();
+    if (!isValidDealerId(dealerId) || !(await loadPublicDealer(dealerId))) return res.status(404).send("Not Found");
+    const entries = await dealerSitemapEntries(publicBaseUrl(req), dealerId);
+    if (!entries.length) return res.status(404).send("Not Found");
+    sendSitemap(res, entries);
+  } catch (e) {
+    next(e);
+  }
+});
+
+app.get("/robots.txt", (req, res) => {
+  res.type("text/plain").send(`User-agent: *\nDisallow: /admin\nDisallow: /dealer\nDisallow: /api/\nDisallow: /feeds/\n\nSitemap: ${publicBaseUrl(req)}/sitemap.xml\n`);
+});
+
+// ---------- Inventory syndication feeds ----------
+function norm(v) {
+  return String(v || "").trim().toLowerCase();
+}
+// Catalog enums: anything we can't map confidently goes out as OTHER rather than being guessed.
+function feedFuelType(v) {
+  const s = norm(v);
+  if (/petrol|gas/.test(s)) return "GASOLINE";
+  if (/diesel/.test(s)) return "DIESEL";
+  if (/hybrid/.test(s)) return "HYBRID";
+  if (/electric|\bev\b/.test(s)) return "ELECTRIC";
+  if (/flex/.test(s)) return "FLEX";
+  return s ? "OTHER" : "";
+}
+function feedTransmission(v) {
+  const s = norm(v);
+  if (/auto|cvt/.test(s)) return "AUTOMATIC";
+  if (/manual|stick/.test(s)) return "MANUAL";
+  return s ? "OTHER" : "";
+}
+function feedBodyStyle(v) {
+  const s = norm(v).replace(/[\s_-]+/g, "");
+  const map = {
+    sedan: "SEDAN",
+    suv: "SUV",
+    hatchback: "HATCHBACK",
+    coupe: "COUPE",
+    convertible: "CONVERTIBLE",
+    wagon: "WAGON",
+    estate: "WAGON",
+    minivan: "MINIVAN",
+    van: "VAN",
+    pickup: "TRUCK",
+    truck: "TRUCK",
+    crossover: "CROSSOVER",
+  };
+  return map[s] || (s ? "OTHER" : "");
+}
+function feedPrice(v, currency) {
+  const n = Number(v.price || 0);
+  return isFinite(n) && n > 0 ? `${n} ${String(currency || "JMD").toUpperCase()}` : "";
+}
+function feedImages(v) {
+  const images = (v.images || []).filter(isHttpUrl);
+  const hero = isHttpUrl(v.heroImage) ? v.heroImage : images[0] || "";
+  return hero ? [hero, ...images.filter((u) => u !== hero)] : [];
+}
+function feedDescription(v, dealer) {
+  return v.notes || `${vehicleTitle(v)} available at ${dealer.name || "our dealership"}.`;
+}
+
+function renderFacebookFeed({ baseUrl, dealer, vehicles, currency }) {
+  const tag = (name, value, indent = "    ") => (value === "" || value == null ? "" : `${indent}<${name}>${xmlEscape(value)}</${name}>`);
+  const listings = vehicles.map((v) => {
+    const images = feedImages(v).map((u) => `    <image>\n      <url>${xmlEscape(u)}</url>\n    </image>`);
+    const mileage =
+      v.mileage != null && v.mileage !== ""
+        ? `    <mileage>\n      <value>${xmlEscape(Number(v.mileage))}</value>\n      <unit>KM</unit>\n    </mileage>`
+        : "";
+    return [
+      "  <listing>",
+      tag("vehicle_id", v.vehicleId),
+      tag("title", vehicleTitle(v)),
+      tag("description", feedDescription(v, dealer)),
+      tag("url", baseUrl + vehiclePagePath(dealer.dealerId, v.vehicleId)),
+      tag("make", v.make),
+      tag("model", v.model),
+      tag("year", v.year || ""),
+      mileage,
+      ...images,
+      tag("transmission", feedTransmission(v.transmission)),
+      tag("fuel_type", feedFuelType(v.fuelType)),
+      tag("body_style", feedBodyStyle(v.bodyType)),
+      tag("exterior_color", v.color),
+      tag("vin", v.vin),
+      tag("price", feedPrice(v, currency)),
+      tag("state_of_vehicle", "USED"),
+      tag("availability", "available"),
+      tag("dealer_id", dealer.dealerId),
+      tag("dealer_name", dealer.name),
+      "  </listing>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    "<listings>",
+    tag("title", `${dealer.name || dealer.dealerId} inventory`, "  "),
+    `  <link rel="self" href="${xmlEscape(`${baseUrl}/d/${encodeURIComponent(dealer.dealerId)}`)}"/>`,
+    ...listings,
+    "</listings>",
+    "",
+  ].join("\n");
+}
+
+const GOOGLE_FEED_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "link",
+  "image_link",
+  "additional_image_link",
+  "price",
+  "condition",
+  "brand",
+  "model",
+  "year",
+  "mileage",
+  "transmission",
+  "fuel_type",
+  "body_style",
+  "color",
+  "vin",
+  "availability",
+];
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+// For CSVs people open in Excel/Sheets (not machine feeds): a cell starting with = + - @, tab or CR would run
+// as a formula, so it gets a leading apostrophe.
+function spreadsheetCsvCell(v) {
+  const s = String(v ?? "");
+  return csvCell(/^[=+\-@\t\r]/.test(s) ? `'${s}` : s);
+}
+function renderGoogleFeed({ baseUrl, dealer, vehicles, currency }) {
+  const rows = vehicles.map((v) => {
+    const images = feedImages(v);
+    const row = {
+      id: v.vehicleId,
+      title: vehicleTitle(v),
+      description: feedDescription(v, dealer),
+      link: baseUrl + vehiclePagePath(dealer.dealerId, v.vehicleId),
+      image_link: images[0] || "",
+      additional_image_link: images.slice(1).join(","),
+      price: feedPrice(v, currency),
+      condition: "used",
+      brand: v.make,
+      model: v.model,
+      year: v.year || "",
+      mileage: v.mileage != null && v.mileage !== "" ? `${Number(v.mileage)} km` : "",
+      transmission: feedTransmission(v.transmission).toLowerCase(),
+      fuel_type: feedFuelType(v.fuelType).toLowerCase(),
+      body_style: feedBodyStyle(v.bodyType).toLowerCase(),
+      color: v.color,
+      vin: v.vin,
+      availability: "in stock",
+    };
+    return GOOGLE_FEED_COLUMNS.map((c) => csvCell(row[c])).join(",");
+  });
+  return [GOOGLE_FEED_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+// Shared guard for every feed format: valid dealer, matching ?token=, public vehicles only.
+async function loadFeedContext(req, res) {
+  const dealerId = String(req.params.dealerId || "").trim();
+  const token = String(req.query.token || "");
+  if (!isValidDealerId(dealerId) || !token) {
+    res.status(401).type("text/plain").send("Feed token required");
+    return null;
+  }
+  const expected = await getFeedToken(dealerId);
+  if (!expected || !timingSafeEqual(token, expected)) {
+    res.status(401).type("text/plain").send("Invalid feed token");
+    return null;
+  }
+
+  const dealer = await loadPublicDealer(dealerId);
+  if (!dealer) {
+    res.status(404).type("text/plain").send("Dealer not found");
+    return null;
+  }
+
+  let settings;
+  try {
+    settings = await loadSettings();
+  } catch {
+    settings = { ...DEFAULT_SETTINGS };
+  }
+
+  // Suspended dealers publish an empty feed so catalogs drop their listings.
+  const vehicles = dealer.unavailable ? [] : filterPublicVehicles(await store.dealerListVehicles(dealerId));
+  return { baseUrl: publicBaseUrl(req), dealer, vehicles, currency: settings.defaultCurrency };
+}
+
+app.get("/feeds/:dealerId/facebook.xml", async (req, res, next) => {
+  try {
+    const ctx = await loadFeedContext(req, res);
+    if (!ctx) return;
+    res.setHeader("Cache-Control", "private, max-age=900");
+    res.type("application/xml").send(renderFacebookFeed(ctx));
+  } catch (e) {
+    next(e);
+  }
+});
+
+app.get("/feeds/:dealerId/google.csv", async (req, res, next) => {
+  try {
+    const ctx = await loadFeedContext(req, res);
+    if (!ctx) return;
+    res.setHeader("Cache-Control", "private, max-age=900");
+    res.type("text/csv").send(renderGoogleFeed(ctx));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// ---------- iCalendar (RFC 5545) ----------
+const ICS_PRODID = "-//carsalesweblink//Appointments//EN";
+const LEAD_TYPE_LABELS = { live_video: "Live video viewing", walk_in: "Walk-in viewing", video: "Video viewing" };
+
+function icsText(s) {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+// Lines longer than 75 octets are folded with CRLF + space.
+function icsFold(line) {
+  const out = [];
+  let current = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+function icsUtc(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+// Local "YYYY-MM-DD" + "HH:MM" in an IANA zone -> epoch ms.
+function zonedTimeToUtc(date, time, timezone) {
+  const [y, m, d] = date.split("-").map(Number);
+  const minutes = timeToMinutes(time);
+  const guess = Date.UTC(y, m - 1, d, Math.floor(minutes / 60), minutes % 60);
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit" })
+      .formatToParts(new Date(guess))
+      .map((p) => [p.type, p.value])
+  );
+  const asZoned = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute));
+  return guess - (asZoned - guess);
+}
+function leadTypeLabel(type) {
+  return LEAD_TYPE_LABELS[String(type || "").toLowerCase()] || "Viewing";
+}
+// audience "dealer" gets customer contact details; "customer" gets the dealer's.
+function leadToIcsEvent(lead, { dealer, vehicle, settings, audience, baseUrl }) {
+  const start = zonedTimeToUtc(lead.preferredDate, lead.preferredTime, settings.timezone);
+  const end = start + (Number(settings.slotMinutes) || DEFAULT_DEALER_SETTINGS.slotMinutes) * 60 * 1000;
+  const what = vehicle ? vehicleTitle(vehicle) : lead.vehicleId || "vehicle";
+  const vehicleUrl = vehicle ? `${baseUrl}${vehiclePagePath(dealer.dealerId, vehicle.vehicleId)}` : "";
+  const status = String(lead.status || "").toLowerCase();
+
+  const summary =
+    audience === "dealer"
+      ? `${leadTypeLabel(lead.type)}: ${lead.name || "Customer"} – ${what}`
+      : `${leadTypeLabel(lead.type)}: ${what} at ${dealer.name || dealer.dealerId}`;
+  const description = (
+    audience === "dealer"
+      ? [`Customer: ${lead.name || ""}`, `Phone: ${lead.phone || ""}`, lead.email && `Email: ${lead.email}`, lead.notes && `Notes: ${lead.notes}`]
+      : [
+          `Your ${leadTypeLabel(lead.type).toLowerCase()} with ${dealer.name || dealer.dealerId}.`,
+          dealer.whatsapp && `WhatsApp: +${dealer.whatsapp}`,
+          "The dealer will confirm or suggest another time.",
+        ]
+  )
+    .concat(vehicleUrl ? [vehicleUrl] : [])
+    .filter(Boolean)
+    .join("\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${lead.leadId}@carsalesweblink`,
+    `DTSTAMP:${icsUtc(Date.now())}`,
+    `DTSTART:${icsUtc(start)}`,
+    `DTEND:${icsUtc(end)}`,
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `LOCATION:${icsText(String(lead.type).toLowerCase() === "live_video" ? "Live video call" : dealer.name || dealer.dealerId)}`,
+    vehicleUrl && `URL:${vehicleUrl}`,
+    `STATUS:${status === "booked" ? "CONFIRMED" : "TENTATIVE"}`,
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+function renderIcs(name, events, { method } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICS_PRODID}`,
+    "CALSCALE:GREGORIAN",
+    method && `METHOD:${method}`,
+    `X-WR-CALNAME:${icsText(name)}`,
+    ...events.flat(),
+    "END:VCALENDAR",
+  ].filter(Boolean);
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+async function loadIcsContext(dealerId) {
+  const [dealer, vehicles, settings] = await Promise.all([
+    store.adminGetDealer(dealerId),
+    store.dealerListVehicles(dealerId),
+    loadDealerSettings(dealerId),
+  ]);
+  return { dealer: dealer || { dealerId, name: dealerId }, vehiclesById: new Map(vehicles.map((v) => [v.vehicleId, v])), settings };
+}
+
+// Customer invite links are signed so lead IDs alone can't be used to pull contact details.
+function inviteSignature(dealerId, leadId) {
+  return base64url(crypto.createHmac("sha256", JWT_SECRET).update(`invite:${dealerId}:${leadId}`).digest()).slice(0, 22);
+}
+function inviteUrl(dealerId, leadId) {
+  const q = new URLSearchParams({ dealerId, sig: inviteSignature(dealerId, leadId) });
+  return `/api/public/leads/${encodeURIComponent(leadId)}/invite.ics?${q}`;
+}
+
+// Subscribable feed for the dealer's calendar app (Google/Apple/Outlook "add by URL").
+app.get("/api/dealer/calendar.ics", async (req, res, next) => {
+  try {
+    const token = String(req.query.token || "");
+    const dealerId = token.split(".")[0];
+    if (!isValidDealerId(dealerId)) return res.status(401).type("text/plain").send("Calendar token required");
+    const expected = await getCalendarToken(dealerId);
+    if (!expected || !timingSafeEqual(token, expected)) return res.status(401).type("text/plain").send("Invalid calendar token");
+
+    const ctx = await loadIcsContext(dealerId);
+    const baseUrl = publicBaseUrl(req);
+    // Suspended dealers keep a valid (empty) calendar so subscriptions don't error out.
+    const leads = dealerAccessLevel(ctx.dealer.status) === "none" ? [] : (await store.dealerListLeads(dealerId)).filter(isBookedLead);
+    const events = leads.map((lead) =>
+      leadToIcsEvent(lead, { ...ctx, vehicle: ctx.vehiclesById.get(lead.vehicleId), audience: "dealer", baseUrl })
+    );
+    res.setHeader("Cache-Control", "private, max-age=300");
+    res.type("text/calendar").send(renderIcs(`${ctx.dealer.name || dealerId} – Viewings`, events));
+  } catch (e) {
+    next(e);
+  }
+});
+
+app.get("/api/public/leads/:leadId/invite.ics", async (req, res, next) => {
+  try {
+    const leadId = String(req.params.leadId || "");
+    const dealerId = String(req.query.dealerId || "").trim();
+    if (!isValidDealerId(dealerId) || !timingSafeEqual(String(req.query.sig || ""), inviteSignature(dealerId, leadId))) {
+      return res.status(403).type("text/plain").send("Invalid invite link");
+    }
+    const lead = (await store.dealerListLeads(dealerId)).find((l) => l.leadId === leadId);
+    if (!lead || !isBookedLead(lead)) return res.status(404).type("text/plain").send("Appointment not found");
+
+    const ctx = await loadIcsContext(dealerId);
+    const event = leadToIcsEvent(lead, { ...ctx, vehicle: ctx.vehiclesById.get(lead.vehicleId), audience: "customer", baseUrl: publicBaseUrl(req) });
+    res.setHeader("Content-Disposition", `attachment; filename="viewing-${leadId}.ics"`);
+    res.type("text/calendar").send(renderIcs(ctx.dealer.name || dealerId, [event], { method: "PUBLISH" }));
+  } catch (e) {
+    next(e);
+  }
+});
+
 // ---------- 404 ----------
 app.use((_req, res) => res.status(404).send("Not Found"));
 
@@ -1279,9 +5112,9 @@ app.use((err, req, res, _next) => {
 // ---------- Start server ----------
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`carsalesweblink running on :${PORT}`);
-  console.log(`GOOGLE_SHEET_ID=${GOOGLE_SHEET_ID ? "set" : "missing"}`);
-  console.log(`DEALER_LEADS_START_ROW=${DEALER_LEADS_START_ROW}`);
-  console.log(`DEALER_MIN_ROWS=${DEALER_MIN_ROWS}`);
+  console.log(`STORAGE_DRIVER=${store.driver}`);
+  for (const line of store.describe()) console.log(line);
+  checkAdminBootstrap().catch((e) => console.warn("[ADMIN] bootstrap check failed", e?.message || e));
 
   console.log(`CLOUDINARY_CLOUD_NAME=${CLOUDINARY_CLOUD_NAME ? "set" : "missing"}`);
   console.log(`CLOUDINARY_BASE_FOLDER=${CLOUDINARY_BASE_FOLDER}`);
@@ -1291,4 +5124,9 @@ app.listen(PORT, "0.0.0.0", () => {
   console.log(`ENABLE_CLOUDINARY_LIST=${ENABLE_CLOUDINARY_LIST}`);
 
   console.log(`MEDIA_BUCKET=${MEDIA_BUCKET} (optional)`);
+
+  setInterval(() => {
+    sweepExpiredReservations().catch((e) => console.warn("[RESERVATION] sweep failed", e?.message || e));
+  }, RESERVATION_SWEEP_MS).unref();
+  setInterval(sweepLeadRateLimits, LEAD_RATE_SWEEP_MS).unref();
 });
@@ -0,0 +1,251 @@
+// storage/common.js
+// Row layouts shared by every storage driver.
+// Each driver persists the same string rows the Google Sheet holds, so a dealer
+// behaves identically whether it lives in Sheets or in the local data file.
+
+"use strict";
+
+const crypto = require("crypto");
+
+const DEALER_HEADERS = [
+  "dealerId",
+  "name",
+  "status",
+  "passcodeHash",
+  "whatsapp",
+  "logoUrl",
+  "createdAt",
+  "updatedAt",
+  "address",
+  "hours",
+  "about",
+];
+
+const VEHICLE_HEADERS = [
+  "vehicleId",
+  "title",
+  "make",
+  "model",
+  "year",
+  "price",
+  "status",
+  "notes",
+  "heroImage",
+  "heroVideo",
+  "imagesJson",
+  "updatedAt",
+  "mileage",
+  "transmission",
+  "fuelType",
+  "bodyType",
+  "color",
+  "vin",
+  "archivedAt",
+];
+
+const LEAD_HEADERS = [
+  "createdAt",
+  "leadId",
+  "vehicleId",
+  "type",
+  "name",
+  "phone",
+  "email",
+  "preferredDate",
+  "preferredTime",
+  "notes",
+  "source",
+  "status",
+];
+
+// Generic record collections (settings, logs, ...) are stored as id | json | updatedAt rows.
+const RECORD_HEADERS = ["id", "json", "updatedAt"];
+
+function nowIso() {
+  return new Date().toISOString();
+}
+function safeParseJsonArray(v) {
+  try {
+    const x = JSON.parse(v || "[]");
+    return Array.isArray(x) ? x : [];
+  } catch {
+    return [];
+  }
+}
+function safeParseJsonObject(v) {
+  try {
+    const x = JSON.parse(v || "{}");
+    return x && typeof x === "object" && !Array.isArray(x) ? x : null;
+  } catch {
+    return null;
+  }
+}
+function makeLeadId() {
+  return "lead_" + crypto.randomBytes(6).toString("hex");
+}
+
+function dealerFromRow(r) {
+  return {
+    dealerId: r[0] || "",
+    name: r[1] || "",
+    status: (r[2] || "active").toLowerCase(),
+    passcodeHash: r[3] || "",
+    whatsapp: r[4] || "",
+    logoUrl: r[5] || "",
+    createdAt: r[6] || "",
+    updatedAt: r[7] || "",
+    address: r[8] || "",
+    hours: r[9] || "",
+    about: r[10] || "",
+  };
+}
+function dealerToRow(dealer) {
+  return [
+    dealer.dealerId,
+    dealer.name,
+    dealer.status || "active",
+    dealer.passcodeHash || "",
+    dealer.whatsapp || "",
+    dealer.logoUrl || "",
+    dealer.createdAt || nowIso(),
+    dealer.updatedAt || nowIso(),
+    dealer.address || "",
+    dealer.hours || "",
+    dealer.about || "",
+  ];
+}
+
+function vehicleFromRow(r, dealerId) {
+  return {
+    ...(r.length >= 18
+      ? {
+          vehicleId: r[0] || "",
+          title: r[1] || "",
+          make: r[2] || "",
+          model: r[3] || "",
+          year: r[4] ? Number(r[4]) : null,
+          price: r[5] ? Number(r[5]) : 0,
+          status: r[6] || "",
+          notes: r[7] || "",
+          heroImage: r[8] || "",
+          heroVideo: r[9] || "",
+          images: safeParseJsonArray(r[10]),
+          updatedAt: r[11] || "",
+          mileage: r[12] ? Number(r[12]) : null,
+          transmission: r[13] || "",
+          fuelType: r[14] || "",
+          bodyType: r[15] || "",
+          color: r[16] || "",
+          vin: r[17] || "",
+          archivedAt: r[18] || "",
+        }
+      : {
+          vehicleId: r[0] || "",
+          title: r[1] || "",
+          make: r[2] || "",
+          model: r[3] || "",
+          year: r[4] ? Number(r[4]) : null,
+          price: r[5] ? Number(r[5]) : 0,
+          status: r[6] || "",
+          notes: r[7] || "",
+          heroImage: r[8] || "",
+          heroVideo: "",
+          images: safeParseJsonArray(r[9]),
+          updatedAt: r[10] || "",
+          mileage: null,
+          transmission: "",
+          fuelType: "",
+          bodyType: "",
+          color: "",
+          vin: "",
+          archivedAt: "",
+        }),
+    dealerId,
+  };
+}
+function vehicleToRow(vehicle, updatedAt) {
+  return [
+    vehicle.vehicleId,
+    vehicle.title || "",
+    vehicle.make || "",
+    vehicle.model || "",
+    vehicle.year ? String(vehicle.year) : "",
+    vehicle.price ? String(vehicle.price) : "",
+    vehicle.status || "available",
+    vehicle.notes || "",
+    vehicle.heroImage || "",
+    vehicle.heroVideo || "",
+    JSON.stringify(vehicle.images || []),
+    updatedAt,
+    vehicle.mileage != null && vehicle.mileage !== "" ? String(vehicle.mileage) : "",
+    vehicle.transmission || "",
+    vehicle.fuelType || "",
+    vehicle.bodyType || "",
+    vehicle.color || "",
+    vehicle.vin || "",
+    vehicle.archivedAt || "",
+  ];
+}
+
+function leadFromRow(r, dealerId, rowNum) {
+  return {
+    createdAt: r[0] || "",
+    leadId: r[1] || "",
+    vehicleId: r[2] || "",
+    type: r[3] || "",
+    name: r[4] || "",
+    phone: r[5] || "",
+    email: r[6] || "",
+    preferredDate: r[7] || "",
+    preferredTime: r[8] || "",
+    notes: r[9] || "",
+    source: r[10] || "",
+    status: r[11] || "new",
+    dealerId,
+    rowNum,
+  };
+}
+function leadToRow(lead, leadId, createdAt) {
+  return [
+    createdAt,
+    leadId,
+    lead.vehicleId || "",
+    lead.type || "video",
+    lead.name || "",
+    lead.phone || "",
+    lead.email || "",
+    lead.preferredDate || "",
+    lead.preferredTime || "",
+    lead.notes || "",
+    lead.source || "storefront",
+    lead.status || "new",
+  ];
+}
+
+function recordFromRow(r) {
+  const id = (r[0] || "").trim();
+  if (!id) return null;
+  const data = safeParseJsonObject(r[1]);
+  if (!data) return null;
+  return { ...data, id };
+}
+function recordToRow(record) {
+  return [String(record.id), JSON.stringify(record), nowIso()];
+}
+
+module.exports = {
+  DEALER_HEADERS,
+  VEHICLE_HEADERS,
+  LEAD_HEADERS,
+  RECORD_HEADERS,
+  nowIso,
+  makeLeadId,
+  dealerFromRow,
+  dealerToRow,
+  vehicleFromRow,
+  vehicleToRow,
+  leadFromRow,
+  leadToRow,
+  recordFromRow,
+  recordToRow,
+};
@@ -0,0 +1,183 @@
+// storage/file.js
+// Local JSON-file driver for offline development.
+// Keeps the exact row layout of the Google Sheet (see storage/common.js) in
+// DATA_DIR/store.json so every app behaves the same as against Sheets.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {
+  nowIso,
+  makeLeadId,
+  dealerFromRow,
+  dealerToRow,
+  vehicleFromRow,
+  vehicleToRow,
+  leadFromRow,
+  leadToRow,
+  recordFromRow,
+  recordToRow,
+} = require("./common");
+
+// Mirrors the Sheets lead row numbers so lead.rowNum looks the same in both drivers.
+const DEALER_LEADS_START_ROW = Number(process.env.DEALER_LEADS_START_ROW || 2000);
+
+function emptyData() {
+  return { dealers: [], dealerTabs: {}, records: {} };
+}
+
+function createFileStore({ dataDir }) {
+  const file = path.join(dataDir, "store.json");
+
+  // Serialize every read-modify-write so concurrent requests can't clobber each other.
+  let queue = Promise.resolve();
+  function run(fn) {
+    const next = queue.then(fn, fn);
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  async function load() {
+    try {
+      const raw = await fs.promises.readFile(file, "utf8");
+      return { ...emptyData(), ...JSON.parse(raw) };
+    } catch (e) {
+      if (e.code === "ENOENT") return emptyData();
+      throw e;
+    }
+  }
+  async function save(data) {
+    await fs.promises.mkdir(dataDir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmp, file);
+  }
+  const read = (fn) => run(async () => fn(await load()));
+  const write = (fn) =>
+    run(async () => {
+      const data = await load();
+      const out = await fn(data);
+      await save(data);
+      return out;
+    });
+
+  function dealerTab(data, dealerId) {
+    const key = String(dealerId || "").trim();
+    if (!data.dealerTabs[key]) data.dealerTabs[key] = { vehicles: [], leads: [] };
+    return data.dealerTabs[key];
+  }
+  function peekDealerTab(data, dealerId) {
+    return data.dealerTabs[String(dealerId || "").trim()] || { vehicles: [], leads: [] };
+  }
+  function recordRows(data, collection) {
+    if (!data.records[collection]) data.records[collection] = [];
+    return data.records[collection];
+  }
+
+  return {
+    driver: "file",
+    describe: () => [`DATA_DIR=${dataDir}`],
+
+    ensureDealerLayout: (dealerId) =>
+      write((data) => {
+        dealerTab(data, dealerId);
+      }),
+
+    // ---------- Dealers ----------
+    adminListDealers: () => read((data) => data.dealers.map(dealerFromRow)),
+    adminGetDealer: (dealerId) =>
+      read((data) => {
+        const row = data.dealers.find((r) => r[0] === dealerId);
+        return row ? dealerFromRow(row) : null;
+      }),
+    adminUpsertDealer: (dealer) =>
+      write((data) => {
+        const idx = data.dealers.findIndex((r) => r[0] === dealer.dealerId);
+        const row = dealerToRow(dealer);
+        if (idx === -1) data.dealers.push(row);
+        else data.dealers[idx] = row;
+      }),
+
+    // ---------- Vehicles ----------
+    dealerListVehicles: (dealerId) =>
+      read((data) =>
+        peekDealerTab(data, dealerId)
+          .vehicles.filter((r) => (r[0] || "").trim())
+          .map((r) => vehicleFromRow(r, dealerId))
+      ),
+    dealerUpsertVehicle: (dealerId, vehicle) =>
+      write((data) => {
+        const tab = dealerTab(data, dealerId);
+        const updatedAt = nowIso();
+        const row = vehicleToRow(vehicle, updatedAt);
+        const idx = tab.vehicles.findIndex((r) => (r[0] || "").trim() === vehicle.vehicleId);
+        if (idx === -1) tab.vehicles.push(row);
+        else tab.vehicles[idx] = row;
+        return { ...vehicle, updatedAt, dealerId };
+      }),
+    dealerDeleteVehicle: (dealerId, vehicleId) =>
+      write((data) => {
+        const tab = dealerTab(data, dealerId);
+        const idx = tab.vehicles.findIndex((r) => (r[0] || "").trim() === vehicleId);
+        if (idx === -1) return false;
+        tab.vehicles.splice(idx, 1);
+        return true;
+      }),
+
+    // ---------- Leads ----------
+    dealerListLeads: (dealerId) =>
+      read((data) => {
+        const start = DEALER_LEADS_START_ROW + 1;
+        return peekDealerTab(data, dealerId)
+          .leads.map((r, idx) => leadFromRow(r, dealerId, start + idx))
+          .filter((l) => (l.leadId || "").trim());
+      }),
+    dealerAppendLead: (dealerId, lead) =>
+      write((data) => {
+        const leadId = lead.leadId || makeLeadId();
+        const createdAt = nowIso();
+        dealerTab(data, dealerId).leads.push(leadToRow(lead, leadId, createdAt));
+        return { ...lead, leadId, createdAt, status: lead.status || "new" };
+      }),
+    dealerUpdateLeadStatus: (dealerId, leadId, status) =>
+      write((data) => {
+        const leads = dealerTab(data, dealerId).leads;
+        const idx = leads.findIndex((r) => r[1] === leadId);
+        if (idx === -1) return null;
+        leads[idx][11] = status;
+        return { ...leadFromRow(leads[idx], dealerId, DEALER_LEADS_START_ROW + 1 + idx), status };
+      }),
+
+    // ---------- Records ----------
+    listRecords: (collection) => read((data) => (data.records[collection] || []).map(recordFromRow).filter(Boolean)),
+    getRecord: (collection, id) =>
+      read((data) => {
+        const row = (data.records[collection] || []).find((r) => r[0] === String(id));
+        return row ? recordFromRow(row) : null;
+      }),
+    putRecord: (collection, record) =>
+      write((data) => {
+        const rows = recordRows(data, collection);
+        const idx = rows.findIndex((r) => r[0] === String(record.id));
+        if (idx === -1) rows.push(recordToRow(record));
+        else rows[idx] = recordToRow(record);
+        return record;
+      }),
+    appendRecord: (collection, record) =>
+      write((data) => {
+        recordRows(data, collection).push(recordToRow(record));
+        return record;
+      }),
+    deleteRecord: (collection, id) =>
+      write((data) => {
+        const rows = recordRows(data, collection);
+        const idx = rows.findIndex((r) => r[0] === String(id));
+        if (idx === -1) return false;
+        rows.splice(idx, 1);
+        return true;
+      }),
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,36 @@
+// storage/index.js
+// Picks the storage driver for server.js.
+//
+//   STORAGE_DRIVER=sheets (default)  Google Sheets, needs GOOGLE_SHEET_ID + service account
+//   STORAGE_DRIVER=file              JSON file in DATA_DIR (default ./data), fully offline
+//
+// Every driver exposes the same async methods:
+//   ensureDealerLayout(dealerId)
+//   adminListDealers() / adminGetDealer(dealerId) / adminUpsertDealer(dealer)
+//   dealerListVehicles(dealerId) / dealerUpsertVehicle(dealerId, vehicle) / dealerDeleteVehicle(dealerId, vehicleId)
+//   dealerListLeads(dealerId) / dealerAppendLead(dealerId, lead) / dealerUpdateLeadStatus(dealerId, leadId, status)
+//   listRecords(collection) / getRecord(collection, id) / putRecord(collection, record)
+//   appendRecord(collection, record) / deleteRecord(collection, id)
+
+"use strict";
+
+const path = require("path");
+
+function createStore(opts = {}) {
+  const driver = String(opts.driver || process.env.STORAGE_DRIVER || "sheets")
+    .trim()
+    .toLowerCase();
+
+  if (driver === "sheets") {
+    const { createSheetsStore } = require("./sheets");
+    return createSheetsStore();
+  }
+  if (driver === "file") {
+    const { createFileStore } = require("./file");
+    const dataDir = path.resolve(String(opts.dataDir || process.env.DATA_DIR || path.join(__dirname, "..", "data")));
+    return createFileStore({ dataDir });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "sheets" or "file")`);
+}
+
+module.exports = { createStore };
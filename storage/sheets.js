@@ -0,0 +1,406 @@
+// storage/sheets.js
+// Google Sheets driver (one spreadsheet, dealer-per-tab model)
+// - ADMIN tab: one row per dealer
+// - Dealer tab: vehicles from row 2, leads from DEALER_LEADS_START_ROW
+// - Record tabs (SETTINGS, ...): id | json | updatedAt rows
+//
+// ✅ Auto-expands dealer tabs so A2000:L2000 DOES NOT exceed grid limits
+
+"use strict";
+
+const { google } = require("googleapis");
+const {
+  DEALER_HEADERS,
+  VEHICLE_HEADERS,
+  LEAD_HEADERS,
+  RECORD_HEADERS,
+  nowIso,
+  makeLeadId,
+  dealerFromRow,
+  dealerToRow,
+  vehicleFromRow,
+  vehicleToRow,
+  leadFromRow,
+  leadToRow,
+  recordFromRow,
+  recordToRow,
+} = require("./common");
+
+const GOOGLE_SHEET_ID = String(process.env.GOOGLE_SHEET_ID || "");
+
+// Dealer sheet layout
+const DEALER_LEADS_START_ROW = Number(process.env.DEALER_LEADS_START_ROW || 2000);
+const ADMIN_SHEET_TITLE = String(process.env.ADMIN_SHEET_TITLE || "ADMIN");
+const DEALER_MIN_ROWS = Number(process.env.DEALER_MIN_ROWS || Math.max(1200, DEALER_LEADS_START_ROW + 300));
+
+function safeDealerTabName(dealerId) {
+  return String(dealerId || "")
+    .trim()
+    .replace(/[^\w\- ]+/g, "_")
+    .slice(0, 80);
+}
+
+// ---------- Google Sheets client ----------
+async function getSheetsClient() {
+  if (!GOOGLE_SHEET_ID) throw new Error("Missing GOOGLE_SHEET_ID env var");
+  const auth = new google.auth.GoogleAuth({
+    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+  });
+  const client = await auth.getClient();
+  return google.sheets({ version: "v4", auth: client });
+}
+async function getSpreadsheetMeta(sheets) {
+  const meta = await sheets.spreadsheets.get({
+    spreadsheetId: GOOGLE_SHEET_ID,
+    fields: "sheets(properties(sheetId,title,gridProperties(rowCount,columnCount)))",
+  });
+  const tabs = meta.data.sheets || [];
+  const byTitle = new Map();
+  for (const t of tabs) byTitle.set(t.properties.title, t.properties);
+  return { tabs, byTitle };
+}
+async function ensureRows(sheets, sheetId, neededRowCount) {
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: GOOGLE_SHEET_ID,
+    requestBody: {
+      requests: [
+        {
+          updateSheetProperties: {
+            properties: { sheetId, gridProperties: { rowCount: neededRowCount } },
+            fields: "gridProperties.rowCount",
+          },
+        },
+      ],
+    },
+  });
+}
+async function ensureTab(sheets, title, minRows = 1000) {
+  const meta = await getSpreadsheetMeta(sheets);
+
+  if (meta.byTitle.has(title)) {
+    const props = meta.byTitle.get(title);
+    const currentRows = props.gridProperties?.rowCount || 1000;
+    if (currentRows < minRows) {
+      await ensureRows(sheets, props.sheetId, minRows);
+      const meta2 = await getSpreadsheetMeta(sheets);
+      return meta2.byTitle.get(title);
+    }
+    return props;
+  }
+
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: GOOGLE_SHEET_ID,
+    requestBody: { requests: [{ addSheet: { properties: { title } } }] },
+  });
+
+  const meta2 = await getSpreadsheetMeta(sheets);
+  const props2 = meta2.byTitle.get(title);
+
+  const currentRows2 = props2.gridProperties?.rowCount || 1000;
+  if (currentRows2 < minRows) {
+    await ensureRows(sheets, props2.sheetId, minRows);
+    const meta3 = await getSpreadsheetMeta(sheets);
+    return meta3.byTitle.get(title);
+  }
+
+  return props2;
+}
+async function ensureHeaderRow(sheets, range, headers) {
+  const existing = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range });
+  const row = (existing.data.values && existing.data.values[0]) || [];
+  if (row.join("|") !== headers.join("|")) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: GOOGLE_SHEET_ID,
+      range,
+      valueInputOption: "RAW",
+      requestBody: { values: [headers] },
+    });
+  }
+}
+async function ensureAdminSheet(sheets) {
+  await ensureTab(sheets, ADMIN_SHEET_TITLE, 200);
+  await ensureHeaderRow(sheets, `${ADMIN_SHEET_TITLE}!A1:K1`, DEALER_HEADERS);
+}
+async function ensureDealerTabLayout(sheets, dealerId) {
+  const title = safeDealerTabName(dealerId);
+
+  // ✅ ensure enough rows for A2000:L2000
+  await ensureTab(sheets, title, DEALER_MIN_ROWS);
+
+  await ensureHeaderRow(sheets, `${title}!A1:S1`, VEHICLE_HEADERS);
+
+  const leadRow = DEALER_LEADS_START_ROW;
+  await ensureHeaderRow(sheets, `${title}!A${leadRow}:L${leadRow}`, LEAD_HEADERS);
+}
+async function ensureRecordTab(sheets, collection) {
+  const props = await ensureTab(sheets, collection, 200);
+  await ensureHeaderRow(sheets, `${collection}!A1:C1`, RECORD_HEADERS);
+  return props;
+}
+
+// ---------- Dealers (ADMIN tab) ----------
+async function adminListDealers(sheets) {
+  await ensureAdminSheet(sheets);
+  const range = `${ADMIN_SHEET_TITLE}!A2:K`;
+  const res = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range });
+  const rows = res.data.values || [];
+  return rows.map(dealerFromRow);
+}
+async function adminUpsertDealer(sheets, dealer) {
+  await ensureAdminSheet(sheets);
+
+  const dealers = await adminListDealers(sheets);
+  const idx = dealers.findIndex((d) => d.dealerId === dealer.dealerId);
+
+  const rowValues = dealerToRow(dealer);
+
+  if (idx === -1) {
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: GOOGLE_SHEET_ID,
+      range: `${ADMIN_SHEET_TITLE}!A:K`,
+      valueInputOption: "RAW",
+      insertDataOption: "INSERT_ROWS",
+      requestBody: { values: [rowValues] },
+    });
+  } else {
+    const rowNum = idx + 2;
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: GOOGLE_SHEET_ID,
+      range: `${ADMIN_SHEET_TITLE}!A${rowNum}:K${rowNum}`,
+      valueInputOption: "RAW",
+      requestBody: { values: [rowValues] },
+    });
+  }
+}
+async function adminGetDealer(sheets, dealerId) {
+  const dealers = await adminListDealers(sheets);
+  return dealers.find((d) => d.dealerId === dealerId) || null;
+}
+
+// ---------- Vehicles (dealer tab, rows 2..) ----------
+async function dealerListVehicles(sheets, dealerId) {
+  const tab = safeDealerTabName(dealerId);
+  await ensureDealerTabLayout(sheets, dealerId);
+
+  const range = `${tab}!A2:S`;
+  const res = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range });
+  const rows = res.data.values || [];
+  return rows.filter((r) => (r[0] || "").trim()).map((r) => vehicleFromRow(r, dealerId));
+}
+async function dealerUpsertVehicle(sheets, dealerId, vehicle) {
+  const tab = safeDealerTabName(dealerId);
+  await ensureDealerTabLayout(sheets, dealerId);
+
+  const range = `${tab}!A2:S`;
+  const res = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range });
+  const rows = res.data.values || [];
+
+  let foundRowNum = -1;
+  for (let i = 0; i < rows.length; i++) {
+    if ((rows[i][0] || "").trim() === vehicle.vehicleId) {
+      foundRowNum = i + 2;
+      break;
+    }
+  }
+
+  const updatedAt = nowIso();
+  const rowValues = vehicleToRow(vehicle, updatedAt);
+
+  if (foundRowNum === -1) {
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: GOOGLE_SHEET_ID,
+      range: `${tab}!A:S`,
+      valueInputOption: "RAW",
+      insertDataOption: "INSERT_ROWS",
+      requestBody: { values: [rowValues] },
+    });
+  } else {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: GOOGLE_SHEET_ID,
+      range: `${tab}!A${foundRowNum}:S${foundRowNum}`,
+      valueInputOption: "RAW",
+      requestBody: { values: [rowValues] },
+    });
+  }
+
+  return { ...vehicle, updatedAt, dealerId };
+}
+
+// Hard delete. The vehicle block is shifted up by rewriting it rather than with
+// deleteDimension, which would also move the lead block off DEALER_LEADS_START_ROW.
+async function dealerDeleteVehicle(sheets, dealerId, vehicleId) {
+  const tab = safeDealerTabName(dealerId);
+  await ensureDealerTabLayout(sheets, dealerId);
+
+  const lastRow = DEALER_LEADS_START_ROW - 1;
+  const res = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range: `${tab}!A2:S${lastRow}` });
+  const rows = res.data.values || [];
+  const idx = rows.findIndex((r) => (r[0] || "").trim() === vehicleId);
+  if (idx === -1) return false;
+
+  const endRowNum = rows.length + 1;
+  const shifted = rows.slice(idx + 1).map((r) => VEHICLE_HEADERS.map((_, i) => r[i] ?? ""));
+  if (shifted.length) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: GOOGLE_SHEET_ID,
+      range: `${tab}!A${idx + 2}:S${endRowNum - 1}`,
+      valueInputOption: "RAW",
+      requestBody: { values: shifted },
+    });
+  }
+  await sheets.spreadsheets.values.clear({ spreadsheetId: GOOGLE_SHEET_ID, range: `${tab}!A${endRowNum}:S${endRowNum}` });
+  return true;
+}
+
+// ---------- Leads (dealer tab, rows DEALER_LEADS_START_ROW+1..) ----------
+async function dealerListLeads(sheets, dealerId) {
+  const tab = safeDealerTabName(dealerId);
+  await ensureDealerTabLayout(sheets, dealerId);
+
+  const start = DEALER_LEADS_START_ROW + 1;
+  const range = `${tab}!A${start}:L`;
+  const res = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range });
+  const rows = res.data.values || [];
+
+  return rows.map((r, idx) => leadFromRow(r, dealerId, start + idx)).filter((l) => (l.leadId || "").trim());
+}
+async function dealerUpdateLeadStatus(sheets, dealerId, leadId, status) {
+  const leads = await dealerListLeads(sheets, dealerId);
+  const lead = leads.find((l) => l.leadId === leadId);
+  if (!lead) return null;
+
+  const tab = safeDealerTabName(dealerId);
+  const range = `${tab}!L${lead.rowNum}`;
+  await sheets.spreadsheets.values.update({
+    spreadsheetId: GOOGLE_SHEET_ID,
+    range,
+    valueInputOption: "RAW",
+    requestBody: { values: [[status]] },
+  });
+
+  return { ...lead, status };
+}
+async function dealerAppendLead(sheets, dealerId, lead) {
+  const tab = safeDealerTabName(dealerId);
+  await ensureDealerTabLayout(sheets, dealerId);
+
+  const leadId = lead.leadId || makeLeadId();
+  const createdAt = nowIso();
+
+  const appendRange = `${tab}!A${DEALER_LEADS_START_ROW + 1}:L`;
+  await sheets.spreadsheets.values.append({
+    spreadsheetId: GOOGLE_SHEET_ID,
+    range: appendRange,
+    valueInputOption: "RAW",
+    insertDataOption: "INSERT_ROWS",
+    requestBody: { values: [leadToRow(lead, leadId, createdAt)] },
+  });
+
+  return { ...lead, leadId, createdAt, status: lead.status || "new" };
+}
+
+// ---------- Records (one tab per collection) ----------
+async function readRecordRows(sheets, collection) {
+  const props = await ensureRecordTab(sheets, collection);
+  const res = await sheets.spreadsheets.values.get({ spreadsheetId: GOOGLE_SHEET_ID, range: `${collection}!A2:C` });
+  return { props, rows: res.data.values || [] };
+}
+function findRecordRowNum(rows, id) {
+  const idx = rows.findIndex((r) => (r[0] || "").trim() === String(id));
+  return idx === -1 ? -1 : idx + 2;
+}
+async function listRecords(sheets, collection) {
+  const { rows } = await readRecordRows(sheets, collection);
+  return rows.map(recordFromRow).filter(Boolean);
+}
+async function getRecord(sheets, collection, id) {
+  const records = await listRecords(sheets, collection);
+  return records.find((r) => r.id === String(id)) || null;
+}
+async function appendRecord(sheets, collection, record) {
+  await ensureRecordTab(sheets, collection);
+  await sheets.spreadsheets.values.append({
+    spreadsheetId: GOOGLE_SHEET_ID,
+    range: `${collection}!A:C`,
+    valueInputOption: "RAW",
+    insertDataOption: "INSERT_ROWS",
+    requestBody: { values: [recordToRow(record)] },
+  });
+  return record;
+}
+async function putRecord(sheets, collection, record) {
+  const { rows } = await readRecordRows(sheets, collection);
+  const rowNum = findRecordRowNum(rows, record.id);
+  if (rowNum === -1) return appendRecord(sheets, collection, record);
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId: GOOGLE_SHEET_ID,
+    range: `${collection}!A${rowNum}:C${rowNum}`,
+    valueInputOption: "RAW",
+    requestBody: { values: [recordToRow(record)] },
+  });
+  return record;
+}
+async function deleteRecord(sheets, collection, id) {
+  const { props, rows } = await readRecordRows(sheets, collection);
+  const rowNum = findRecordRowNum(rows, id);
+  if (rowNum === -1) return false;
+
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: GOOGLE_SHEET_ID,
+    requestBody: {
+      requests: [
+        {
+          deleteDimension: {
+            range: { sheetId: props.sheetId, dimension: "ROWS", startIndex: rowNum - 1, endIndex: rowNum },
+          },
+        },
+      ],
+    },
+  });
+  return true;
+}
+
+function createSheetsStore() {
+  // One authenticated client per process; a failed auth is retried on the next call.
+  let clientPromise = null;
+  const client = () => {
+    if (!clientPromise) {
+      clientPromise = getSheetsClient().catch((e) => {
+        clientPromise = null;
+        throw e;
+      });
+    }
+    return clientPromise;
+  };
+  const withSheets =
+    (fn) =>
+    async (...args) =>
+      fn(await client(), ...args);
+
+  return {
+    driver: "sheets",
+    describe: () => [
+      `GOOGLE_SHEET_ID=${GOOGLE_SHEET_ID ? "set" : "missing"}`,
+      `DEALER_LEADS_START_ROW=${DEALER_LEADS_START_ROW}`,
+      `DEALER_MIN_ROWS=${DEALER_MIN_ROWS}`,
+    ],
+    ensureDealerLayout: withSheets(ensureDealerTabLayout),
+    adminListDealers: withSheets(adminListDealers),
+    adminGetDealer: withSheets(adminGetDealer),
+    adminUpsertDealer: withSheets(adminUpsertDealer),
+    dealerListVehicles: withSheets(dealerListVehicles),
+    dealerUpsertVehicle: withSheets(dealerUpsertVehicle),
+    dealerDeleteVehicle: withSheets(dealerDeleteVehicle),
+    dealerListLeads: withSheets(dealerListLeads),
+    dealerAppendLead: withSheets(dealerAppendLead),
+    dealerUpdateLeadStatus: withSheets(dealerUpdateLeadStatus),
+    listRecords: withSheets(listRecords),
+    getRecord: withSheets(getRecord),
+    putRecord: withSheets(putRecord),
+    appendRecord: withSheets(appendRecord),
+    deleteRecord: withSheets(deleteRecord),
+  };
+}
+
+module.exports = { createSheetsStore };